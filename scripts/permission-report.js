@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Print the permission matrix report (see utils/permissionReport)
+ * Usage:
+ *   node scripts/permission-report.js [--format json|csv|markdown] [--organization <id>]
+ *     [--employee <id> --designation <role>] [--offline]
+ * Reads MONGODB_URI (and .env) for the organization's custom roles and the
+ * employees' individual grants and denies; --offline prints the built-in
+ * matrix without connecting. With --employee and --designation the report
+ * ends with what that employee would gain or lose in the new designation.
+ * @module scripts/permission-report
+ */
+
+require('dotenv').config();
+
+const { parseArgs } = require('util');
+const { connectDB, disconnectDB } = require('../src/config/database');
+const {
+  REPORT_FORMATS,
+  buildPermissionReport,
+  loadPermissionReport,
+  renderPermissionReport
+} = require('../src/utils/permissionReport');
+
+const { values: options } = parseArgs({
+  options: {
+    format: { type: 'string', default: 'markdown' },
+    organization: { type: 'string' },
+    employee: { type: 'string' },
+    designation: { type: 'string' },
+    offline: { type: 'boolean', default: false }
+  }
+});
+
+/**
+ * Build and print the report
+ * @async
+ * @returns {Promise<void>} Resolves once printed
+ * @throws {Error} On an unknown format or incomplete designation preview
+ */
+const main = async () => {
+  const format = options.format.toUpperCase();
+  if (!REPORT_FORMATS[format]) {
+    throw new Error(`Unknown format ${options.format}; use json, csv or markdown`);
+  }
+  if (Boolean(options.employee) !== Boolean(options.designation)) {
+    throw new Error('--employee and --designation must be given together');
+  }
+
+  if (options.offline) {
+    process.stdout.write(`${renderPermissionReport(buildPermissionReport(), format)}\n`);
+    return;
+  }
+
+  await connectDB();
+  try {
+    const { report, diff } = await loadPermissionReport({
+      organizationId: options.organization,
+      employeeId: options.employee,
+      designation: options.designation
+    });
+    process.stdout.write(`${renderPermissionReport(report, format, diff)}\n`);
+  } finally {
+    await disconnectDB();
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Scheduled AWS Lambda handler recording lapsed access grants
+ * Temporary access grants stop counting at their expiry on their own (see
+ * handles/permissions findAccessGrant); this job adds each lapse to the audit
+ * log (see utils/accessGrants).
+ * @module accessGrantExpiry
+ */
+
+const { connectDB } = require('./config/database');
+const { recordExpiredAccessGrants } = require('./utils/accessGrants');
+
+/**
+ * AWS Lambda handler, run on a schedule (see serverless.yml)
+ * @param {Object} _event - Scheduled event
+ * @param {Object} context - Lambda context
+ * @returns {Promise<Object>} { recorded }
+ */
+const handler = async (_event, context) => {
+  if (!context.mongooseConnection) {
+    await connectDB();
+    context.mongooseConnection = true;
+  }
+
+  const recorded = await recordExpiredAccessGrants({ requestId: context.awsRequestId || null });
+  return { recorded };
+};
+
+module.exports = { handler };
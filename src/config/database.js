@@ -60,6 +60,25 @@ const disconnectDB = async () => {
   }
 };
 
+/**
+ * Run a unit of work in a MongoDB transaction
+ * The work is retried as a whole on transient errors (e.g. a write conflict
+ * with a concurrent transaction), and documents it saved are reset when an
+ * attempt aborts. Requires a replica set, as every Atlas deployment is.
+ * @async
+ * @function runInTransaction
+ * @param {Function} work - async (session) => result; pass the session to every read and write
+ * @returns {Promise<*>} The work's result once committed
+ * @example await runInTransaction(async (session) => Account.create([data], { session }));
+ */
+const runInTransaction = async (work) => {
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await work(session);
+  });
+  return result;
+};
+
 // Handle connection events
 mongoose.connection.on('error', (err) => {
   logger.error('MongoDB connection error:', err);
@@ -73,5 +92,5 @@ mongoose.connection.on('reconnected', () => {
   logger.info('MongoDB reconnected');
 });
 
-module.exports = { connectDB, disconnectDB };
+module.exports = { connectDB, disconnectDB, runInTransaction };
 
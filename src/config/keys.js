@@ -0,0 +1,188 @@
+/**
+ * @fileoverview JWT signing and verification key management
+ * Supports HMAC (HS256) with a shared secret, or asymmetric signing
+ * (RS256/ES256) with a `kid`-identified private key plus any number of
+ * public keys that stay valid while tokens signed by a retired key expire.
+ * @module config/keys
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_SECRET = 'your-secret-key';
+const SUPPORTED_ALGORITHMS = ['HS256', 'RS256', 'ES256'];
+
+// Parsed key material, keyed by the raw env values it was built from
+let cache = { source: null, keys: null };
+
+/**
+ * Normalize a PEM from an environment variable where newlines are often escaped
+ * @param {string} pem - PEM string, possibly containing literal "\n"
+ * @returns {string} PEM with real newlines
+ */
+const normalizePem = (pem) => String(pem).replace(/\\n/g, '\n').trim();
+
+/**
+ * HS256 shared secret; an empty JWT_SECRET (as serverless.yml passes when the
+ * variable is unset) counts as missing, so tokens are never signed with a default
+ * @returns {string} JWT_SECRET
+ * @throws {Error} When JWT_SECRET is missing or empty
+ */
+const getSharedSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is required for HS256');
+  }
+
+  return process.env.JWT_SECRET;
+};
+
+/**
+ * Configured signing algorithm
+ * @returns {string} HS256, RS256 or ES256
+ * @throws {Error} When JWT_ALGORITHM is not supported
+ */
+const getAlgorithm = () => {
+  const algorithm = (process.env.JWT_ALGORITHM || 'HS256').toUpperCase();
+
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported JWT_ALGORITHM: ${algorithm}`);
+  }
+
+  return algorithm;
+};
+
+/**
+ * Whether tokens are signed with a private key rather than a shared secret
+ * @returns {boolean} True for RS256/ES256
+ */
+const isAsymmetric = () => getAlgorithm() !== 'HS256';
+
+/**
+ * Parse asymmetric key material from the environment
+ * JWT_SIGNING_KEY/JWT_SIGNING_KID hold the active private key; JWT_PUBLIC_KEYS
+ * is a JSON object of `{ "<kid>": "<public PEM>" }` for keys still accepted.
+ * The active key's public half is always accepted.
+ * @returns {{signing: Object|null, publicKeys: Map<string, crypto.KeyObject>}} Parsed keys
+ */
+const loadAsymmetricKeys = () => {
+  const source = [
+    process.env.JWT_SIGNING_KEY,
+    process.env.JWT_SIGNING_KID,
+    process.env.JWT_PUBLIC_KEYS
+  ].join('|');
+
+  if (cache.source === source) {
+    return cache.keys;
+  }
+
+  const publicKeys = new Map();
+  const configured = process.env.JWT_PUBLIC_KEYS ? JSON.parse(process.env.JWT_PUBLIC_KEYS) : {};
+  Object.entries(configured).forEach(([kid, pem]) => {
+    publicKeys.set(kid, crypto.createPublicKey(normalizePem(pem)));
+  });
+
+  let signing = null;
+  if (process.env.JWT_SIGNING_KEY) {
+    const kid = process.env.JWT_SIGNING_KID || 'default';
+    const privateKey = crypto.createPrivateKey(normalizePem(process.env.JWT_SIGNING_KEY));
+    signing = { kid, key: privateKey };
+    publicKeys.set(kid, crypto.createPublicKey(privateKey));
+  }
+
+  cache = { source, keys: { signing, publicKeys } };
+  return cache.keys;
+};
+
+/**
+ * Key used to sign new tokens
+ * @returns {{algorithm: string, key: string|crypto.KeyObject, kid: string|undefined}} Signing key
+ * @throws {Error} When the configured algorithm has no secret or private key
+ * @example const { key, algorithm, kid } = getSigningKey();
+ */
+const getSigningKey = () => {
+  const algorithm = getAlgorithm();
+
+  if (algorithm === 'HS256') {
+    return { algorithm, key: getSharedSecret(), kid: undefined };
+  }
+
+  const { signing } = loadAsymmetricKeys();
+  if (!signing) {
+    throw new Error(`JWT_SIGNING_KEY is required for ${algorithm}`);
+  }
+
+  return { algorithm, key: signing.key, kid: signing.kid };
+};
+
+/**
+ * Key used to verify a token, chosen by the `kid` in its header
+ * @param {string} kid - Key ID from the token header (ignored for HS256)
+ * @returns {{algorithms: Array<string>, key: string|crypto.KeyObject|null}} Verification key;
+ *   key is null when the kid is unknown
+ * @throws {Error} When HS256 is configured without JWT_SECRET
+ */
+const getVerificationKey = (kid) => {
+  const algorithm = getAlgorithm();
+
+  if (algorithm === 'HS256') {
+    return { algorithms: [algorithm], key: getSharedSecret() };
+  }
+
+  const { publicKeys } = loadAsymmetricKeys();
+  return { algorithms: [algorithm], key: publicKeys.get(kid) || null };
+};
+
+/**
+ * Public keys in JSON Web Key Set format for other services
+ * Empty under HS256 since a shared secret must never be published.
+ * @returns {{keys: Array<Object>}} JWKS document
+ * @example getJwks() // => { keys: [{ kty: 'RSA', kid: '2024-06', use: 'sig', alg: 'RS256', n, e }] }
+ */
+const getJwks = () => {
+  if (!isAsymmetric()) {
+    return { keys: [] };
+  }
+
+  const algorithm = getAlgorithm();
+  const { publicKeys } = loadAsymmetricKeys();
+
+  return {
+    keys: [...publicKeys.entries()].map(([kid, key]) => ({
+      ...key.export({ format: 'jwk' }),
+      kid,
+      use: 'sig',
+      alg: algorithm
+    }))
+  };
+};
+
+/**
+ * Refuse to start with insecure token configuration in production
+ * @returns {void}
+ * @throws {Error} When production uses the default/empty secret or lacks a signing key
+ */
+const assertSecureConfig = () => {
+  if (process.env.NODE_ENV !== 'production') {
+    return;
+  }
+
+  if (!isAsymmetric()) {
+    const secret = process.env.JWT_SECRET;
+    if (!secret || secret === DEFAULT_SECRET) {
+      throw new Error('Refusing to start: JWT_SECRET is unset or uses the default value in production');
+    }
+    return;
+  }
+
+  getSigningKey();
+};
+
+module.exports = {
+  DEFAULT_SECRET,
+  SUPPORTED_ALGORITHMS,
+  getAlgorithm,
+  isAsymmetric,
+  getSigningKey,
+  getVerificationKey,
+  getJwks,
+  assertSecureConfig
+};
@@ -3,7 +3,8 @@
  * @module constants/permissions
  */
 
-const { ROLES } = require("./roles");
+const { ROLES, MAX_ROLE_DEPTH } = require("./roles");
+const { lookupRole } = require("../utils/roleRegistry");
 
 /**
  * Available permissions in the system
@@ -40,14 +41,26 @@ const PERMISSIONS = {
   UPDATE_TRANSACTION: "update_transaction",
   APPROVE_TRANSACTION: "approve_transaction",
   REJECT_TRANSACTION: "reject_transaction",
+  SETTLE_TRANSACTION: "settle_transaction",
 
   // Report permissions
   VIEW_REPORTS: "view_reports",
   VIEW_ALL_REPORTS: "view_all_reports",
+
+  // User account and session permissions
+  MANAGE_USERS: "manage_users",
+
+  // Audit permissions
+  VIEW_AUDIT_LOGS: "view_audit_logs",
+
+  // Role definition permissions
+  MANAGE_ROLES: "manage_roles",
 };
 
 /**
- * Permission matrix - what each role can do
+ * Permission matrix - what each built-in role can do
+ * Seeds the Role collection (see models/Role); roles defined in the database
+ * take precedence, except Admin which always holds every permission.
  * @type {Object}
  */
 const PERMISSION_MATRIX = {
@@ -84,23 +97,53 @@ const PERMISSION_MATRIX = {
   ],
 };
 
+/**
+ * Get all permissions for a role
+ * Roles cached from the database (see utils/roleRegistry) inherit their base
+ * role's permissions; unknown roles fall back to the built-in matrix.
+ * @param {string} role - User role
+ * @param {string} organizationId - Organization whose custom roles apply (optional)
+ * @param {number} depth - Inheritance depth reached so far (internal)
+ * @returns {Array<string>} Array of permissions
+ */
+const getPermissionsForRole = (role, organizationId = null, depth = 0) => {
+  const defined = role === ROLES.ADMIN ? null : lookupRole(role, organizationId);
+
+  if (!defined) {
+    return PERMISSION_MATRIX[role] || [];
+  }
+  if (!defined.baseRole || defined.baseRole === role || depth >= MAX_ROLE_DEPTH) {
+    return defined.permissions;
+  }
+
+  const inherited = getPermissionsForRole(defined.baseRole, organizationId, depth + 1);
+  return [...new Set([...inherited, ...defined.permissions])];
+};
+
 /**
  * Check if a role has a specific permission
  * @param {string} role - User role
  * @param {string} permission - Permission to check
+ * @param {string} organizationId - Organization whose custom roles apply (optional)
  * @returns {boolean} True if role has permission
  */
-const hasPermission = (role, permission) => {
-  return PERMISSION_MATRIX[role]?.includes(permission) || false;
+const hasPermission = (role, permission, organizationId = null) => {
+  return getPermissionsForRole(role, organizationId).includes(permission);
 };
 
 /**
- * Get all permissions for a role
+ * Get the permissions an individual actually holds: their role's permissions
+ * plus individual grants, minus explicit denies (a deny always wins)
  * @param {string} role - User role
+ * @param {Array<string>} grants - Permissions granted on top of the role
+ * @param {Array<string>} denies - Permissions withheld despite the role or a grant
+ * @param {string} organizationId - Organization whose custom roles apply (optional)
  * @returns {Array<string>} Array of permissions
  */
-const getPermissionsForRole = (role) => {
-  return PERMISSION_MATRIX[role] || [];
+const getEffectivePermissions = (role, grants = [], denies = [], organizationId = null) => {
+  const granted = new Set([...getPermissionsForRole(role, organizationId), ...grants]);
+  denies.forEach((permission) => granted.delete(permission));
+  return [...granted];
 };
 
 module.exports = {
@@ -108,4 +151,5 @@ module.exports = {
   PERMISSION_MATRIX,
   hasPermission,
   getPermissionsForRole,
+  getEffectivePermissions,
 };
@@ -3,16 +3,18 @@
  * @module constants/roles
  */
 
+const { lookupRole } = require('../utils/roleRegistry');
+
 /**
- * Available roles in the system
+ * Available roles in the system, frozen so no caller can rename one
  * @enum {string}
  */
-const ROLES = {
+const ROLES = Object.freeze({
   ADMIN: 'Admin',
   BRANCH_MANAGER: 'BranchManager',
   EMPLOYEE: 'Employee',
   VENDOR: 'Vendor'
-};
+});
 
 /**
  * Role hierarchy - roles with higher index have more permissions
@@ -25,15 +27,83 @@ const ROLE_HIERARCHY = [
   ROLES.ADMIN
 ];
 
+/**
+ * How far a role's permissions reach; no built-in role reaches a whole
+ * organization, custom roles may (at most, see schemas/roleSchema)
+ * @enum {string}
+ */
+const SCOPES = {
+  GLOBAL: 'global',
+  ORGANIZATION: 'organization',
+  BRANCH: 'branch',
+  OWN: 'own'
+};
+
+/**
+ * Reach of each role: Admins act anywhere, BranchManagers within their own
+ * branch, everyone else on what they own
+ * @type {Object<string, string>}
+ */
+const ROLE_SCOPES = {
+  [ROLES.ADMIN]: SCOPES.GLOBAL,
+  [ROLES.BRANCH_MANAGER]: SCOPES.BRANCH,
+  [ROLES.EMPLOYEE]: SCOPES.OWN,
+  [ROLES.VENDOR]: SCOPES.OWN
+};
+
+/**
+ * How deep base-role inheritance is followed; guards against cycles
+ * @type {number}
+ */
+const MAX_ROLE_DEPTH = 10;
+
+/**
+ * Get the reach of a role, defaulting to the narrowest
+ * Roles defined in the database use their own scope, else their base role's.
+ * @param {string} role - User role
+ * @param {string} organizationId - Organization whose custom roles apply (optional)
+ * @param {number} depth - Inheritance depth reached so far (internal)
+ * @returns {string} One of SCOPES
+ */
+const getScopeForRole = (role, organizationId = null, depth = 0) => {
+  const defined = role === ROLES.ADMIN ? null : lookupRole(role, organizationId);
+
+  if (defined?.scope) {
+    return defined.scope;
+  }
+  if (defined?.baseRole && defined.baseRole !== role && depth < MAX_ROLE_DEPTH) {
+    return getScopeForRole(defined.baseRole, organizationId, depth + 1);
+  }
+
+  return ROLE_SCOPES[role] || SCOPES.OWN;
+};
+
+/**
+ * Get the built-in role a role ranks as: itself when built in, else the
+ * built-in role it inherits from through its base roles
+ * @param {string} role - User role
+ * @param {string} organizationId - Organization whose custom roles apply (optional)
+ * @returns {string|null} Built-in role, or null when the role derives from none
+ */
+const getBuiltInRank = (role, organizationId = null) => {
+  let current = role;
+  for (let depth = 0; current && !ROLE_HIERARCHY.includes(current) && depth < MAX_ROLE_DEPTH; depth++) {
+    current = lookupRole(current, organizationId)?.baseRole;
+  }
+  return ROLE_HIERARCHY.includes(current) ? current : null;
+};
+
 /**
  * Check if a role is higher than another in hierarchy
+ * Roles defined in the database rank as the built-in role they derive from.
  * @param {string} role1 - First role
  * @param {string} role2 - Second role
+ * @param {string} organizationId - Organization whose custom roles apply (optional)
  * @returns {boolean} True if role1 is higher than role2
  */
-const isRoleHigher = (role1, role2) => {
-  const index1 = ROLE_HIERARCHY.indexOf(role1);
-  const index2 = ROLE_HIERARCHY.indexOf(role2);
+const isRoleHigher = (role1, role2, organizationId = null) => {
+  const index1 = ROLE_HIERARCHY.indexOf(getBuiltInRank(role1, organizationId));
+  const index2 = ROLE_HIERARCHY.indexOf(getBuiltInRank(role2, organizationId));
   
   if (index1 === -1 || index2 === -1) {
     return false;
@@ -58,6 +128,11 @@ const getRolesAtOrBelow = (role) => {
 module.exports = {
   ROLES,
   ROLE_HIERARCHY,
+  SCOPES,
+  ROLE_SCOPES,
+  MAX_ROLE_DEPTH,
+  getScopeForRole,
+  getBuiltInRank,
   isRoleHigher,
   getRolesAtOrBelow
 };
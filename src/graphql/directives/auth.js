@@ -0,0 +1,80 @@
+/**
+ * @fileoverview @auth schema directive for field-level authorization
+ * A field marked `@auth(requires: PERMISSION)` resolves only for users holding
+ * that permission (see handles/permissions isAuthorized). For anyone else it
+ * resolves to null and an error entry is added to the response, so the rest
+ * of the query still succeeds; guarded fields must therefore be nullable.
+ * Denials are audited like those of rbac authorize.
+ * The requirement is added to the field's guards in its extensions (see graphql attachGuards).
+ * @module graphql/directives/auth
+ */
+
+const { defaultFieldResolver, isNonNullType } = require('graphql');
+const { mapSchema, getDirective, MapperKind } = require('@graphql-tools/utils');
+const { PERMISSIONS } = require('../../constants/permissions');
+const { AuthorizationError } = require('../../handles/errors');
+const { isAuthorized } = require('../../handles/permissions');
+const { auditDenied, requireAll, elevatedGrants, recordElevatedAccess } = require('../../middleware/rbac');
+
+/**
+ * SDL for the directive and the Permission enum it takes, generated from
+ * constants/permissions so the two cannot drift apart
+ * @type {string}
+ */
+const authDirectiveTypeDefs = `
+"""
+Permissions a field can require; see constants/permissions
+"""
+enum Permission {
+  ${Object.keys(PERMISSIONS).join('\n  ')}
+}
+
+"""
+Resolve the field to null, with an error entry, unless the caller holds the permission
+"""
+directive @auth(requires: Permission!) on FIELD_DEFINITION
+`;
+
+/**
+ * Wrap every @auth field of a schema with its permission check
+ * @param {GraphQLSchema} schema - Executable schema
+ * @returns {GraphQLSchema} Schema with guarded fields
+ * @throws {Error} When a guarded field is non-null, since null would then fail its parent
+ * @example const schema = authDirectiveTransformer(makeExecutableSchema({ typeDefs, resolvers }));
+ */
+const authDirectiveTransformer = (schema) => mapSchema(schema, {
+  [MapperKind.OBJECT_FIELD]: (fieldConfig, fieldName, typeName) => {
+    const directive = getDirective(schema, fieldConfig, 'auth')?.[0];
+    if (!directive) {
+      return fieldConfig;
+    }
+
+    if (isNonNullType(fieldConfig.type)) {
+      throw new Error(`@auth field ${typeName}.${fieldName} must be nullable`);
+    }
+
+    const permission = PERMISSIONS[directive.requires];
+    const resolve = fieldConfig.resolve || defaultFieldResolver;
+
+    const guarded = async (parent, args, context, info) => {
+      if (!isAuthorized(context?.user, permission)) {
+        await auditDenied(context, info, {
+          permission,
+          audit: { resource: typeName, resourceId: () => parent?._id },
+          reason: context?.user?.isAuthenticated ? 'Insufficient permissions' : 'Authentication required'
+        });
+        throw new AuthorizationError(
+          `Insufficient permissions to view ${typeName}.${fieldName}. Required: ${permission}`
+        );
+      }
+      await recordElevatedAccess(context, info, elevatedGrants(context.user, [permission]));
+      return resolve(parent, args, context, info);
+    };
+    const guard = { ...requireAll(permission), rule: `@auth(${permission})` };
+    const guards = [...(fieldConfig.extensions?.guards || []), guard];
+
+    return { ...fieldConfig, resolve: guarded, extensions: { ...fieldConfig.extensions, guards } };
+  }
+});
+
+module.exports = { authDirectiveTypeDefs, authDirectiveTransformer };
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview GraphQL schema and resolver entry point
+ * @module graphql
+ */
+
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const { mapSchema, MapperKind } = require('@graphql-tools/utils');
+const { typeDefs: typeFiles } = require('./schema/typeDefs');
+const { resolvers } = require('./resolvers');
+const { authDirectiveTypeDefs, authDirectiveTransformer } = require('./directives/auth');
+
+const typeDefs = [...typeFiles, authDirectiveTypeDefs];
+
+/**
+ * Copy the guards of each authorized resolver into its field's extensions;
+ * the schema binds resolvers, which drops the guards attached by authorize
+ * @param {GraphQLSchema} executableSchema - Schema built from the resolver map
+ * @returns {GraphQLSchema} Schema whose guarded fields carry extensions.guards
+ */
+const attachGuards = (executableSchema) => mapSchema(executableSchema, {
+  [MapperKind.OBJECT_FIELD]: (fieldConfig, fieldName, typeName) => {
+    const guards = resolvers[typeName]?.[fieldName]?.guards;
+    return guards ? { ...fieldConfig, extensions: { ...fieldConfig.extensions, guards } } : fieldConfig;
+  }
+});
+
+/**
+ * Executable schema with guards attached and schema directives applied
+ * @type {GraphQLSchema}
+ */
+const schema = authDirectiveTransformer(attachGuards(makeExecutableSchema({ typeDefs, resolvers })));
+
+module.exports = { typeDefs, resolvers, schema };
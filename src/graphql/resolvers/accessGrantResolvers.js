@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Temporary elevated access ("break-glass") queries, mutations and field resolvers
+ * @module graphql/resolvers/accessGrantResolvers
+ */
+
+const AccessGrant = require('../../models/AccessGrant');
+const Employee = require('../../models/Employee');
+const logger = require('../../config/logger');
+const { authorize, requireAll } = require('../../middleware/rbac');
+const { PERMISSIONS } = require('../../constants/permissions');
+const { AuthorizationError, ConflictError, ValidationError } = require('../../handles/errors');
+const { isAuthorized } = require('../../handles/permissions');
+const { validateInput } = require('../../handles/validation');
+const accessGrantSchema = require('../../schemas/accessGrantSchema');
+const { assertCanGrant, findByIdOrThrow, paginate, resolveRef } = require('./helpers');
+
+/**
+ * Build a Mongo filter from the GraphQL access grant filter
+ * Callers who cannot manage roles only see their own grants.
+ * @param {Object} filter - Validated AccessGrantFilterInput
+ * @param {Object} user - User from context
+ * @returns {Object} Mongo query
+ */
+const buildAccessGrantQuery = (filter, user) => {
+  const query = {};
+
+  if (filter.employeeId) {
+    query.employee = filter.employeeId;
+  }
+  if (filter.activeAt) {
+    query.revokedAt = null;
+    query.startsAt = { $lte: filter.activeAt };
+    query.expiresAt = { $gt: filter.activeAt };
+  }
+  if (!isAuthorized(user, PERMISSIONS.MANAGE_ROLES)) {
+    query.employee = user.employeeId;
+  }
+
+  return query;
+};
+
+const Query = {
+  /**
+   * List temporary access grants matching a filter, latest start first
+   * @returns {Promise<Array>} Access grants
+   */
+  accessGrants: authorize([], async (_, { filter, pagination }, { user }) => {
+    const data = validateInput(filter, accessGrantSchema.filter);
+    return paginate(AccessGrant.find(buildAccessGrantQuery(data, user)).sort({ startsAt: -1 }), pagination);
+  })
+};
+
+const Mutation = {
+  /**
+   * Lend an employee extra permissions until an expiry, for a stated reason;
+   * the caller is recorded as the approver and cannot approve their own grant
+   * @returns {Promise<Object>} Created grant
+   * @throws {AuthorizationError} When the grant exceeds the caller's own permissions
+   * @throws {ValidationError} When the employee is individually denied a permission
+   */
+  grantAccess: authorize(requireAll(PERMISSIONS.MANAGE_ROLES), async (_, { input }, { user }) => {
+    const data = validateInput(input, accessGrantSchema.create);
+
+    if (data.employeeId === user.employeeId) {
+      throw new AuthorizationError('You cannot approve elevated access for yourself');
+    }
+    assertCanGrant(user, data.permissions);
+
+    const employee = await findByIdOrThrow(Employee, data.employeeId, 'Employee');
+    const denied = data.permissions.filter(permission => employee.deniedPermissions?.includes(permission));
+    if (denied.length > 0) {
+      throw new ValidationError(`Employee is individually denied: ${denied.join(', ')}`, 'permissions');
+    }
+
+    const grant = await AccessGrant.create({
+      employee: data.employeeId,
+      permissions: data.permissions,
+      reason: data.reason,
+      approvedBy: user.employeeId,
+      startsAt: data.startsAt,
+      expiresAt: data.expiresAt
+    });
+
+    logger.info(
+      `Access grant ${grant._id} of ${data.permissions.join(', ')} to ${data.employeeId} ` +
+      `until ${grant.expiresAt.toISOString()} approved by ${user.userId}`
+    );
+    return grant;
+  }, { audit: { action: 'grant', resource: 'AccessGrant' } }),
+
+  /**
+   * End a grant before its expiry
+   * @returns {Promise<Object>} Revoked grant
+   * @throws {ConflictError} When the grant is already revoked or has expired
+   */
+  revokeAccessGrant: authorize(requireAll(PERMISSIONS.MANAGE_ROLES), async (_, { id, reason }, { user }) => {
+    const data = validateInput({ reason }, accessGrantSchema.revoke);
+    const grant = await findByIdOrThrow(AccessGrant, id, 'AccessGrant');
+
+    if (grant.revokedAt) {
+      throw new ConflictError('Access grant is already revoked');
+    }
+    if (grant.expiresAt <= new Date()) {
+      throw new ConflictError('Access grant has already expired');
+    }
+
+    grant.revokedAt = new Date();
+    grant.revokedBy = user.employeeId;
+    grant.revokeReason = data.reason;
+    await grant.save();
+
+    logger.info(`Access grant ${id} revoked by ${user.userId}`);
+    return grant;
+  }, { audit: { action: 'revoke', resource: 'AccessGrant' } })
+};
+
+const AccessGrantType = {
+  active: (grant) => grant.isActive(),
+  employee: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (grant) =>
+    resolveRef(Employee, grant.employee)
+  ),
+  approvedBy: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (grant) =>
+    resolveRef(Employee, grant.approvedBy)
+  ),
+  revokedBy: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (grant) =>
+    resolveRef(Employee, grant.revokedBy)
+  )
+};
+
+module.exports = {
+  Query,
+  Mutation,
+  AccessGrant: AccessGrantType,
+  buildAccessGrantQuery
+};
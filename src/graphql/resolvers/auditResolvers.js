@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Audit log and ledger integrity queries
+ * @module graphql/resolvers/auditResolvers
+ */
+
+const AuditLog = require('../../models/AuditLog');
+const Organization = require('../../models/Organization');
+const { authorize, requireAll } = require('../../middleware/rbac');
+const { PERMISSIONS } = require('../../constants/permissions');
+const { validateInput, validateDateRange } = require('../../handles/validation');
+const { buildAuditQuery } = require('../../utils/audit');
+const { verifyLedgerIntegrity } = require('../../utils/hashChain');
+const auditLogSchema = require('../../schemas/auditLogSchema');
+const { findByIdOrThrow, paginate } = require('./helpers');
+
+const Query = {
+  /**
+   * List audit entries matching a filter, newest first (Admin)
+   * @returns {Promise<Array>} Audit log entries
+   */
+  auditLogs: authorize(requireAll(PERMISSIONS.VIEW_AUDIT_LOGS), async (_, { filter, pagination }) => {
+    const data = validateInput(filter, auditLogSchema.filter);
+
+    if (data.from && data.to) {
+      validateDateRange(data.from, data.to);
+    }
+
+    return paginate(AuditLog.find(buildAuditQuery(data)).sort({ createdAt: -1 }), pagination);
+  }),
+
+  /**
+   * Walk an organization's transaction chain and the audit chain, reporting the first break (Admin)
+   * @returns {Promise<Object>} IntegrityReport
+   */
+  verifyLedgerIntegrity: authorize(requireAll(PERMISSIONS.VIEW_AUDIT_LOGS), async (_, { orgId, from, to }) => {
+    const organization = await findByIdOrThrow(Organization, orgId, 'Organization');
+    return verifyLedgerIntegrity(organization._id, from, to);
+  })
+};
+
+const AuditLogType = {
+  actorId: (entry) => entry.actor,
+  employeeId: (entry) => entry.employee
+};
+
+module.exports = {
+  Query,
+  AuditLog: AuditLogType
+};
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Authentication queries and mutations
+ * @module graphql/resolvers/authResolvers
+ */
+
+const User = require('../../models/User');
+const { authorize, requireAll } = require('../../middleware/rbac');
+const { PERMISSIONS, getEffectivePermissions } = require('../../constants/permissions');
+const { login, refreshSession, logout, revokeAllSessions } = require('../../utils/session');
+const { findByIdOrThrow } = require('./helpers');
+
+const Query = {
+  /**
+   * The caller's effective permissions: role plus individual grants minus
+   * denies, plus whatever active temporary access grants lend them
+   * @returns {Promise<Array<string>>} Permissions
+   */
+  myPermissions: authorize([], async (_, __, { user }) => [...new Set([
+    ...(user.permissions || getEffectivePermissions(user.designation, [], [], user.organizationId)),
+    ...(user.accessGrants || []).flatMap(grant => grant.permissions)
+  ])])
+};
+
+const Mutation = {
+  /**
+   * Sign in with username and password (public)
+   * @returns {Promise<Object>} AuthPayload
+   */
+  login: async (_, { username, password }) => login(username, password),
+
+  /**
+   * Rotate a refresh token into a new token pair; the refresh token itself
+   * authenticates the call, so an expired access token is acceptable
+   * @returns {Promise<Object>} AuthPayload
+   */
+  refreshToken: async (_, { token }) => refreshSession(token),
+
+  /**
+   * Revoke the caller's access token and refresh token family, or every session when no token is given
+   * @returns {Promise<boolean>} True once logged out
+   */
+  logout: authorize([], async (_, { refreshToken }, { user }) => logout(user, refreshToken)),
+
+  /**
+   * Revoke every access and refresh token of a user (Admin)
+   * @returns {Promise<boolean>} True once revoked
+   */
+  revokeUserTokens: authorize(requireAll(PERMISSIONS.MANAGE_USERS), async (_, { userId, reason }, { user }) => {
+    const target = await findByIdOrThrow(User, userId, 'User');
+    return revokeAllSessions(target._id, { reason, revokedBy: user.userId });
+  }, { audit: { action: 'revoke_sessions', resource: 'User', resourceId: (args) => args.userId } })
+};
+
+module.exports = { Query, Mutation };
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Branch queries, mutations and field resolvers
+ * @module graphql/resolvers/branchResolvers
+ */
+
+const Branch = require('../../models/Branch');
+const Organization = require('../../models/Organization');
+const Employee = require('../../models/Employee');
+const logger = require('../../config/logger');
+const { authorize, requireAll, requireScope } = require('../../middleware/rbac');
+const { PERMISSIONS } = require('../../constants/permissions');
+const { ConflictError } = require('../../handles/errors');
+const { validateInput, validateObjectId } = require('../../handles/validation');
+const branchSchema = require('../../schemas/branchSchema');
+const { findByIdOrThrow, findById, paginate, resolveRef, resolveRefs } = require('./helpers');
+
+const Query = {
+  /**
+   * Get a single branch
+   * @returns {Promise<Object|null>} Branch or null
+   */
+  branch: authorize(requireAll(PERMISSIONS.VIEW_BRANCH), async (_, { id }) => findById(Branch, id)),
+
+  /**
+   * List branches of an organization
+   * @returns {Promise<Array>} Branches sorted by name
+   */
+  branches: authorize(requireAll(PERMISSIONS.VIEW_BRANCH), async (_, { organizationId, pagination }) => {
+    validateObjectId(organizationId, 'organizationId');
+    return paginate(Branch.find({ organization: organizationId }).sort({ name: 1 }), pagination);
+  })
+};
+
+const Mutation = {
+  /**
+   * Create a branch and link it to its organization
+   * @returns {Promise<Object>} Created branch
+   */
+  createBranch: authorize(requireAll(PERMISSIONS.CREATE_BRANCH), async (_, { input }, { user }) => {
+    const data = validateInput(input, branchSchema.create);
+    const organization = await findByIdOrThrow(Organization, data.organizationId, 'Organization');
+
+    if (data.managerId) {
+      await findByIdOrThrow(Employee, data.managerId, 'Manager');
+    }
+
+    const branch = await Branch.create({
+      name: data.name,
+      organization: organization._id,
+      manager: data.managerId
+    });
+    await organization.addBranch(branch._id);
+
+    logger.info(`Branch ${branch._id} created by ${user.userId}`);
+    return branch;
+  }, { audit: { action: 'create', resource: 'Branch' } }),
+
+  /**
+   * Update a branch name or manager
+   * @returns {Promise<Object>} Updated branch
+   */
+  updateBranch: authorize([
+    requireAll(PERMISSIONS.UPDATE_BRANCH),
+    requireScope(async ({ id }) => ({ branch: id }))
+  ], async (_, { id, input }, { user }) => {
+    const data = validateInput(input, branchSchema.update);
+    const branch = await findByIdOrThrow(Branch, id, 'Branch');
+
+    if (data.name) {
+      branch.name = data.name;
+    }
+    if (data.managerId !== undefined) {
+      if (data.managerId) {
+        await findByIdOrThrow(Employee, data.managerId, 'Manager');
+      }
+      branch.manager = data.managerId;
+    }
+    await branch.save();
+
+    logger.info(`Branch ${id} updated by ${user.userId}`);
+    return branch;
+  }, { audit: { action: 'update', resource: 'Branch' } }),
+
+  /**
+   * Delete a branch without employees and unlink it from its organization
+   * @returns {Promise<boolean>} True when deleted
+   * @throws {ConflictError} When employees still belong to the branch
+   */
+  deleteBranch: authorize(requireAll(PERMISSIONS.DELETE_BRANCH), async (_, { id }, { user }) => {
+    const branch = await findByIdOrThrow(Branch, id, 'Branch');
+
+    if (branch.employees.length > 0 || await Employee.exists({ branch: id })) {
+      throw new ConflictError('Branch still has employees');
+    }
+
+    await Organization.updateOne({ _id: branch.organization }, { $pull: { branches: branch._id } });
+    await branch.deleteOne();
+
+    logger.info(`Branch ${id} deleted by ${user.userId}`);
+    return true;
+  }, { audit: { action: 'delete', resource: 'Branch' } })
+};
+
+const BranchType = {
+  organization: authorize(requireAll(PERMISSIONS.VIEW_ORGANIZATION), async (branch) =>
+    resolveRef(Organization, branch.organization)
+  ),
+  manager: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (branch) =>
+    resolveRef(Employee, branch.manager)
+  ),
+  employees: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (branch) =>
+    resolveRefs(Employee, branch.employees)
+  )
+};
+
+module.exports = { Query, Mutation, Branch: BranchType };
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Approval delegation queries, mutations and field resolvers
+ * @module graphql/resolvers/delegationResolvers
+ */
+
+const Delegation = require('../../models/Delegation');
+const Employee = require('../../models/Employee');
+const logger = require('../../config/logger');
+const { authorize, requireAll, requireThat, anyOf } = require('../../middleware/rbac');
+const { PERMISSIONS } = require('../../constants/permissions');
+const { ROLES } = require('../../constants/roles');
+const { ConflictError } = require('../../handles/errors');
+const { validateInput } = require('../../handles/validation');
+const delegationSchema = require('../../schemas/delegationSchema');
+const { findByIdOrThrow, paginate, resolveRef } = require('./helpers');
+
+/**
+ * Build a Mongo filter from the GraphQL delegation filter
+ * Non-Admins only see delegations they gave or received.
+ * @param {Object} filter - Validated DelegationFilterInput
+ * @param {Object} user - User from context
+ * @returns {Object} Mongo query
+ */
+const buildDelegationQuery = (filter, user) => {
+  const query = {};
+
+  if (filter.delegatorId) {
+    query.delegator = filter.delegatorId;
+  }
+  if (filter.delegateId) {
+    query.delegate = filter.delegateId;
+  }
+  if (filter.activeAt) {
+    query.revokedAt = null;
+    query.startsAt = { $lte: filter.activeAt };
+    query.endsAt = { $gt: filter.activeAt };
+  }
+  if (user.designation !== ROLES.ADMIN) {
+    query.$or = [{ delegator: user.employeeId }, { delegate: user.employeeId }];
+  }
+
+  return query;
+};
+
+/**
+ * Let the delegator act on their own delegation, and Admins on anyone's
+ * @param {Function} getDelegator - async (args, user) => delegator's employee ID
+ * @param {string} message - Error message for anyone else
+ * @returns {Object} Guard
+ */
+const requireDelegatorOrAdmin = (getDelegator, message) => anyOf(
+  requireThat(
+    'Not the delegator',
+    async ({ user, args }) => String(await getDelegator(args, user)) === String(user.employeeId),
+    message
+  ),
+  requireThat('Not an Admin', ({ user }) => user.designation === ROLES.ADMIN, message)
+);
+
+const Query = {
+  /**
+   * List delegations matching a filter, latest start first
+   * @returns {Promise<Array>} Delegations
+   */
+  delegations: authorize([], async (_, { filter, pagination }, { user }) => {
+    const data = validateInput(filter, delegationSchema.filter);
+    return paginate(Delegation.find(buildDelegationQuery(data, user)).sort({ startsAt: -1 }), pagination);
+  })
+};
+
+const Mutation = {
+  /**
+   * Lend the caller's approval authority to a colleague for a period;
+   * Admins may set up a delegation on another approver's behalf
+   * @returns {Promise<Object>} Created delegation
+   * @throws {AuthorizationError} When a non-Admin names another delegator
+   */
+  createDelegation: authorize([
+    requireAll(PERMISSIONS.APPROVE_TRANSACTION),
+    requireDelegatorOrAdmin(
+      async ({ input }, user) => input?.delegatorId || user.employeeId,
+      'Only an Admin can delegate on behalf of another employee'
+    )
+  ], async (_, { input }, { user }) => {
+    const data = validateInput(input, delegationSchema.create);
+    const delegatorId = data.delegatorId || user.employeeId;
+
+    await findByIdOrThrow(Employee, delegatorId, 'Employee');
+    await findByIdOrThrow(Employee, data.delegateId, 'Employee');
+
+    const delegation = await Delegation.create({
+      delegator: delegatorId,
+      delegate: data.delegateId,
+      startsAt: data.startsAt,
+      endsAt: data.endsAt,
+      scope: data.scope,
+      reason: data.reason,
+      createdBy: user.employeeId
+    });
+
+    logger.info(`Delegation ${delegation._id} from ${delegatorId} to ${data.delegateId} created by ${user.userId}`);
+    return delegation;
+  }, { audit: { action: 'create', resource: 'Delegation' } }),
+
+  /**
+   * End a delegation early (its delegator or an Admin)
+   * @returns {Promise<Object>} Revoked delegation
+   * @throws {AuthorizationError} When the caller neither gave the delegation nor is an Admin
+   * @throws {ConflictError} When the delegation is already revoked
+   */
+  revokeDelegation: authorize([
+    requireAll(PERMISSIONS.APPROVE_TRANSACTION),
+    requireDelegatorOrAdmin(
+      async ({ id }) => (await findByIdOrThrow(Delegation, id, 'Delegation')).delegator,
+      'Only the delegator or an Admin can revoke a delegation'
+    )
+  ], async (_, { id }, { user }) => {
+    const delegation = await findByIdOrThrow(Delegation, id, 'Delegation');
+
+    if (delegation.revokedAt) {
+      throw new ConflictError('Delegation is already revoked');
+    }
+
+    delegation.revokedAt = new Date();
+    delegation.revokedBy = user.employeeId;
+    await delegation.save();
+
+    logger.info(`Delegation ${id} revoked by ${user.userId}`);
+    return delegation;
+  }, { audit: { action: 'revoke', resource: 'Delegation' } })
+};
+
+const DelegationType = {
+  active: (delegation) => delegation.isActive(),
+  delegator: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (delegation) =>
+    resolveRef(Employee, delegation.delegator)
+  ),
+  delegate: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (delegation) =>
+    resolveRef(Employee, delegation.delegate)
+  ),
+  createdBy: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (delegation) =>
+    resolveRef(Employee, delegation.createdBy)
+  ),
+  revokedBy: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (delegation) =>
+    resolveRef(Employee, delegation.revokedBy)
+  )
+};
+
+module.exports = {
+  Query,
+  Mutation,
+  Delegation: DelegationType,
+  buildDelegationQuery
+};
@@ -0,0 +1,326 @@
+/**
+ * @fileoverview Employee queries, mutations and field resolvers
+ * @module graphql/resolvers/employeeResolvers
+ */
+
+const Employee = require('../../models/Employee');
+const Branch = require('../../models/Branch');
+const User = require('../../models/User');
+const logger = require('../../config/logger');
+const { Joi } = require('../../schemas/common');
+const { authorize, requireAll, requireScope, requireThat } = require('../../middleware/rbac');
+const { PERMISSIONS, getPermissionsForRole } = require('../../constants/permissions');
+const { ROLES, getBuiltInRank, isRoleHigher } = require('../../constants/roles');
+const { ensureRolesLoaded, lookupRole } = require('../../utils/roleRegistry');
+const { AuthorizationError, ConflictError, ValidationError } = require('../../handles/errors');
+const { assertAuthorized } = require('../../handles/permissions');
+const {
+  validateInput,
+  validateObjectId,
+  validateDateRange
+} = require('../../handles/validation');
+const employeeSchema = require('../../schemas/employeeSchema');
+const { revokeAllSessions } = require('../../utils/session');
+const { assertCanGrant, findByIdOrThrow, findById, paginate, resolveRef } = require('./helpers');
+const { employeeOrganization, organizationBranches, requireOwnOrganization } = require('./organizationReach');
+
+const permissionsInput = Joi.object({
+  permissions: employeeSchema.permissions.required(),
+  deniedPermissions: employeeSchema.permissions
+});
+
+/**
+ * Built-in roles an employee can hold; organizations may define more (see models/Role)
+ * @type {Array<string>}
+ */
+const EMPLOYEE_ROLES = [ROLES.ADMIN, ROLES.BRANCH_MANAGER, ROLES.EMPLOYEE];
+
+/**
+ * Ensure a designation names a role the organization's employees can hold,
+ * and that the caller holds every permission that role carries
+ * @async
+ * @param {Object} user - User from context
+ * @param {string} designation - Proposed role name
+ * @param {string} organizationId - Organization of the employee's branch
+ * @returns {Promise<void>} Resolves when the role is assignable
+ * @throws {ValidationError} When the role is unknown, retired, or ranks as Vendor
+ * @throws {AuthorizationError} When the role exceeds the caller's own permissions
+ */
+const assertAssignableRole = async (user, designation, organizationId) => {
+  await ensureRolesLoaded();
+
+  if (!EMPLOYEE_ROLES.includes(designation) && !lookupRole(designation, organizationId)) {
+    throw new ValidationError(`Unknown role: ${designation}`, 'designation');
+  }
+  if (getBuiltInRank(designation, organizationId) === ROLES.VENDOR) {
+    throw new ValidationError(`${designation} is not an employee role`, 'designation');
+  }
+  assertCanGrant(user, getPermissionsForRole(designation, organizationId));
+};
+
+/**
+ * Ensure the caller does not change an employee whose current role outranks
+ * their own, e.g. a BranchManager demoting or restricting an Admin in their branch
+ * @async
+ * @param {Object} user - User from context
+ * @param {Object} employee - Employee document being changed
+ * @returns {Promise<void>} Resolves when the caller may change the employee
+ * @throws {AuthorizationError} When the employee outranks the caller
+ */
+const assertNotOutranked = async (user, employee) => {
+  const branch = await findByIdOrThrow(Branch, employee.branch, 'Branch');
+  await ensureRolesLoaded();
+
+  if (isRoleHigher(employee.designation, user.designation, branch.organization)) {
+    throw new AuthorizationError(`You cannot change an employee who outranks you (${employee.designation})`);
+  }
+};
+
+/**
+ * Ensure a manager exists and is not the employee themself
+ * @async
+ * @param {string|null} managerId - Proposed manager ID
+ * @param {string|null} employeeId - Employee being updated (null on create)
+ * @returns {Promise<void>} Resolves when the manager is acceptable
+ * @throws {ValidationError} When an employee would manage themself
+ */
+const assertValidManager = async (managerId, employeeId = null) => {
+  if (!managerId) {
+    return;
+  }
+  if (employeeId && managerId === employeeId.toString()) {
+    throw new ValidationError('An employee cannot manage themself', 'managerId');
+  }
+  await findByIdOrThrow(Employee, managerId, 'Manager');
+};
+
+/**
+ * Sign out the user account of an employee whose access just changed, so
+ * tokens minted under the old designation stop working immediately
+ * @async
+ * @param {Object} employee - Employee document
+ * @param {Object} meta - { reason, revokedBy }
+ * @returns {Promise<void>} Resolves once sessions are revoked
+ */
+const revokeEmployeeSessions = async (employee, meta) => {
+  const account = await User.findOne({ employee: employee._id });
+  if (account) {
+    await revokeAllSessions(account._id, meta);
+  }
+};
+
+/**
+ * Where an employee sits, for scoped permission checks
+ * @async
+ * @param {Object} args - Resolver args with the employee's `id` or `employeeId`
+ * @returns {Promise<Object>} { branch, owner }
+ * @throws {NotFoundError} When the employee does not exist
+ */
+const employeeScope = async ({ id, employeeId }) => {
+  const employee = await findByIdOrThrow(Employee, id || employeeId, 'Employee');
+  return { branch: employee.branch, owner: employee._id };
+};
+
+const Query = {
+  /**
+   * Get a single employee of the caller's organization
+   * @returns {Promise<Object|null>} Employee or null
+   */
+  employee: authorize([
+    requireAll(PERMISSIONS.VIEW_EMPLOYEE),
+    requireOwnOrganization(employeeOrganization)
+  ], async (_, { id }) => findById(Employee, id)),
+
+  /**
+   * List employees of the caller's organization, optionally restricted to a branch
+   * @returns {Promise<Array>} Employees sorted by name
+   */
+  employees: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (_, { branchId, pagination }, { user }) => {
+    const branches = await organizationBranches(user);
+    const filter = branches ? { branch: { $in: branches } } : {};
+    if (branchId) {
+      filter.branch = { ...filter.branch, $eq: validateObjectId(branchId, 'branchId') };
+    }
+    return paginate(Employee.find(filter).sort({ name: 1 }), pagination);
+  }),
+
+  /**
+   * Total expenses recorded against an employee in a date range; needs
+   * VIEW_ALL_REPORTS like the Employee.totalExpenses field it mirrors
+   * @returns {Promise<number>} Expense total
+   */
+  employeeExpenses: authorize([
+    requireAll(PERMISSIONS.VIEW_TRANSACTION, PERMISSIONS.VIEW_ALL_REPORTS),
+    requireScope(employeeScope)
+  ], async (_, { employeeId, from, to }) => {
+    const employee = await findByIdOrThrow(Employee, employeeId, 'Employee');
+    const range = validateDateRange(from, to);
+    return employee.getTotalExpenses(range.from, range.to);
+  })
+};
+
+const Mutation = {
+  /**
+   * Create an employee and add them to their branch
+   * @returns {Promise<Object>} Created employee
+   * @throws {ConflictError} When the userId is already taken
+   */
+  createEmployee: authorize([
+    requireAll(PERMISSIONS.CREATE_EMPLOYEE),
+    requireScope(async ({ input }) => ({ branch: input.branchId }))
+  ], async (_, { input }, { user }) => {
+    const data = validateInput(input, employeeSchema.create);
+    assertCanGrant(user, data.permissions);
+    const branch = await findByIdOrThrow(Branch, data.branchId, 'Branch');
+    await assertAssignableRole(user, data.designation, branch.organization);
+    await assertValidManager(data.managerId);
+
+    if (await Employee.exists({ userId: data.userId })) {
+      throw new ConflictError(`Employee with userId ${data.userId} already exists`);
+    }
+
+    const employee = await Employee.create({
+      userId: data.userId,
+      name: data.name,
+      branch: branch._id,
+      designation: data.designation,
+      manager: data.managerId,
+      permissions: data.permissions || [],
+      deniedPermissions: data.deniedPermissions || []
+    });
+    await branch.addEmployee(employee._id);
+
+    logger.info(`Employee ${employee._id} created by ${user.userId}`);
+    return employee;
+  }, { audit: { action: 'create', resource: 'Employee' } }),
+
+  /**
+   * Update employee details, moving them between branches when needed
+   * @returns {Promise<Object>} Updated employee
+   * @throws {AuthorizationError} When the employee outranks the caller
+   */
+  updateEmployee: authorize([
+    requireAll(PERMISSIONS.UPDATE_EMPLOYEE),
+    requireScope(employeeScope)
+  ], async (_, { id, input }, { user }) => {
+    const data = validateInput(input, employeeSchema.update);
+    const employee = await findByIdOrThrow(Employee, id, 'Employee');
+    await assertNotOutranked(user, employee);
+
+    if (data.managerId !== undefined) {
+      await assertValidManager(data.managerId, employee._id);
+      employee.manager = data.managerId;
+    }
+
+    if (data.branchId && data.branchId !== employee.branch.toString()) {
+      // Moving an employee out must also be allowed in the branch they move to
+      assertAuthorized(user, PERMISSIONS.UPDATE_EMPLOYEE, { branch: data.branchId });
+      const branch = await findByIdOrThrow(Branch, data.branchId, 'Branch');
+      await Branch.updateOne({ _id: employee.branch }, { $pull: { employees: employee._id } });
+      await branch.addEmployee(employee._id);
+      employee.branch = branch._id;
+    }
+
+    if (data.name) {
+      employee.name = data.name;
+    }
+    const designationChanged = data.designation && data.designation !== employee.designation;
+    if (designationChanged) {
+      const branch = await findByIdOrThrow(Branch, employee.branch, 'Branch');
+      await assertAssignableRole(user, data.designation, branch.organization);
+      employee.designation = data.designation;
+    }
+    await employee.save();
+
+    if (designationChanged) {
+      await revokeEmployeeSessions(employee, { reason: 'designation changed', revokedBy: user.userId });
+    }
+
+    logger.info(`Employee ${id} updated by ${user.userId}`);
+    return employee;
+  }, { audit: { action: 'update', resource: 'Employee' } }),
+
+  /**
+   * Replace another employee's individual permission grants, and their denies
+   * when given; changes take effect on the employee's next request.
+   * Lifting a deny hands the permission back, so only those who could grant
+   * it may lift it.
+   * @returns {Promise<Object>} Updated employee
+   * @throws {AuthorizationError} On the caller's own record or one that outranks
+   *   the caller, or when a grant or lifted deny exceeds the caller's own permissions
+   */
+  updateEmployeePermissions: authorize([
+    requireAll(PERMISSIONS.UPDATE_EMPLOYEE),
+    requireThat(
+      'Not own permissions',
+      ({ user, args }) => String(args.id) !== String(user.employeeId),
+      'You cannot change your own permissions'
+    ),
+    requireScope(employeeScope)
+  ], async (_, args, { user }) => {
+    const { permissions, deniedPermissions } = validateInput({
+      permissions: args.permissions,
+      deniedPermissions: args.deniedPermissions ?? undefined
+    }, permissionsInput);
+    assertCanGrant(user, permissions);
+    const employee = await findByIdOrThrow(Employee, args.id, 'Employee');
+    await assertNotOutranked(user, employee);
+
+    employee.permissions = permissions;
+    if (deniedPermissions) {
+      assertCanGrant(user, employee.deniedPermissions.filter(permission => !deniedPermissions.includes(permission)));
+      employee.deniedPermissions = deniedPermissions;
+    }
+    await employee.save();
+
+    logger.info(`Permissions of employee ${args.id} updated by ${user.userId}`, { permissions, deniedPermissions });
+    return employee;
+  }, { audit: { action: 'update_permissions', resource: 'Employee' } }),
+
+  /**
+   * Delete an employee without direct reports
+   * @returns {Promise<boolean>} True when deleted
+   * @throws {ConflictError} When other employees report to this employee
+   */
+  deleteEmployee: authorize([
+    requireAll(PERMISSIONS.DELETE_EMPLOYEE),
+    requireScope(employeeScope)
+  ], async (_, { id }, { user }) => {
+    const employee = await findByIdOrThrow(Employee, id, 'Employee');
+
+    if (await Employee.exists({ manager: employee._id })) {
+      throw new ConflictError('Employee still has direct reports');
+    }
+
+    await Branch.updateOne({ _id: employee.branch }, { $pull: { employees: employee._id } });
+    await employee.deleteOne();
+    await revokeEmployeeSessions(employee, { reason: 'employee deleted', revokedBy: user.userId });
+
+    logger.info(`Employee ${id} deleted by ${user.userId}`);
+    return true;
+  }, { audit: { action: 'delete', resource: 'Employee' } })
+};
+
+const EmployeeType = {
+  effectivePermissions: async (employee) => {
+    const branch = await findById(Branch, employee.branch);
+    await ensureRolesLoaded();
+    return employee.getEffectivePermissions(branch?.organization);
+  },
+  branch: authorize(requireAll(PERMISSIONS.VIEW_BRANCH), async (employee) =>
+    resolveRef(Branch, employee.branch)
+  ),
+  manager: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (employee) =>
+    resolveRef(Employee, employee.manager)
+  ),
+  subordinates: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (employee) =>
+    employee.getSubordinates()
+  ),
+  // Guarded by @auth in the schema
+  totalExpenses: async (employee, { from, to }) => {
+    const range = validateDateRange(from, to);
+    return employee.getTotalExpenses(range.from, range.to);
+  }
+};
+
+module.exports = { Query, Mutation, Employee: EmployeeType };
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Guards over employee expenses for the transaction resolvers
+ * @module graphql/resolvers/expenseGuards
+ */
+
+const Transaction = require('../../models/Transaction');
+const Employee = require('../../models/Employee');
+const { requireAll, requireScope, requireOwnership, requireManagement, anyOf } = require('../../middleware/rbac');
+const { ConflictError } = require('../../handles/errors');
+const { isExpense } = require('../../utils/expenseWorkflow');
+const { currentStep } = require('../../utils/approvalChain');
+const { transactionScope } = require('../../utils/transactionScope');
+const { findByIdOrThrow, findById } = require('./helpers');
+
+/**
+ * Load an employee expense or throw
+ * @async
+ * @param {string} id - Transaction ID
+ * @returns {Promise<Object>} Transaction document
+ * @throws {NotFoundError} When the transaction does not exist
+ * @throws {ConflictError} When it is not an employee expense
+ */
+const loadExpense = async (id) => {
+  const transaction = await findByIdOrThrow(Transaction, id, 'Transaction');
+
+  if (!isExpense(transaction)) {
+    throw new ConflictError('Only employee expenses go through approval');
+  }
+
+  return transaction;
+};
+
+/**
+ * Management resource for requireManagement: the employee a transaction was
+ * recorded against; transactions of any other reference type have no manager
+ * @async
+ * @param {Object} args - Resolver args with the transaction `id`
+ * @returns {Promise<Object>} Employee, or { manager: null }
+ */
+const loadTransactionEmployee = async ({ id }) => {
+  const transaction = await findById(Transaction, id);
+  const employee = transaction && isExpense(transaction) && await Employee.findById(transaction.reference.refId);
+  return employee || { manager: null };
+};
+
+/**
+ * Require the caller to own the expense, i.e. be the employee it belongs to
+ * @returns {Object} Guard (see middleware/rbac)
+ */
+const requireExpenseOwnership = () => requireOwnership(async ({ id }) => {
+  const transaction = await loadExpense(id);
+  return { employeeId: transaction.reference.refId.toString() };
+});
+
+/**
+ * Require the transaction to be in the caller's scope or, for an expense, the
+ * caller to manage its employee directly or by standing in for their manager
+ * @returns {Object} Guard (see middleware/rbac)
+ */
+const requireTransactionReview = () => anyOf(
+  requireScope(async ({ id }) => {
+    const transaction = await findById(Transaction, id);
+    return transaction && transactionScope(transaction);
+  }),
+  requireManagement(loadTransactionEmployee)
+);
+
+/**
+ * Management resource for requireManagement: the approver of the expense's
+ * current step stands over it; anything else has no one to stand in for
+ * @async
+ * @param {Object} args - Resolver args with the transaction `id`
+ * @returns {Promise<Object>} { manager }
+ */
+const loadStepApprover = async ({ id }) => {
+  const transaction = await findById(Transaction, id);
+  const step = transaction && isExpense(transaction) && currentStep(transaction);
+  return { manager: (step && step.approver) || null };
+};
+
+/**
+ * Require the permission to decide expenses, or an active approvals delegation
+ * from the approver of the expense's current step: a delegate decides with the
+ * approver's authority, not their own. decideExpense still checks the caller
+ * may decide that step (see utils/approvalChain getStepAuthority).
+ * @param {string} permission - APPROVE_TRANSACTION or REJECT_TRANSACTION
+ * @returns {Object} Guard (see middleware/rbac)
+ */
+const requireStepAuthority = (permission) => anyOf(
+  requireAll(permission),
+  requireManagement(loadStepApprover, { scope: 'approvals' })
+);
+
+module.exports = {
+  loadExpense,
+  requireExpenseOwnership,
+  requireStepAuthority,
+  requireTransactionReview
+};
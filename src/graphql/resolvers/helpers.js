@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Shared helpers for GraphQL resolvers
+ * @module graphql/resolvers/helpers
+ */
+
+const { requireAll, requireScope, requireThat, anyOf, elevatedGrants } = require('../../middleware/rbac');
+const { PERMISSIONS } = require('../../constants/permissions');
+const { AuthorizationError, NotFoundError } = require('../../handles/errors');
+const { isAuthorized } = require('../../handles/permissions');
+const { validateObjectId, normalizePagination } = require('../../handles/validation');
+
+/**
+ * Load a document by ID or throw NotFoundError
+ * @async
+ * @param {mongoose.Model} Model - Mongoose model
+ * @param {string} id - Document ID
+ * @param {string} resource - Resource name used in the error message
+ * @returns {Promise<Object>} The document
+ * @throws {ValidationError} When the ID is malformed
+ * @throws {NotFoundError} When no document matches
+ * @example const branch = await findByIdOrThrow(Branch, args.id, 'Branch');
+ */
+const findByIdOrThrow = async (Model, id, resource) => {
+  validateObjectId(id);
+  const doc = await Model.findById(id);
+
+  if (!doc) {
+    throw new NotFoundError(resource);
+  }
+
+  return doc;
+};
+
+/**
+ * Load a document by ID, returning null when it does not exist
+ * @async
+ * @param {mongoose.Model} Model - Mongoose model
+ * @param {string} id - Document ID
+ * @returns {Promise<Object|null>} The document or null
+ * @throws {ValidationError} When the ID is malformed
+ */
+const findById = async (Model, id) => {
+  validateObjectId(id);
+  return await Model.findById(id);
+};
+
+/**
+ * Apply limit/offset pagination to a Mongoose query
+ * @param {mongoose.Query} query - Query to paginate
+ * @param {Object} pagination - { limit, offset } from GraphQL args
+ * @returns {mongoose.Query} Paginated query
+ * @example paginate(Vendor.find().sort({ name: 1 }), args.pagination);
+ */
+const paginate = (query, pagination) => {
+  const { limit, offset } = normalizePagination(pagination);
+  return query.skip(offset).limit(limit);
+};
+
+/**
+ * Resolve a single reference field, skipping the lookup when unset
+ * @async
+ * @param {mongoose.Model} Model - Referenced model
+ * @param {Object|string|null} ref - ObjectId or populated document
+ * @returns {Promise<Object|null>} Referenced document or null
+ */
+const resolveRef = async (Model, ref) => {
+  if (!ref) {
+    return null;
+  }
+  return ref._id ? ref : await Model.findById(ref);
+};
+
+/**
+ * Resolve an array reference field
+ * @async
+ * @param {mongoose.Model} Model - Referenced model
+ * @param {Array} refs - ObjectIds
+ * @returns {Promise<Array>} Referenced documents
+ */
+const resolveRefs = async (Model, refs) => {
+  if (!refs || refs.length === 0) {
+    return [];
+  }
+  return await Model.find({ _id: { $in: refs } });
+};
+
+/**
+ * Ensure the caller only hands out permissions they hold themselves; those
+ * lent by a temporary access grant are not theirs to pass on
+ * @param {Object} user - User from context
+ * @param {Array<string>} permissions - Permissions to grant
+ * @returns {void}
+ * @throws {AuthorizationError} When a grant exceeds the caller's own permissions
+ */
+const assertCanGrant = (user, permissions = []) => {
+  const lent = elevatedGrants(user, permissions).map(({ permission }) => permission);
+  const beyond = permissions.filter(permission => !isAuthorized(user, permission) || lent.includes(permission));
+  if (beyond.length > 0) {
+    throw new AuthorizationError(`You cannot grant permissions you do not hold: ${beyond.join(', ')}`);
+  }
+};
+
+/**
+ * Guard reports that span a whole organization: those need VIEW_ALL_REPORTS,
+ * since scope alone lets branch-scoped users reach their organization
+ * @param {Function} isOrganizationWide - (args) => true when the request spans the organization
+ * @returns {Object} Guard (see middleware/rbac)
+ * @example requireOrganizationWideReports(({ branchId }) => !branchId)
+ */
+const requireOrganizationWideReports = (isOrganizationWide) => {
+  const guard = requireAll(PERMISSIONS.VIEW_ALL_REPORTS);
+  return {
+    ...guard,
+    rule: `${guard.rule} when organization-wide`,
+    permissions: [],
+    check: async (request) => (isOrganizationWide(request.args) ? guard.check(request) : null)
+  };
+};
+
+/**
+ * Scope guard for reports: VIEW_ALL_REPORTS, whether held or lent by an
+ * access grant, widens the caller's reach to their whole organization as in
+ * reportResolvers.reportReach; otherwise the books must be in their own scope
+ * @param {Function} getResource - async (args, parent) => where the books sit: { organization, branch, ... }
+ * @returns {Object} Guard (see middleware/rbac)
+ * @example requireReportScope(statementScope)
+ */
+const requireReportScope = (getResource) => anyOf(
+  requireScope(getResource),
+  requireThat('Within organization-wide reach', async (request) => {
+    const { user, args, parent } = request;
+    if (user.vendorId || !isAuthorized(user, PERMISSIONS.VIEW_ALL_REPORTS)) {
+      return false;
+    }
+
+    const resource = await getResource(args, parent);
+    if (!resource?.organization || String(resource.organization) !== String(user.organizationId)) {
+      return false;
+    }
+
+    request.elevated.push(...elevatedGrants(user, [PERMISSIONS.VIEW_ALL_REPORTS])
+      .filter(({ permission }) => !request.elevated.some(used => used.permission === permission)));
+    return true;
+  })
+);
+
+module.exports = {
+  assertCanGrant,
+  findByIdOrThrow,
+  findById,
+  paginate,
+  requireOrganizationWideReports,
+  requireReportScope,
+  resolveRef,
+  resolveRefs
+};
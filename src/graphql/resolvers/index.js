@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Resolver map composition
+ * @module graphql/resolvers
+ */
+
+const { DateTime } = require('./scalars');
+const organizationResolvers = require('./organizationResolvers');
+const branchResolvers = require('./branchResolvers');
+const employeeResolvers = require('./employeeResolvers');
+const vendorResolvers = require('./vendorResolvers');
+const transactionResolvers = require('./transactionResolvers');
+const invoiceResolvers = require('./invoiceResolvers');
+const ledgerResolvers = require('./ledgerResolvers');
+const statementResolvers = require('./statementResolvers');
+const reportResolvers = require('./reportResolvers');
+const delegationResolvers = require('./delegationResolvers');
+const accessGrantResolvers = require('./accessGrantResolvers');
+const roleResolvers = require('./roleResolvers');
+const userResolvers = require('./userResolvers');
+const authResolvers = require('./authResolvers');
+const auditResolvers = require('./auditResolvers');
+
+/**
+ * Resolver type keys merged from each module; other exports (helpers) are ignored
+ * @type {Array<string>}
+ */
+const RESOLVER_TYPES = [
+  'Query',
+  'Mutation',
+  'Organization',
+  'Branch',
+  'Employee',
+  'Vendor',
+  'Transaction',
+  'StatusTransition',
+  'ApprovalStep',
+  'Invoice',
+  'InvoiceAllocation',
+  'Delegation',
+  'AccessGrant',
+  'VendorAging',
+  'BranchAging',
+  'Role',
+  'User',
+  'AuditLog'
+];
+
+/**
+ * Merge per-entity resolver maps into one, type by type
+ * @param {Array<Object>} modules - Resolver modules
+ * @returns {Object} Combined resolver map
+ */
+const mergeResolvers = (modules) => modules.reduce((merged, module) => {
+  RESOLVER_TYPES.forEach((type) => {
+    if (module[type]) {
+      merged[type] = { ...merged[type], ...module[type] };
+    }
+  });
+  return merged;
+}, {});
+
+const resolvers = {
+  DateTime,
+  ...mergeResolvers([
+    { Query: { health: () => 'OK' } },
+    organizationResolvers,
+    branchResolvers,
+    employeeResolvers,
+    vendorResolvers,
+    transactionResolvers,
+    invoiceResolvers,
+    ledgerResolvers,
+    statementResolvers,
+    reportResolvers,
+    delegationResolvers,
+    accessGrantResolvers,
+    roleResolvers,
+    userResolvers,
+    authResolvers,
+    auditResolvers
+  ])
+};
+
+module.exports = { resolvers, mergeResolvers };
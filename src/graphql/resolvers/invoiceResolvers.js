@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Vendor invoice queries, mutations and field resolvers
+ * @module graphql/resolvers/invoiceResolvers
+ */
+
+const Invoice = require('../../models/Invoice');
+const Vendor = require('../../models/Vendor');
+const Branch = require('../../models/Branch');
+const Employee = require('../../models/Employee');
+const Transaction = require('../../models/Transaction');
+const logger = require('../../config/logger');
+const { authorize, requireAll, requireScope } = require('../../middleware/rbac');
+const { PERMISSIONS } = require('../../constants/permissions');
+const { ConflictError } = require('../../handles/errors');
+const { assertAuthorized, scopeFilter } = require('../../handles/permissions');
+const { validateInput } = require('../../handles/validation');
+const {
+  transactionScope,
+  resolveTransactionBranch,
+  resolveTransactionOrganization
+} = require('../../utils/transactionScope');
+const {
+  INVOICE_SCOPE_PATHS,
+  invoiceScope,
+  recordInvoice,
+  allocateTransaction,
+  voidInvoice
+} = require('../../utils/invoices');
+const invoiceSchema = require('../../schemas/invoiceSchema');
+const { findByIdOrThrow, findById, paginate, resolveRef } = require('./helpers');
+
+/**
+ * Build a Mongo filter from the GraphQL invoice filter
+ * @param {Object} filter - Validated InvoiceFilterInput
+ * @returns {Object} Mongo query
+ */
+const buildInvoiceQuery = (filter) => {
+  const query = {};
+
+  if (filter.vendorId) {
+    query.vendor = filter.vendorId;
+  }
+  if (filter.branchId) {
+    query.branch = filter.branchId;
+  }
+  if (filter.status) {
+    query.status = filter.status;
+  }
+  if (filter.dueBefore) {
+    query.dueDate = { $lte: filter.dueBefore };
+  }
+
+  return query;
+};
+
+const Query = {
+  /**
+   * Get a single invoice
+   * @returns {Promise<Object|null>} Invoice or null
+   */
+  invoice: authorize([
+    requireAll(PERMISSIONS.VIEW_TRANSACTION),
+    requireScope(async ({ id }) => {
+      const invoice = await findById(Invoice, id);
+      return invoice && invoiceScope(invoice);
+    })
+  ], async (_, { id }) => findById(Invoice, id)),
+
+  /**
+   * List invoices matching a filter within the caller's scope, soonest due
+   * first; a vendor session only sees its own vendor's
+   * @returns {Promise<Array>} Invoices
+   */
+  invoices: authorize(requireAll(PERMISSIONS.VIEW_TRANSACTION), async (_, { filter, pagination }, { user }) => {
+    const data = validateInput(filter, invoiceSchema.filter);
+    const query = { ...buildInvoiceQuery(data), ...scopeFilter(user, INVOICE_SCOPE_PATHS) };
+    return paginate(Invoice.find(query).sort({ dueDate: 1, _id: 1 }), pagination);
+  })
+};
+
+const Mutation = {
+  /**
+   * Record a vendor's invoice and post it to the ledger as a vendor purchase;
+   * it sits in the vendor's branch, or for shared vendors in the given branch
+   * @returns {Promise<Object>} Created invoice
+   * @throws {ValidationError} When branchId is not the vendor's own branch
+   * @throws {ConflictError} When the vendor already has an invoice with that number
+   */
+  createInvoice: authorize(requireAll(PERMISSIONS.CREATE_TRANSACTION), async (_, { input }, { user }) => {
+    const data = validateInput(input, invoiceSchema.create);
+    const vendor = await findByIdOrThrow(Vendor, data.vendorId, 'Vendor');
+
+    if (data.branchId) {
+      await findByIdOrThrow(Branch, data.branchId, 'Branch');
+    }
+
+    const branch = resolveTransactionBranch('vendor', vendor, data.branchId);
+    const organization = await resolveTransactionOrganization('vendor', vendor, branch);
+    assertAuthorized(user, PERMISSIONS.CREATE_TRANSACTION, { branch, organization, vendor: vendor._id });
+
+    if (await Invoice.exists({ vendor: vendor._id, invoiceNumber: data.invoiceNumber })) {
+      throw new ConflictError(`Vendor already has an invoice ${data.invoiceNumber}`);
+    }
+
+    const invoice = await recordInvoice(new Invoice({
+      invoiceNumber: data.invoiceNumber,
+      vendor: vendor._id,
+      branch,
+      organization,
+      issueDate: data.issueDate,
+      dueDate: data.dueDate,
+      lineItems: data.lineItems,
+      createdBy: user.employeeId
+    }), user);
+
+    logger.info(`Invoice ${invoice._id} created by ${user.userId}`);
+    return invoice;
+  }, { audit: { action: 'create', resource: 'Invoice' } }),
+
+  /**
+   * Allocate a vendor payment, settlement, refund or credit note to one or
+   * more of the vendor's invoices, each in part or in full
+   * @returns {Promise<Array>} Updated invoices
+   * @throws {ConflictError} When an allocation exceeds an invoice's balance or the transaction's remainder
+   */
+  allocateTransaction: authorize([
+    requireAll(PERMISSIONS.CREATE_TRANSACTION),
+    requireScope(async ({ transactionId }) =>
+      transactionScope(await findByIdOrThrow(Transaction, transactionId, 'Transaction'))
+    )
+  ], async (_, args, { user }) => {
+    const data = validateInput(args, invoiceSchema.allocate);
+    const transaction = await findByIdOrThrow(Transaction, data.transactionId, 'Transaction');
+
+    const invoices = await allocateTransaction(transaction, data.allocations, user, (invoice) =>
+      assertAuthorized(user, PERMISSIONS.CREATE_TRANSACTION, invoiceScope(invoice))
+    );
+
+    logger.info(`Transaction ${transaction.transactionId} allocated to ${invoices.length} invoice(s) by ` +
+      user.userId);
+    return invoices;
+  }, { audit: { action: 'allocate', resource: 'Invoice' } }),
+
+  /**
+   * Void an invoice nothing has been allocated to, with a reason, reversing
+   * its purchase in the ledger
+   * @returns {Promise<Object>} Voided invoice
+   * @throws {ConflictError} When already void or allocated against
+   */
+  voidInvoice: authorize([
+    requireAll(PERMISSIONS.UPDATE_TRANSACTION),
+    requireScope(async ({ id }) => invoiceScope(await findByIdOrThrow(Invoice, id, 'Invoice')))
+  ], async (_, { id, reason }, { user }) => {
+    const data = validateInput({ reason }, invoiceSchema.void);
+    const invoice = await findByIdOrThrow(Invoice, id, 'Invoice');
+    await voidInvoice(invoice, user, data.reason);
+
+    logger.info(`Invoice ${id} voided by ${user.userId}`);
+    return invoice;
+  }, { audit: { action: 'void', resource: 'Invoice' } })
+};
+
+const InvoiceType = {
+  vendor: authorize(requireAll(PERMISSIONS.VIEW_VENDOR), async (invoice) =>
+    resolveRef(Vendor, invoice.vendor)
+  ),
+  branch: authorize(requireAll(PERMISSIONS.VIEW_BRANCH), async (invoice) =>
+    resolveRef(Branch, invoice.branch)
+  ),
+  transaction: authorize(requireAll(PERMISSIONS.VIEW_TRANSACTION), async (invoice) =>
+    resolveRef(Transaction, invoice.transaction)
+  ),
+  voidedBy: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (invoice) =>
+    resolveRef(Employee, invoice.voidedBy)
+  ),
+  createdBy: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (invoice) =>
+    resolveRef(Employee, invoice.createdBy)
+  )
+};
+
+const InvoiceAllocation = {
+  transaction: authorize(requireAll(PERMISSIONS.VIEW_TRANSACTION), async (allocation) =>
+    resolveRef(Transaction, allocation.transaction)
+  ),
+  allocatedBy: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (allocation) =>
+    resolveRef(Employee, allocation.allocatedBy)
+  )
+};
+
+module.exports = {
+  Query,
+  Mutation,
+  Invoice: InvoiceType,
+  InvoiceAllocation,
+  buildInvoiceQuery
+};
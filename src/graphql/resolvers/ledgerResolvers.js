@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Entity ledger query (see utils/ledger)
+ * @module graphql/resolvers/ledgerResolvers
+ */
+
+const Organization = require('../../models/Organization');
+const Branch = require('../../models/Branch');
+const Employee = require('../../models/Employee');
+const Vendor = require('../../models/Vendor');
+const { authorize, requireAll } = require('../../middleware/rbac');
+const { PERMISSIONS } = require('../../constants/permissions');
+const { normalizePagination, validateDateRange } = require('../../handles/validation');
+const { LEDGER_ENTITY_TYPES, getLedgerPage } = require('../../utils/ledger');
+const { findByIdOrThrow, requireOrganizationWideReports, requireReportScope } = require('./helpers');
+const { branchOrganization } = require('./organizationReach');
+
+/**
+ * Where a ledger's entity sits, for scoped permission checks; an employee's
+ * own ledger is in scope for them, a vendor's for the vendor's session
+ * @async
+ * @param {Object} args - { entityType, entityId }
+ * @returns {Promise<Object>} { organization, branch, owner, vendor }
+ * @throws {NotFoundError} When the entity does not exist
+ */
+const ledgerScope = async ({ entityType, entityId }) => {
+  switch (entityType) {
+    case 'ORGANIZATION': {
+      const organization = await findByIdOrThrow(Organization, entityId, 'Organization');
+      return { organization: organization._id };
+    }
+    case 'BRANCH': {
+      const branch = await findByIdOrThrow(Branch, entityId, 'Branch');
+      return { branch: branch._id, organization: branch.organization };
+    }
+    case 'EMPLOYEE': {
+      const employee = await findByIdOrThrow(Employee, entityId, 'Employee');
+      return {
+        branch: employee.branch,
+        organization: await branchOrganization(employee.branch),
+        owner: employee._id
+      };
+    }
+    default: {
+      const vendor = await findByIdOrThrow(Vendor, entityId, 'Vendor');
+      return {
+        branch: vendor.branch,
+        organization: await branchOrganization(vendor.branch),
+        vendor: vendor._id
+      };
+    }
+  }
+};
+
+const Query = {
+  /**
+   * One page of an entity's ledger between two dates, oldest first, with the
+   * balance before the range, after each line and at the end of the range.
+   * An organization's ledger spans its branches, so it needs VIEW_ALL_REPORTS,
+   * which in turn reaches every ledger in the caller's organization.
+   * @returns {Promise<Object>} Ledger page
+   * @throws {ValidationError} On an invalid range or cursor
+   */
+  ledger: authorize([
+    requireAll(PERMISSIONS.VIEW_TRANSACTION),
+    requireOrganizationWideReports(({ entityType }) => entityType === 'ORGANIZATION'),
+    requireReportScope(ledgerScope)
+  ], async (_, { entityType, entityId, from, to, first, after }) => {
+    const range = validateDateRange(from, to);
+    const { limit } = normalizePagination({ limit: first });
+    const page = await getLedgerPage({
+      entityType: LEDGER_ENTITY_TYPES[entityType],
+      entityId,
+      from: range.from,
+      to: range.to,
+      first: limit,
+      after
+    });
+
+    return { entityType, entityId, ...range, ...page };
+  })
+};
+
+module.exports = {
+  Query,
+  ledgerScope
+};
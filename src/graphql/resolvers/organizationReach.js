@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Keeping employee and user account lookups to the caller's organization
+ * @module graphql/resolvers/organizationReach
+ */
+
+const Branch = require('../../models/Branch');
+const Employee = require('../../models/Employee');
+const User = require('../../models/User');
+const Vendor = require('../../models/Vendor');
+const { requireThat } = require('../../middleware/rbac');
+const { SCOPES, getScopeForRole } = require('../../constants/roles');
+const { findById } = require('./helpers');
+
+/**
+ * Whether the caller reaches every organization, i.e. holds a global role
+ * @param {Object} user - User from context
+ * @returns {boolean} True for global roles
+ */
+const reachesEveryOrganization = (user) =>
+  !user.vendorId && getScopeForRole(user.designation, user.organizationId) === SCOPES.GLOBAL;
+
+/**
+ * Organization of the branch an employee or vendor sits in
+ * @async
+ * @param {string|null} branchId - Branch ID; null for vendors shared across organizations
+ * @returns {Promise<string|null>} Organization ID, or null
+ */
+const branchOrganization = async (branchId) => {
+  const branch = branchId && await Branch.findById(branchId);
+  return branch ? branch.organization : null;
+};
+
+/**
+ * Where an employee sits, for requireOwnOrganization
+ * @async
+ * @param {Object} args - Resolver args with the employee's `id`
+ * @returns {Promise<Object|null>} { organization }, or null when the employee does not exist
+ */
+const employeeOrganization = async ({ id }) => {
+  const employee = await findById(Employee, id);
+  return employee && { organization: await branchOrganization(employee.branch) };
+};
+
+/**
+ * Where a user account sits: with its employee, or its vendor's branch
+ * @async
+ * @param {Object} args - Resolver args with the user's `id`
+ * @returns {Promise<Object|null>} { organization }, or null when the user does not exist
+ */
+const userOrganization = async ({ id }) => {
+  const account = await findById(User, id);
+  if (!account) {
+    return null;
+  }
+
+  const owner = account.employee
+    ? await Employee.findById(account.employee)
+    : await Vendor.findById(account.vendor);
+  return { organization: owner ? await branchOrganization(owner.branch) : null };
+};
+
+/**
+ * Require the target to sit in the caller's organization unless the caller
+ * reaches every organization; a target that does not exist (null) is left to
+ * the resolver
+ * @param {Function} getResource - async (args) => { organization } or null
+ * @returns {Object} Guard (see middleware/rbac)
+ * @example requireOwnOrganization(employeeOrganization)
+ */
+const requireOwnOrganization = (getResource) => requireThat('Within own organization', async ({ user, args }) => {
+  if (reachesEveryOrganization(user)) {
+    return true;
+  }
+
+  const resource = await getResource(args);
+  return !resource ||
+    (Boolean(resource.organization) && String(resource.organization) === String(user.organizationId));
+}, 'This belongs to another organization');
+
+/**
+ * Branches of the caller's organization, to restrict list queries
+ * @async
+ * @param {Object} user - User from context
+ * @returns {Promise<Array|null>} Branch IDs; null when the caller reaches every organization
+ */
+const organizationBranches = async (user) => (reachesEveryOrganization(user)
+  ? null
+  : await Branch.find({ organization: user.organizationId }).distinct('_id'));
+
+/**
+ * Mongo conditions restricting a user account query to the caller's
+ * organization: accounts of its employees and of vendors in its branches
+ * @async
+ * @param {Object} user - User from context
+ * @returns {Promise<Object>} Mongo filter; empty when the caller reaches every organization
+ */
+const organizationUsersFilter = async (user) => {
+  const branches = await organizationBranches(user);
+  if (!branches) {
+    return {};
+  }
+
+  const [employees, vendors] = await Promise.all([
+    Employee.find({ branch: { $in: branches } }).distinct('_id'),
+    Vendor.find({ branch: { $in: branches } }).distinct('_id')
+  ]);
+  return { $or: [{ employee: { $in: employees } }, { vendor: { $in: vendors } }] };
+};
+
+module.exports = {
+  branchOrganization,
+  employeeOrganization,
+  organizationBranches,
+  organizationUsersFilter,
+  requireOwnOrganization,
+  userOrganization
+};
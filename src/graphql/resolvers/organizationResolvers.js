@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Organization queries, mutations and field resolvers
+ * @module graphql/resolvers/organizationResolvers
+ */
+
+const Organization = require('../../models/Organization');
+const Branch = require('../../models/Branch');
+const logger = require('../../config/logger');
+const { authorize, requireAll } = require('../../middleware/rbac');
+const { PERMISSIONS } = require('../../constants/permissions');
+const { ConflictError } = require('../../handles/errors');
+const { validateInput } = require('../../handles/validation');
+const organizationSchema = require('../../schemas/organizationSchema');
+const { getApprovalPolicy } = require('../../utils/approvalChain');
+const { findByIdOrThrow, findById, paginate, resolveRefs } = require('./helpers');
+
+const Query = {
+  /**
+   * Get a single organization
+   * @returns {Promise<Object|null>} Organization or null
+   */
+  organization: authorize(requireAll(PERMISSIONS.VIEW_ORGANIZATION), async (_, { id }) =>
+    findById(Organization, id)
+  ),
+
+  /**
+   * List organizations sorted by name
+   * @returns {Promise<Array>} Organizations
+   */
+  organizations: authorize(requireAll(PERMISSIONS.VIEW_ORGANIZATION), async (_, { pagination }) =>
+    paginate(Organization.find().sort({ name: 1 }), pagination)
+  )
+};
+
+const Mutation = {
+  /**
+   * Create an organization
+   * @returns {Promise<Object>} Created organization
+   */
+  createOrganization: authorize(requireAll(PERMISSIONS.CREATE_ORGANIZATION), async (_, { input }, { user }) => {
+    const data = validateInput(input, organizationSchema.create);
+    const organization = await Organization.create(data);
+
+    logger.info(`Organization ${organization._id} created by ${user.userId}`);
+    return organization;
+  }, { audit: { action: 'create', resource: 'Organization' } }),
+
+  /**
+   * Update an organization
+   * @returns {Promise<Object>} Updated organization
+   */
+  updateOrganization: authorize(requireAll(PERMISSIONS.UPDATE_ORGANIZATION), async (_, { id, input }, { user }) => {
+    const data = validateInput(input, organizationSchema.update);
+    const organization = await findByIdOrThrow(Organization, id, 'Organization');
+
+    Object.assign(organization, data);
+    await organization.save();
+
+    logger.info(`Organization ${id} updated by ${user.userId}`);
+    return organization;
+  }, { audit: { action: 'update', resource: 'Organization' } }),
+
+  /**
+   * Delete an organization that has no branches
+   * @returns {Promise<boolean>} True when deleted
+   * @throws {ConflictError} When branches still belong to the organization
+   */
+  deleteOrganization: authorize(requireAll(PERMISSIONS.DELETE_ORGANIZATION), async (_, { id }, { user }) => {
+    const organization = await findByIdOrThrow(Organization, id, 'Organization');
+
+    if (organization.branches.length > 0 || await Branch.exists({ organization: id })) {
+      throw new ConflictError('Organization still has branches');
+    }
+
+    await organization.deleteOne();
+    logger.info(`Organization ${id} deleted by ${user.userId}`);
+    return true;
+  }, { audit: { action: 'delete', resource: 'Organization' } }),
+
+  /**
+   * Replace an organization's expense approval tiers
+   * @returns {Promise<Object>} Updated organization
+   */
+  setApprovalPolicy: authorize(requireAll(PERMISSIONS.UPDATE_ORGANIZATION), async (_, args, { user }) => {
+    const { tiers } = validateInput({ tiers: args.tiers }, organizationSchema.approvalPolicy);
+    const organization = await findByIdOrThrow(Organization, args.organizationId, 'Organization');
+
+    organization.approvalPolicy = tiers;
+    await organization.save();
+
+    logger.info(`Approval policy of organization ${organization._id} updated by ${user.userId}`, { tiers });
+    return organization;
+  }, {
+    audit: { action: 'update_approval_policy', resource: 'Organization', resourceId: (args) => args.organizationId }
+  })
+};
+
+const OrganizationType = {
+  approvalPolicy: (organization) => getApprovalPolicy(organization),
+  branches: authorize(requireAll(PERMISSIONS.VIEW_BRANCH), async (organization) =>
+    resolveRefs(Branch, organization.branches)
+  )
+};
+
+module.exports = { Query, Mutation, Organization: OrganizationType };
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Trend, aggregate and payables aging report queries
+ * @module graphql/resolvers/reportResolvers
+ */
+
+const Vendor = require('../../models/Vendor');
+const Branch = require('../../models/Branch');
+const { authorize, requireAll, elevatedGrants, recordElevatedAccess } = require('../../middleware/rbac');
+const { PERMISSIONS } = require('../../constants/permissions');
+const { isAuthorized, scopeFilter } = require('../../handles/permissions');
+const { validateInput, validateDateRange } = require('../../handles/validation');
+const { TRANSACTION_SCOPE_PATHS } = require('../../utils/transactionScope');
+const { summarizeExpenses } = require('../../utils/expenseAnalytics');
+const { getPayablesAging } = require('../../utils/payablesAging');
+const transactionSchema = require('../../schemas/transactionSchema');
+const vendorSchema = require('../../schemas/vendorSchema');
+const { resolveRef } = require('./helpers');
+
+/**
+ * Transactions a report may cover. VIEW_REPORTS reaches the caller's own
+ * scope (their branch, their own expenses); VIEW_ALL_REPORTS widens that to
+ * their whole organization, or everything for global roles. Vendor sessions
+ * only ever reach their own vendor's transactions.
+ * @async
+ * @param {Object} context - GraphQL context
+ * @param {Object} info - GraphQL resolve info, for auditing elevated access
+ * @returns {Promise<Object>} Mongo filter on transactions
+ */
+const reportReach = async (context, info) => {
+  const { user } = context;
+  const own = scopeFilter(user, { ...TRANSACTION_SCOPE_PATHS, vendor: 'reference.refId' });
+
+  if (user.vendorId) {
+    return { ...own, 'reference.refType': 'vendor' };
+  }
+  if (Object.keys(own).length === 0 || !isAuthorized(user, PERMISSIONS.VIEW_ALL_REPORTS)) {
+    return own;
+  }
+
+  await recordElevatedAccess(context, info, elevatedGrants(user, [PERMISSIONS.VIEW_ALL_REPORTS]));
+  return { organization: user.organizationId };
+};
+
+const Query = {
+  /**
+   * Transaction counts, totals and averages per period and group, with the
+   * change from the preceding period, within the caller's reach
+   * @returns {Promise<Object>} Expense summary
+   * @throws {ValidationError} On invalid input or range
+   */
+  expenseSummary: authorize(requireAll(PERMISSIONS.VIEW_REPORTS), async (_, { input }, context, info) => {
+    const data = validateInput(input, transactionSchema.summary);
+    const range = validateDateRange(data.from, data.to);
+
+    const filter = [await reportReach(context, info)];
+    if (data.organizationId) {
+      filter.push({ organization: data.organizationId });
+    }
+    if (data.branchId) {
+      filter.push({ branch: data.branchId });
+    }
+    if (data.types) {
+      filter.push({ type: { $in: data.types } });
+    }
+
+    const summary = await summarizeExpenses({
+      period: data.period,
+      groupBy: data.groupBy,
+      ...range,
+      filter: { $and: filter }
+    });
+    return { period: data.period, groupBy: data.groupBy, ...range, ...summary };
+  }),
+
+  /**
+   * Unpaid vendor purchases bucketed by days past due, per vendor (with the
+   * purchases behind each total) and per branch, within the caller's reach
+   * @returns {Promise<Object>} Accounts payable aging
+   * @throws {ValidationError} On invalid input
+   */
+  apAging: authorize(requireAll(PERMISSIONS.VIEW_REPORTS), async (_, args, context, info) => {
+    const data = validateInput(args, vendorSchema.aging);
+
+    const filter = [await reportReach(context, info)];
+    if (data.branchId) {
+      filter.push({ branch: data.branchId });
+    }
+    if (data.vendorId) {
+      filter.push({ 'reference.refId': data.vendorId });
+    }
+
+    return { asOf: data.asOf, ...(await getPayablesAging({ asOf: data.asOf, filter: { $and: filter } })) };
+  })
+};
+
+const VendorAging = {
+  vendor: authorize(requireAll(PERMISSIONS.VIEW_VENDOR), async (aging) => resolveRef(Vendor, aging.vendorId))
+};
+
+const BranchAging = {
+  branch: authorize(requireAll(PERMISSIONS.VIEW_BRANCH), async (aging) => resolveRef(Branch, aging.branchId))
+};
+
+module.exports = {
+  Query,
+  VendorAging,
+  BranchAging,
+  reportReach
+};
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Role definition queries, mutations and field resolvers
+ * @module graphql/resolvers/roleResolvers
+ */
+
+const { isObjectType } = require('graphql');
+const Role = require('../../models/Role');
+const Organization = require('../../models/Organization');
+const Branch = require('../../models/Branch');
+const Employee = require('../../models/Employee');
+const logger = require('../../config/logger');
+const { authorize, describeGuards, requireAll } = require('../../middleware/rbac');
+const { PERMISSIONS, PERMISSION_MATRIX, getPermissionsForRole } = require('../../constants/permissions');
+const { ROLES, MAX_ROLE_DEPTH } = require('../../constants/roles');
+const { ConflictError, ValidationError } = require('../../handles/errors');
+const { validateInput } = require('../../handles/validation');
+const { ensureRolesLoaded, invalidateRoles, lookupRole } = require('../../utils/roleRegistry');
+const { loadPermissionReport, renderPermissionReport } = require('../../utils/permissionReport');
+const roleSchema = require('../../schemas/roleSchema');
+const { findByIdOrThrow, resolveRef } = require('./helpers');
+
+/**
+ * Whether a role is one of the built-ins from the permission matrix
+ * @param {string} name - Role name
+ * @returns {boolean} True when built in
+ */
+const isBuiltInRole = (name) => Object.keys(PERMISSION_MATRIX).includes(name);
+
+/**
+ * Whether a role name resolves for an organization, built in or defined
+ * @param {string} name - Role name
+ * @param {string|null} organizationId - Organization
+ * @returns {boolean} True when known
+ */
+const isKnownRole = (name, organizationId) => isBuiltInRole(name) || Boolean(lookupRole(name, organizationId));
+
+/**
+ * Ensure a base role exists and would not make the role inherit from itself
+ * @async
+ * @param {string} name - Role being defined
+ * @param {string} baseRole - Proposed base role
+ * @param {string|null} organizationId - Organization of the role
+ * @returns {Promise<void>} Resolves when the base role is acceptable
+ * @throws {ValidationError} On an unknown base role or an inheritance cycle
+ */
+const assertValidBaseRole = async (name, baseRole, organizationId) => {
+  if (!baseRole) {
+    return;
+  }
+
+  await ensureRolesLoaded();
+
+  if (!isKnownRole(baseRole, organizationId)) {
+    throw new ValidationError(`Unknown base role: ${baseRole}`, 'baseRole');
+  }
+
+  let ancestor = baseRole;
+  for (let depth = 0; ancestor && depth < MAX_ROLE_DEPTH; depth++) {
+    if (ancestor === name) {
+      throw new ValidationError(`${name} cannot inherit from itself`, 'baseRole');
+    }
+    ancestor = lookupRole(ancestor, organizationId)?.baseRole;
+  }
+};
+
+/**
+ * Ensure nothing still depends on a role about to be retired
+ * @async
+ * @param {Object} role - Role document
+ * @returns {Promise<void>} Resolves when the role can be retired
+ * @throws {ConflictError} When employees hold the role or other roles inherit from it
+ */
+const assertUnused = async (role) => {
+  const inOrganization = role.organization ? { organization: role.organization } : {};
+
+  if (await Role.exists({ ...inOrganization, baseRole: role.name, retiredAt: null })) {
+    throw new ConflictError(`Other roles still inherit from ${role.name}`);
+  }
+
+  const holders = { designation: role.name };
+  if (role.organization) {
+    holders.branch = { $in: await Branch.find({ organization: role.organization }).distinct('_id') };
+  }
+  if (await Employee.exists(holders)) {
+    throw new ConflictError(`Employees still hold the ${role.name} role`);
+  }
+};
+
+const Query = {
+  /**
+   * List roles available everywhere, plus an organization's own (Admin)
+   * @returns {Promise<Array>} Roles sorted by name
+   */
+  roles: authorize(requireAll(PERMISSIONS.MANAGE_ROLES), async (_, args) => {
+    const data = validateInput(args, roleSchema.filter);
+    const query = { organization: data.organizationId ? { $in: [null, data.organizationId] } : null };
+
+    if (!data.includeRetired) {
+      query.retiredAt = null;
+    }
+
+    return Role.find(query).sort({ name: 1 });
+  }),
+
+  /**
+   * What each guarded field of the schema requires, optionally for one type (Admin)
+   * @returns {Array<Object>} FieldPermission entries; fields without guards are left out
+   */
+  fieldPermissions: authorize(requireAll(PERMISSIONS.MANAGE_ROLES), async (_, { type }, __, { schema }) =>
+    Object.values(schema.getTypeMap())
+      .filter(objectType => isObjectType(objectType) && !objectType.name.startsWith('__'))
+      .filter(objectType => !type || objectType.name === type)
+      .flatMap(objectType => Object.values(objectType.getFields()).map(field => ({
+        type: objectType.name,
+        field: field.name,
+        ...describeGuards(field.extensions)
+      })))
+      .filter(entry => entry.rules)
+  ),
+
+  /**
+   * Render the permission matrix and employees' individual grants and denies
+   * as JSON, CSV or Markdown (Admin); with an employee and a designation, also
+   * what the employee would gain or lose if moved there
+   * @returns {Promise<string>} Rendered report
+   */
+  permissionReport: authorize(requireAll(PERMISSIONS.MANAGE_ROLES), async (_, args) => {
+    const data = validateInput(args, roleSchema.report);
+    const { report, diff } = await loadPermissionReport(data);
+    return renderPermissionReport(report, data.format, diff);
+  })
+};
+
+const Mutation = {
+  /**
+   * Define a role, optionally for one organization and on top of a base role (Admin)
+   * @returns {Promise<Object>} Created role
+   * @throws {ConflictError} When the name is taken
+   */
+  createRole: authorize(requireAll(PERMISSIONS.MANAGE_ROLES), async (_, { input }, { user }) => {
+    const data = validateInput(input, roleSchema.create);
+    const organizationId = data.organizationId || null;
+
+    if (data.name === ROLES.ADMIN) {
+      throw new ValidationError('The Admin role cannot be redefined', 'name');
+    }
+    if (organizationId) {
+      await findByIdOrThrow(Organization, organizationId, 'Organization');
+    } else if (isBuiltInRole(data.name)) {
+      throw new ConflictError(`${data.name} is a built-in role`);
+    }
+    if (await Role.exists({ organization: organizationId, name: data.name })) {
+      throw new ConflictError(`Role ${data.name} already exists`);
+    }
+    await assertValidBaseRole(data.name, data.baseRole, organizationId);
+
+    const role = await Role.create({
+      name: data.name,
+      organization: organizationId,
+      description: data.description,
+      baseRole: data.baseRole,
+      permissions: data.permissions,
+      scope: data.scope,
+      createdBy: user.employeeId
+    });
+    invalidateRoles();
+
+    logger.info(`Role ${role.name} (${role._id}) created by ${user.userId}`);
+    return role;
+  }, { audit: { action: 'create', resource: 'Role' } }),
+
+  /**
+   * Change a role's permissions, scope or base role (Admin); employees holding
+   * it pick up the change on their next request
+   * @returns {Promise<Object>} Updated role
+   * @throws {ConflictError} When the role is Admin or retired
+   */
+  updateRole: authorize(requireAll(PERMISSIONS.MANAGE_ROLES), async (_, { id, input }, { user }) => {
+    const data = validateInput(input, roleSchema.update);
+    const role = await findByIdOrThrow(Role, id, 'Role');
+
+    if (role.name === ROLES.ADMIN) {
+      throw new ConflictError('The Admin role cannot be changed');
+    }
+    if (!role.isActive()) {
+      throw new ConflictError(`Role ${role.name} is retired`);
+    }
+    if (data.baseRole) {
+      await assertValidBaseRole(role.name, data.baseRole, role.organization);
+    }
+
+    Object.assign(role, data);
+    await role.save();
+    invalidateRoles();
+
+    logger.info(`Role ${role.name} (${id}) updated by ${user.userId}`, data);
+    return role;
+  }, { audit: { action: 'update', resource: 'Role' } }),
+
+  /**
+   * Retire a role nobody holds or inherits from (Admin); built-in roles stay
+   * @returns {Promise<Object>} Retired role
+   * @throws {ConflictError} When the role is built in, already retired, or still in use
+   */
+  retireRole: authorize(requireAll(PERMISSIONS.MANAGE_ROLES), async (_, { id }, { user }) => {
+    const role = await findByIdOrThrow(Role, id, 'Role');
+
+    if (role.builtIn) {
+      throw new ConflictError(`${role.name} is a built-in role`);
+    }
+    if (!role.isActive()) {
+      throw new ConflictError(`Role ${role.name} is already retired`);
+    }
+    await assertUnused(role);
+
+    role.retiredAt = new Date();
+    await role.save();
+    invalidateRoles();
+
+    logger.info(`Role ${role.name} (${id}) retired by ${user.userId}`);
+    return role;
+  }, { audit: { action: 'retire', resource: 'Role' } })
+};
+
+const RoleType = {
+  organization: authorize(requireAll(PERMISSIONS.VIEW_ORGANIZATION), async (role) =>
+    resolveRef(Organization, role.organization)
+  ),
+  effectivePermissions: (role) => {
+    if (role.name === ROLES.ADMIN) {
+      return getPermissionsForRole(ROLES.ADMIN);
+    }
+    const inherited = role.baseRole ? getPermissionsForRole(role.baseRole, role.organization) : [];
+    return [...new Set([...inherited, ...role.permissions])];
+  }
+};
+
+module.exports = { Query, Mutation, Role: RoleType };
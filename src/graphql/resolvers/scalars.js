@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Custom GraphQL scalar resolvers
+ * @module graphql/resolvers/scalars
+ */
+
+const { GraphQLScalarType, Kind } = require('graphql');
+
+/**
+ * Parse an incoming value into a valid Date
+ * @param {string|number} value - ISO string or epoch milliseconds
+ * @returns {Date} Parsed date
+ * @throws {TypeError} When the value is not a valid date
+ */
+const parseDate = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new TypeError(`DateTime cannot represent an invalid date: ${value}`);
+  }
+  return date;
+};
+
+/**
+ * DateTime scalar - serialized as ISO-8601 strings
+ * @type {GraphQLScalarType}
+ */
+const DateTime = new GraphQLScalarType({
+  name: 'DateTime',
+  description: 'ISO-8601 date-time string',
+  serialize: (value) => (value instanceof Date ? value : parseDate(value)).toISOString(),
+  parseValue: parseDate,
+  parseLiteral: (ast) => {
+    if (ast.kind !== Kind.STRING && ast.kind !== Kind.INT) {
+      throw new TypeError('DateTime must be a string or integer');
+    }
+    return parseDate(ast.kind === Kind.INT ? Number(ast.value) : ast.value);
+  }
+});
+
+module.exports = { DateTime };
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Financial statement queries (see utils/financialStatements)
+ * @module graphql/resolvers/statementResolvers
+ */
+
+const Organization = require('../../models/Organization');
+const Branch = require('../../models/Branch');
+const { authorize, requireAll } = require('../../middleware/rbac');
+const { PERMISSIONS } = require('../../constants/permissions');
+const { ValidationError } = require('../../handles/errors');
+const { validateInput } = require('../../handles/validation');
+const { getTrialBalance, getBalanceSheet, getIncomeStatement } = require('../../utils/financialStatements');
+const statementSchema = require('../../schemas/statementSchema');
+const { findByIdOrThrow, requireOrganizationWideReports, requireReportScope } = require('./helpers');
+
+/**
+ * Where a statement's books sit, for scoped permission checks
+ * @async
+ * @param {Object} args - { organizationId, branchId }
+ * @returns {Promise<Object>} { organization, branch }
+ * @throws {NotFoundError} When the organization or branch does not exist
+ * @throws {ValidationError} When the branch belongs to another organization
+ */
+const statementScope = async ({ organizationId, branchId }) => {
+  if (!branchId) {
+    const organization = await findByIdOrThrow(Organization, organizationId, 'Organization');
+    return { organization: organization._id };
+  }
+
+  const branch = await findByIdOrThrow(Branch, branchId, 'Branch');
+  if (String(branch.organization) !== String(organizationId)) {
+    throw new ValidationError('Branch does not belong to the organization', 'branchId');
+  }
+  return { organization: branch.organization, branch: branch._id };
+};
+
+/**
+ * Guards shared by every statement: branch books need VIEW_REPORTS within
+ * scope, a whole organization's need VIEW_ALL_REPORTS as well; VIEW_ALL_REPORTS
+ * reaches any books of the caller's organization (see requireReportScope)
+ * @type {Array<Object>}
+ */
+const statementGuards = [
+  requireAll(PERMISSIONS.VIEW_REPORTS),
+  requireOrganizationWideReports(({ branchId }) => !branchId),
+  requireReportScope(statementScope)
+];
+
+const Query = {
+  /**
+   * Trial balance as of a date, optionally beside an earlier date
+   * @returns {Promise<Object>} Trial balance
+   * @throws {IntegrityError} When the journal does not net to zero
+   */
+  trialBalance: authorize(statementGuards, async (_, args) => {
+    const data = validateInput(args, statementSchema.asOf);
+    return { ...data, branchId: data.branchId || null, ...(await getTrialBalance(data)) };
+  }),
+
+  /**
+   * Balance sheet as of a date, optionally beside an earlier date
+   * @returns {Promise<Object>} Balance sheet
+   * @throws {IntegrityError} When the journal does not net to zero
+   */
+  balanceSheet: authorize(statementGuards, async (_, args) => {
+    const data = validateInput(args, statementSchema.asOf);
+    return { ...data, branchId: data.branchId || null, ...(await getBalanceSheet(data)) };
+  }),
+
+  /**
+   * Income statement for a period, optionally beside the preceding period of equal length
+   * @returns {Promise<Object>} Income statement
+   */
+  incomeStatement: authorize(statementGuards, async (_, args) => {
+    const data = validateInput(args, statementSchema.period);
+    return { ...data, branchId: data.branchId || null, ...(await getIncomeStatement(data)) };
+  })
+};
+
+module.exports = {
+  Query,
+  statementScope
+};
@@ -0,0 +1,303 @@
+/**
+ * @fileoverview Transaction queries, mutations and field resolvers
+ * @module graphql/resolvers/transactionResolvers
+ */
+
+const Transaction = require('../../models/Transaction');
+const Organization = require('../../models/Organization');
+const Branch = require('../../models/Branch');
+const Employee = require('../../models/Employee');
+const Vendor = require('../../models/Vendor');
+const logger = require('../../config/logger');
+const { authorize, requireAll, requireScope } = require('../../middleware/rbac');
+const { PERMISSIONS } = require('../../constants/permissions');
+const { ConflictError } = require('../../handles/errors');
+const { assertAuthorized, scopeFilter } = require('../../handles/permissions');
+const { validateInput } = require('../../handles/validation');
+const { recordTransaction } = require('../../utils/journalPosting');
+const {
+  TRANSACTION_SCOPE_PATHS,
+  transactionScope,
+  resolveTransactionBranch,
+  resolveTransactionOrganization
+} = require('../../utils/transactionScope');
+const {
+  EDITABLE_STATUSES,
+  transitionExpense,
+  submitExpense,
+  decideExpense
+} = require('../../utils/expenseWorkflow');
+const { isVendorPurchase, assertDueDateApplies, defaultDueDate } = require('../../utils/payablesAging');
+const transactionSchema = require('../../schemas/transactionSchema');
+const { findByIdOrThrow, findById, paginate, resolveRef } = require('./helpers');
+const {
+  loadExpense,
+  requireExpenseOwnership,
+  requireStepAuthority,
+  requireTransactionReview
+} = require('./expenseGuards');
+
+/**
+ * Model backing each reference type
+ * @type {Object<string, mongoose.Model>}
+ */
+const REFERENCE_MODELS = {
+  employee: Employee,
+  branch: Branch,
+  vendor: Vendor,
+  organization: Organization
+};
+
+/**
+ * Build a Mongo filter from the GraphQL transaction filter
+ * @param {Object} filter - Validated TransactionFilterInput
+ * @returns {Object} Mongo query
+ */
+const buildTransactionQuery = (filter) => {
+  const query = {};
+
+  if (filter.type) {
+    query.type = filter.type;
+  }
+  if (filter.status) {
+    query.status = filter.status;
+  }
+  if (filter.refType) {
+    query['reference.refType'] = filter.refType;
+  }
+  if (filter.refId) {
+    query['reference.refId'] = filter.refId;
+  }
+  if (filter.branchId) {
+    query.branch = filter.branchId;
+  }
+  if (filter.category) {
+    query.category = filter.category;
+  }
+  if (filter.from || filter.to) {
+    query.createdAt = {
+      ...(filter.from && { $gte: filter.from }),
+      ...(filter.to && { $lte: filter.to })
+    };
+  }
+
+  return query;
+};
+
+/**
+ * Resolver moving an expense through the workflow
+ * @param {Function} move - (transaction, user, reason) => Promise<transaction>
+ * @param {Joi.ObjectSchema} schema - Schema validating { reason }
+ * @returns {Function} Resolver
+ */
+const workflowResolver = (move, schema = transactionSchema.transition) => async (_, { id, reason }, { user }) => {
+  const data = validateInput({ reason }, schema);
+  const transaction = await loadExpense(id);
+  return move(transaction, user, data.reason);
+};
+
+const Query = {
+  /**
+   * Get a single transaction; an employee's manager, or whoever stands in for
+   * them, may review the employee's expenses from outside their own scope
+   * @returns {Promise<Object|null>} Transaction or null
+   */
+  transaction: authorize([
+    requireAll(PERMISSIONS.VIEW_TRANSACTION),
+    requireTransactionReview()
+  ], async (_, { id }) => findById(Transaction, id)),
+
+  /**
+   * List transactions matching a filter within the caller's scope, newest first
+   * @returns {Promise<Array>} Transactions
+   */
+  transactions: authorize(requireAll(PERMISSIONS.VIEW_TRANSACTION), async (_, { filter, pagination }, { user }) => {
+    const data = validateInput(filter, transactionSchema.filter);
+    const query = { ...buildTransactionQuery(data), ...scopeFilter(user, TRANSACTION_SCOPE_PATHS) };
+    return paginate(Transaction.find(query).sort({ createdAt: -1 }), pagination);
+  })
+};
+
+const Mutation = {
+  /**
+   * Record a transaction against an employee, branch, vendor or organization;
+   * all but employee expenses are posted to the journal as they are recorded
+   * @returns {Promise<Object>} Created transaction
+   */
+  createTransaction: authorize(requireAll(PERMISSIONS.CREATE_TRANSACTION), async (_, { input }, { user }) => {
+    const data = validateInput(input, transactionSchema.create);
+    assertDueDateApplies(data.refType, data.type, data.dueDate);
+    const entity = await findByIdOrThrow(REFERENCE_MODELS[data.refType], data.refId, data.refType);
+
+    if (data.branchId) {
+      await findByIdOrThrow(Branch, data.branchId, 'Branch');
+    }
+
+    const branch = resolveTransactionBranch(data.refType, entity, data.branchId);
+    const organization = await resolveTransactionOrganization(data.refType, entity, branch);
+    assertAuthorized(user, PERMISSIONS.CREATE_TRANSACTION, {
+      branch,
+      organization,
+      owner: data.refType === 'employee' ? entity._id : null
+    });
+
+    const fields = {
+      amount: data.amount,
+      type: data.type,
+      reference: { refType: data.refType, refId: entity._id },
+      branch,
+      description: data.description,
+      category: data.category,
+      dueDate: isVendorPurchase(data.refType, data.type) ? data.dueDate || defaultDueDate() : undefined,
+      createdBy: user.employeeId
+    };
+
+    // Expenses start as editable drafts, sealed on submission and posted on approval
+    const transaction = data.refType === 'employee'
+      ? await Transaction.create({ ...fields, organization, status: 'draft' })
+      : await recordTransaction(fields, organization, user.employeeId);
+
+    // Keep the denormalized reference arrays on Employee/Vendor in step
+    if (data.refType === 'employee') {
+      await Employee.updateOne({ _id: entity._id }, { $addToSet: { expenses: transaction._id } });
+    } else if (data.refType === 'vendor') {
+      await Vendor.updateOne({ _id: entity._id }, { $addToSet: { transactions: transaction._id } });
+    }
+
+    logger.info(`Transaction ${transaction.transactionId} created by ${user.userId}`);
+    return transaction;
+  }, { audit: { action: 'create', resource: 'Transaction' } }),
+
+  /**
+   * Update a draft expense; once a transaction is sealed into the ledger
+   * chain (pending transactions and submitted expenses) none of its recorded
+   * fields may change
+   * @returns {Promise<Object>} Updated transaction
+   * @throws {ConflictError} When the transaction is past draft/pending, or a sealed field would change
+   */
+  updateTransaction: authorize([
+    requireAll(PERMISSIONS.UPDATE_TRANSACTION),
+    requireScope(async ({ id }) => transactionScope(await findByIdOrThrow(Transaction, id, 'Transaction')))
+  ], async (_, { id, input }, { user }) => {
+    const data = validateInput(input, transactionSchema.update);
+    const transaction = await findByIdOrThrow(Transaction, id, 'Transaction');
+
+    if (!EDITABLE_STATUSES.includes(transaction.status)) {
+      throw new ConflictError(`Cannot update a ${transaction.status} transaction`);
+    }
+
+    // Every recorded field is sealed by the ledger hash chain; corrections are new transactions
+    const sealed = Object.keys(data).filter(field => Transaction.HASHED_FIELDS.includes(field) &&
+      JSON.stringify(data[field]) !== JSON.stringify(transaction[field]));
+    if (transaction.hash && sealed.length > 0) {
+      throw new ConflictError(
+        `Cannot change ${sealed.join(', ')} of a sealed transaction; reject it and record a new one`
+      );
+    }
+
+    assertDueDateApplies(transaction.reference.refType, data.type || transaction.type, data.dueDate);
+    Object.assign(transaction, data, { updatedBy: user.employeeId });
+    await transaction.save();
+
+    logger.info(`Transaction ${transaction.transactionId} updated by ${user.userId}`);
+    return transaction;
+  }, { audit: { action: 'update', resource: 'Transaction' } }),
+
+  /**
+   * Submit a draft expense for approval (the expense's own employee)
+   * @returns {Promise<Object>} Submitted transaction
+   * @throws {ConflictError} When the expense is not a draft
+   */
+  submitTransaction: authorize(
+    [requireAll(PERMISSIONS.CREATE_TRANSACTION), requireExpenseOwnership()],
+    workflowResolver(submitExpense),
+    { audit: { action: 'submit', resource: 'Transaction' } }
+  ),
+
+  /**
+   * Approve the current step of a submitted expense (its approver, the approver's
+   * delegate, or an Admin); the expense is approved once every step is.
+   * Naming the approver already pins who may decide, so no branch scope applies,
+   * and a delegate needs no APPROVE_TRANSACTION of their own.
+   * @returns {Promise<Object>} Updated transaction
+   * @throws {ConflictError} When the expense is not submitted
+   * @throws {AuthorizationError} On self-approval or when the caller is not the step's approver
+   */
+  approveTransaction: authorize(
+    requireStepAuthority(PERMISSIONS.APPROVE_TRANSACTION),
+    workflowResolver((transaction, user, reason) => decideExpense(transaction, user, 'approved', reason)),
+    { audit: { action: 'approve', resource: 'Transaction' } }
+  ),
+
+  /**
+   * Reject a submitted expense at its current step, with a reason
+   * @returns {Promise<Object>} Rejected transaction
+   * @throws {ConflictError} When the expense is not submitted
+   * @throws {AuthorizationError} On self-rejection or when the caller is not the step's approver
+   */
+  rejectTransaction: authorize(
+    requireStepAuthority(PERMISSIONS.REJECT_TRANSACTION),
+    workflowResolver(
+      (transaction, user, reason) => decideExpense(transaction, user, 'rejected', reason),
+      transactionSchema.rejection
+    ),
+    { audit: { action: 'reject', resource: 'Transaction' } }
+  ),
+
+  /**
+   * Mark an approved expense within the caller's scope as paid out
+   * @returns {Promise<Object>} Settled transaction
+   * @throws {ConflictError} When the expense is not approved
+   */
+  settleTransaction: authorize(
+    [
+      requireAll(PERMISSIONS.SETTLE_TRANSACTION),
+      requireScope(async ({ id }) => transactionScope(await findByIdOrThrow(Transaction, id, 'Transaction')))
+    ],
+    workflowResolver((transaction, user, reason) => transitionExpense(transaction, 'settled', user, reason)),
+    { audit: { action: 'settle', resource: 'Transaction' } }
+  )
+};
+
+const TransactionType = {
+  branch: authorize(requireAll(PERMISSIONS.VIEW_BRANCH), async (transaction) =>
+    resolveRef(Branch, transaction.branch)
+  ),
+  createdBy: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (transaction) =>
+    resolveRef(Employee, transaction.createdBy)
+  ),
+  submittedBy: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (transaction) =>
+    resolveRef(Employee, transaction.submittedBy)
+  )
+};
+
+const ApprovalStep = {
+  approver: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (step) =>
+    resolveRef(Employee, step.approver)
+  ),
+  decidedBy: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (step) =>
+    resolveRef(Employee, step.decidedBy)
+  ),
+  onBehalfOf: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (step) =>
+    resolveRef(Employee, step.onBehalfOf)
+  )
+};
+
+const StatusTransition = {
+  by: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (transition) =>
+    resolveRef(Employee, transition.by)
+  ),
+  onBehalfOf: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (transition) =>
+    resolveRef(Employee, transition.onBehalfOf)
+  )
+};
+
+module.exports = {
+  Query,
+  Mutation,
+  Transaction: TransactionType,
+  StatusTransition,
+  ApprovalStep,
+  buildTransactionQuery,
+  REFERENCE_MODELS
+};
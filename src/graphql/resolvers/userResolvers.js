@@ -0,0 +1,115 @@
+/**
+ * @fileoverview User account queries and mutations
+ * @module graphql/resolvers/userResolvers
+ */
+
+const User = require('../../models/User');
+const Employee = require('../../models/Employee');
+const Branch = require('../../models/Branch');
+const Vendor = require('../../models/Vendor');
+const logger = require('../../config/logger');
+const { authorize, requireAll } = require('../../middleware/rbac');
+const { PERMISSIONS, getPermissionsForRole } = require('../../constants/permissions');
+const { ConflictError } = require('../../handles/errors');
+const { assertAuthorized } = require('../../handles/permissions');
+const { validateInput } = require('../../handles/validation');
+const { ensureRolesLoaded } = require('../../utils/roleRegistry');
+const userSchema = require('../../schemas/userSchema');
+const { assertCanGrant, findByIdOrThrow, findById, paginate, resolveRef } = require('./helpers');
+const { organizationUsersFilter, requireOwnOrganization, userOrganization } = require('./organizationReach');
+
+/**
+ * Ensure the caller may hand out a login for an employee: the employee must
+ * be within their reach, and the login carries the employee's role and
+ * grants, so the caller must hold every permission those give
+ * @async
+ * @param {Object} user - User from context
+ * @param {string} employeeId - Employee the login is for
+ * @returns {Promise<void>} Resolves when the login may be created
+ * @throws {NotFoundError} When the employee or their branch does not exist
+ * @throws {AuthorizationError} When the employee is out of scope or holds more than the caller
+ */
+const assertCanCreateLogin = async (user, employeeId) => {
+  const employee = await findByIdOrThrow(Employee, employeeId, 'Employee');
+  const branch = await findByIdOrThrow(Branch, employee.branch, 'Branch');
+  assertAuthorized(user, PERMISSIONS.CREATE_EMPLOYEE, {
+    branch: employee.branch,
+    organization: branch.organization,
+    owner: employee._id
+  });
+
+  await ensureRolesLoaded();
+  assertCanGrant(user, [
+    ...getPermissionsForRole(employee.designation, branch.organization),
+    ...(employee.permissions || [])
+  ]);
+};
+
+const Query = {
+  /**
+   * Get a single user account of the caller's organization
+   * @returns {Promise<Object|null>} User or null
+   */
+  user: authorize([
+    requireAll(PERMISSIONS.VIEW_EMPLOYEE),
+    requireOwnOrganization(userOrganization)
+  ], async (_, { id }) => findById(User, id)),
+
+  /**
+   * List user accounts of the caller's organization sorted by username
+   * @returns {Promise<Array>} Users
+   */
+  users: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (_, { pagination }, { user }) =>
+    paginate(User.find(await organizationUsersFilter(user)).sort({ username: 1 }), pagination)
+  )
+};
+
+const Mutation = {
+  /**
+   * Create a login for an existing employee within the caller's reach, or a
+   * vendor portal login; vendor logins also need UPDATE_VENDOR over the vendor
+   * @returns {Promise<Object>} Created user
+   * @throws {ConflictError} When the username, employee or vendor already has an account
+   */
+  createUser: authorize(requireAll(PERMISSIONS.CREATE_EMPLOYEE), async (_, { input }, { user }) => {
+    const data = validateInput(input, userSchema.create);
+
+    if (data.vendorId) {
+      const vendor = await findByIdOrThrow(Vendor, data.vendorId, 'Vendor');
+      assertAuthorized(user, PERMISSIONS.UPDATE_VENDOR, { branch: vendor.branch, vendor: vendor._id });
+    } else {
+      await assertCanCreateLogin(user, data.employeeId);
+    }
+
+    if (await User.exists({ username: data.username })) {
+      throw new ConflictError(`Username ${data.username} is already taken`);
+    }
+    if (data.employeeId && await User.exists({ employee: data.employeeId })) {
+      throw new ConflictError('Employee already has a user account');
+    }
+    if (data.vendorId && await User.exists({ vendor: data.vendorId })) {
+      throw new ConflictError('Vendor already has a user account');
+    }
+
+    const created = await User.create({
+      username: data.username,
+      password: data.password,
+      employee: data.employeeId,
+      vendor: data.vendorId
+    });
+
+    logger.info(`User ${created._id} created by ${user.userId}`);
+    return created;
+  }, { audit: { action: 'create', resource: 'User' } })
+};
+
+const UserType = {
+  employee: authorize(requireAll(PERMISSIONS.VIEW_EMPLOYEE), async (account) =>
+    resolveRef(Employee, account.employee)
+  ),
+  vendor: authorize(requireAll(PERMISSIONS.VIEW_VENDOR), async (account) =>
+    resolveRef(Vendor, account.vendor)
+  )
+};
+
+module.exports = { Query, Mutation, User: UserType };
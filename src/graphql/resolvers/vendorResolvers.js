@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Vendor queries, mutations and field resolvers
+ * @module graphql/resolvers/vendorResolvers
+ */
+
+const Vendor = require('../../models/Vendor');
+const Branch = require('../../models/Branch');
+const Transaction = require('../../models/Transaction');
+const User = require('../../models/User');
+const logger = require('../../config/logger');
+const { authorize, requireAll, requireScope } = require('../../middleware/rbac');
+const { PERMISSIONS } = require('../../constants/permissions');
+const { AuthorizationError, ConflictError } = require('../../handles/errors');
+const { assertAuthorized, isOwnVendor } = require('../../handles/permissions');
+const { validateInput, validateDateRange } = require('../../handles/validation');
+const { revokeAllSessions } = require('../../utils/session');
+const vendorSchema = require('../../schemas/vendorSchema');
+const { findByIdOrThrow, findById, paginate, resolveRef } = require('./helpers');
+
+/**
+ * Where a vendor sits, for scoped permission checks; vendors without a
+ * branch are shared and only reachable organization-wide
+ * @async
+ * @param {Object} args - Resolver args with the vendor's `id` or `vendorId`
+ * @returns {Promise<Object>} { branch, vendor }
+ * @throws {NotFoundError} When the vendor does not exist
+ */
+const vendorScope = async ({ id, vendorId }) => {
+  const vendor = await findByIdOrThrow(Vendor, id || vendorId, 'Vendor');
+  return { branch: vendor.branch, vendor: vendor._id };
+};
+
+/**
+ * Keep vendor sessions away from other vendors
+ * @param {Object} user - User from context
+ * @param {string} vendorId - Vendor being looked at
+ * @returns {void}
+ * @throws {AuthorizationError} When a vendor session asks about another vendor
+ */
+const assertOwnVendor = (user, vendorId) => {
+  if (!isOwnVendor(user, vendorId)) {
+    throw new AuthorizationError('Vendor accounts can only access their own vendor');
+  }
+};
+
+const Query = {
+  /**
+   * Get a single vendor
+   * @returns {Promise<Object|null>} Vendor or null
+   */
+  vendor: authorize(requireAll(PERMISSIONS.VIEW_VENDOR), async (_, { id }, { user }) => {
+    assertOwnVendor(user, id);
+    return findById(Vendor, id);
+  }),
+
+  /**
+   * List vendors sorted by name; a vendor session only sees its own
+   * @returns {Promise<Array>} Vendors
+   */
+  vendors: authorize(requireAll(PERMISSIONS.VIEW_VENDOR), async (_, { pagination }, { user }) =>
+    paginate(Vendor.find(user.vendorId ? { _id: user.vendorId } : {}).sort({ name: 1 }), pagination)
+  ),
+
+  /**
+   * Vendor transactions within a date range, newest first
+   * @returns {Promise<Array>} Transactions
+   */
+  vendorLedger: authorize([
+    requireAll(PERMISSIONS.VIEW_TRANSACTION),
+    requireScope(vendorScope)
+  ], async (_, { vendorId, from, to }) => {
+    const vendor = await findByIdOrThrow(Vendor, vendorId, 'Vendor');
+    const range = validateDateRange(from, to);
+    return vendor.getLedger(range.from, range.to);
+  }),
+
+  /**
+   * Amount currently owed to a vendor
+   * @returns {Promise<number>} Outstanding balance
+   */
+  vendorBalance: authorize(requireAll(PERMISSIONS.VIEW_VENDOR), async (_, { vendorId }, { user }) => {
+    assertOwnVendor(user, vendorId);
+    const vendor = await findByIdOrThrow(Vendor, vendorId, 'Vendor');
+    return vendor.getOutstandingBalance();
+  })
+};
+
+const Mutation = {
+  /**
+   * Register a vendor
+   * @returns {Promise<Object>} Created vendor
+   */
+  createVendor: authorize([
+    requireAll(PERMISSIONS.CREATE_VENDOR),
+    requireScope(async ({ input }) => ({ branch: input.branchId }))
+  ], async (_, { input }, { user }) => {
+    const data = validateInput(input, vendorSchema.create);
+
+    if (data.branchId) {
+      await findByIdOrThrow(Branch, data.branchId, 'Branch');
+    }
+
+    const vendor = await Vendor.create({
+      name: data.name,
+      branch: data.branchId,
+      contactInfo: data.contactInfo,
+      bankDetails: data.bankDetails
+    });
+
+    logger.info(`Vendor ${vendor._id} created by ${user.userId}`);
+    return vendor;
+  }, { audit: { action: 'create', resource: 'Vendor' } }),
+
+  /**
+   * Update vendor name or contact info
+   * @returns {Promise<Object>} Updated vendor
+   */
+  updateVendor: authorize([
+    requireAll(PERMISSIONS.UPDATE_VENDOR),
+    requireScope(vendorScope)
+  ], async (_, { id, input }, { user }) => {
+    const data = validateInput(input, vendorSchema.update);
+    const vendor = await findByIdOrThrow(Vendor, id, 'Vendor');
+
+    if (data.name) {
+      vendor.name = data.name;
+    }
+    if (data.branchId !== undefined) {
+      // Handing a vendor to another branch (or sharing it) must be allowed there too
+      assertAuthorized(user, PERMISSIONS.UPDATE_VENDOR, { branch: data.branchId });
+      if (data.branchId) {
+        await findByIdOrThrow(Branch, data.branchId, 'Branch');
+      }
+      vendor.branch = data.branchId;
+    }
+    if (data.contactInfo) {
+      vendor.contactInfo = { ...vendor.contactInfo?.toObject?.(), ...data.contactInfo };
+    }
+    if (data.bankDetails) {
+      vendor.bankDetails = { ...vendor.bankDetails?.toObject?.(), ...data.bankDetails };
+    }
+    await vendor.save();
+
+    logger.info(`Vendor ${id} updated by ${user.userId}`);
+    return vendor;
+  }, { audit: { action: 'update', resource: 'Vendor' } }),
+
+  /**
+   * Delete a vendor with no recorded transactions
+   * @returns {Promise<boolean>} True when deleted
+   * @throws {ConflictError} When transactions reference the vendor
+   */
+  deleteVendor: authorize(requireAll(PERMISSIONS.DELETE_VENDOR), async (_, { id }, { user }) => {
+    const vendor = await findByIdOrThrow(Vendor, id, 'Vendor');
+
+    const hasTransactions = await Transaction.exists({
+      'reference.refType': 'vendor',
+      'reference.refId': vendor._id
+    });
+    if (hasTransactions) {
+      throw new ConflictError('Vendor has recorded transactions');
+    }
+
+    await vendor.deleteOne();
+
+    // The vendor's portal account can no longer sign in; end its open sessions too
+    const account = await User.findOne({ vendor: vendor._id });
+    if (account) {
+      await revokeAllSessions(account._id, { reason: 'vendor deleted', revokedBy: user.userId });
+    }
+
+    logger.info(`Vendor ${id} deleted by ${user.userId}`);
+    return true;
+  }, { audit: { action: 'delete', resource: 'Vendor' } })
+};
+
+const VendorType = {
+  branch: authorize(requireAll(PERMISSIONS.VIEW_BRANCH), async (vendor) =>
+    resolveRef(Branch, vendor.branch)
+  )
+};
+
+module.exports = { Query, Mutation, Vendor: VendorType };
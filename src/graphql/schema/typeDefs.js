@@ -0,0 +1,43 @@
+/**
+ * @fileoverview GraphQL schema composition from per-entity type files
+ * @module graphql/schema/typeDefs
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Type files in load order; base.graphql declares the root types every
+ * other file extends, so it must come first
+ * @type {Array<string>}
+ */
+const TYPE_FILES = [
+  'base',
+  'organization',
+  'branch',
+  'employee',
+  'vendor',
+  'transaction',
+  'invoice',
+  'ledger',
+  'statement',
+  'report',
+  'delegation',
+  'accessGrant',
+  'role',
+  'user',
+  'auth',
+  'audit'
+];
+
+/**
+ * Read and concatenate all type definition files
+ * @returns {Array<string>} SDL strings, one per type file
+ */
+const loadTypeDefs = () => TYPE_FILES.map(name =>
+  fs.readFileSync(path.join(__dirname, 'types', `${name}.graphql`), 'utf8')
+);
+
+const typeDefs = loadTypeDefs();
+
+module.exports = { typeDefs, TYPE_FILES };
@@ -88,6 +88,17 @@ class DatabaseError extends CustomError {
   }
 }
 
+/**
+ * Integrity error - stored records contradict each other (e.g. an unbalanced ledger)
+ * @class IntegrityError
+ * @extends CustomError
+ */
+class IntegrityError extends CustomError {
+  constructor(message = 'Data integrity check failed') {
+    super(message, 500, 'INTEGRITY_ERROR');
+  }
+}
+
 /**
  * Format and handle errors for GraphQL
  * @param {Error} error - The error to handle
@@ -140,13 +151,17 @@ const errorHandler = (error, context = {}) => {
 };
 
 /**
- * Wrapper for async functions to catch errors
+ * Wrapper for async functions to catch errors, thrown or rejected
  * @param {Function} fn - Async function to wrap
- * @returns {Function} Wrapped function
+ * @returns {Function} Wrapped function, resolving once fn or next has run
  */
 const asyncHandler = (fn) => {
-  return (req, res, next) => {
-    Promise.resolve(fn(req, res, next)).catch(next);
+  return async (req, res, next) => {
+    try {
+      return await fn(req, res, next);
+    } catch (error) {
+      return next(error);
+    }
   };
 };
 
@@ -158,6 +173,7 @@ module.exports = {
   NotFoundError,
   ConflictError,
   DatabaseError,
+  IntegrityError,
   errorHandler,
   asyncHandler
 };
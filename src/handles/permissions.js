@@ -6,47 +6,185 @@
 const logger = require('../config/logger');
 const { AuthorizationError } = require('./errors');
 const { hasPermission } = require('../constants/permissions');
+const { SCOPES, getScopeForRole } = require('../constants/roles');
+
+/**
+ * Compare two IDs that may be strings or ObjectIds
+ * @param {*} a - First ID
+ * @param {*} b - Second ID
+ * @returns {boolean} True when both are set and equal
+ */
+const sameId = (a, b) => Boolean(a) && Boolean(b) && a.toString() === b.toString();
+
+/**
+ * Check whether a resource is within the user's reach
+ * Admins reach everything. Organization-scoped roles reach resources of their
+ * own organization. BranchManagers reach resources of their own branch, or of
+ * their organization when the resource has no branch.
+ * Everyone reaches what they own. A vendor session reaches only its own
+ * vendor's records, whatever its role.
+ * @param {Object} user - User object from context (branchId, organizationId loaded by middleware/context)
+ * @param {Object} resource - Where the resource sits: { branch, organization, owner, vendor }
+ * @returns {boolean} True if in scope
+ */
+const isInScope = (user, resource) => {
+  if (user.vendorId) {
+    return sameId(resource.vendor, user.vendorId);
+  }
+
+  const scope = getScopeForRole(user.designation, user.organizationId);
+
+  if (scope === SCOPES.GLOBAL) {
+    return true;
+  }
+  if (sameId(resource.owner, user.employeeId)) {
+    return true;
+  }
+  if (scope === SCOPES.ORGANIZATION) {
+    return sameId(resource.organization, user.organizationId);
+  }
+  if (scope === SCOPES.BRANCH) {
+    if (resource.branch) {
+      return sameId(resource.branch, user.branchId);
+    }
+    return sameId(resource.organization, user.organizationId);
+  }
+
+  return false;
+};
+
+/**
+ * Find the temporary access grant lending a user a permission they do not
+ * otherwise hold ("break-glass", see models/AccessGrant)
+ * Grants are loaded into `user.accessGrants` when the request context is
+ * built (see middleware/context); the expiry is re-checked here so a grant
+ * lapses on time without anyone revoking it.
+ * @param {Object} user - User object
+ * @param {string} permission - Permission needed
+ * @param {Date} at - Point in time (defaults to now)
+ * @returns {Object|null} Matching grant { id, permissions, startsAt, expiresAt } or null
+ */
+const findAccessGrant = (user, permission, at = new Date()) => {
+  if (!user || !Array.isArray(user.accessGrants)) {
+    return null;
+  }
+
+  return user.accessGrants.find(grant =>
+    grant.permissions.includes(permission) &&
+    new Date(grant.startsAt) <= at &&
+    new Date(grant.expiresAt) > at
+  ) || null;
+};
 
 /**
  * Check if user is authorized to perform an action
+ * The permission must be among the user's effective permissions (role plus
+ * grants minus denies, see middleware/context) or lent by an active access
+ * grant (see findAccessGrant). Without a resource nothing else is checked;
+ * with one, it must also be within the user's scope (see isInScope).
  * @param {Object} user - User object from context
  * @param {string} permission - Permission to check
- * @param {string} resourceId - Resource ID for ownership checks (optional)
+ * @param {Object} resource - Where the resource sits: { branch, organization, owner, vendor } (optional)
  * @returns {boolean} True if authorized
  */
-const isAuthorized = (user, permission, resourceId = null) => {
+const isAuthorized = (user, permission, resource = null) => {
   if (!user || !user.designation) {
     logger.warn('Unauthorized: No user or designation');
     return false;
   }
 
-  // Check if user has the permission
-  if (!hasPermission(user.designation, permission)) {
+  // Effective permissions are loaded into the context; fall back to the role matrix
+  const granted = Array.isArray(user.permissions)
+    ? user.permissions.includes(permission)
+    : hasPermission(user.designation, permission, user.organizationId);
+  if (!granted && !findAccessGrant(user, permission)) {
     logger.warn(`Unauthorized: ${user.userId} lacks permission: ${permission}`);
     return false;
   }
 
+  if (resource && !isInScope(user, resource)) {
+    logger.warn(`Unauthorized: ${user.userId} has ${permission} but not over this resource`);
+    return false;
+  }
+
   return true;
 };
 
 /**
- * Middleware to require a specific permission
+ * Throw unless the user may act on a resource
+ * @param {Object} user - User object from context
+ * @param {string} permission - Permission to check
+ * @param {Object} resource - Where the resource sits: { branch, organization, owner }
+ * @returns {void}
+ * @throws {AuthorizationError} When the permission is missing or the resource is out of scope
+ */
+const assertAuthorized = (user, permission, resource) => {
+  if (!isAuthorized(user, permission, resource)) {
+    throw new AuthorizationError(`Insufficient permissions. Required: ${permission} over this resource`);
+  }
+};
+
+/**
+ * Mongo conditions restricting a list query to the user's scope
+ * @param {Object} user - User object from context
+ * @param {Object} paths - Document paths holding the scope: { branch, organization, owner, vendor }
+ * @returns {Object} Mongo filter; empty for global reach, matching nothing when the user reaches nothing
+ * @example Transaction.find({ ...query, ...scopeFilter(user, { branch: 'branch', owner: 'reference.refId' }) })
+ */
+const scopeFilter = (user, paths) => {
+  if (user.vendorId) {
+    return paths.vendor ? { [paths.vendor]: user.vendorId } : { _id: null };
+  }
+
+  const scope = getScopeForRole(user.designation, user.organizationId);
+
+  if (scope === SCOPES.GLOBAL) {
+    return {};
+  }
+
+  const reach = [];
+  if (paths.owner && user.employeeId) {
+    reach.push({ [paths.owner]: user.employeeId });
+  }
+  if (scope === SCOPES.BRANCH && paths.branch && user.branchId) {
+    reach.push({ [paths.branch]: user.branchId });
+  }
+  if (scope === SCOPES.ORGANIZATION && paths.organization && user.organizationId) {
+    reach.push({ [paths.organization]: user.organizationId });
+  }
+  if (scope === SCOPES.BRANCH && paths.organization && user.organizationId) {
+    reach.push({ ...(paths.branch && { [paths.branch]: null }), [paths.organization]: user.organizationId });
+  }
+
+  return reach.length > 0 ? { $or: reach } : { _id: null };
+};
+
+/**
+ * Check a vendor session only looks at its own vendor; employee sessions always pass
+ * @param {Object} user - User object from context
+ * @param {*} vendorId - Vendor being accessed
+ * @returns {boolean} True when the vendor is visible to the user
+ */
+const isOwnVendor = (user, vendorId) => !user?.vendorId || sameId(vendorId, user.vendorId);
+
+/**
+ * Wrap a resolver so it only runs for users holding a permission
+ * A plain, unaudited check; resolvers of the GraphQL API compose audited
+ * guards with middleware/rbac `authorize` instead.
  * @param {string} permission - Required permission
  * @param {Function} resolver - GraphQL resolver function
  * @returns {Function} Wrapped resolver
+ * @throws {AuthorizationError} From the wrapped resolver when the permission is missing
  */
-const requirePermission = (permission) => {
+const requirePermission = (permission, resolver) => {
   return (parent, args, context, info) => {
-    const { user } = context;
-
-    if (!isAuthorized(user, permission)) {
+    if (!isAuthorized(context?.user, permission)) {
       throw new AuthorizationError(
         `Insufficient permissions. Required: ${permission}`
       );
     }
 
-    // Call the original resolver
-    return info.fieldName;
+    return resolver(parent, args, context, info);
   };
 };
 
@@ -74,12 +212,36 @@ const isOwner = (user, resource) => {
 };
 
 /**
- * Check if user manages the employee
+ * Find the delegation letting a user act for another employee
+ * Delegations are loaded into `user.delegations` when the request context is
+ * built (see middleware/context); the time window is re-checked here.
+ * @param {Object} user - User object
+ * @param {string} employeeId - Employee whose authority is needed
+ * @param {string} scope - 'approvals' or 'all'
+ * @param {Date} at - Point in time (defaults to now)
+ * @returns {Object|null} Matching delegation or null
+ */
+const findDelegation = (user, employeeId, scope = 'all', at = new Date()) => {
+  if (!user || !employeeId || !Array.isArray(user.delegations)) {
+    return null;
+  }
+
+  return user.delegations.find(delegation =>
+    delegation.delegator === employeeId.toString() &&
+    (delegation.scope === 'all' || delegation.scope === scope) &&
+    new Date(delegation.startsAt) <= at &&
+    new Date(delegation.endsAt) > at
+  ) || null;
+};
+
+/**
+ * Check if user manages the employee, directly or as the manager's delegate
  * @param {Object} user - User object
  * @param {Object} employee - Employee object
+ * @param {string} scope - Delegation scope the check belongs to: 'approvals' or 'all'
  * @returns {boolean} True if user manages the employee
  */
-const isManager = (user, employee) => {
+const isManager = (user, employee, scope = 'all') => {
   if (!user || !employee) {
     return false;
   }
@@ -94,13 +256,24 @@ const isManager = (user, employee) => {
     return true;
   }
 
+  // User stands in for the manager
+  if (employee.manager && findDelegation(user, employee.manager, scope)) {
+    return true;
+  }
+
   return false;
 };
 
 module.exports = {
   isAuthorized,
+  isInScope,
+  assertAuthorized,
+  scopeFilter,
+  isOwnVendor,
   requirePermission,
   isOwner,
-  isManager
+  isManager,
+  findDelegation,
+  findAccessGrant
 };
 
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Input validation and sanitization helpers
+ * @module handles/validation
+ */
+
+const mongoose = require('mongoose');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Validate and sanitize input against a Joi schema
+ * Unknown keys are stripped and values are converted to schema types.
+ * @param {Object} data - Raw input
+ * @param {Object} schema - Joi schema
+ * @returns {Object} Sanitized value
+ * @throws {ValidationError} On the first failing field
+ * @example
+ * const input = validateInput(args.input, organizationSchema.create);
+ */
+const validateInput = (data, schema) => {
+  const { error, value } = schema.validate(data ?? {}, {
+    abortEarly: true,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const detail = error.details[0];
+    throw new ValidationError(detail.message, detail.path.join('.') || null);
+  }
+
+  return value;
+};
+
+/**
+ * Validate a MongoDB ObjectId
+ * @param {string} id - Candidate ID
+ * @param {string} field - Field name used in the error
+ * @returns {string} The ID, unchanged
+ * @throws {ValidationError} When the ID is missing or malformed
+ * @example validateObjectId(args.id, 'id');
+ */
+const validateObjectId = (id, field = 'id') => {
+  if (!id || !mongoose.Types.ObjectId.isValid(id) || String(id).length !== 24) {
+    throw new ValidationError(`Invalid ${field}`, field);
+  }
+  return id;
+};
+
+/**
+ * Normalize limit/offset pagination arguments
+ * @param {Object} pagination - { limit, offset } from GraphQL args
+ * @returns {{limit: number, offset: number}} Bounded values
+ * @example normalizePagination({ limit: 500 }) // => { limit: 100, offset: 0 }
+ */
+const normalizePagination = (pagination = {}) => {
+  const limit = Number.isInteger(pagination?.limit) && pagination.limit > 0
+    ? Math.min(pagination.limit, MAX_PAGE_SIZE)
+    : DEFAULT_PAGE_SIZE;
+  const offset = Number.isInteger(pagination?.offset) && pagination.offset > 0
+    ? pagination.offset
+    : 0;
+
+  return { limit, offset };
+};
+
+/**
+ * Validate an optional date range; missing bounds default to the epoch and now
+ * @param {Date|string} from - Range start
+ * @param {Date|string} to - Range end
+ * @returns {{from: Date, to: Date}} Parsed range
+ * @throws {ValidationError} When a bound is invalid or from is after to
+ * @example validateDateRange('2024-01-01', '2024-12-31');
+ */
+const validateDateRange = (from, to) => {
+  const start = from ? new Date(from) : new Date(0);
+  const end = to ? new Date(to) : new Date();
+
+  if (Number.isNaN(start.getTime())) {
+    throw new ValidationError('Invalid start date', 'from');
+  }
+  if (Number.isNaN(end.getTime())) {
+    throw new ValidationError('Invalid end date', 'to');
+  }
+  if (start > end) {
+    throw new ValidationError('Start date must be before end date', 'from');
+  }
+
+  return { from: start, to: end };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  validateInput,
+  validateObjectId,
+  normalizePagination,
+  validateDateRange
+};
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview AWS Lambda handler publishing the JWT verification keys
+ * Served at /.well-known/jwks.json so other services can verify access
+ * tokens without sharing a secret.
+ * @module jwks
+ */
+
+const logger = require('./config/logger');
+const { assertSecureConfig, getJwks } = require('./config/keys');
+
+// Fail the cold start rather than serve with an insecure configuration
+assertSecureConfig();
+
+/**
+ * AWS Lambda handler
+ * @returns {Promise<Object>} Lambda proxy response with the JWKS document
+ */
+const handler = async () => {
+  try {
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'public, max-age=300'
+      },
+      body: JSON.stringify(getJwks())
+    };
+  } catch (error) {
+    logger.error('Error building JWKS:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ error: 'Unable to load signing keys' })
+    };
+  }
+};
+
+module.exports = { handler };
@@ -4,27 +4,17 @@
  */
 
 const { ApolloServer } = require('apollo-server-lambda');
-const { buildAuthContext } = require('./middleware/auth');
+const { buildContext } = require('./middleware/context');
 const { errorHandler } = require('./handles/errors');
 const logger = require('./config/logger');
 const { connectDB } = require('./config/database');
+const Role = require('./models/Role');
+const { assertSecureConfig } = require('./config/keys');
 
-// Import GraphQL schema and resolvers
-// Note: These will be created in Phase 3
-// const { typeDefs, resolvers } = require('./graphql');
+const { schema } = require('./graphql');
 
-// Temporary schema until Phase 3
-const typeDefs = `
-  type Query {
-    health: String
-  }
-`;
-
-const resolvers = {
-  Query: {
-    health: () => 'OK'
-  }
-};
+// Fail the cold start rather than serve with an insecure configuration
+assertSecureConfig();
 
 /**
  * AWS Lambda handler
@@ -36,16 +26,17 @@ const handler = async (event, context) => {
   // Ensure DB connection is reused
   if (!context.mongooseConnection) {
     await connectDB();
+    // Built-in roles seed the Role collection on first start; existing roles are kept
+    await Role.seedBuiltIns();
     context.mongooseConnection = true;
   }
 
   // Build GraphQL context
-  const graphQLContext = buildAuthContext(event);
+  const graphQLContext = await buildContext(event);
 
   // Initialize Apollo Server
   const server = new ApolloServer({
-    typeDefs,
-    resolvers,
+    schema,
     context: () => graphQLContext,
     formatError: (err) => {
       logger.error('GraphQL error:', err);
@@ -4,18 +4,47 @@
  */
 
 const logger = require('../config/logger');
+const TokenRevocation = require('../models/TokenRevocation');
 const { verifyAccessToken, extractTokenFromHeader } = require('../utils/jwt');
 const { AuthenticationError } = require('../handles/errors');
 
+/**
+ * Verify an access token and make sure it has not been revoked
+ * @async
+ * @param {string} token - Raw JWT access token
+ * @returns {Promise<Object>} User info: userId, employeeId or vendorId, designation, and
+ *   the token's jti and exp so the session can revoke it (see utils/session logout)
+ * @throws {Error} When the signature is invalid or the token expired
+ * @throws {AuthenticationError} When the token was revoked
+ */
+const resolveTokenUser = async (token) => {
+  const decoded = verifyAccessToken(token);
+
+  if (await TokenRevocation.isRevoked(decoded)) {
+    throw new AuthenticationError('Token has been revoked');
+  }
+
+  return {
+    userId: decoded.userId,
+    employeeId: decoded.employeeId,
+    vendorId: decoded.vendorId,
+    designation: decoded.designation,
+    jti: decoded.jti,
+    exp: decoded.exp
+  };
+};
+
 /**
  * JWT authentication middleware for GraphQL
- * Extracts and verifies JWT token from request headers
+ * Extracts and verifies JWT token from request headers. The returned promise
+ * rejects on failure, so mount it through `asyncHandler` in Express.
+ * @async
  * @param {Object} req - Request object
  * @param {Object} res - Response object
  * @param {Function} next - Next middleware
- * @returns {Function} Middleware function
+ * @returns {Promise<void>} Resolves after calling next
  */
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization || req.headers.Authorization;
     const token = extractTokenFromHeader(authHeader);
@@ -24,42 +53,35 @@ const authenticate = (req, res, next) => {
       throw new AuthenticationError('No token provided');
     }
 
-    const decoded = verifyAccessToken(token);
-    
     // Attach user info to request
-    req.user = {
-      userId: decoded.userId,
-      employeeId: decoded.employeeId,
-      designation: decoded.designation
-    };
-
-    next();
+    req.user = await resolveTokenUser(token);
   } catch (error) {
     logger.warn('Authentication failed:', error.message);
+    if (error instanceof AuthenticationError) {
+      throw error;
+    }
     throw new AuthenticationError('Invalid or expired token');
   }
+
+  next();
 };
 
 /**
  * Optional authentication middleware
  * Attempts to authenticate but doesn't fail if token is missing
+ * @async
  * @param {Object} req - Request object
  * @param {Object} res - Response object
  * @param {Function} next - Next middleware
- * @returns {Function} Middleware function
+ * @returns {Promise<void>} Resolves after calling next
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization || req.headers.Authorization;
     const token = extractTokenFromHeader(authHeader);
 
     if (token) {
-      const decoded = verifyAccessToken(token);
-      req.user = {
-        userId: decoded.userId,
-        employeeId: decoded.employeeId,
-        designation: decoded.designation
-      };
+      req.user = await resolveTokenUser(token);
     }
   } catch (error) {
     logger.debug('Optional authentication failed:', error.message);
@@ -71,10 +93,11 @@ const optionalAuth = (req, res, next) => {
 
 /**
  * GraphQL context builder for authentication
+ * @async
  * @param {Object} event - Lambda event
- * @returns {Object} GraphQL context
+ * @returns {Promise<Object>} GraphQL context
  */
-const buildAuthContext = (event) => {
+const buildAuthContext = async (event) => {
   const context = { user: null, isAuthenticated: false };
 
   try {
@@ -85,19 +108,13 @@ const buildAuthContext = (event) => {
       return context;
     }
 
-    const decoded = verifyAccessToken(token);
-    
-    context.user = {
-      userId: decoded.userId,
-      employeeId: decoded.employeeId,
-      designation: decoded.designation
-    };
+    context.user = await resolveTokenUser(token);
     context.isAuthenticated = true;
 
     return context;
   } catch (error) {
     logger.debug('Auth context build failed:', error.message);
-    return context;
+    return { user: null, isAuthenticated: false };
   }
 };
 
@@ -106,4 +123,3 @@ module.exports = {
   optionalAuth,
   buildAuthContext
 };
-
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview GraphQL context builder
+ * @module middleware/context
+ */
+
+const { buildAuthContext } = require('./auth');
+const Delegation = require('../models/Delegation');
+const AccessGrant = require('../models/AccessGrant');
+const Employee = require('../models/Employee');
+const Vendor = require('../models/Vendor');
+const { getEffectivePermissions } = require('../constants/permissions');
+const { ensureRolesLoaded } = require('../utils/roleRegistry');
+
+/**
+ * Client IP address of a Lambda event
+ * API Gateway's sourceIp is preferred; the first X-Forwarded-For hop is the
+ * fallback (e.g. under serverless-offline).
+ * @param {Object} event - Lambda event
+ * @returns {string|null} IP address or null
+ */
+const getClientIp = (event) => {
+  const sourceIp = event?.requestContext?.identity?.sourceIp;
+  if (sourceIp) {
+    return sourceIp;
+  }
+
+  const forwarded = event?.headers?.['X-Forwarded-For'] || event?.headers?.['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : null;
+};
+
+/**
+ * Active delegations the user can act on, in the shape handles/permissions expects
+ * @async
+ * @param {Object} authUser - Authenticated user
+ * @returns {Promise<Array<Object>>} { delegator, scope, startsAt, endsAt }
+ */
+const loadDelegations = async (authUser) => {
+  if (!authUser.employeeId) {
+    return [];
+  }
+
+  const delegations = await Delegation.findActiveForDelegate(authUser.employeeId);
+  return delegations.map(delegation => ({
+    delegator: delegation.delegator.toString(),
+    scope: delegation.scope,
+    startsAt: delegation.startsAt,
+    endsAt: delegation.endsAt
+  }));
+};
+
+/**
+ * Active temporary access grants of the user, in the shape handles/permissions expects
+ * @async
+ * @param {Object} authUser - Authenticated user
+ * @returns {Promise<Array<Object>>} { id, permissions, startsAt, expiresAt }
+ */
+const loadAccessGrants = async (authUser) => {
+  if (!authUser.employeeId) {
+    return [];
+  }
+
+  const grants = await AccessGrant.findActiveForEmployee(authUser.employeeId);
+  return grants.map(grant => ({
+    id: grant._id.toString(),
+    permissions: grant.permissions,
+    startsAt: grant.startsAt,
+    expiresAt: grant.expiresAt
+  }));
+};
+
+/**
+ * The employee or vendor a session acts as, with the organization of its branch
+ * @param {Object} authUser - Authenticated user
+ * @returns {Promise<Object|null>} Employee or Vendor document, or null when neither is known
+ */
+const loadPrincipal = (authUser) => {
+  if (authUser.vendorId) {
+    return Vendor.findById(authUser.vendorId).select('branch').populate('branch', 'organization');
+  }
+  if (authUser.employeeId) {
+    return Employee.findById(authUser.employeeId)
+      .select('branch permissions deniedPermissions')
+      .populate('branch', 'organization');
+  }
+  return null;
+};
+
+/**
+ * What the user may do and where: effective permissions (role, including
+ * the organization's custom roles, plus individual grants minus denies) and
+ * the branch and organization they work in (or, for a vendor, deal with)
+ * @async
+ * @param {Object} authUser - Authenticated user
+ * @returns {Promise<Object>} { permissions, branchId, organizationId }; branch and organization null when unknown
+ */
+const loadAccess = async (authUser) => {
+  const principal = await loadPrincipal(authUser);
+  const organizationId = principal?.branch?.organization?.toString() || null;
+
+  // Custom roles must be cached before permissions are resolved from them
+  await ensureRolesLoaded();
+
+  return {
+    permissions: getEffectivePermissions(
+      authUser.designation,
+      principal?.permissions,
+      principal?.deniedPermissions,
+      organizationId
+    ),
+    branchId: principal?.branch?._id?.toString() || null,
+    organizationId
+  };
+};
+
+/**
+ * Build the per-request GraphQL context from a Lambda event
+ * The authenticated user is flagged with `isAuthenticated` so that resolver
+ * wrappers in middleware/rbac can check it without access to the full context,
+ * and carries their effective permissions, the branch and organization they
+ * work in, and the delegations and temporary access grants they currently hold.
+ * @async
+ * @param {Object} event - Lambda event
+ * @returns {Promise<Object>} Context with user, isAuthenticated, requestId and ip
+ * @example
+ * const context = await buildContext(event);
+ * // => { user: { userId, employeeId, vendorId, designation, permissions, branchId, organizationId,
+ * //              isAuthenticated: true, delegations: [], accessGrants: [] }, ... }
+ */
+const buildContext = async (event) => {
+  const auth = await buildAuthContext(event);
+
+  const user = auth.user
+    ? {
+      ...auth.user,
+      ...await loadAccess(auth.user),
+      isAuthenticated: true,
+      delegations: await loadDelegations(auth.user),
+      accessGrants: await loadAccessGrants(auth.user)
+    }
+    : null;
+
+  return {
+    user,
+    isAuthenticated: auth.isAuthenticated,
+    requestId: event?.requestContext?.requestId || null,
+    ip: getClientIp(event)
+  };
+};
+
+module.exports = { buildContext, getClientIp };
@@ -1,99 +1,328 @@
 /**
  * @fileoverview RBAC middleware for GraphQL resolvers
+ * Resolvers are wrapped with `authorize` and a chain of guards (permissions,
+ * scope, ownership, management or custom conditions), e.g.
+ * `authorize([requireAll(PERMISSIONS.VIEW_VENDOR), requireScope(vendorScope)], resolver)`.
  * @module middleware/rbac
  */
 
 const logger = require('../config/logger');
-const { isAuthorized, isOwner, isManager } = require('../handles/permissions');
+const { isAuthorized, isInScope, isOwner, isManager, findAccessGrant } = require('../handles/permissions');
+const { hasPermission } = require('../constants/permissions');
 const { AuthorizationError } = require('../handles/errors');
+const { recordAudit } = require('../utils/audit');
 
 /**
- * Middleware to wrap resolver with permission checks
- * @param {string} permission - Required permission
- * @param {Function} resolver - Resolver function
- * @param {Object} options - Additional options
- * @returns {Function} Wrapped resolver
+ * Record a denied attempt in the audit log
+ * @async
+ * @param {Object} context - GraphQL context
+ * @param {Object} info - GraphQL resolve info
+ * @param {Object} details - { permission, audit, args, reason }
+ * @returns {Promise<void>} Resolves once recorded
  */
-const withPermission = (permission, resolver, options = {}) => {
-  return async (parent, args, context, info) => {
-    const { user } = context;
+const auditDenied = async (context, info, { permission = null, audit = {}, args = {}, reason }) => {
+  await recordAudit(context, {
+    action: audit.action || 'access',
+    operation: info?.fieldName,
+    permission,
+    resourceType: audit.resource,
+    resourceId: audit.resourceId ? audit.resourceId(args) : args.id,
+    outcome: 'denied',
+    reason
+  });
+};
 
-    // Check authentication
-    if (!user || !user.isAuthenticated) {
-      throw new AuthorizationError('Authentication required');
-    }
+/**
+ * Build a guard: one named rule an authorized resolver checks before running
+ * @param {string} rule - Rule as reported by introspection, e.g. 'requireAll(view_branch)'
+ * @param {Array<string>} permissions - Permissions the rule asks for
+ * @param {Function} check - async ({ user, parent, args, context, info, required, elevated }) =>
+ *   null when allowed, else a denial { reason, message, permission }; permission checks add
+ *   the access grants they relied on to `elevated`, to be audited
+ * @returns {Object} Guard { rule, permissions, check }
+ */
+const createGuard = (rule, permissions, check) => ({ rule, permissions, check });
 
-    // Check permission
-    if (!isAuthorized(user, permission)) {
-      logger.warn(`Permission denied: ${user.userId} attempted ${permission}`);
-      throw new AuthorizationError(`Insufficient permissions. Required: ${permission}`);
-    }
+/**
+ * Permissions a chain of guards asks for, without duplicates
+ * @param {Array<Object>} guards - Guards
+ * @returns {Array<string>} Permissions
+ */
+const requiredPermissions = (guards) => [...new Set(guards.flatMap(guard => guard.permissions))];
 
-    // Check ownership if required
-    if (options.requireOwnership && args.id) {
-      // This would need to be implemented per resolver
-      // as each resource type has different ownership checks
-      logger.debug('Ownership check not implemented in general middleware');
-    }
+/**
+ * Which of the permissions a user holds only through a temporary access grant
+ * @param {Object} user - User from context
+ * @param {Array<string>} permissions - Permissions a passing check relied on
+ * @returns {Array<Object>} { permission, grant } for each permission lent by a grant
+ */
+const elevatedGrants = (user, permissions) => permissions
+  .filter(permission => !(Array.isArray(user.permissions)
+    ? user.permissions.includes(permission)
+    : hasPermission(user.designation, permission, user.organizationId)))
+  .map(permission => ({ permission, grant: findAccessGrant(user, permission) }))
+  .filter(({ grant }) => grant);
 
-    try {
-      return await resolver(parent, args, context, info);
-    } catch (error) {
-      logger.error('Resolver error:', error);
-      throw error;
-    }
-  };
+/**
+ * Audit each use of a permission lent by a temporary access grant
+ * @async
+ * @param {Object} context - GraphQL context
+ * @param {Object} info - GraphQL resolve info
+ * @param {Array<Object>} elevated - { permission, grant } from elevatedGrants
+ * @returns {Promise<void>} Resolves once recorded
+ */
+const recordElevatedAccess = async (context, info, elevated) => {
+  for (const { permission, grant } of elevated) {
+    logger.info(`Elevated access: ${context.user.userId} used ${permission} under grant ${grant.id}`);
+    await recordAudit(context, {
+      action: 'elevated_access',
+      operation: info?.fieldName,
+      permission,
+      resourceType: 'AccessGrant',
+      resourceId: grant.id,
+      outcome: 'success'
+    });
+  }
 };
 
 /**
- * Require user to be owner of the resource
- * @param {Function} getResource - Function to fetch resource
- * @param {Function} resolver - Resolver function
- * @returns {Function} Wrapped resolver
+ * Require every one of the permissions
+ * @param {...string} permissions - Required permissions
+ * @returns {Object} Guard
  */
-const withOwnershipCheck = (getResource, resolver) => {
-  return async (parent, args, context, info) => {
-    const { user } = context;
-    const resource = await getResource(args.id);
+const requireAll = (...permissions) => createGuard(`requireAll(${permissions.join(', ')})`, permissions, (request) => {
+  const { user } = request;
+  const missing = permissions.find(permission => !isAuthorized(user, permission));
+  if (!missing) {
+    request.elevated.push(...elevatedGrants(user, permissions));
+    return null;
+  }
+
+  logger.warn(`Permission denied: ${user.userId} attempted ${missing}`);
+  return {
+    reason: 'Insufficient permissions',
+    message: `Insufficient permissions. Required: ${missing}`,
+    permission: missing
+  };
+});
+
+/**
+ * Require at least one of the permissions
+ * @param {...string} permissions - Acceptable permissions
+ * @returns {Object} Guard
+ */
+const requireAny = (...permissions) => createGuard(`requireAny(${permissions.join(', ')})`, permissions, (request) => {
+  const { user } = request;
+  const held = permissions.find(permission => isAuthorized(user, permission));
+  if (held) {
+    request.elevated.push(...elevatedGrants(user, [held]));
+    return null;
+  }
+
+  logger.warn(`Permission denied: ${user.userId} attempted any of ${permissions.join(', ')}`);
+  return {
+    reason: 'Insufficient permissions',
+    message: `Insufficient permissions. Required one of: ${permissions.join(', ')}`,
+    permission: permissions.join(' | ')
+  };
+});
+
+/**
+ * Require the target to be within the user's branch/organization/ownership
+ * scope (see handles/permissions isInScope); a target that does not exist
+ * (null) is left to the resolver
+ * @param {Function} getResource - async (args, parent) => where the target sits:
+ *   { branch, organization, owner, vendor }
+ * @returns {Object} Guard
+ */
+const requireScope = (getResource) => createGuard('requireScope', [], async ({ user, args, parent, required }) => {
+  const resource = await getResource(args, parent);
+  if (!resource || isInScope(user, resource)) {
+    return null;
+  }
 
+  logger.warn(`Unauthorized: ${user.userId} has ${required.join(', ')} but not over this resource`);
+  return {
+    reason: 'Outside scope',
+    message: required.length > 0
+      ? `Insufficient permissions. Required: ${required.join(', ')} over this resource`
+      : 'Insufficient permissions over this resource'
+  };
+});
+
+/**
+ * Require the user to own the target (see handles/permissions isOwner)
+ * @param {Function} getResource - async (args, parent) => resource with userId or employeeId
+ * @returns {Object} Guard
+ * @throws {Error} From the check when the resource does not exist
+ */
+const requireOwnership = (getResource) => createGuard('requireOwnership', [], async ({ user, args, parent }) => {
+  const resource = await getResource(args, parent);
+  if (!resource) {
+    throw new Error('Resource not found');
+  }
+
+  return isOwner(user, resource) ? null : { reason: 'Not the owner', message: 'You do not own this resource' };
+});
+
+/**
+ * Require the user to manage the target, directly or through a delegation
+ * (see handles/permissions isManager)
+ * @param {Function} getResource - async (args, parent) => employee-like resource with a manager
+ * @param {Object} options - Additional options
+ * @param {string} options.scope - Delegation scope honored: 'approvals' or 'all' (default)
+ * @returns {Object} Guard
+ * @throws {Error} From the check when the resource does not exist
+ */
+const requireManagement = (getResource, options = {}) =>
+  createGuard('requireManagement', [], async ({ user, args, parent }) => {
+    const resource = await getResource(args, parent);
     if (!resource) {
       throw new Error('Resource not found');
     }
 
-    if (!isOwner(user, resource)) {
-      throw new AuthorizationError('You do not own this resource');
-    }
+    return isManager(user, resource, options.scope)
+      ? null
+      : { reason: 'Not the manager', message: 'You do not manage this resource' };
+  });
 
-    return resolver(parent, args, context, info);
-  };
-};
+/**
+ * Require a custom condition
+ * @param {string} rule - Name of the condition, reported by introspection and recorded as the denial reason
+ * @param {Function} predicate - async ({ user, parent, args, context, info }) => boolean
+ * @param {string} message - Error message when the condition fails
+ * @returns {Object} Guard
+ * @example requireThat('Not the delegator', ({ user, args }) => args.delegatorId === user.employeeId)
+ */
+const requireThat = (rule, predicate, message = 'You are not allowed to perform this action') =>
+  createGuard(rule, [], async (request) => ((await predicate(request)) ? null : { reason: rule, message }));
 
 /**
- * Require user to manage the resource
- * @param {Function} getResource - Function to fetch resource
+ * Pass when any of the guards passes; otherwise deny with the first guard's denial
+ * @param {...Object} guards - Alternative guards
+ * @returns {Object} Guard
+ * @example anyOf(requireOwnership(loadOwner), requireManagement(loadOwner))
+ */
+const anyOf = (...guards) => createGuard(
+  `anyOf(${guards.map(guard => guard.rule).join(', ')})`,
+  requiredPermissions(guards),
+  async (request) => {
+    const denials = [];
+    for (const guard of guards) {
+      const denial = await guard.check(request);
+      if (!denial) {
+        return null;
+      }
+      denials.push(denial);
+    }
+    return denials[0] || null;
+  }
+);
+
+/**
+ * Wrap a resolver with authentication and a chain of guards, checked in order
+ * The first guard to deny stops the chain: the attempt is audited and an
+ * AuthorizationError thrown. The guards stay attached to the returned
+ * resolver so the schema can report what each field requires (see describeGuards).
+ * @param {Object|Array<Object>} guards - Guard or guards; none means any authenticated user
  * @param {Function} resolver - Resolver function
+ * @param {Object} options - Additional options
+ * @param {Object} options.audit - Audit the call's outcome: { action, resource, resourceId(args, result) };
+ *   resourceId defaults to the result's _id, then args.id
  * @returns {Function} Wrapped resolver
+ * @example
+ * updateBranch: authorize([requireAll(PERMISSIONS.UPDATE_BRANCH), requireScope(async ({ id }) => ({ branch: id }))],
+ *   resolver, { audit: { action: 'update', resource: 'Branch' } })
  */
-const withManagementCheck = (getResource, resolver) => {
-  return async (parent, args, context, info) => {
+const authorize = (guards, resolver, options = {}) => {
+  const chain = [].concat(guards);
+  const required = requiredPermissions(chain);
+  const { audit } = options;
+  const permission = required[0] || null;
+
+  const wrapped = async (parent, args, context, info) => {
     const { user } = context;
-    const resource = await getResource(args.id);
 
-    if (!resource) {
-      throw new Error('Resource not found');
+    if (!user || !user.isAuthenticated) {
+      await auditDenied(context, info, { permission, audit, args, reason: 'Authentication required' });
+      throw new AuthorizationError('Authentication required');
     }
 
-    if (!isManager(user, resource)) {
-      throw new AuthorizationError('You do not manage this resource');
+    const request = { user, parent, args, context, info, required, elevated: [] };
+    for (const guard of chain) {
+      const denial = await guard.check(request);
+      if (denial) {
+        await auditDenied(context, info, {
+          permission: denial.permission || permission,
+          audit,
+          args,
+          reason: denial.reason
+        });
+        throw new AuthorizationError(denial.message);
+      }
     }
+    await recordElevatedAccess(context, info, request.elevated);
 
-    return resolver(parent, args, context, info);
+    if (!audit) {
+      try {
+        return await resolver(parent, args, context, info);
+      } catch (error) {
+        logger.error('Resolver error:', error);
+        throw error;
+      }
+    }
+
+    const entry = {
+      action: audit.action,
+      operation: info?.fieldName,
+      permission,
+      resourceType: audit.resource
+    };
+
+    try {
+      const result = await resolver(parent, args, context, info);
+      await recordAudit(context, {
+        ...entry,
+        resourceId: audit.resourceId ? audit.resourceId(args, result) : (result?._id || args.id),
+        outcome: 'success'
+      });
+      return result;
+    } catch (error) {
+      logger.error('Resolver error:', error);
+      await recordAudit(context, {
+        ...entry,
+        resourceId: audit.resourceId ? audit.resourceId(args) : args.id,
+        outcome: 'failure',
+        reason: error.message
+      });
+      throw error;
+    }
   };
+
+  wrapped.guards = chain;
+  return wrapped;
 };
 
+/**
+ * What an authorized resolver requires
+ * @param {Function|Object} resolver - Resolver wrapped by authorize, or a schema field's extensions
+ * @returns {Object|null} { permissions, rules }, or null when the resolver is not wrapped
+ */
+const describeGuards = (resolver) => (resolver?.guards
+  ? { permissions: requiredPermissions(resolver.guards), rules: resolver.guards.map(guard => guard.rule) }
+  : null);
+
 module.exports = {
-  withPermission,
-  withOwnershipCheck,
-  withManagementCheck
+  auditDenied,
+  authorize,
+  describeGuards,
+  elevatedGrants,
+  recordElevatedAccess,
+  requireAll,
+  requireAny,
+  requireScope,
+  requireOwnership,
+  requireManagement,
+  requireThat,
+  anyOf
 };
-
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview AccessGrant model - temporary elevated ("break-glass") permissions
+ * An approver lends an employee extra permissions for a fixed window, with a
+ * reason. Grants stop counting at expiresAt without anyone acting on them
+ * (see handles/permissions isAuthorized); a scheduled job then records the
+ * expiry (see accessGrantExpiry).
+ * @module models/AccessGrant
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Longest window a single grant may cover
+ * @type {number}
+ */
+const MAX_GRANT_DURATION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const accessGrantSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true,
+    index: true
+  },
+  permissions: {
+    type: [{ type: String, trim: true }],
+    validate: [(permissions) => permissions.length > 0, 'At least one permission is required']
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  revokeReason: {
+    type: String,
+    trim: true
+  },
+  // Set by the expiry job once the lapse has been audited
+  expiryRecordedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'accessgrants'
+});
+
+accessGrantSchema.index({ employee: 1, startsAt: 1, expiresAt: 1 });
+accessGrantSchema.index({ expiresAt: 1, expiryRecordedAt: 1 });
+
+accessGrantSchema.pre('validate', function (next) {
+  if (this.startsAt && this.expiresAt) {
+    if (this.expiresAt <= this.startsAt) {
+      this.invalidate('expiresAt', 'expiresAt must be after startsAt');
+    } else if (this.expiresAt - this.startsAt > MAX_GRANT_DURATION_MS) {
+      this.invalidate('expiresAt', 'A grant cannot last longer than 7 days');
+    }
+  }
+  if (this.employee && this.approvedBy && this.employee.equals(this.approvedBy)) {
+    this.invalidate('approvedBy', 'An employee cannot approve their own grant');
+  }
+  next();
+});
+
+/**
+ * Grants an employee holds right now
+ * @param {mongoose.Types.ObjectId|string} employeeId - Employee ID
+ * @param {Date} at - Point in time (defaults to now)
+ * @returns {Promise<Array<Object>>} Active, unrevoked grants
+ */
+accessGrantSchema.statics.findActiveForEmployee = async function (employeeId, at = new Date()) {
+  return await this.find({
+    employee: employeeId,
+    revokedAt: null,
+    startsAt: { $lte: at },
+    expiresAt: { $gt: at }
+  });
+};
+
+/**
+ * Grants that have lapsed but whose expiry is not yet audited
+ * @param {Date} at - Point in time (defaults to now)
+ * @returns {Promise<Array<Object>>} Expired, unrevoked grants
+ */
+accessGrantSchema.statics.findUnrecordedExpired = async function (at = new Date()) {
+  return await this.find({
+    revokedAt: null,
+    expiresAt: { $lte: at },
+    expiryRecordedAt: null
+  });
+};
+
+/**
+ * Whether the grant is in force at a point in time
+ * @param {Date} at - Point in time (defaults to now)
+ * @returns {boolean} True when active
+ */
+accessGrantSchema.methods.isActive = function (at = new Date()) {
+  return !this.revokedAt && this.startsAt <= at && this.expiresAt > at;
+};
+
+// Update the updatedAt timestamp before saving
+accessGrantSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const AccessGrant = mongoose.model('AccessGrant', accessGrantSchema);
+
+module.exports = AccessGrant;
+module.exports.MAX_GRANT_DURATION_MS = MAX_GRANT_DURATION_MS;
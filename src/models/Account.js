@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Account model schema (chart of accounts for double-entry)
+ * @module models/Account
+ */
+
+const mongoose = require('mongoose');
+const { NORMAL_BALANCE, calculateBalanceDelta } = require('../utils/doubleEntry');
+
+/**
+ * Supported account types
+ * @enum {string}
+ */
+const ACCOUNT_TYPES = Object.keys(NORMAL_BALANCE);
+
+const accountSchema = new mongoose.Schema({
+  accountCode: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  accountName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  accountType: {
+    type: String,
+    required: true,
+    enum: ACCOUNT_TYPES,
+    index: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    index: true
+  },
+  parentAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  entity: {
+    entityType: {
+      type: String,
+      enum: ['employee', 'branch', 'vendor', 'organization']
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  },
+  balance: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'accounts'
+});
+
+// Account codes are unique within an organization's chart of accounts
+accountSchema.index({ organization: 1, accountCode: 1 }, { unique: true });
+accountSchema.index({ organization: 1, branch: 1, accountType: 1 });
+accountSchema.index({ 'entity.entityType': 1, 'entity.entityId': 1 });
+
+/**
+ * Side (debit/credit) on which this account carries its balance
+ * @returns {string} 'debit' or 'credit'
+ */
+accountSchema.virtual('normalBalance').get(function () {
+  return NORMAL_BALANCE[this.accountType];
+});
+
+/**
+ * Apply a debit or credit to the account balance
+ * Prefer utils/doubleEntry.postJournalEntry, which keeps balances and journal in step.
+ * @param {number} amount - Amount to apply
+ * @param {string} operation - 'debit' or 'credit'
+ * @returns {Promise<number>} New balance
+ */
+accountSchema.methods.updateBalance = async function (amount, operation) {
+  const delta = operation === 'debit'
+    ? calculateBalanceDelta(this.accountType, amount, 0)
+    : calculateBalanceDelta(this.accountType, 0, amount);
+
+  this.balance = Math.round((this.balance + delta) * 100) / 100;
+  await this.save();
+  return this.balance;
+};
+
+/**
+ * Get current account balance
+ * @returns {number} Balance in normal-balance terms
+ */
+accountSchema.methods.getBalance = function () {
+  return this.balance;
+};
+
+/**
+ * Get posted journal entries touching this account within date range
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @returns {Promise<Array>} Array of journal entries, newest first
+ */
+accountSchema.methods.getLedger = async function (startDate, endDate) {
+  const JournalEntry = mongoose.model('JournalEntry');
+
+  return await JournalEntry.find({
+    'lines.account': this._id,
+    status: 'posted',
+    date: { $gte: startDate, $lte: endDate }
+  }).sort({ date: -1 });
+};
+
+// Update the updatedAt timestamp before saving
+accountSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Account = mongoose.model('Account', accountSchema);
+
+module.exports = Account;
+module.exports.ACCOUNT_TYPES = ACCOUNT_TYPES;
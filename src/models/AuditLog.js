@@ -0,0 +1,135 @@
+/**
+ * @fileoverview AuditLog model - append-only record of authorization failures and sensitive mutations
+ * @module models/AuditLog
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Outcomes an audited operation can have
+ * @type {Array<string>}
+ */
+const AUDIT_OUTCOMES = ['success', 'failure', 'denied'];
+
+/**
+ * Fields sealed by the hash chain
+ * @type {Array<string>}
+ */
+const HASHED_FIELDS = [
+  'actor',
+  'employee',
+  'designation',
+  'action',
+  'operation',
+  'permission',
+  'resourceType',
+  'resourceId',
+  'outcome',
+  'reason',
+  'requestId',
+  'ip',
+  'createdAt'
+];
+
+const auditLogSchema = new mongoose.Schema({
+  // Null for anonymous attempts
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    default: null
+  },
+  designation: {
+    type: String,
+    default: null
+  },
+  // create/update/delete/approve/..., or 'access' for plain permission checks
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // GraphQL field that was executed
+  operation: {
+    type: String,
+    trim: true
+  },
+  permission: {
+    type: String,
+    default: null
+  },
+  resourceType: {
+    type: String,
+    default: null
+  },
+  // Stored as a string so malformed IDs from denied attempts are kept verbatim
+  resourceId: {
+    type: String,
+    default: null
+  },
+  outcome: {
+    type: String,
+    enum: AUDIT_OUTCOMES,
+    required: true
+  },
+  reason: {
+    type: String
+  },
+  requestId: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  // Hash chain position (see utils/hashChain)
+  sequence: {
+    type: Number
+  },
+  previousHash: {
+    type: String
+  },
+  hash: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  // Entries are never updated, so there is no updatedAt
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'auditlogs'
+});
+
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 });
+auditLogSchema.index({ outcome: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index(
+  { sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+
+// Audit entries are append-only
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified'));
+  }
+  next();
+});
+
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function (next) {
+  next(new Error('Audit log entries cannot be modified'));
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
+module.exports.AUDIT_OUTCOMES = AUDIT_OUTCOMES;
+module.exports.HASHED_FIELDS = HASHED_FIELDS;
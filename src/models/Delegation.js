@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Delegation model - a manager's authority lent to a colleague for a period
+ * @module models/Delegation
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * What a delegation covers: expense approval steps only, or every manager check
+ * @type {Array<string>}
+ */
+const DELEGATION_SCOPES = ['approvals', 'all'];
+
+const delegationSchema = new mongoose.Schema({
+  delegator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true,
+    index: true
+  },
+  delegate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true,
+    index: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: DELEGATION_SCOPES,
+    default: 'approvals'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'delegations'
+});
+
+delegationSchema.index({ delegate: 1, startsAt: 1, endsAt: 1 });
+delegationSchema.index({ delegator: 1, endsAt: -1 });
+
+delegationSchema.pre('validate', function (next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+  if (this.delegator && this.delegate && this.delegator.equals(this.delegate)) {
+    this.invalidate('delegate', 'An employee cannot delegate to themselves');
+  }
+  next();
+});
+
+/**
+ * Delegations an employee can act on right now
+ * @param {mongoose.Types.ObjectId|string} employeeId - Delegate's employee ID
+ * @param {Date} at - Point in time (defaults to now)
+ * @returns {Promise<Array<Object>>} Active, unrevoked delegations
+ */
+delegationSchema.statics.findActiveForDelegate = async function (employeeId, at = new Date()) {
+  return await this.find({
+    delegate: employeeId,
+    revokedAt: null,
+    startsAt: { $lte: at },
+    endsAt: { $gt: at }
+  });
+};
+
+/**
+ * Whether the delegation is in force at a point in time
+ * @param {Date} at - Point in time (defaults to now)
+ * @returns {boolean} True when active
+ */
+delegationSchema.methods.isActive = function (at = new Date()) {
+  return !this.revokedAt && this.startsAt <= at && this.endsAt > at;
+};
+
+// Update the updatedAt timestamp before saving
+delegationSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Delegation = mongoose.model('Delegation', delegationSchema);
+
+module.exports = Delegation;
+module.exports.DELEGATION_SCOPES = DELEGATION_SCOPES;
@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose');
+const { getEffectivePermissions } = require('../constants/permissions');
 
 const employeeSchema = new mongoose.Schema({
   userId: {
@@ -24,20 +25,27 @@ const employeeSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Built-in or organization-defined role name (see models/Role)
   designation: {
     type: String,
     required: true,
-    enum: ['Admin', 'BranchManager', 'Employee'],
+    trim: true,
     index: true
   },
   manager: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Employee'
   },
+  // Individual grants on top of the designation's permissions
   permissions: [{
     type: String,
     trim: true
   }],
+  // Individual denies; these override both the designation and grants
+  deniedPermissions: [{
+    type: String,
+    trim: true
+  }],
   expenses: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Transaction'
@@ -61,13 +69,26 @@ employeeSchema.index({ branch: 1 });
 employeeSchema.index({ manager: 1 });
 employeeSchema.index({ designation: 1 });
 
+/**
+ * Get the employee's effective permissions: designation permissions plus
+ * individual grants, minus individual denies
+ * Employees hold no organization of their own; pass their branch's so roles
+ * that organization defines resolve (see utils/roleRegistry).
+ * @param {string} organizationId - Organization of the employee's branch (optional)
+ * @returns {Array<string>} Array of permissions
+ */
+employeeSchema.methods.getEffectivePermissions = function (organizationId = null) {
+  return getEffectivePermissions(this.designation, this.permissions, this.deniedPermissions, organizationId);
+};
+
 /**
  * Check if employee has a specific permission
  * @param {string} permission - Permission to check
+ * @param {string} organizationId - Organization of the employee's branch (optional)
  * @returns {boolean} True if employee has permission
  */
-employeeSchema.methods.hasPermission = function (permission) {
-  return this.permissions.includes(permission);
+employeeSchema.methods.hasPermission = function (permission, organizationId = null) {
+  return this.getEffectivePermissions(organizationId).includes(permission);
 };
 
 /**
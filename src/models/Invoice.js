@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Invoice model - what a vendor bills, and what has settled it
+ * Totals, balance due and status are derived from the line items and
+ * allocations on every save. Payments, refunds and credit notes reduce the
+ * balance only through an explicit allocation to the invoice (see
+ * utils/invoices); a void invoice keeps its history but is no longer owed.
+ * The ledger stays the record of what is owed: each invoice is posted as the
+ * vendor purchase it links to.
+ * @module models/Invoice
+ */
+
+const mongoose = require('mongoose');
+const { toMinorUnits } = require('../utils/doubleEntry');
+
+/**
+ * Invoice statuses
+ * @enum {string}
+ */
+const INVOICE_STATUSES = ['open', 'partially_paid', 'paid', 'void'];
+
+/**
+ * What an allocation to an invoice records, by the transaction type behind it
+ * @type {Object<string, string>}
+ */
+const ALLOCATION_KINDS = {
+  payment: 'payment',
+  settlement: 'payment',
+  refund: 'refund',
+  credit: 'credit_note'
+};
+
+const lineItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Percentage, e.g. 7.5 for 7.5%
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const allocationSchema = new mongoose.Schema({
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: [...new Set(Object.values(ALLOCATION_KINDS))],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  allocatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  allocatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  // The vendor's own invoice number
+  invoiceNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true,
+    index: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    index: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+  issueDate: {
+    type: Date,
+    default: Date.now
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  lineItems: {
+    type: [lineItemSchema],
+    validate: [(items) => items.length > 0, 'At least one line item is required']
+  },
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  taxTotal: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  allocations: [allocationSchema],
+  // Vendor purchase posting the invoice total to the ledger
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  balanceDue: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: INVOICE_STATUSES,
+    default: 'open',
+    index: true
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  voidReason: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'invoices'
+});
+
+// A vendor's invoice numbers are unique to that vendor
+invoiceSchema.index({ vendor: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ 'allocations.transaction': 1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+
+// Derive totals, balance and status; refuse allocations beyond the total
+invoiceSchema.pre('validate', function (next) {
+  let subtotal = 0;
+  let tax = 0;
+  this.lineItems.forEach((item) => {
+    const amount = toMinorUnits(item.quantity * item.unitPrice);
+    const itemTax = Math.round(amount * (item.taxRate || 0) / 100);
+    item.amount = amount / 100;
+    item.tax = itemTax / 100;
+    subtotal += amount;
+    tax += itemTax;
+  });
+
+  const allocated = this.allocations.reduce((sum, allocation) => sum + toMinorUnits(allocation.amount), 0);
+  this.subtotal = subtotal / 100;
+  this.taxTotal = tax / 100;
+  this.total = (subtotal + tax) / 100;
+  this.balanceDue = (subtotal + tax - allocated) / 100;
+
+  if (allocated > subtotal + tax) {
+    this.invalidate('allocations', 'Allocations cannot exceed the invoice total');
+  }
+  if (this.dueDate && this.issueDate && this.dueDate < this.issueDate) {
+    this.invalidate('dueDate', 'dueDate cannot be before issueDate');
+  }
+  if (this.status !== 'void') {
+    if (allocated === 0) {
+      this.status = 'open';
+    } else {
+      this.status = allocated < subtotal + tax ? 'partially_paid' : 'paid';
+    }
+  }
+  next();
+});
+
+/**
+ * Amount already allocated from a transaction to this invoice
+ * @param {mongoose.Types.ObjectId|string} transactionId - Transaction ID
+ * @returns {number} Allocated amount
+ */
+invoiceSchema.methods.allocatedFrom = function (transactionId) {
+  return this.allocations
+    .filter(allocation => allocation.transaction.equals(transactionId))
+    .reduce((sum, allocation) => sum + toMinorUnits(allocation.amount), 0) / 100;
+};
+
+/**
+ * Unpaid invoices of a vendor, oldest due first
+ * @param {mongoose.Types.ObjectId|string} vendorId - Vendor ID
+ * @returns {Promise<Array<Object>>} Open and partially paid invoices
+ */
+invoiceSchema.statics.findOpenForVendor = async function (vendorId) {
+  return await this.find({ vendor: vendorId, status: { $in: ['open', 'partially_paid'] } }).sort({ dueDate: 1 });
+};
+
+// Update the updatedAt timestamp before saving
+invoiceSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
+module.exports.INVOICE_STATUSES = INVOICE_STATUSES;
+module.exports.ALLOCATION_KINDS = ALLOCATION_KINDS;
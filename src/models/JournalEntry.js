@@ -0,0 +1,143 @@
+/**
+ * @fileoverview JournalEntry model schema - balanced multi-line postings
+ * @module models/JournalEntry
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { validateDoubleEntry } = require('../utils/doubleEntry');
+
+/**
+ * Journal entry statuses
+ * @enum {string}
+ */
+const JOURNAL_STATUSES = ['draft', 'posted', 'void'];
+
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  description: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+  entryNumber: {
+    type: String,
+    unique: true,
+    trim: true,
+    index: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    index: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  lines: {
+    type: [journalLineSchema],
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    index: true
+  },
+  status: {
+    type: String,
+    enum: JOURNAL_STATUSES,
+    default: 'draft',
+    index: true
+  },
+  postedAt: {
+    type: Date
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'journalentries'
+});
+
+journalEntrySchema.index({ organization: 1, date: -1 });
+journalEntrySchema.index({ branch: 1, date: -1 });
+journalEntrySchema.index({ 'lines.account': 1, date: -1 });
+
+/**
+ * Total of all debit lines
+ * @returns {number} Sum of debits
+ */
+journalEntrySchema.virtual('totalDebit').get(function () {
+  return validateDoubleEntry(this.lines).totalDebit;
+});
+
+/**
+ * Total of all credit lines
+ * @returns {number} Sum of credits
+ */
+journalEntrySchema.virtual('totalCredit').get(function () {
+  return validateDoubleEntry(this.lines).totalCredit;
+});
+
+// Assign an entry number and refuse to persist an unbalanced entry
+journalEntrySchema.pre('validate', function (next) {
+  if (!this.entryNumber) {
+    const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+    this.entryNumber = `JE-${Date.now()}-${suffix}`;
+  }
+
+  const result = validateDoubleEntry(this.lines);
+  if (!result.isBalanced) {
+    this.invalidate('lines', result.errors.join('; '));
+  }
+
+  next();
+});
+
+// Update the updatedAt timestamp before saving
+journalEntrySchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
+
+module.exports = JournalEntry;
+module.exports.JOURNAL_STATUSES = JOURNAL_STATUSES;
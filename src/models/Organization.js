@@ -5,6 +5,13 @@
 
 const mongoose = require('mongoose');
 
+/**
+ * Who can fill a step of an approval tier: the next manager up the reporting
+ * line, or the nearest ancestor with that designation
+ * @type {Array<string>}
+ */
+const APPROVER_ROLES = ['manager', 'BranchManager', 'Admin'];
+
 const organizationSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -16,6 +23,19 @@ const organizationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Branch'
   }],
+  // Expense approval tiers in ascending maxAmount order; the last tier has no maxAmount.
+  // Empty means the default policy in utils/approvalChain applies.
+  approvalPolicy: [{
+    _id: false,
+    maxAmount: {
+      type: Number,
+      default: null
+    },
+    approvers: [{
+      type: String,
+      enum: APPROVER_ROLES
+    }]
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -69,4 +89,5 @@ organizationSchema.pre('save', function (next) {
 const Organization = mongoose.model('Organization', organizationSchema);
 
 module.exports = Organization;
+module.exports.APPROVER_ROLES = APPROVER_ROLES;
 
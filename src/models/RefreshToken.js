@@ -0,0 +1,130 @@
+/**
+ * @fileoverview RefreshToken model - hashed, rotating refresh tokens grouped in families
+ * @module models/RefreshToken
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // One family per sign-in; every rotation stays in the family of the login that started it
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: [null, 'logout', 'reuse', 'admin'],
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'refreshtokens'
+});
+
+// Expired tokens are removed by MongoDB's TTL monitor
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+refreshTokenSchema.index({ user: 1, family: 1 });
+
+/**
+ * Hash a raw refresh token for storage and lookup
+ * @param {string} token - Raw JWT refresh token
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+refreshTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Find the stored record for a raw token
+ * @param {string} token - Raw JWT refresh token
+ * @returns {Promise<Object|null>} RefreshToken document or null
+ */
+refreshTokenSchema.statics.findByToken = async function (token) {
+  return await this.findOne({ tokenHash: this.hashToken(token) });
+};
+
+/**
+ * Revoke every live token in a family
+ * @param {string} family - Family ID
+ * @param {string} reason - logout/reuse/admin
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+refreshTokenSchema.statics.revokeFamily = async function (family, reason) {
+  const result = await this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Revoke every live token belonging to a user (all devices)
+ * @param {mongoose.Types.ObjectId|string} userId - User ID
+ * @param {string} reason - logout/reuse/admin
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+refreshTokenSchema.statics.revokeAllForUser = async function (userId, reason) {
+  const result = await this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Atomically mark this token as rotated
+ * Returns false when another request rotated or revoked it first, which the
+ * caller must treat as reuse.
+ * @returns {Promise<boolean>} True if this call performed the rotation
+ */
+refreshTokenSchema.methods.markRotated = async function () {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, rotatedAt: null, revokedAt: null },
+    { $set: { rotatedAt: new Date() } },
+    { new: true }
+  );
+  return Boolean(updated);
+};
+
+// Update the updatedAt timestamp before saving
+refreshTokenSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
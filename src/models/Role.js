@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Role model - named permission sets, built in or defined per organization
+ * @module models/Role
+ */
+
+const mongoose = require('mongoose');
+const { PERMISSIONS, PERMISSION_MATRIX } = require('../constants/permissions');
+const { SCOPES, ROLE_SCOPES } = require('../constants/roles');
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Organization the role belongs to; null for roles available everywhere
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Role whose permissions (and scope, unless set here) this one inherits
+  baseRole: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Permissions on top of the base role's
+  permissions: [{
+    type: String,
+    enum: Object.values(PERMISSIONS)
+  }],
+  // Reach of the role; null inherits the base role's
+  scope: {
+    type: String,
+    enum: [...Object.values(SCOPES), null],
+    default: null
+  },
+  // Seeded from constants/permissions; cannot be retired
+  builtIn: {
+    type: Boolean,
+    default: false
+  },
+  retiredAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'roles'
+});
+
+roleSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+/**
+ * Insert the built-in roles from the permission matrix if they are missing
+ * Existing roles are left untouched so edits made since seeding survive.
+ * @returns {Promise<number>} Number of roles inserted
+ */
+roleSchema.statics.seedBuiltIns = async function () {
+  const result = await this.bulkWrite(Object.entries(PERMISSION_MATRIX).map(([name, permissions]) => ({
+    updateOne: {
+      filter: { organization: null, name },
+      update: {
+        $setOnInsert: {
+          name,
+          organization: null,
+          permissions,
+          scope: ROLE_SCOPES[name],
+          builtIn: true,
+          retiredAt: null
+        }
+      },
+      upsert: true
+    }
+  })));
+
+  return result.upsertedCount;
+};
+
+/**
+ * Whether the role is still assignable
+ * @returns {boolean} True when not retired
+ */
+roleSchema.methods.isActive = function () {
+  return !this.retiredAt;
+};
+
+// Update the updatedAt timestamp before saving
+roleSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview TokenRevocation model - access tokens revoked before expiry
+ * @module models/TokenRevocation
+ */
+
+const mongoose = require('mongoose');
+
+const tokenRevocationSchema = new mongoose.Schema({
+  // Single-token revocation by `jti` claim
+  jti: {
+    type: String,
+    trim: true
+  },
+  // User-wide revocation: every token of this user issued before `issuedBefore`
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  issuedBefore: {
+    type: Date
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Once every affected token has expired the entry is useless and the TTL monitor removes it
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'tokenrevocations'
+});
+
+tokenRevocationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+tokenRevocationSchema.index({ jti: 1 }, { unique: true, sparse: true });
+tokenRevocationSchema.index({ user: 1, issuedBefore: -1 });
+
+/**
+ * Revoke a single access token
+ * @param {Object} decoded - Decoded token payload (jti, exp)
+ * @param {Object} meta - { reason, revokedBy }
+ * @returns {Promise<Object>} Revocation entry
+ */
+tokenRevocationSchema.statics.revokeToken = async function (decoded, meta = {}) {
+  return await this.findOneAndUpdate(
+    { jti: decoded.jti },
+    {
+      $setOnInsert: {
+        jti: decoded.jti,
+        user: decoded.userId,
+        reason: meta.reason,
+        revokedBy: meta.revokedBy,
+        expiresAt: new Date(decoded.exp * 1000)
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Revoke every access token issued to a user up to now
+ * @param {string} userId - User ID
+ * @param {number} lifetimeSeconds - Access token lifetime, used to expire the entry
+ * @param {Object} meta - { reason, revokedBy }
+ * @returns {Promise<Object>} Revocation entry
+ */
+tokenRevocationSchema.statics.revokeAllForUser = async function (userId, lifetimeSeconds, meta = {}) {
+  const now = Date.now();
+
+  return await this.create({
+    user: userId,
+    issuedBefore: new Date(now),
+    reason: meta.reason,
+    revokedBy: meta.revokedBy,
+    expiresAt: new Date(now + lifetimeSeconds * 1000)
+  });
+};
+
+/**
+ * Check whether a decoded access token has been revoked
+ * @param {Object} decoded - Decoded token payload (jti, userId, iat)
+ * @returns {Promise<boolean>} True if revoked individually or by a user-wide revocation
+ */
+tokenRevocationSchema.statics.isRevoked = async function (decoded) {
+  const conditions = [];
+
+  if (decoded.jti) {
+    conditions.push({ jti: decoded.jti });
+  }
+  if (decoded.userId && mongoose.Types.ObjectId.isValid(decoded.userId)) {
+    // iat has one-second resolution; tokens issued in the same second as the revocation count as revoked
+    conditions.push({
+      user: decoded.userId,
+      issuedBefore: { $gte: new Date(decoded.iat * 1000) }
+    });
+  }
+
+  if (conditions.length === 0) {
+    return false;
+  }
+
+  return Boolean(await this.exists({ $or: conditions }));
+};
+
+// Update the updatedAt timestamp before saving
+tokenRevocationSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const TokenRevocation = mongoose.model('TokenRevocation', tokenRevocationSchema);
+
+module.exports = TokenRevocation;
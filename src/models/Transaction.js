@@ -0,0 +1,293 @@
+/**
+ * @fileoverview Transaction model schema
+ * @module models/Transaction
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Supported transaction types
+ * @enum {string}
+ */
+const TRANSACTION_TYPES = [
+  'credit',
+  'debit',
+  'refund',
+  'purchase',
+  'payment',
+  'deposit',
+  'withdrawal',
+  'transfer',
+  'settlement'
+];
+
+/**
+ * Side of an entity's ledger each transaction type falls on: debits raise the
+ * entity's balance and credits lower it (as in Vendor.getOutstandingBalance,
+ * where purchases add to and payments reduce what is owed)
+ * @type {Object<string, string>}
+ */
+const TRANSACTION_SIDES = {
+  debit: 'debit',
+  purchase: 'debit',
+  withdrawal: 'debit',
+  transfer: 'debit',
+  credit: 'credit',
+  payment: 'credit',
+  refund: 'credit',
+  deposit: 'credit',
+  settlement: 'credit'
+};
+
+/**
+ * Entities a transaction can reference
+ * @enum {string}
+ */
+const REFERENCE_TYPES = ['employee', 'branch', 'vendor', 'organization'];
+
+/**
+ * Transaction lifecycle statuses
+ * Employee expenses move draft -> submitted -> approved/rejected -> settled
+ * (see utils/expenseWorkflow); other transactions are recorded as pending.
+ * @enum {string}
+ */
+const TRANSACTION_STATUSES = ['draft', 'submitted', 'pending', 'approved', 'rejected', 'settled'];
+
+/**
+ * Fields sealed by the hash chain: everything a transaction records, including
+ * what it was for and when a purchase falls due; status and workflow fields
+ * change legitimately and are not sealed
+ * @type {Array<string>}
+ */
+const HASHED_FIELDS = [
+  'transactionId',
+  'organization',
+  'amount',
+  'type',
+  'reference.refType',
+  'reference.refId',
+  'branch',
+  'description',
+  'category',
+  'dueDate',
+  'createdBy',
+  'createdAt'
+];
+
+const transactionSchema = new mongoose.Schema({
+  transactionId: {
+    type: String,
+    unique: true,
+    trim: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: TRANSACTION_TYPES,
+    index: true
+  },
+  reference: {
+    refType: {
+      type: String,
+      required: true,
+      enum: REFERENCE_TYPES
+    },
+    refId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    }
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    index: true
+  },
+  // Ledger the transaction is chained into
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // When a vendor purchase falls due (see utils/payablesAging)
+  dueDate: {
+    type: Date
+  },
+  // Free-form expense category (e.g. travel, supplies) for analytics
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  status: {
+    type: String,
+    enum: TRANSACTION_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  // Employee whose manager approves the expense
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  // Every status change: who made it, when and why
+  statusHistory: [{
+    from: {
+      type: String,
+      enum: TRANSACTION_STATUSES
+    },
+    to: {
+      type: String,
+      enum: TRANSACTION_STATUSES,
+      required: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee',
+      required: true
+    },
+    // Original approver when `by` acted as their delegate
+    onBehalfOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    reason: {
+      type: String,
+      trim: true
+    }
+  }],
+  // Sign-offs required by the organization's approval policy, in order
+  approvalSteps: [{
+    level: {
+      type: Number,
+      required: true
+    },
+    role: {
+      type: String,
+      required: true
+    },
+    // Null when no one up the reporting line matches; any Admin may then sign off
+    approver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee',
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee'
+    },
+    // Original approver when decidedBy acted as their delegate
+    onBehalfOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee',
+      default: null
+    },
+    decidedAt: {
+      type: Date
+    },
+    reason: {
+      type: String,
+      trim: true
+    }
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Hash chain position within the organization ledger (see utils/hashChain)
+  sequence: {
+    type: Number
+  },
+  previousHash: {
+    type: String
+  },
+  hash: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'transactions'
+});
+
+// Compound indexes backing Employee.getTotalExpenses and Vendor.getLedger
+// (match on reference, range on createdAt) and payables aging (match on
+// reference and type)
+transactionSchema.index({ 'reference.refId': 1, 'reference.refType': 1, createdAt: -1 });
+transactionSchema.index({ 'reference.refId': 1, 'reference.refType': 1, type: 1 });
+// Branch and organization ledgers (see utils/ledger) range on createdAt
+transactionSchema.index({ branch: 1, createdAt: -1 });
+transactionSchema.index({ organization: 1, createdAt: -1 });
+transactionSchema.index({ createdAt: -1 });
+transactionSchema.index({ type: 1 });
+transactionSchema.index({ status: 1 });
+transactionSchema.index(
+  { organization: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+
+/**
+ * Generate a human-readable unique transaction identifier
+ * @returns {string} Identifier such as `TXN-1700000000000-9F2C1A`
+ */
+const generateTransactionId = () => {
+  const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+  return `TXN-${Date.now()}-${suffix}`;
+};
+
+// Assign a transactionId before validation so the unique index is always populated
+transactionSchema.pre('validate', function (next) {
+  if (!this.transactionId) {
+    this.transactionId = generateTransactionId();
+  }
+  next();
+});
+
+// Update the updatedAt timestamp before saving
+transactionSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Transaction = mongoose.model('Transaction', transactionSchema);
+
+module.exports = Transaction;
+module.exports.TRANSACTION_TYPES = TRANSACTION_TYPES;
+module.exports.TRANSACTION_SIDES = TRANSACTION_SIDES;
+module.exports.REFERENCE_TYPES = REFERENCE_TYPES;
+module.exports.TRANSACTION_STATUSES = TRANSACTION_STATUSES;
+module.exports.HASHED_FIELDS = HASHED_FIELDS;
@@ -20,13 +20,15 @@ const userSchema = new mongoose.Schema({
     required: true,
     select: false // Don't include password in queries by default
   },
+  // A user signs in either as an employee or as a vendor (self-service portal)
   employee: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Employee',
-    required: true
+    default: null
   },
-  refreshToken: {
-    type: String,
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
     default: null
   },
   createdAt: {
@@ -42,9 +44,20 @@ const userSchema = new mongoose.Schema({
   collection: 'users'
 });
 
-// Index on username and employee for faster queries
+// Index on username, employee and vendor for faster queries
 userSchema.index({ username: 1 });
 userSchema.index({ employee: 1 });
+userSchema.index({ vendor: 1 });
+
+/**
+ * Require exactly one of employee and vendor
+ */
+userSchema.pre('validate', function (next) {
+  if (Boolean(this.employee) === Boolean(this.vendor)) {
+    this.invalidate('employee', 'A user must be linked to either an employee or a vendor');
+  }
+  next();
+});
 
 /**
  * Hash password before saving
@@ -72,17 +85,6 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-/**
- * Update refresh token
- * @param {string} token - Refresh token
- * @returns {Promise<void>} Resolves when token is updated
- */
-userSchema.methods.updateRefreshToken = async function (token) {
-  this.refreshToken = token;
-  this.updatedAt = Date.now();
-  await this.save();
-};
-
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
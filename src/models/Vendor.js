@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose');
+const { getEntityBalance } = require('../utils/doubleEntry');
 
 const vendorSchema = new mongoose.Schema({
   name: {
@@ -27,6 +28,32 @@ const vendorSchema = new mongoose.Schema({
       trim: true
     }
   },
+  // Where payments go; exposed only to roles that may update vendors (see @auth)
+  bankDetails: {
+    accountName: {
+      type: String,
+      trim: true
+    },
+    accountNumber: {
+      type: String,
+      trim: true
+    },
+    bankName: {
+      type: String,
+      trim: true
+    },
+    routingNumber: {
+      type: String,
+      trim: true
+    }
+  },
+  // Branch that owns the vendor relationship; null for vendors shared across the organization
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null,
+    index: true
+  },
   transactions: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Transaction'
@@ -65,37 +92,12 @@ vendorSchema.methods.getLedger = async function (startDate, endDate) {
 
 /**
  * Calculate outstanding balance for vendor
+ * Read from the vendor's payable account in the ledger, which every vendor
+ * transaction is posted to as it is recorded (see utils/journalPosting).
  * @returns {Promise<number>} Outstanding balance
  */
 vendorSchema.methods.getOutstandingBalance = async function () {
-  const Transaction = mongoose.model('Transaction');
-  
-  const balance = await Transaction.aggregate([
-    {
-      $match: {
-        'reference.refId': this._id,
-        'reference.refType': 'vendor'
-      }
-    },
-    {
-      $group: {
-        _id: '$type',
-        total: { $sum: '$amount' }
-      }
-    }
-  ]);
-
-  // Calculate: purchases (debit) - payments (credit)
-  let total = 0;
-  balance.forEach(item => {
-    if (item._id === 'purchase' || item._id === 'debit') {
-      total += item.total;
-    } else if (item._id === 'payment' || item._id === 'credit') {
-      total -= item.total;
-    }
-  });
-
-  return total;
+  return getEntityBalance('vendor', this._id);
 };
 
 // Update the updatedAt timestamp before saving
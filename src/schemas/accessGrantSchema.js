@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Temporary access grant input validation schemas
+ * @module schemas/accessGrantSchema
+ */
+
+const { Joi, objectId } = require('./common');
+const { PERMISSIONS } = require('../constants/permissions');
+const { MAX_GRANT_DURATION_MS } = require('../models/AccessGrant');
+
+const create = Joi.object({
+  employeeId: objectId.required(),
+  permissions: Joi.array().items(Joi.string().valid(...Object.values(PERMISSIONS))).min(1).unique().required(),
+  reason: Joi.string().trim().min(1).max(500).required(),
+  startsAt: Joi.date().default(() => new Date()),
+  expiresAt: Joi.date().greater(Joi.ref('startsAt')).required()
+}).custom((value, helpers) => (value.expiresAt - value.startsAt > MAX_GRANT_DURATION_MS
+  ? helpers.message('A grant cannot last longer than 7 days')
+  : value));
+
+const revoke = Joi.object({
+  reason: Joi.string().trim().min(1).max(500).required()
+});
+
+const filter = Joi.object({
+  employeeId: objectId,
+  activeAt: Joi.date()
+});
+
+module.exports = { create, revoke, filter };
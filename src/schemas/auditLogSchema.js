@@ -0,0 +1,19 @@
+/**
+ * @fileoverview Audit log filter validation schema
+ * @module schemas/auditLogSchema
+ */
+
+const { Joi, objectId } = require('./common');
+const { AUDIT_OUTCOMES } = require('../models/AuditLog');
+
+const filter = Joi.object({
+  actorId: objectId,
+  resourceType: Joi.string().trim().max(50),
+  resourceId: Joi.string().trim().max(100),
+  action: Joi.string().trim().max(50),
+  outcome: Joi.string().valid(...AUDIT_OUTCOMES),
+  from: Joi.date(),
+  to: Joi.date()
+});
+
+module.exports = { filter };
@@ -0,0 +1,19 @@
+/**
+ * @fileoverview Branch input validation schemas
+ * @module schemas/branchSchema
+ */
+
+const { Joi, objectId, name } = require('./common');
+
+const create = Joi.object({
+  name: name.required(),
+  organizationId: objectId.required(),
+  managerId: objectId
+});
+
+const update = Joi.object({
+  name,
+  managerId: objectId.allow(null)
+}).min(1);
+
+module.exports = { create, update };
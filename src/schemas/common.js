@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Shared Joi building blocks for input schemas
+ * @module schemas/common
+ */
+
+const Joi = require('joi');
+
+/**
+ * MongoDB ObjectId as a 24-character hex string
+ * @type {Joi.StringSchema}
+ */
+const objectId = Joi.string().hex().length(24);
+
+/**
+ * Non-empty trimmed name
+ * @type {Joi.StringSchema}
+ */
+const name = Joi.string().trim().min(1).max(200);
+
+module.exports = { Joi, objectId, name };
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Delegation input validation schemas
+ * @module schemas/delegationSchema
+ */
+
+const { Joi, objectId } = require('./common');
+const { DELEGATION_SCOPES } = require('../models/Delegation');
+
+const create = Joi.object({
+  delegatorId: objectId,
+  delegateId: objectId.required(),
+  startsAt: Joi.date().default(() => new Date()),
+  endsAt: Joi.date().greater(Joi.ref('startsAt')).required(),
+  scope: Joi.string().valid(...DELEGATION_SCOPES).default('approvals'),
+  reason: Joi.string().trim().max(500)
+});
+
+const filter = Joi.object({
+  delegatorId: objectId,
+  delegateId: objectId,
+  activeAt: Joi.date()
+});
+
+module.exports = { create, filter };
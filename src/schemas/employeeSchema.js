@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Employee input validation schemas
+ * @module schemas/employeeSchema
+ */
+
+const { Joi, objectId, name } = require('./common');
+const { PERMISSIONS } = require('../constants/permissions');
+
+// Built-in or organization-defined role name; checked against the roles in the resolvers
+const designation = Joi.string().trim().min(1).max(50);
+const permissions = Joi.array().items(Joi.string().valid(...Object.values(PERMISSIONS))).unique();
+
+const create = Joi.object({
+  userId: Joi.string().trim().min(1).max(100).required(),
+  name: name.required(),
+  branchId: objectId.required(),
+  designation: designation.required(),
+  managerId: objectId,
+  permissions,
+  deniedPermissions: permissions
+});
+
+const update = Joi.object({
+  name,
+  branchId: objectId,
+  designation,
+  managerId: objectId.allow(null)
+}).min(1);
+
+module.exports = { create, update, permissions };
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Invoice input validation schemas
+ * @module schemas/invoiceSchema
+ */
+
+const { Joi, objectId } = require('./common');
+const { INVOICE_STATUSES } = require('../models/Invoice');
+
+const money = Joi.number().positive().precision(2);
+
+const lineItem = Joi.object({
+  description: Joi.string().trim().min(1).max(500).required(),
+  quantity: Joi.number().positive().default(1),
+  unitPrice: Joi.number().min(0).precision(2).required(),
+  taxRate: Joi.number().min(0).max(100).default(0)
+});
+
+const create = Joi.object({
+  invoiceNumber: Joi.string().trim().min(1).max(100).required(),
+  vendorId: objectId.required(),
+  branchId: objectId,
+  issueDate: Joi.date().default(() => new Date()),
+  dueDate: Joi.date().min(Joi.ref('issueDate')).required(),
+  lineItems: Joi.array().items(lineItem).min(1).required()
+});
+
+const allocate = Joi.object({
+  transactionId: objectId.required(),
+  allocations: Joi.array().items(Joi.object({
+    invoiceId: objectId.required(),
+    amount: money.required()
+  })).min(1).unique('invoiceId').required()
+});
+
+const voidInvoice = Joi.object({
+  reason: Joi.string().trim().min(1).max(500).required()
+});
+
+const filter = Joi.object({
+  vendorId: objectId,
+  branchId: objectId,
+  status: Joi.string().valid(...INVOICE_STATUSES),
+  dueBefore: Joi.date()
+});
+
+module.exports = { create, allocate, void: voidInvoice, filter };
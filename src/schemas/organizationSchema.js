@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Organization input validation schemas
+ * @module schemas/organizationSchema
+ */
+
+const { Joi, name } = require('./common');
+const { APPROVER_ROLES } = require('../models/Organization');
+
+const create = Joi.object({
+  name: name.required()
+});
+
+const update = Joi.object({
+  name
+}).min(1);
+
+const tier = Joi.object({
+  maxAmount: Joi.number().positive().allow(null).default(null),
+  approvers: Joi.array().items(Joi.string().valid(...APPROVER_ROLES)).min(1).required()
+});
+
+/**
+ * Tiers must ascend by maxAmount and end with exactly one unbounded tier
+ * @param {Array<Object>} tiers - Validated tiers
+ * @param {Object} helpers - Joi helpers
+ * @returns {Array<Object>|Joi.ErrorReport} Tiers or an error
+ */
+const checkTierOrder = (tiers, helpers) => {
+  const bounded = tiers.slice(0, -1);
+
+  if (tiers[tiers.length - 1].maxAmount !== null) {
+    return helpers.message('"tiers" must end with a tier without maxAmount');
+  }
+  if (bounded.some((current, index) =>
+    current.maxAmount === null || (index > 0 && current.maxAmount <= bounded[index - 1].maxAmount)
+  )) {
+    return helpers.message('"tiers" maxAmount values must be set and strictly ascending');
+  }
+
+  return tiers;
+};
+
+const approvalPolicy = Joi.object({
+  tiers: Joi.array().items(tier).min(1).required().custom(checkTierOrder)
+});
+
+module.exports = { create, update, approvalPolicy };
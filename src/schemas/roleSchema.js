@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Role input validation schemas
+ * @module schemas/roleSchema
+ */
+
+const { Joi, objectId } = require('./common');
+const { PERMISSIONS } = require('../constants/permissions');
+const { SCOPES } = require('../constants/roles');
+const { REPORT_FORMATS } = require('../utils/permissionReport');
+
+const roleName = Joi.string().trim().min(1).max(50).pattern(/^[A-Za-z][\w -]*$/);
+const permissions = Joi.array().items(Joi.string().valid(...Object.values(PERMISSIONS))).unique();
+// Only Admin reaches across organizations; a defined role reaches its organization at most
+const scope = Joi.string().valid(SCOPES.ORGANIZATION, SCOPES.BRANCH, SCOPES.OWN).allow(null);
+
+const create = Joi.object({
+  name: roleName.required(),
+  organizationId: objectId,
+  description: Joi.string().trim().max(500),
+  baseRole: roleName,
+  permissions: permissions.default([]),
+  scope
+});
+
+const update = Joi.object({
+  description: Joi.string().trim().max(500),
+  baseRole: roleName.allow(null),
+  permissions,
+  scope
+}).min(1);
+
+const filter = Joi.object({
+  organizationId: objectId,
+  includeRetired: Joi.boolean().default(false)
+});
+
+const report = Joi.object({
+  format: Joi.string().valid(...Object.values(REPORT_FORMATS)).required(),
+  organizationId: objectId,
+  employeeId: objectId,
+  designation: roleName
+}).and('employeeId', 'designation');
+
+module.exports = { create, update, filter, report };
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Financial statement input validation schemas
+ * @module schemas/statementSchema
+ */
+
+const { Joi, objectId } = require('./common');
+
+const asOf = Joi.object({
+  organizationId: objectId.required(),
+  branchId: objectId.allow(null),
+  asOf: Joi.date().default(() => new Date()),
+  compareTo: Joi.date().less(Joi.ref('asOf')).allow(null)
+});
+
+const period = Joi.object({
+  organizationId: objectId.required(),
+  branchId: objectId.allow(null),
+  from: Joi.date().required(),
+  to: Joi.date().min(Joi.ref('from')).default(() => new Date()),
+  compare: Joi.boolean().default(false)
+});
+
+module.exports = { asOf, period };
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Transaction input validation schemas
+ * @module schemas/transactionSchema
+ */
+
+const { Joi, objectId } = require('./common');
+const { TRANSACTION_TYPES, REFERENCE_TYPES, TRANSACTION_STATUSES } = require('../models/Transaction');
+const { SUMMARY_PERIODS, SUMMARY_GROUPINGS } = require('../utils/expenseAnalytics');
+
+const amount = Joi.number().positive().precision(2);
+const description = Joi.string().trim().max(1000).allow('');
+const category = Joi.string().trim().lowercase().max(100);
+
+const create = Joi.object({
+  amount: amount.required(),
+  type: Joi.string().valid(...TRANSACTION_TYPES).required(),
+  refType: Joi.string().valid(...REFERENCE_TYPES).required(),
+  refId: objectId.required(),
+  branchId: objectId,
+  description,
+  category,
+  dueDate: Joi.date()
+});
+
+const update = Joi.object({
+  amount,
+  type: Joi.string().valid(...TRANSACTION_TYPES),
+  description,
+  category: category.allow(null),
+  dueDate: Joi.date()
+}).min(1);
+
+const filter = Joi.object({
+  type: Joi.string().valid(...TRANSACTION_TYPES),
+  status: Joi.string().valid(...TRANSACTION_STATUSES),
+  refType: Joi.string().valid(...REFERENCE_TYPES),
+  refId: objectId,
+  branchId: objectId,
+  category,
+  from: Joi.date(),
+  to: Joi.date()
+});
+
+const summary = Joi.object({
+  period: Joi.string().valid(...Object.keys(SUMMARY_PERIODS)).required(),
+  groupBy: Joi.string().valid(...Object.keys(SUMMARY_GROUPINGS)).required(),
+  organizationId: objectId,
+  branchId: objectId,
+  types: Joi.array().items(Joi.string().valid(...TRANSACTION_TYPES)).min(1).unique(),
+  from: Joi.date(),
+  to: Joi.date()
+});
+
+const reason = Joi.string().trim().max(500);
+
+const transition = Joi.object({
+  reason: reason.allow('', null)
+});
+
+const rejection = Joi.object({
+  reason: reason.min(1).required()
+});
+
+module.exports = { create, update, filter, summary, transition, rejection };
@@ -0,0 +1,15 @@
+/**
+ * @fileoverview User input validation schemas
+ * @module schemas/userSchema
+ */
+
+const { Joi, objectId } = require('./common');
+
+const create = Joi.object({
+  username: Joi.string().trim().lowercase().alphanum().min(3).max(50).required(),
+  password: Joi.string().min(8).max(128).required(),
+  employeeId: objectId,
+  vendorId: objectId
+}).xor('employeeId', 'vendorId');
+
+module.exports = { create };
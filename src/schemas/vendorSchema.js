@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Vendor input validation schemas
+ * @module schemas/vendorSchema
+ */
+
+const { Joi, objectId, name } = require('./common');
+
+const contactInfo = Joi.object({
+  email: Joi.string().trim().email().allow(''),
+  phone: Joi.string().trim().max(50).allow(''),
+  address: Joi.string().trim().max(500).allow('')
+});
+
+const bankDetails = Joi.object({
+  accountName: Joi.string().trim().max(100).allow(''),
+  accountNumber: Joi.string().trim().pattern(/^[A-Z0-9 -]{4,34}$/i).allow(''),
+  bankName: Joi.string().trim().max(100).allow(''),
+  routingNumber: Joi.string().trim().pattern(/^[A-Z0-9 -]{4,20}$/i).allow('')
+});
+
+const create = Joi.object({
+  name: name.required(),
+  branchId: objectId,
+  contactInfo,
+  bankDetails
+});
+
+const update = Joi.object({
+  name,
+  branchId: objectId.allow(null),
+  contactInfo,
+  bankDetails
+}).min(1);
+
+const aging = Joi.object({
+  asOf: Joi.date().default(() => new Date()),
+  branchId: objectId,
+  vendorId: objectId
+});
+
+module.exports = { create, update, aging };
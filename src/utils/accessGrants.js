@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Lifecycle bookkeeping for temporary access grants
+ * Granting and revoking are audited by their mutations and each use by
+ * middleware/rbac; the lapse at expiry is recorded here, from a scheduled job
+ * (see accessGrantExpiry), so every grant's lifecycle is on record.
+ * @module utils/accessGrants
+ */
+
+const AccessGrant = require('../models/AccessGrant');
+const logger = require('../config/logger');
+const { recordAudit } = require('./audit');
+
+/**
+ * Audit every grant that has lapsed since the last run and mark it recorded
+ * @async
+ * @param {Object} context - Audit context ({ requestId }); no user, as the system acts
+ * @param {Date} at - Point in time (defaults to now)
+ * @returns {Promise<number>} Number of grants recorded
+ */
+const recordExpiredAccessGrants = async (context = {}, at = new Date()) => {
+  const expired = await AccessGrant.findUnrecordedExpired(at);
+
+  for (const grant of expired) {
+    await recordAudit(context, {
+      action: 'expire',
+      operation: 'accessGrantExpiry',
+      permission: grant.permissions.join(', '),
+      resourceType: 'AccessGrant',
+      resourceId: grant._id,
+      outcome: 'success',
+      reason: `Expired at ${grant.expiresAt.toISOString()}`
+    });
+    grant.expiryRecordedAt = at;
+    await grant.save();
+  }
+
+  if (expired.length > 0) {
+    logger.info(`Recorded the expiry of ${expired.length} access grants`);
+  }
+  return expired.length;
+};
+
+module.exports = { recordExpiredAccessGrants };
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Multi-level expense approval chains
+ * An organization's approval policy maps amount tiers to a list of approver
+ * roles. The chain for an expense is built by walking Employee.manager upward
+ * from the submitter, across branches, filling each role with the next
+ * matching ancestor above the previous approver.
+ * @module utils/approvalChain
+ */
+
+const mongoose = require('mongoose');
+const { ROLES } = require('../constants/roles');
+const { findDelegation } = require('../handles/permissions');
+
+/**
+ * Policy used when an organization has not configured one; maxAmount is inclusive
+ * @type {Array<Object>}
+ */
+const DEFAULT_APPROVAL_POLICY = [
+  { maxAmount: 1000, approvers: ['manager'] },
+  { maxAmount: 10000, approvers: ['manager', ROLES.BRANCH_MANAGER] },
+  { maxAmount: null, approvers: ['manager', ROLES.BRANCH_MANAGER, ROLES.ADMIN] }
+];
+
+/**
+ * Upper bound on reporting-line depth, guarding against cycles in Employee.manager
+ * @type {number}
+ */
+const MAX_CHAIN_DEPTH = 50;
+
+/**
+ * Effective approval policy of an organization
+ * @param {Object|null} organization - Organization document
+ * @returns {Array<Object>} Tiers in ascending maxAmount order
+ */
+const getApprovalPolicy = (organization) =>
+  (organization?.approvalPolicy?.length ? organization.approvalPolicy : DEFAULT_APPROVAL_POLICY);
+
+/**
+ * Tier that applies to an amount
+ * @param {Array<Object>} policy - Approval tiers
+ * @param {number} amount - Expense amount
+ * @returns {Object} Matching tier (the unbounded last tier when none matches)
+ */
+const selectTier = (policy, amount) =>
+  policy.find(tier => tier.maxAmount === null || tier.maxAmount === undefined || amount <= tier.maxAmount)
+  || policy[policy.length - 1];
+
+/**
+ * Load the reporting line above an employee, nearest manager first
+ * @async
+ * @param {Object} employee - Employee document
+ * @returns {Promise<Array<Object>>} Ancestors
+ */
+const loadReportingLine = async (employee) => {
+  const Employee = mongoose.model('Employee');
+  const seen = new Set([employee._id.toString()]);
+  const line = [];
+  let managerId = employee.manager;
+
+  while (managerId && line.length < MAX_CHAIN_DEPTH && !seen.has(managerId.toString())) {
+    const manager = await Employee.findById(managerId);
+    if (!manager) {
+      break;
+    }
+    seen.add(manager._id.toString());
+    line.push(manager);
+    managerId = manager.manager;
+  }
+
+  return line;
+};
+
+/**
+ * Build the approval steps for an expense
+ * Each step is filled by the first ancestor above the previous step's approver
+ * matching its role, so no one signs off twice. A step no ancestor can fill
+ * escalates to any Admin (approver null), as do all steps after it.
+ * @async
+ * @param {Object} submitter - Submitting Employee document
+ * @param {number} amount - Expense amount
+ * @param {Array<Object>} policy - Approval tiers
+ * @returns {Promise<Array<Object>>} Steps: { level, role, approver, status }
+ * @example const steps = await buildApprovalSteps(employee, 2500, getApprovalPolicy(organization));
+ */
+const buildApprovalSteps = async (submitter, amount, policy) => {
+  const tier = selectTier(policy, amount);
+  const line = await loadReportingLine(submitter);
+  let position = 0;
+
+  return tier.approvers.map((role, index) => {
+    const match = line.findIndex((ancestor, i) =>
+      i >= position && (role === 'manager' || ancestor.designation === role)
+    );
+
+    position = match === -1 ? line.length : match + 1;
+
+    return {
+      level: index + 1,
+      role,
+      approver: match === -1 ? null : line[match]._id,
+      status: 'pending'
+    };
+  });
+};
+
+/**
+ * First step still awaiting a decision
+ * @param {Object} transaction - Transaction document
+ * @returns {Object|undefined} Pending step
+ */
+const currentStep = (transaction) =>
+  (transaction.approvalSteps || []).find(step => step.status === 'pending');
+
+/**
+ * Work out on whose authority a user may decide a step
+ * The named approver and Admins act in their own right; a delegate of the
+ * named approver acts on the approver's behalf.
+ * @param {Object} user - User from context
+ * @param {Object} step - Approval step
+ * @returns {{onBehalfOf: string|null}|null} Authority, or null when the user may not decide
+ */
+const getStepAuthority = (user, step) => {
+  const approverId = step.approver ? step.approver.toString() : null;
+
+  if (approverId === user.employeeId || user.designation === ROLES.ADMIN) {
+    return { onBehalfOf: null };
+  }
+  if (approverId && findDelegation(user, approverId, 'approvals')) {
+    return { onBehalfOf: approverId };
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_APPROVAL_POLICY,
+  getApprovalPolicy,
+  selectTier,
+  loadReportingLine,
+  buildApprovalSteps,
+  currentStep,
+  getStepAuthority
+};
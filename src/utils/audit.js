@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Audit log writing and querying
+ * @module utils/audit
+ */
+
+const AuditLog = require('../models/AuditLog');
+const logger = require('../config/logger');
+const { appendToChain } = require('./hashChain');
+
+/**
+ * Actions whose audit entry must be written before the request may go on
+ * @type {Array<string>}
+ */
+const SECURITY_ACTIONS = ['elevated_access'];
+
+/**
+ * Attempts to append an entry before giving up; every request shares the
+ * audit chain, so its head moves far more often than a ledger's
+ * @type {number}
+ */
+const AUDIT_APPEND_ATTEMPTS = 20;
+
+/**
+ * Whether an audit entry records a security event: a denial, or a use of
+ * access lent by a temporary grant
+ * @param {Object} entry - Audit entry
+ * @returns {boolean} True for security events
+ */
+const isSecurityEvent = (entry) => entry.outcome === 'denied' || SECURITY_ACTIONS.includes(entry.action);
+
+/**
+ * Persist an audit entry for the current request
+ * Actor, request ID and IP are taken from the GraphQL context. Entries are
+ * appended to the audit hash chain, which every request shares, so an append
+ * that loses the race for the next sequence is retried up to
+ * AUDIT_APPEND_ATTEMPTS times. A write that still fails is logged; it fails
+ * the request only for security events (see isSecurityEvent), which must
+ * never go unrecorded.
+ * @async
+ * @param {Object} context - GraphQL context (user, requestId, ip)
+ * @param {Object} entry - { action, operation, permission, resourceType, resourceId, outcome, reason }
+ * @returns {Promise<Object|null>} Created entry, or null when writing a routine entry failed
+ * @throws {Error} When a security event cannot be written
+ * @example
+ * await recordAudit(context, { action: 'delete', resourceType: 'Branch', resourceId: id, outcome: 'success' });
+ */
+const recordAudit = async (context = {}, entry) => {
+  const { user, requestId = null, ip = null } = context;
+
+  try {
+    return await appendToChain(AuditLog, {
+      actor: user?.userId || null,
+      employee: user?.employeeId || null,
+      designation: user?.designation || null,
+      action: entry.action,
+      operation: entry.operation,
+      permission: entry.permission || null,
+      resourceType: entry.resourceType || null,
+      resourceId: entry.resourceId ? String(entry.resourceId) : null,
+      outcome: entry.outcome,
+      reason: entry.reason,
+      requestId,
+      ip
+    }, {}, { attempts: AUDIT_APPEND_ATTEMPTS });
+  } catch (error) {
+    logger.error('Failed to write audit log:', error);
+    if (isSecurityEvent(entry)) {
+      logger.error('Security event: audit entry could not be written', {
+        event: 'audit_write_failed',
+        actor: user?.userId || null,
+        action: entry.action,
+        outcome: entry.outcome,
+        permission: entry.permission || null
+      });
+      throw error;
+    }
+    return null;
+  }
+};
+
+/**
+ * Build a Mongo filter from the GraphQL audit log filter
+ * @param {Object} filter - Validated AuditLogFilterInput
+ * @returns {Object} Mongo query
+ */
+const buildAuditQuery = (filter) => {
+  const query = {};
+
+  if (filter.actorId) {
+    query.actor = filter.actorId;
+  }
+  if (filter.resourceType) {
+    query.resourceType = filter.resourceType;
+  }
+  if (filter.resourceId) {
+    query.resourceId = filter.resourceId;
+  }
+  if (filter.action) {
+    query.action = filter.action;
+  }
+  if (filter.outcome) {
+    query.outcome = filter.outcome;
+  }
+  if (filter.from || filter.to) {
+    query.createdAt = {
+      ...(filter.from && { $gte: filter.from }),
+      ...(filter.to && { $lte: filter.to })
+    };
+  }
+
+  return query;
+};
+
+module.exports = {
+  recordAudit,
+  buildAuditQuery
+};
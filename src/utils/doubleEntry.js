@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Double-entry bookkeeping helpers: balance validation,
+ * normal-balance arithmetic and journal posting
+ * @module utils/doubleEntry
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+const { runInTransaction } = require('../config/database');
+const { ValidationError, NotFoundError } = require('../handles/errors');
+
+/**
+ * Side on which each account type naturally carries its balance
+ * @type {Object<string, string>}
+ */
+const NORMAL_BALANCE = {
+  asset: 'debit',
+  expense: 'debit',
+  liability: 'credit',
+  equity: 'credit',
+  revenue: 'credit'
+};
+
+/**
+ * Convert a currency amount to integer minor units (cents) so that sums
+ * are compared without floating point drift
+ * @param {number} amount - Amount in major units
+ * @returns {number} Amount in minor units
+ * @example toMinorUnits(10.1) // => 1010
+ */
+const toMinorUnits = (amount) => Math.round((Number(amount) || 0) * 100);
+
+/**
+ * Validate that a set of journal lines is balanced
+ * Every line must carry a positive amount on exactly one side, there must be
+ * at least one debit and one credit, and total debits must equal total credits.
+ * @param {Array<{debit: number, credit: number}>} lines - Journal lines
+ * @returns {{isBalanced: boolean, totalDebit: number, totalCredit: number, errors: Array<string>}}
+ *   Validation result; totals are in major units
+ * @example
+ * validateDoubleEntry([{ debit: 50 }, { credit: 50 }]).isBalanced // => true
+ */
+const validateDoubleEntry = (lines) => {
+  const errors = [];
+
+  if (!Array.isArray(lines) || lines.length < 2) {
+    return {
+      isBalanced: false,
+      totalDebit: 0,
+      totalCredit: 0,
+      errors: ['A journal entry requires at least two lines']
+    };
+  }
+
+  let debitCents = 0;
+  let creditCents = 0;
+
+  lines.forEach((line, index) => {
+    const debit = toMinorUnits(line?.debit);
+    const credit = toMinorUnits(line?.credit);
+
+    if (debit < 0 || credit < 0) {
+      errors.push(`Line ${index + 1}: amounts cannot be negative`);
+    } else if ((debit > 0) === (credit > 0)) {
+      errors.push(`Line ${index + 1}: exactly one of debit or credit must be positive`);
+    }
+
+    debitCents += debit;
+    creditCents += credit;
+  });
+
+  if (debitCents !== creditCents) {
+    errors.push(`Debits (${debitCents / 100}) do not equal credits (${creditCents / 100})`);
+  }
+
+  return {
+    isBalanced: errors.length === 0,
+    totalDebit: debitCents / 100,
+    totalCredit: creditCents / 100,
+    errors
+  };
+};
+
+/**
+ * Signed change to an account's balance from a single line, expressed in
+ * the account's normal-balance direction
+ * @param {string} accountType - asset/liability/equity/revenue/expense
+ * @param {number} debit - Debit amount
+ * @param {number} credit - Credit amount
+ * @returns {number} Positive when the balance grows, negative when it shrinks
+ * @example calculateBalanceDelta('liability', 0, 200) // => 200
+ */
+const calculateBalanceDelta = (accountType, debit = 0, credit = 0) => {
+  const side = NORMAL_BALANCE[accountType];
+  if (!side) {
+    throw new ValidationError(`Unknown account type: ${accountType}`, 'accountType');
+  }
+
+  const cents = side === 'debit'
+    ? toMinorUnits(debit) - toMinorUnits(credit)
+    : toMinorUnits(credit) - toMinorUnits(debit);
+
+  return cents / 100;
+};
+
+/**
+ * Create a posted journal entry and apply it to account balances
+ * All referenced accounts must exist, be active and belong to the entry's
+ * organization. The entry and the balance updates are written in one MongoDB
+ * transaction: the caller's, when it passes a session, or one of its own.
+ * @async
+ * @param {Object} entryData - JournalEntry fields (organization, lines, description, ...)
+ * @param {string} postedBy - Employee ID posting the entry
+ * @param {Object} options - { session } of a transaction the posting joins (optional)
+ * @returns {Promise<Object>} The saved JournalEntry document
+ * @throws {ValidationError} When the entry is unbalanced or references foreign accounts
+ * @throws {NotFoundError} When a referenced account does not exist
+ * @example
+ * await postJournalEntry({ organization, lines: [{ account: cash, debit: 50 },
+ *   { account: revenue, credit: 50 }] }, employeeId, { session });
+ */
+const postJournalEntry = async (entryData, postedBy = null, { session = null } = {}) => {
+  const Account = mongoose.model('Account');
+  const JournalEntry = mongoose.model('JournalEntry');
+
+  const result = validateDoubleEntry(entryData?.lines);
+  if (!result.isBalanced) {
+    throw new ValidationError(result.errors.join('; '), 'lines');
+  }
+
+  const accountIds = [...new Set(entryData.lines.map(line => line.account.toString()))];
+
+  const post = async (txn) => {
+    const accounts = await Account.find({ _id: { $in: accountIds } }, null, { session: txn });
+
+    if (accounts.length !== accountIds.length) {
+      throw new NotFoundError('Account');
+    }
+
+    const accountsById = new Map(accounts.map(account => [account._id.toString(), account]));
+    const foreign = accounts.find(account =>
+      !account.isActive || account.organization.toString() !== entryData.organization.toString()
+    );
+    if (foreign) {
+      throw new ValidationError(`Account ${foreign.accountCode} cannot receive postings`, 'lines');
+    }
+
+    const [entry] = await JournalEntry.create([{
+      ...entryData,
+      status: 'posted',
+      postedAt: new Date(),
+      postedBy
+    }], { session: txn });
+
+    // Apply each line's effect; $inc keeps concurrent postings to one account consistent
+    await Account.bulkWrite(entry.lines.map(line => ({
+      updateOne: {
+        filter: { _id: line.account },
+        update: {
+          $inc: {
+            balance: calculateBalanceDelta(
+              accountsById.get(line.account.toString()).accountType,
+              line.debit,
+              line.credit
+            )
+          }
+        }
+      }
+    })), { session: txn });
+
+    return entry;
+  };
+
+  const entry = session ? await post(session) : await runInTransaction(post);
+
+  logger.info(`Journal entry ${entry.entryNumber} posted`, {
+    organization: entry.organization.toString(),
+    total: result.totalDebit
+  });
+
+  return entry;
+};
+
+/**
+ * Sum balances of every account linked to an entity
+ * @async
+ * @param {string} entityType - employee/branch/vendor/organization
+ * @param {string} entityId - Entity ID
+ * @returns {Promise<number>} Combined balance in normal-balance terms
+ * @example await getEntityBalance('vendor', vendorId) // => 300
+ */
+const getEntityBalance = async (entityType, entityId) => {
+  const Account = mongoose.model('Account');
+
+  const totals = await Account.aggregate([
+    {
+      $match: {
+        'entity.entityType': entityType,
+        'entity.entityId': new mongoose.Types.ObjectId(entityId)
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: '$balance' }
+      }
+    }
+  ]);
+
+  return totals.length > 0 ? totals[0].total : 0;
+};
+
+module.exports = {
+  NORMAL_BALANCE,
+  toMinorUnits,
+  validateDoubleEntry,
+  calculateBalanceDelta,
+  postJournalEntry,
+  getEntityBalance
+};
@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Expense trend and aggregate analytics: transaction counts,
+ * totals and averages per period (day, week, month or quarter) and per
+ * branch, employee, vendor, type or category, with period-over-period change
+ * Periods are calendar buckets in UTC; weeks start on Monday. Each period is
+ * compared with the whole preceding one, read even when it starts before the
+ * range, so the first period has a change too.
+ * Drafts and rejected transactions are left out, as in ledgers (see utils/ledger).
+ * @module utils/expenseAnalytics
+ */
+
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const { EXCLUDED_STATUSES } = require('./ledger');
+const { toMinorUnits } = require('./doubleEntry');
+
+/**
+ * Period lengths a summary can be bucketed by, as $dateTrunc units
+ * @type {Object<string, string>}
+ */
+const SUMMARY_PERIODS = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+  QUARTER: 'quarter'
+};
+
+/**
+ * What a summary can be grouped by: the grouping key and, for employees and
+ * vendors, the reference type the transactions must have
+ * @type {Object<string, Object>}
+ */
+const SUMMARY_GROUPINGS = {
+  BRANCH: { key: '$branch' },
+  EMPLOYEE: { key: '$reference.refId', refType: 'employee' },
+  VENDOR: { key: '$reference.refId', refType: 'vendor' },
+  TYPE: { key: '$type' },
+  CATEGORY: { key: '$category' }
+};
+
+/**
+ * Paths holding document IDs, which aggregation pipelines do not cast
+ * @type {Array<string>}
+ */
+const ID_PATHS = ['_id', 'branch', 'organization', 'reference.refId'];
+
+/**
+ * Cast the string IDs in a Mongo filter (e.g. from scopeFilter) to ObjectIds
+ * @param {Object} filter - Mongo filter
+ * @returns {Object} Filter usable in $match
+ */
+const castIds = (filter) => Object.fromEntries(Object.entries(filter).map(([path, value]) => {
+  if (Array.isArray(value)) {
+    return [path, value.map(castIds)];
+  }
+  if (ID_PATHS.includes(path) && typeof value === 'string' && mongoose.Types.ObjectId.isValid(value)) {
+    return [path, new mongoose.Types.ObjectId(value)];
+  }
+  return [path, value];
+}));
+
+/**
+ * Start of the period containing a date
+ * @param {Date} date - Date
+ * @param {string} period - One of SUMMARY_PERIODS' values
+ * @returns {Date} Period start, UTC
+ */
+const periodStart = (date, period) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (period === SUMMARY_PERIODS.WEEK) {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (period === SUMMARY_PERIODS.MONTH || period === SUMMARY_PERIODS.QUARTER) {
+    start.setUTCDate(1);
+    if (period === SUMMARY_PERIODS.QUARTER) {
+      start.setUTCMonth(start.getUTCMonth() - (start.getUTCMonth() % 3));
+    }
+  }
+  return start;
+};
+
+/**
+ * Start of the period before the one starting at a date
+ * @param {Date} start - Period start, from periodStart
+ * @param {string} period - One of SUMMARY_PERIODS' values
+ * @returns {Date} Previous period start
+ */
+const previousPeriodStart = (start, period) => {
+  const previous = new Date(start);
+  if (period === SUMMARY_PERIODS.DAY || period === SUMMARY_PERIODS.WEEK) {
+    previous.setUTCDate(previous.getUTCDate() - (period === SUMMARY_PERIODS.DAY ? 1 : 7));
+  } else {
+    previous.setUTCMonth(previous.getUTCMonth() - (period === SUMMARY_PERIODS.MONTH ? 1 : 3));
+  }
+  return previous;
+};
+
+/**
+ * Summarize transactions per period and group
+ * @async
+ * @param {Object} options - Summary options
+ * @param {string} options.period - One of SUMMARY_PERIODS' keys
+ * @param {string} options.groupBy - One of SUMMARY_GROUPINGS' keys
+ * @param {Date} options.from - Range start
+ * @param {Date} options.to - Range end
+ * @param {Object} options.filter - Further conditions: caller scope, organization, branch, types
+ * @returns {Promise<Object>} { rows: [{ period, group, count, total, average, previousTotal, change,
+ *   changePercent }], count, total }; rows ordered by period then group
+ * @example
+ * await summarizeExpenses({ period: 'MONTH', groupBy: 'CATEGORY', from, to, filter: { branch: branchId } });
+ */
+const summarizeExpenses = async ({ period, groupBy, from, to, filter = {} }) => {
+  const unit = SUMMARY_PERIODS[period];
+  const grouping = SUMMARY_GROUPINGS[groupBy];
+  const firstPeriod = periodStart(from, unit);
+  const lookback = previousPeriodStart(firstPeriod, unit);
+
+  const conditions = [
+    castIds(filter),
+    { status: { $nin: EXCLUDED_STATUSES } },
+    { $or: [{ createdAt: { $gte: from, $lte: to } }, { createdAt: { $gte: lookback, $lt: from } }] }
+  ];
+  if (grouping.refType) {
+    conditions.push({ 'reference.refType': grouping.refType });
+  }
+
+  const totals = await Transaction.aggregate([
+    { $match: { $and: conditions } },
+    {
+      $group: {
+        _id: {
+          period: {
+            $dateTrunc: {
+              date: '$createdAt',
+              unit,
+              timezone: 'UTC',
+              ...(unit === SUMMARY_PERIODS.WEEK && { startOfWeek: 'monday' })
+            }
+          },
+          group: grouping.key
+        },
+        count: { $sum: { $cond: [{ $gte: ['$createdAt', from] }, 1, 0] } },
+        total: { $sum: { $cond: [{ $gte: ['$createdAt', from] }, '$amount', 0] } },
+        lookbackTotal: { $sum: { $cond: [{ $lt: ['$createdAt', from] }, '$amount', 0] } }
+      }
+    },
+    { $sort: { '_id.period': 1, '_id.group': 1 } }
+  ]);
+
+  const keyOf = (periodAt, group) => `${periodAt.toISOString()}|${group ?? ''}`;
+  const totalsByKey = new Map(totals.map(({ _id, total, lookbackTotal }) =>
+    [keyOf(_id.period, _id.group), toMinorUnits(total + lookbackTotal)]
+  ));
+
+  const rows = totals
+    .filter(({ count }) => count > 0)
+    .map(({ _id, count, total }) => {
+      const cents = toMinorUnits(total);
+      const previousCents = totalsByKey.get(keyOf(previousPeriodStart(_id.period, unit), _id.group)) || 0;
+      const change = cents - previousCents;
+      const group = _id.group ?? null;
+      return {
+        period: _id.period,
+        group: group === null ? null : String(group),
+        count,
+        total: cents / 100,
+        average: Math.round(cents / count) / 100,
+        previousTotal: previousCents / 100,
+        change: change / 100,
+        changePercent: previousCents === 0 ? null : Math.round((change / previousCents) * 10000) / 100
+      };
+    });
+
+  return {
+    rows,
+    count: rows.reduce((sum, row) => sum + row.count, 0),
+    total: rows.reduce((sum, row) => sum + toMinorUnits(row.total), 0) / 100
+  };
+};
+
+module.exports = {
+  SUMMARY_PERIODS,
+  SUMMARY_GROUPINGS,
+  castIds,
+  periodStart,
+  previousPeriodStart,
+  summarizeExpenses
+};
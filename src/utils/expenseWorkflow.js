@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Expense approval state machine
+ * Employee expenses move draft -> submitted -> approved/rejected, and
+ * approved expenses are later settled. Each transition is appended to the
+ * transaction's statusHistory with who made it, when and why. While submitted,
+ * an expense walks through the approval steps of its organization's policy.
+ * @module utils/expenseWorkflow
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+const { ConflictError, AuthorizationError, NotFoundError } = require('../handles/errors');
+const { runInTransaction } = require('../config/database');
+const { retryOnSequenceConflict, sealRecord } = require('./hashChain');
+const { postTransaction } = require('./journalPosting');
+const {
+  getApprovalPolicy,
+  buildApprovalSteps,
+  currentStep,
+  getStepAuthority
+} = require('./approvalChain');
+
+/**
+ * Allowed transitions per status; statuses without an entry are terminal
+ * @type {Object<string, Array<string>>}
+ */
+const TRANSITIONS = {
+  draft: ['submitted'],
+  submitted: ['approved', 'rejected'],
+  approved: ['settled']
+};
+
+/**
+ * Statuses in which an expense can still be edited
+ * @type {Array<string>}
+ */
+const EDITABLE_STATUSES = ['draft', 'pending'];
+
+/**
+ * Whether a transaction is an employee expense subject to approval
+ * @param {Object} transaction - Transaction document
+ * @returns {boolean} True for employee-referenced transactions
+ */
+const isExpense = (transaction) => transaction.reference?.refType === 'employee';
+
+/**
+ * Check a transition against the state machine
+ * @param {Object} transaction - Transaction document
+ * @param {string} to - Target status
+ * @returns {void}
+ * @throws {ConflictError} When the transaction is not an expense or the move is not allowed
+ */
+const assertTransition = (transaction, to) => {
+  if (!isExpense(transaction)) {
+    throw new ConflictError('Only employee expenses go through approval');
+  }
+
+  const allowed = TRANSITIONS[transaction.status] || [];
+  if (!allowed.includes(to)) {
+    throw new ConflictError(`Cannot move a ${transaction.status} expense to ${to}`);
+  }
+};
+
+/**
+ * Move an expense to a new status and record the transition
+ * Submission seals the expense into its organization's hash chain, so the
+ * amount cannot change once a manager is asked to approve it. Approval and
+ * settlement post the expense to the journal in the same MongoDB transaction
+ * as the status change.
+ * @async
+ * @param {Object} transaction - Transaction document
+ * @param {string} to - Target status
+ * @param {Object} actor - { employeeId, userId } of the caller
+ * @param {string} reason - Why the transition was made (optional)
+ * @param {string} onBehalfOf - Employee the actor stands in for as a delegate (optional)
+ * @returns {Promise<Object>} Saved transaction
+ * @throws {ConflictError} On an illegal transition
+ * @example await transitionExpense(expense, 'approved', context.user, 'Within budget');
+ */
+const transitionExpense = async (transaction, to, actor, reason, onBehalfOf = null) => {
+  assertTransition(transaction, to);
+
+  const from = transaction.status;
+  transaction.status = to;
+  transaction.updatedBy = actor.employeeId;
+  transaction.statusHistory.push({
+    from,
+    to,
+    by: actor.employeeId,
+    ...(onBehalfOf && { onBehalfOf }),
+    at: new Date(),
+    reason
+  });
+
+  if (to === 'submitted') {
+    transaction.submittedBy = actor.employeeId;
+  }
+
+  const Model = transaction.constructor;
+  const saved = await retryOnSequenceConflict(Model.modelName, () => runInTransaction(async (session) => {
+    const result = transaction.hash
+      ? await transaction.save({ session })
+      : await sealRecord(Model, transaction, { organization: transaction.organization }, { session });
+
+    await postTransaction(result, to, actor.employeeId, session);
+    return result;
+  }));
+
+  logger.info(`Transaction ${transaction.transactionId} moved ${from} -> ${to} by ${actor.userId}`);
+  return saved;
+};
+
+/**
+ * Submit a draft expense and lay out its approval steps
+ * @async
+ * @param {Object} transaction - Draft expense
+ * @param {Object} actor - { employeeId, userId } of the submitter
+ * @param {string} reason - Submission note (optional)
+ * @returns {Promise<Object>} Submitted transaction
+ * @throws {ConflictError} When the expense is not a draft
+ * @throws {NotFoundError} When the submitting employee no longer exists
+ */
+const submitExpense = async (transaction, actor, reason) => {
+  assertTransition(transaction, 'submitted');
+
+  const submitter = await mongoose.model('Employee').findById(actor.employeeId);
+  if (!submitter) {
+    throw new NotFoundError('Employee');
+  }
+
+  const organization = await mongoose.model('Organization').findById(transaction.organization);
+  transaction.approvalSteps = await buildApprovalSteps(
+    submitter,
+    transaction.amount,
+    getApprovalPolicy(organization)
+  );
+
+  return transitionExpense(transaction, 'submitted', actor, reason);
+};
+
+/**
+ * Approve or reject the current approval step of a submitted expense
+ * The expense is approved once its last step is approved; any rejection
+ * rejects it outright. Nobody may decide their own expense or sign off twice,
+ * whether in their own right or through a delegate. A delegate's decision
+ * records both the delegate (decidedBy) and the original approver (onBehalfOf).
+ * @async
+ * @param {Object} transaction - Submitted expense
+ * @param {Object} actor - User from context
+ * @param {string} decision - 'approved' or 'rejected'
+ * @param {string} reason - Why (optional for approvals)
+ * @returns {Promise<Object>} Saved transaction
+ * @throws {ConflictError} When the expense is not awaiting a decision
+ * @throws {AuthorizationError} On self-approval, a repeat sign-off, or when the actor is not the step's approver
+ */
+const decideExpense = async (transaction, actor, decision, reason) => {
+  assertTransition(transaction, decision);
+
+  const step = currentStep(transaction);
+  if (!step) {
+    throw new ConflictError('Expense has no pending approval step');
+  }
+
+  const authority = getStepAuthority(actor, step);
+  if (!authority) {
+    throw new AuthorizationError(`You are not the approver for step ${step.level} (${step.role})`);
+  }
+
+  const submitter = transaction.submittedBy?.toString();
+  if (submitter === actor.employeeId || (authority.onBehalfOf && submitter === authority.onBehalfOf)) {
+    throw new AuthorizationError('You cannot approve or reject your own expense');
+  }
+
+  const signers = [actor.employeeId, authority.onBehalfOf].filter(Boolean);
+  const signedBefore = transaction.approvalSteps.some(done =>
+    [done.decidedBy, done.onBehalfOf].some(id => id && signers.includes(id.toString()))
+  );
+  if (signedBefore) {
+    throw new AuthorizationError('You have already signed off on this expense');
+  }
+
+  step.status = decision;
+  step.decidedBy = actor.employeeId;
+  step.onBehalfOf = authority.onBehalfOf;
+  step.decidedAt = new Date();
+  step.reason = reason;
+
+  if (decision === 'rejected' || !currentStep(transaction)) {
+    return transitionExpense(transaction, decision, actor, reason, authority.onBehalfOf);
+  }
+
+  transaction.updatedBy = actor.employeeId;
+  await transaction.save();
+
+  logger.info(`Transaction ${transaction.transactionId} step ${step.level} approved by ${actor.userId}`, {
+    onBehalfOf: authority.onBehalfOf
+  });
+  return transaction;
+};
+
+module.exports = {
+  TRANSITIONS,
+  EDITABLE_STATUSES,
+  isExpense,
+  assertTransition,
+  transitionExpense,
+  submitExpense,
+  decideExpense
+};
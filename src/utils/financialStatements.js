@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Financial statements built from posted journal entries: trial
+ * balance, balance sheet and income statement for an organization or branch
+ * Balances are recomputed from the journal as of a date rather than read from
+ * Account.balance, so past periods can be reported and compared. Revenue and
+ * expenses not yet closed to equity are carried on the balance sheet as
+ * retained earnings. A trial balance that does not net to zero means the
+ * journal is corrupt: it is logged and raised as an IntegrityError, never reported.
+ * @module utils/financialStatements
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+const Account = require('../models/Account');
+const JournalEntry = require('../models/JournalEntry');
+const { IntegrityError } = require('../handles/errors');
+const { NORMAL_BALANCE, toMinorUnits } = require('./doubleEntry');
+
+/**
+ * Net debit (debits minus credits, in cents) of each account over posted
+ * entries dated within a window
+ * @async
+ * @param {Object} options - Window
+ * @param {string} options.organizationId - Organization ID
+ * @param {string|null} options.branchId - Branch ID, or null for the whole organization
+ * @param {Date|null} options.from - Window start, or null for all history
+ * @param {Date} options.to - Window end
+ * @returns {Promise<Map<string, number>>} Account ID -> net debit in cents
+ */
+const netDebitsByAccount = async ({ organizationId, branchId = null, from = null, to }) => {
+  const match = {
+    organization: new mongoose.Types.ObjectId(organizationId),
+    status: 'posted',
+    date: from ? { $gte: from, $lte: to } : { $lte: to }
+  };
+  if (branchId) {
+    match.branch = new mongoose.Types.ObjectId(branchId);
+  }
+
+  const totals = await JournalEntry.aggregate([
+    { $match: match },
+    { $unwind: '$lines' },
+    { $group: { _id: '$lines.account', debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } }
+  ]);
+
+  return new Map(totals.map(({ _id, debit, credit }) => [String(_id), toMinorUnits(debit) - toMinorUnits(credit)]));
+};
+
+/**
+ * Refuse a set of balances whose debits and credits differ
+ * @param {Map<string, number>} balances - From netDebitsByAccount
+ * @param {string} label - What was summed, for the error
+ * @returns {void}
+ * @throws {IntegrityError} When the balances do not net to zero
+ */
+const assertBalanced = (balances, label) => {
+  const net = [...balances.values()].reduce((sum, cents) => sum + cents, 0);
+  if (net !== 0) {
+    const message = `Trial balance ${label} is out of balance by ${net / 100}`;
+    logger.error(message);
+    throw new IntegrityError(message);
+  }
+};
+
+/**
+ * Load the accounts behind one or more sets of balances, by code
+ * @async
+ * @param {Array<Map<string, number>>} columns - Balances per column
+ * @returns {Promise<Array<Object>>} Accounts sorted by accountCode
+ * @throws {IntegrityError} When a posted line references a missing account
+ */
+const loadAccounts = async (columns) => {
+  const ids = [...new Set(columns.flatMap(column => [...column.keys()]))];
+  const accounts = await Account.find({ _id: { $in: ids } }).sort({ accountCode: 1 });
+
+  if (accounts.length !== ids.length) {
+    const found = new Set(accounts.map(account => String(account._id)));
+    const message = `Posted journal lines reference missing accounts: ${ids.filter(id => !found.has(id)).join(', ')}`;
+    logger.error(message);
+    throw new IntegrityError(message);
+  }
+  return accounts;
+};
+
+/**
+ * Balance of an account in its normal-balance direction, in major units
+ * @param {Object} account - Account
+ * @param {Map<string, number>} balances - Net debits in cents
+ * @returns {number} Balance
+ */
+const normalBalance = (account, balances) => {
+  const cents = balances.get(String(account._id)) || 0;
+  if (cents === 0) {
+    return 0;
+  }
+  return (NORMAL_BALANCE[account.accountType] === 'debit' ? cents : -cents) / 100;
+};
+
+/**
+ * Sum a list of amounts without floating point drift
+ * @param {Array<number>} amounts - Amounts in major units
+ * @returns {number} Total
+ */
+const total = (amounts) => amounts.reduce((sum, amount) => sum + toMinorUnits(amount), 0) / 100;
+
+/**
+ * Statement section for the accounts of some types, with an optional comparison column
+ * @param {Array<Object>} accounts - Accounts from loadAccounts
+ * @param {Array<string>} types - Account types in the section
+ * @param {Map<string, number>} current - Current column balances
+ * @param {Map<string, number>|null} previous - Comparison column balances
+ * @returns {Object} { lines: [{ account, amount, previousAmount }], total, previousTotal }
+ */
+const buildSection = (accounts, types, current, previous) => {
+  const lines = accounts
+    .filter(account => types.includes(account.accountType))
+    .map(account => ({
+      account,
+      amount: normalBalance(account, current),
+      previousAmount: previous ? normalBalance(account, previous) : null
+    }));
+
+  return {
+    lines,
+    total: total(lines.map(line => line.amount)),
+    previousTotal: previous ? total(lines.map(line => line.previousAmount)) : null
+  };
+};
+
+/**
+ * Balances as of a date, and optionally a comparison date, checked to net to zero
+ * @async
+ * @param {Object} options - { organizationId, branchId, asOf, compareTo }
+ * @returns {Promise<Object>} { current, previous, accounts }; previous is null without compareTo
+ * @throws {IntegrityError} When either column does not net to zero
+ */
+const loadBalancedColumns = async ({ organizationId, branchId, asOf, compareTo }) => {
+  const current = await netDebitsByAccount({ organizationId, branchId, to: asOf });
+  const previous = compareTo ? await netDebitsByAccount({ organizationId, branchId, to: compareTo }) : null;
+
+  assertBalanced(current, `as of ${asOf.toISOString()}`);
+  if (previous) {
+    assertBalanced(previous, `as of ${compareTo.toISOString()}`);
+  }
+
+  const accounts = await loadAccounts(previous ? [current, previous] : [current]);
+  return { current, previous, accounts };
+};
+
+/**
+ * Trial balance as of a date: each account's net balance on its debit or credit side
+ * @async
+ * @param {Object} options - Report options
+ * @param {string} options.organizationId - Organization ID
+ * @param {string|null} options.branchId - Branch ID, or null for the whole organization
+ * @param {Date} options.asOf - Balances as of this instant
+ * @param {Date|null} options.compareTo - As-of date of a comparison column
+ * @returns {Promise<Object>} { lines: [{ account, debit, credit, previousDebit, previousCredit }],
+ *   totalDebit, totalCredit, previousTotalDebit, previousTotalCredit }
+ * @throws {IntegrityError} When either column does not net to zero
+ */
+const getTrialBalance = async ({ organizationId, branchId = null, asOf, compareTo = null }) => {
+  const { current, previous, accounts } = await loadBalancedColumns({ organizationId, branchId, asOf, compareTo });
+  const sides = (balances, account) => {
+    const cents = balances.get(String(account._id)) || 0;
+    return { debit: Math.max(cents, 0) / 100, credit: Math.max(-cents, 0) / 100 };
+  };
+
+  const lines = accounts.map((account) => {
+    const { debit, credit } = sides(current, account);
+    const before = previous ? sides(previous, account) : { debit: null, credit: null };
+    return { account, debit, credit, previousDebit: before.debit, previousCredit: before.credit };
+  });
+
+  return {
+    lines,
+    totalDebit: total(lines.map(line => line.debit)),
+    totalCredit: total(lines.map(line => line.credit)),
+    previousTotalDebit: previous ? total(lines.map(line => line.previousDebit)) : null,
+    previousTotalCredit: previous ? total(lines.map(line => line.previousCredit)) : null
+  };
+};
+
+/**
+ * Balance sheet as of a date: assets against liabilities, equity and retained earnings
+ * @async
+ * @param {Object} options - Report options (as getTrialBalance)
+ * @returns {Promise<Object>} { assets, liabilities, equity, retainedEarnings, previousRetainedEarnings,
+ *   totalLiabilitiesAndEquity, previousTotalLiabilitiesAndEquity }; sections as buildSection
+ * @throws {IntegrityError} When either column does not net to zero
+ */
+const getBalanceSheet = async ({ organizationId, branchId = null, asOf, compareTo = null }) => {
+  const { current, previous, accounts } = await loadBalancedColumns({ organizationId, branchId, asOf, compareTo });
+  const assets = buildSection(accounts, ['asset'], current, previous);
+  const liabilities = buildSection(accounts, ['liability'], current, previous);
+  const equity = buildSection(accounts, ['equity'], current, previous);
+  const earnings = buildSection(accounts, ['revenue'], current, previous);
+  const costs = buildSection(accounts, ['expense'], current, previous);
+
+  const retainedEarnings = total([earnings.total, -costs.total]);
+  const previousRetainedEarnings = previous ? total([earnings.previousTotal, -costs.previousTotal]) : null;
+
+  return {
+    assets,
+    liabilities,
+    equity,
+    retainedEarnings,
+    previousRetainedEarnings,
+    totalLiabilitiesAndEquity: total([liabilities.total, equity.total, retainedEarnings]),
+    previousTotalLiabilitiesAndEquity: previous
+      ? total([liabilities.previousTotal, equity.previousTotal, previousRetainedEarnings])
+      : null
+  };
+};
+
+/**
+ * The period of equal length ending just before another
+ * @param {Date} from - Period start
+ * @param {Date} to - Period end
+ * @returns {{from: Date, to: Date}} Previous period
+ * @example previousPeriod(new Date('2024-02-01'), new Date('2024-02-29T23:59:59.999Z'))
+ */
+const previousPeriod = (from, to) => {
+  const end = new Date(from.getTime() - 1);
+  return { from: new Date(end.getTime() - (to.getTime() - from.getTime())), to: end };
+};
+
+/**
+ * Income statement for a period: revenue less expenses posted within it
+ * @async
+ * @param {Object} options - Report options
+ * @param {string} options.organizationId - Organization ID
+ * @param {string|null} options.branchId - Branch ID, or null for the whole organization
+ * @param {Date} options.from - Period start
+ * @param {Date} options.to - Period end
+ * @param {boolean} options.compare - Add a column for the preceding period of equal length
+ * @returns {Promise<Object>} { previousFrom, previousTo, revenue, expenses, netIncome, previousNetIncome }
+ */
+const getIncomeStatement = async ({ organizationId, branchId = null, from, to, compare = false }) => {
+  const before = compare ? previousPeriod(from, to) : null;
+  const current = await netDebitsByAccount({ organizationId, branchId, from, to });
+  const previous = before ? await netDebitsByAccount({ organizationId, branchId, ...before }) : null;
+
+  const accounts = await loadAccounts(previous ? [current, previous] : [current]);
+  const revenue = buildSection(accounts, ['revenue'], current, previous);
+  const expenses = buildSection(accounts, ['expense'], current, previous);
+
+  return {
+    previousFrom: before?.from || null,
+    previousTo: before?.to || null,
+    revenue,
+    expenses,
+    netIncome: total([revenue.total, -expenses.total]),
+    previousNetIncome: previous ? total([revenue.previousTotal, -expenses.previousTotal]) : null
+  };
+};
+
+module.exports = {
+  netDebitsByAccount,
+  previousPeriod,
+  getTrialBalance,
+  getBalanceSheet,
+  getIncomeStatement
+};
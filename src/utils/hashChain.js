@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Tamper-evident hash chains over ledger and audit records
+ * Every chained record stores its position (`sequence`), the hash of the
+ * record before it (`previousHash`) and a SHA-256 `hash` over its own sealed
+ * fields plus those two values. Editing a sealed field, deleting a record or
+ * re-linking one breaks the chain at that point.
+ * @module utils/hashChain
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+const { validateDateRange } = require('../handles/validation');
+
+/**
+ * previousHash of the first record in a chain
+ * @type {string}
+ */
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Attempts to append before giving up when other writers keep taking the next sequence
+ * @type {number}
+ */
+const MAX_APPEND_ATTEMPTS = 5;
+
+/**
+ * Reduce a field value to a stable JSON-friendly form
+ * @param {*} value - Field value
+ * @returns {*} String for ObjectIds and Dates, null for missing values
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value.toString();
+  }
+  return value;
+};
+
+/**
+ * Compute the hash of a chained record
+ * @param {Object} record - Mongoose document with sequence and previousHash set
+ * @param {Array<string>} fields - Sealed field paths
+ * @returns {string} Hex-encoded SHA-256 digest
+ * @example computeRecordHash(transaction, Transaction.HASHED_FIELDS);
+ */
+const computeRecordHash = (record, fields) => {
+  const content = [...fields].sort().map(path => [path, normalizeValue(record.get(path))]);
+  const payload = JSON.stringify([record.sequence, record.previousHash, content]);
+
+  return crypto.createHash('sha256').update(payload).digest('hex');
+};
+
+/**
+ * Whether an error is a duplicate-key race on the chain sequence
+ * @param {Error} error - Error thrown by save
+ * @returns {boolean} True when another writer took the same sequence
+ */
+const isSequenceConflict = (error) =>
+  error?.code === 11000 && Boolean(error.keyPattern?.sequence);
+
+/**
+ * Run a chain append, retrying while other writers take the next sequence
+ * Every conflict means another writer's append landed, so the chain keeps
+ * moving; a short random pause keeps racing writers from colliding again in step.
+ * @async
+ * @param {string} modelName - Chained model, for logging
+ * @param {Function} append - async () => saved document; re-reads the head on every call
+ * @param {number} attempts - Attempts before giving up
+ * @returns {Promise<Object>} Saved document
+ * @throws {Error} When the head keeps moving after the given attempts
+ * @example await retryOnSequenceConflict('Transaction', () => runInTransaction(work));
+ */
+const retryOnSequenceConflict = async (modelName, append, attempts = MAX_APPEND_ATTEMPTS) => {
+  for (let attempt = 1; attempt <= attempts; attempt += 1) {
+    try {
+      return await append();
+    } catch (error) {
+      if (!isSequenceConflict(error) || attempt === attempts) {
+        throw error;
+      }
+      logger.debug(`Chain head moved while sealing into ${modelName}, retrying`);
+      await new Promise(resolve => setTimeout(resolve, Math.random() * Math.min(attempt, 10) * 5));
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Seal a document at the head of a chain
+ * The unique (scope, sequence) index makes concurrent seals fail instead of
+ * forking the chain; the loser re-reads the head and retries. Works for new
+ * documents and for existing ones sealed late (e.g. drafts on submission).
+ * Inside a MongoDB transaction a conflict aborts the transaction, so the seal
+ * is attempted once and the caller retries the whole transaction
+ * (see retryOnSequenceConflict).
+ * @async
+ * @param {mongoose.Model} Model - Chained model exposing HASHED_FIELDS
+ * @param {Object} doc - Document to seal; must already carry the scope fields
+ * @param {Object} scope - Fields identifying the chain, e.g. { organization }
+ * @param {Object} options - { session } of a transaction the seal joins, or
+ *   { attempts } outside one (default MAX_APPEND_ATTEMPTS; see retryOnSequenceConflict)
+ * @returns {Promise<Object>} Saved document
+ * @throws {Error} When the head keeps moving after the allowed attempts
+ * @example await sealRecord(Transaction, draft, { organization: draft.organization });
+ */
+const sealRecord = async (Model, doc, scope = {}, { session = null, attempts = MAX_APPEND_ATTEMPTS } = {}) => {
+  const seal = async () => {
+    const head = await Model.findOne({ ...scope, sequence: { $exists: true } })
+      .sort({ sequence: -1 })
+      .select('sequence hash')
+      .session(session);
+
+    doc.sequence = head ? head.sequence + 1 : 1;
+    doc.previousHash = head ? head.hash : GENESIS_HASH;
+
+    // Validation runs pre('validate') hooks that fill generated fields, which are sealed too
+    await doc.validate();
+    doc.hash = computeRecordHash(doc, Model.HASHED_FIELDS);
+
+    return doc.save({ session });
+  };
+
+  return session ? seal() : retryOnSequenceConflict(Model.modelName, seal, attempts);
+};
+
+/**
+ * Create a record at the head of a chain
+ * @async
+ * @param {mongoose.Model} Model - Chained model exposing HASHED_FIELDS
+ * @param {Object} data - Document data
+ * @param {Object} scope - Fields identifying the chain, e.g. { organization }
+ * @param {Object} options - { session, attempts } (optional, see sealRecord)
+ * @returns {Promise<Object>} Saved document
+ * @example await appendToChain(Transaction, data, { organization: orgId });
+ */
+const appendToChain = async (Model, data, scope = {}, options = {}) =>
+  sealRecord(Model, new Model({ ...data, ...scope }), scope, options);
+
+/**
+ * Walk part of a chain in sequence order and report the first break
+ * The range is converted to sequence bounds first, so every record between
+ * the first and last one in the range is checked even when createdAt is not
+ * strictly increasing.
+ * @async
+ * @param {mongoose.Model} Model - Chained model exposing HASHED_FIELDS
+ * @param {Object} options - { name, scope, from, to }
+ * @returns {Promise<Object>} { chain, valid, checked, firstBreak }
+ */
+const verifyChain = async (Model, { name, scope = {}, from, to }) => {
+  const chained = { ...scope, sequence: { $exists: true } };
+  const report = { chain: name, valid: true, checked: 0, firstBreak: null };
+
+  const first = await Model.findOne({ ...chained, createdAt: { $gte: from } }).sort({ sequence: 1 });
+  const last = await Model.findOne({ ...chained, createdAt: { $lte: to } }).sort({ sequence: -1 });
+
+  if (!first || !last || first.sequence > last.sequence) {
+    return report;
+  }
+
+  const reportBreak = (record, reason, hashes = {}) => {
+    report.valid = false;
+    report.firstBreak = {
+      recordId: record._id.toString(),
+      sequence: record.sequence,
+      reason,
+      expectedHash: hashes.expected || null,
+      actualHash: hashes.actual || null
+    };
+    logger.warn('Security event: hash chain break detected', {
+      event: 'hash_chain_break',
+      chain: name,
+      ...report.firstBreak
+    });
+    return report;
+  };
+
+  let previous = first.sequence === 1
+    ? { sequence: 0, hash: GENESIS_HASH }
+    : await Model.findOne({ ...scope, sequence: first.sequence - 1 }).select('sequence hash');
+
+  if (!previous) {
+    return reportBreak(first, `Record with sequence ${first.sequence - 1} is missing`);
+  }
+
+  const cursor = Model.find({ ...scope, sequence: { $gte: first.sequence, $lte: last.sequence } })
+    .sort({ sequence: 1 })
+    .cursor();
+
+  for await (const record of cursor) {
+    if (record.sequence !== previous.sequence + 1) {
+      await cursor.close();
+      return reportBreak(record, `Record with sequence ${previous.sequence + 1} is missing`);
+    }
+    if (record.previousHash !== previous.hash) {
+      await cursor.close();
+      return reportBreak(record, 'Link to the previous record does not match', {
+        expected: previous.hash,
+        actual: record.previousHash
+      });
+    }
+
+    const expected = computeRecordHash(record, Model.HASHED_FIELDS);
+    if (record.hash !== expected) {
+      await cursor.close();
+      return reportBreak(record, 'Record content does not match its hash', {
+        expected,
+        actual: record.hash
+      });
+    }
+
+    report.checked += 1;
+    previous = record;
+  }
+
+  if (previous.sequence !== last.sequence) {
+    return reportBreak(last, `Record with sequence ${previous.sequence + 1} is missing`);
+  }
+
+  return report;
+};
+
+/**
+ * Verify an organization's transaction chain and the audit chain over a period
+ * @async
+ * @param {string} organizationId - Organization whose ledger is verified
+ * @param {Date|string} from - Period start (optional, defaults to the beginning)
+ * @param {Date|string} to - Period end (optional, defaults to now)
+ * @returns {Promise<Object>} { organizationId, from, to, valid, chains }
+ * @example const report = await verifyLedgerIntegrity(orgId, '2024-01-01', '2024-12-31');
+ */
+const verifyLedgerIntegrity = async (organizationId, from, to) => {
+  const range = validateDateRange(from, to);
+
+  const chains = [
+    await verifyChain(mongoose.model('Transaction'), {
+      name: 'transactions',
+      scope: { organization: organizationId },
+      ...range
+    }),
+    await verifyChain(mongoose.model('AuditLog'), { name: 'auditLogs', ...range })
+  ];
+
+  return {
+    organizationId: organizationId.toString(),
+    from: range.from,
+    to: range.to,
+    valid: chains.every(chain => chain.valid),
+    chains
+  };
+};
+
+module.exports = {
+  GENESIS_HASH,
+  computeRecordHash,
+  retryOnSequenceConflict,
+  sealRecord,
+  appendToChain,
+  verifyChain,
+  verifyLedgerIntegrity
+};
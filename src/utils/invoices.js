@@ -0,0 +1,271 @@
+/**
+ * @fileoverview Vendor invoices: where an invoice sits, recording and voiding
+ * invoices, and allocating payments, refunds and credit notes against them
+ * The ledger is the source of truth for what a vendor is owed, so
+ * Vendor.getOutstandingBalance and the payables aging read it alone: an
+ * invoice is posted as a vendor purchase of its total, due when the invoice
+ * is, and voiding it posts a credit reversing that purchase. Payments reach
+ * the ledger as transactions of their own.
+ * A vendor transaction can be spread over several of that vendor's invoices,
+ * each taking part or all of its balance, but never more in total than the
+ * transaction's amount. Allocations are recorded on the invoice, which
+ * derives its balance and status from them (see models/Invoice).
+ * @module utils/invoices
+ */
+
+const Invoice = require('../models/Invoice');
+const Transaction = require('../models/Transaction');
+const { ALLOCATION_KINDS } = require('../models/Invoice');
+const { ValidationError, NotFoundError, ConflictError } = require('../handles/errors');
+const { runInTransaction } = require('../config/database');
+const { EXCLUDED_STATUSES } = require('./ledger');
+const { toMinorUnits } = require('./doubleEntry');
+const { retryOnSequenceConflict, appendToChain } = require('./hashChain');
+const { postTransaction } = require('./journalPosting');
+
+/**
+ * Where an invoice sits, for scoped permission checks
+ * @param {Object} invoice - Invoice document
+ * @returns {Object} { branch, organization, vendor }
+ */
+const invoiceScope = (invoice) => ({
+  branch: invoice.branch,
+  organization: invoice.organization,
+  vendor: invoice.vendor
+});
+
+/**
+ * Invoice paths scoped list queries filter on
+ * @type {Object}
+ */
+const INVOICE_SCOPE_PATHS = {
+  branch: 'branch',
+  organization: 'organization',
+  vendor: 'vendor'
+};
+
+/**
+ * Record a vendor transaction for an invoice's total and post it to the ledger
+ * @async
+ * @param {Object} invoice - Invoice document
+ * @param {Object} fields - { type, description } of the transaction
+ * @param {Object} user - User from context
+ * @param {ClientSession} session - Session the invoice is saved in
+ * @returns {Promise<Object>} Posted transaction
+ */
+const postInvoiceTransaction = async (invoice, fields, user, session) => {
+  const transaction = await appendToChain(Transaction, {
+    ...fields,
+    amount: invoice.total,
+    reference: { refType: 'vendor', refId: invoice.vendor },
+    branch: invoice.branch,
+    createdBy: user.employeeId
+  }, { organization: invoice.organization }, { session });
+  await postTransaction(transaction, 'recorded', user.employeeId, session);
+  return transaction;
+};
+
+/**
+ * Save a new invoice together with the vendor purchase posting it to the
+ * ledger, due when the invoice is; neither is kept without the other
+ * @async
+ * @param {Object} invoice - Unsaved Invoice document
+ * @param {Object} user - User from context
+ * @returns {Promise<Object>} Saved invoice, linked to its purchase
+ * @throws {mongoose.Error.ValidationError} When the invoice is invalid
+ * @example await recordInvoice(new Invoice(data), user);
+ */
+const recordInvoice = async (invoice, user) => {
+  // Validation derives the total the purchase is recorded for
+  await invoice.validate();
+
+  return retryOnSequenceConflict(Transaction.modelName, () => runInTransaction(async (session) => {
+    const purchase = await postInvoiceTransaction(invoice, {
+      type: 'purchase',
+      description: `Invoice ${invoice.invoiceNumber}`,
+      dueDate: invoice.dueDate
+    }, user, session);
+
+    invoice.transaction = purchase._id;
+    await invoice.save({ session });
+    return invoice;
+  }));
+};
+
+/**
+ * Amount of a transaction already allocated to invoices
+ * @async
+ * @param {mongoose.Types.ObjectId} transactionId - Transaction ID
+ * @param {ClientSession} session - Session of the allocation reading it
+ * @returns {Promise<number>} Allocated amount in cents
+ */
+const allocatedCents = async (transactionId, session) => {
+  const [allocated] = await Invoice.aggregate([
+    { $match: { 'allocations.transaction': transactionId } },
+    { $unwind: '$allocations' },
+    { $match: { 'allocations.transaction': transactionId } },
+    { $group: { _id: null, total: { $sum: '$allocations.amount' } } }
+  ], { session });
+  return allocated ? toMinorUnits(allocated.total) : 0;
+};
+
+/**
+ * Check a transaction can be allocated to invoices at all
+ * @param {Object} transaction - Transaction document
+ * @returns {string} Allocation kind: payment, refund or credit_note
+ * @throws {ValidationError} When it is not a vendor payment, refund or credit
+ * @throws {ConflictError} When it is a draft or rejected
+ */
+const allocationKindOf = (transaction) => {
+  const kind = ALLOCATION_KINDS[transaction.type];
+  if (transaction.reference.refType !== 'vendor' || !kind) {
+    throw new ValidationError(
+      'Only vendor payments, settlements, refunds and credits can be allocated to invoices',
+      'transactionId'
+    );
+  }
+  if (EXCLUDED_STATUSES.includes(transaction.status)) {
+    throw new ConflictError(`Cannot allocate a ${transaction.status} transaction`);
+  }
+  return kind;
+};
+
+/**
+ * Allocate a vendor transaction to one or more of the vendor's invoices
+ * Everything is read and written in one MongoDB transaction, which first
+ * claims the vendor transaction with a conditional update: concurrent
+ * allocations of it conflict there and are retried against the committed
+ * allocations, so together they never exceed its amount.
+ * @async
+ * @param {Object} transaction - Transaction document
+ * @param {Array<Object>} allocations - [{ invoiceId, amount }], one per invoice
+ * @param {Object} user - User from context
+ * @param {Function} [assertCanAllocate] - (invoice) => void; throws when the caller may not touch the invoice
+ * @returns {Promise<Array<Object>>} Updated invoices, in allocation order
+ * @throws {ValidationError} On an unallocatable transaction, an invoice given twice or of another vendor
+ * @throws {NotFoundError} When an invoice does not exist
+ * @throws {ConflictError} On a void invoice, a transaction rejected meanwhile, or more than the
+ *   invoice's balance or the transaction's remainder
+ * @example await allocateTransaction(payment, [{ invoiceId, amount: 150 }], user);
+ */
+const allocateTransaction = async (transaction, allocations, user, assertCanAllocate = () => {}) => {
+  const kind = allocationKindOf(transaction);
+  const invoiceIds = allocations.map(allocation => String(allocation.invoiceId));
+  if (new Set(invoiceIds).size < invoiceIds.length) {
+    throw new ValidationError('Each invoice can appear only once in an allocation', 'allocations');
+  }
+
+  return runInTransaction(async (session) => {
+    const claimed = await Transaction.updateOne(
+      { _id: transaction._id, status: { $nin: EXCLUDED_STATUSES } },
+      { $set: { updatedAt: new Date() } },
+      { session }
+    );
+    if (claimed.matchedCount === 0) {
+      throw new ConflictError(`Transaction ${transaction.transactionId} can no longer be allocated`);
+    }
+
+    const invoices = await Invoice.find({ _id: { $in: invoiceIds } }, null, { session });
+    const byId = new Map(invoices.map(invoice => [String(invoice._id), invoice]));
+
+    const requested = allocations.map(({ invoiceId, amount }) => {
+      const invoice = byId.get(String(invoiceId));
+      if (!invoice) {
+        throw new NotFoundError('Invoice');
+      }
+      assertCanAllocate(invoice);
+      if (!invoice.vendor.equals(transaction.reference.refId)) {
+        throw new ValidationError(`Invoice ${invoice.invoiceNumber} belongs to another vendor`, 'allocations');
+      }
+      if (invoice.status === 'void') {
+        throw new ConflictError(`Invoice ${invoice.invoiceNumber} is void`);
+      }
+      const cents = toMinorUnits(amount);
+      if (cents > toMinorUnits(invoice.balanceDue)) {
+        throw new ConflictError(
+          `Allocation of ${amount} exceeds the ${invoice.balanceDue} due on invoice ${invoice.invoiceNumber}`
+        );
+      }
+      return { invoice, cents };
+    });
+
+    const remaining = toMinorUnits(transaction.amount) - await allocatedCents(transaction._id, session);
+    const total = requested.reduce((sum, { cents }) => sum + cents, 0);
+    if (total > remaining) {
+      throw new ConflictError(
+        `Allocations of ${total / 100} exceed the ${remaining / 100} left unallocated on transaction ` +
+        transaction.transactionId
+      );
+    }
+
+    for (const { invoice, cents } of requested) {
+      invoice.allocations.push({
+        transaction: transaction._id,
+        kind,
+        amount: cents / 100,
+        allocatedAt: new Date(),
+        allocatedBy: user.employeeId
+      });
+      await invoice.save({ session });
+    }
+
+    return requested.map(({ invoice }) => invoice);
+  });
+};
+
+/**
+ * Void an invoice that nothing has been allocated to
+ * The credit reversing its purchase is allocated to the invoice itself, so it
+ * cannot settle any other invoice.
+ * @async
+ * @param {Object} invoice - Invoice document
+ * @param {Object} user - User from context
+ * @param {string} reason - Why the invoice is void
+ * @returns {Promise<Object>} Voided invoice
+ * @throws {ConflictError} When already void, or when allocations were made against it
+ */
+const voidInvoice = async (invoice, user, reason) => {
+  if (invoice.status === 'void') {
+    throw new ConflictError(`Invoice ${invoice.invoiceNumber} is already void`);
+  }
+  if (invoice.allocations.length > 0) {
+    throw new ConflictError(`Invoice ${invoice.invoiceNumber} has allocations and cannot be voided`);
+  }
+
+  invoice.status = 'void';
+  invoice.voidedAt = new Date();
+  invoice.voidedBy = user.employeeId;
+  invoice.voidReason = reason;
+
+  // Nothing was posted for invoices recorded before they reached the ledger
+  if (!invoice.transaction || invoice.total === 0) {
+    await invoice.save();
+    return invoice;
+  }
+
+  return retryOnSequenceConflict(Transaction.modelName, () => runInTransaction(async (session) => {
+    const reversal = await postInvoiceTransaction(invoice, {
+      type: 'credit',
+      description: `Void of invoice ${invoice.invoiceNumber}: ${reason}`
+    }, user, session);
+
+    invoice.allocations = [{
+      transaction: reversal._id,
+      kind: ALLOCATION_KINDS.credit,
+      amount: invoice.total,
+      allocatedAt: new Date(),
+      allocatedBy: user.employeeId
+    }];
+    await invoice.save({ session });
+    return invoice;
+  }));
+};
+
+module.exports = {
+  INVOICE_SCOPE_PATHS,
+  invoiceScope,
+  allocationKindOf,
+  recordInvoice,
+  allocateTransaction,
+  voidInvoice
+};
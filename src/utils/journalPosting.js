@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Journal postings for transactions: the default chart of
+ * accounts and the balanced entry each transaction makes in it
+ * Vendor, branch and organization transactions post when they are recorded.
+ * Employee expenses post when approved (the expense against what is owed to
+ * the employee) and again when settled (paying the employee out). Accounts
+ * are opened on first use: organization-wide revenue and expense accounts,
+ * cash per branch, a payable per vendor and a reimbursable per employee, so
+ * entity balances can be read from the ledger (see doubleEntry.getEntityBalance).
+ * @module utils/journalPosting
+ */
+
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const { TRANSACTION_SIDES } = require('../models/Transaction');
+const { runInTransaction } = require('../config/database');
+const { postJournalEntry } = require('./doubleEntry');
+const { retryOnSequenceConflict, appendToChain } = require('./hashChain');
+
+/**
+ * Default accounts transactions post to; entityType accounts are opened once
+ * per entity under `${code}-${entityId}`
+ * @type {Object<string, {code: string, name: string, accountType: string, entityType: (string|undefined)}>}
+ */
+const SYSTEM_ACCOUNTS = {
+  cash: { code: '1000', name: 'Cash', accountType: 'asset', entityType: 'branch' },
+  payable: { code: '2000', name: 'Accounts payable', accountType: 'liability', entityType: 'vendor' },
+  reimbursable: { code: '2100', name: 'Employee reimbursements', accountType: 'liability', entityType: 'employee' },
+  revenue: { code: '4000', name: 'Revenue', accountType: 'revenue' },
+  expense: { code: '5000', name: 'Expenses', accountType: 'expense' }
+};
+
+/**
+ * Vendor transaction types that reduce what is owed without cash changing hands
+ * @type {Array<string>}
+ */
+const CREDIT_NOTE_TYPES = ['credit', 'refund'];
+
+/**
+ * Accounts debited and credited when a transaction reaches a point in its life
+ * @param {Object} transaction - Transaction document
+ * @param {string} event - 'recorded', or an expense's new status
+ * @returns {Array<string>|null} [debit, credit] SYSTEM_ACCOUNTS keys, or null when nothing posts
+ * @example postingAccounts({ type: 'purchase', reference: { refType: 'vendor' } }, 'recorded')
+ * // => ['expense', 'payable']
+ */
+const postingAccounts = (transaction, event) => {
+  const { refType } = transaction.reference;
+  const outgoing = TRANSACTION_SIDES[transaction.type] === 'debit';
+
+  if (refType === 'employee') {
+    const accounts = { approved: ['expense', 'reimbursable'], settled: ['reimbursable', 'cash'] }[event];
+    if (!accounts) {
+      return null;
+    }
+    return outgoing ? accounts : [...accounts].reverse();
+  }
+  if (event !== 'recorded') {
+    return null;
+  }
+  if (refType === 'vendor') {
+    if (outgoing) {
+      return ['expense', 'payable'];
+    }
+    return ['payable', CREDIT_NOTE_TYPES.includes(transaction.type) ? 'expense' : 'cash'];
+  }
+  if (outgoing) {
+    return ['expense', 'cash'];
+  }
+  return ['cash', transaction.type === 'refund' ? 'expense' : 'revenue'];
+};
+
+/**
+ * Find or open the account a transaction posts to for one SYSTEM_ACCOUNTS key
+ * Cash is kept per branch, falling back to an organization-wide account for
+ * transactions outside any branch.
+ * @async
+ * @param {string} key - SYSTEM_ACCOUNTS key
+ * @param {Object} transaction - Transaction document
+ * @param {Object} session - MongoDB session of the posting
+ * @returns {Promise<Object>} Account
+ */
+const openAccount = async (key, transaction, session) => {
+  const { code, name, accountType, entityType } = SYSTEM_ACCOUNTS[key];
+  const entityId = entityType === 'branch' ? transaction.branch : entityType && transaction.reference.refId;
+  const entity = entityId ? { entityType, entityId } : null;
+
+  return Account.findOneAndUpdate(
+    { organization: transaction.organization, accountCode: entity ? `${code}-${entityId}` : code },
+    {
+      $setOnInsert: {
+        accountName: entity ? `${name} (${entityType} ${entityId})` : name,
+        accountType,
+        ...(entity && { entity }),
+        ...(entityType === 'branch' && entity && { branch: entityId })
+      }
+    },
+    { upsert: true, new: true, session }
+  );
+};
+
+/**
+ * Post the journal entry a transaction makes at a point in its life
+ * @async
+ * @param {Object} transaction - Transaction document, with organization set
+ * @param {string} event - 'recorded', or an expense's new status
+ * @param {string} postedBy - Employee ID posting the entry
+ * @param {Object} session - MongoDB session the posting joins, so it commits with the transaction
+ * @returns {Promise<Object|null>} Posted JournalEntry, or null when the event posts nothing
+ * @example await postTransaction(transaction, 'recorded', user.employeeId, session);
+ */
+const postTransaction = async (transaction, event, postedBy, session) => {
+  const accounts = postingAccounts(transaction, event);
+  if (!accounts) {
+    return null;
+  }
+
+  const debit = await openAccount(accounts[0], transaction, session);
+  const credit = await openAccount(accounts[1], transaction, session);
+
+  const note = transaction.description ? `: ${transaction.description}` : '';
+
+  return postJournalEntry({
+    organization: transaction.organization,
+    branch: transaction.branch,
+    date: new Date(),
+    description: `${transaction.transactionId} ${event}${note}`,
+    transaction: transaction._id,
+    lines: [
+      { account: debit._id, debit: transaction.amount, credit: 0 },
+      { account: credit._id, debit: 0, credit: transaction.amount }
+    ]
+  }, postedBy, { session });
+};
+
+/**
+ * Append a transaction to its organization's chain and post it, in one
+ * MongoDB transaction so neither is kept without the other
+ * @async
+ * @param {Object} fields - Transaction fields
+ * @param {string} organization - Organization whose chain and journal receive it
+ * @param {string} postedBy - Employee ID recording the transaction
+ * @returns {Promise<Object>} Saved transaction
+ * @example await recordTransaction(fields, organization, user.employeeId);
+ */
+const recordTransaction = async (fields, organization, postedBy) =>
+  retryOnSequenceConflict(Transaction.modelName, () => runInTransaction(async (session) => {
+    const transaction = await appendToChain(Transaction, fields, { organization }, { session });
+    await postTransaction(transaction, 'recorded', postedBy, session);
+    return transaction;
+  }));
+
+module.exports = {
+  SYSTEM_ACCOUNTS,
+  postingAccounts,
+  postTransaction,
+  recordTransaction
+};
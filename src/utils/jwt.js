@@ -4,32 +4,72 @@
  */
 
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const logger = require('../config/logger');
+const { getSigningKey, getVerificationKey } = require('../config/keys');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
-const JWT_EXPIRY = process.env.JWT_EXPIRY || '24h';
-const JWT_REFRESH_EXPIRY = process.env.JWT_REFRESH_EXPIRY || '7d';
+// Read per call so configuration changes (and tests) take effect without a reload
+const getAccessExpiry = () => process.env.JWT_EXPIRY || '24h';
+const getRefreshExpiry = () => process.env.JWT_REFRESH_EXPIRY || '7d';
+
+/**
+ * Sign a payload with the active key
+ * The key ID is written to the `kid` header so verifiers can pick the
+ * matching public key while an older key is still being rotated out.
+ * @param {Object} payload - Claims to sign
+ * @param {string} expiresIn - Token lifetime
+ * @returns {string} Signed JWT
+ */
+const signToken = (payload, expiresIn) => {
+  const { key, algorithm, kid } = getSigningKey();
+
+  return jwt.sign(payload, key, {
+    algorithm,
+    expiresIn,
+    jwtid: crypto.randomUUID(),
+    ...(kid && { keyid: kid })
+  });
+};
+
+/**
+ * Verify a token against the key named by its `kid` header
+ * Only the configured algorithm is accepted, so a token cannot downgrade
+ * itself to HS256 signed with a public key.
+ * @param {string} token - JWT to verify
+ * @returns {Object} Decoded payload
+ * @throws {jwt.JsonWebTokenError} When the token is malformed or its key is unknown
+ */
+const verifyToken = (token) => {
+  const header = jwt.decode(token, { complete: true })?.header;
+  const { key, algorithms } = getVerificationKey(header?.kid);
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError('Unknown signing key');
+  }
+
+  return jwt.verify(token, key, { algorithms });
+};
 
 /**
  * Generate JWT access token
+ * A random `jti` claim identifies the token so it can be revoked individually.
  * @param {Object} payload - Payload to encode
  * @param {string} payload.userId - User ID
- * @param {string} payload.employeeId - Employee ID
+ * @param {string} payload.employeeId - Employee ID (employee sessions)
+ * @param {string} payload.vendorId - Vendor ID (vendor sessions)
  * @param {string} payload.designation - User designation
  * @returns {string} JWT access token
  */
 const generateAccessToken = (payload) => {
   try {
-    return jwt.sign(
+    return signToken(
       {
         userId: payload.userId,
         employeeId: payload.employeeId,
+        vendorId: payload.vendorId,
         designation: payload.designation
       },
-      JWT_SECRET,
-      {
-        expiresIn: JWT_EXPIRY
-      }
+      getAccessExpiry()
     );
   } catch (error) {
     logger.error('Error generating access token:', error);
@@ -39,17 +79,17 @@ const generateAccessToken = (payload) => {
 
 /**
  * Generate JWT refresh token
+ * Each token carries a random `jti` so that two tokens issued to the same
+ * user within one second are still distinguishable after rotation.
  * @param {string} userId - User ID
+ * @param {string} family - Token family ID shared by all rotations of one sign-in (optional)
  * @returns {string} JWT refresh token
  */
-const generateRefreshToken = (userId) => {
+const generateRefreshToken = (userId, family = undefined) => {
   try {
-    return jwt.sign(
-      { userId, type: 'refresh' },
-      JWT_SECRET,
-      {
-        expiresIn: JWT_REFRESH_EXPIRY
-      }
+    return signToken(
+      { userId, type: 'refresh', ...(family && { family }) },
+      getRefreshExpiry()
     );
   } catch (error) {
     logger.error('Error generating refresh token:', error);
@@ -64,7 +104,7 @@ const generateRefreshToken = (userId) => {
  */
 const verifyAccessToken = (token) => {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    return verifyToken(token);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       throw new Error('Token expired');
@@ -84,7 +124,7 @@ const verifyAccessToken = (token) => {
  */
 const verifyRefreshToken = (token) => {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = verifyToken(token);
     
     // Check if token is a refresh token
     if (decoded.type !== 'refresh') {
@@ -101,10 +141,22 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+/**
+ * Lifetime of an access token in seconds
+ * Resolves JWT_EXPIRY ('24h', '15m', 3600, ...) exactly as jsonwebtoken does
+ * by decoding a throwaway probe token.
+ * @returns {number} Lifetime in seconds
+ * @example getAccessTokenLifetime() // => 86400 for the default '24h'
+ */
+const getAccessTokenLifetime = () => {
+  const probe = jwt.decode(jwt.sign({}, 'probe', { expiresIn: getAccessExpiry() }));
+  return probe.exp - probe.iat;
+};
+
 /**
  * Extract token from Authorization header
  * @param {string} authHeader - Authorization header
- * @returns {string|null} Token or null
+ * @returns {string|null} Token, or null when the header holds no Bearer token
  */
 const extractTokenFromHeader = (authHeader) => {
   if (!authHeader) {
@@ -117,7 +169,7 @@ const extractTokenFromHeader = (authHeader) => {
     return null;
   }
 
-  return parts[1];
+  return parts[1] || null;
 };
 
 module.exports = {
@@ -125,6 +177,7 @@ module.exports = {
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
+  getAccessTokenLifetime,
   extractTokenFromHeader
 };
 
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Entity ledgers: an organization's, branch's, employee's or
+ * vendor's transactions in date order with opening, running and closing balances
+ * Balances follow Transaction TRANSACTION_SIDES (debits raise, credits lower);
+ * drafts and rejected transactions never reach a ledger. Lines are read a page
+ * at a time behind an opaque cursor, and each page's starting balance is summed
+ * in the database, so no ledger is ever loaded whole.
+ * @module utils/ledger
+ */
+
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const { TRANSACTION_SIDES } = require('../models/Transaction');
+const { ValidationError } = require('../handles/errors');
+const { toMinorUnits } = require('./doubleEntry');
+
+/**
+ * Entities a ledger can be kept for, as named in the API
+ * @type {Object<string, string>}
+ */
+const LEDGER_ENTITY_TYPES = {
+  ORGANIZATION: 'organization',
+  BRANCH: 'branch',
+  EMPLOYEE: 'employee',
+  VENDOR: 'vendor'
+};
+
+/**
+ * Statuses that keep a transaction out of every ledger
+ * @type {Array<string>}
+ */
+const EXCLUDED_STATUSES = ['draft', 'rejected'];
+
+/**
+ * Transaction types on the debit side
+ * @type {Array<string>}
+ */
+const DEBIT_TYPES = Object.keys(TRANSACTION_SIDES).filter(type => TRANSACTION_SIDES[type] === 'debit');
+
+/**
+ * Which transactions belong to an entity's ledger
+ * An organization's or branch's ledger holds everything recorded there; an
+ * employee's or vendor's holds what references them.
+ * @param {string} entityType - One of LEDGER_ENTITY_TYPES' values
+ * @param {string} entityId - Entity ID
+ * @returns {Object} Mongo filter, usable in aggregations
+ */
+const ledgerFilter = (entityType, entityId) => {
+  const id = new mongoose.Types.ObjectId(entityId);
+  const filter = { status: { $nin: EXCLUDED_STATUSES } };
+
+  if (entityType === LEDGER_ENTITY_TYPES.ORGANIZATION || entityType === LEDGER_ENTITY_TYPES.BRANCH) {
+    filter[entityType] = id;
+  } else {
+    filter['reference.refType'] = entityType;
+    filter['reference.refId'] = id;
+  }
+
+  return filter;
+};
+
+/**
+ * Balance of the transactions matching a filter, in minor units
+ * @async
+ * @param {Object} filter - Mongo filter
+ * @returns {Promise<number>} Debits minus credits, in cents
+ */
+const sumBalance = async (filter) => {
+  const [result] = await Transaction.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: null,
+        total: {
+          $sum: { $cond: [{ $in: ['$type', DEBIT_TYPES] }, '$amount', { $multiply: ['$amount', -1] }] }
+        }
+      }
+    }
+  ]);
+
+  return toMinorUnits(result?.total || 0);
+};
+
+/**
+ * Encode the position of a ledger line as an opaque cursor
+ * @param {Object} transaction - Last transaction of a page
+ * @returns {string} Cursor
+ */
+const encodeCursor = (transaction) =>
+  Buffer.from(`${transaction.createdAt.toISOString()}|${transaction._id}`).toString('base64url');
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - Cursor
+ * @returns {Object} { at, id }
+ * @throws {ValidationError} When the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  const [at, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+  const date = new Date(at);
+
+  if (Number.isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid cursor', 'after');
+  }
+  return { at: date, id: new mongoose.Types.ObjectId(id) };
+};
+
+/**
+ * Filter for the transactions at or before a cursor position
+ * @param {Object} position - { at, id } from decodeCursor
+ * @returns {Object} Mongo filter
+ */
+const upToCursor = ({ at, id }) => ({
+  $or: [{ createdAt: { $lt: at } }, { createdAt: at, _id: { $lte: id } }]
+});
+
+/**
+ * Filter for the transactions after a cursor position
+ * @param {Object} position - { at, id } from decodeCursor
+ * @returns {Object} Mongo filter
+ */
+const afterCursor = ({ at, id }) => ({
+  $or: [{ createdAt: { $gt: at } }, { createdAt: at, _id: { $gt: id } }]
+});
+
+/**
+ * Read one page of an entity's ledger
+ * @async
+ * @param {Object} options - Ledger options
+ * @param {string} options.entityType - One of LEDGER_ENTITY_TYPES' values
+ * @param {string} options.entityId - Entity ID
+ * @param {Date} options.from - First instant covered
+ * @param {Date} options.to - Last instant covered
+ * @param {number} options.first - Page size
+ * @param {string|null} options.after - Cursor of the previous page's last line
+ * @returns {Promise<Object>} { openingBalance, closingBalance, lines: [{ transaction, date, debit,
+ *   credit, balance }], pageInfo: { endCursor, hasNextPage } }; balances cover the whole range
+ * @throws {ValidationError} When the cursor is malformed
+ * @example
+ * const page = await getLedgerPage({ entityType: 'branch', entityId, from, to, first: 50 });
+ * const next = await getLedgerPage({ ..., after: page.pageInfo.endCursor });
+ */
+const getLedgerPage = async ({ entityType, entityId, from, to, first, after = null }) => {
+  const base = ledgerFilter(entityType, entityId);
+  const inRange = { ...base, createdAt: { $gte: from, $lte: to } };
+  const position = after ? decodeCursor(after) : null;
+
+  const openingBalance = await sumBalance({ ...base, createdAt: { $lt: from } });
+  const closingBalance = await sumBalance({ ...base, createdAt: { $lte: to } });
+  const pageStart = position
+    ? await sumBalance({ $and: [{ ...base, createdAt: { $lte: to } }, upToCursor(position)] })
+    : openingBalance;
+
+  const transactions = await Transaction.find(position ? { $and: [inRange, afterCursor(position)] } : inRange)
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(first + 1);
+  const page = transactions.slice(0, first);
+
+  let running = pageStart;
+  const lines = page.map((transaction) => {
+    const cents = toMinorUnits(transaction.amount);
+    const isDebit = TRANSACTION_SIDES[transaction.type] === 'debit';
+    running += isDebit ? cents : -cents;
+    return {
+      transaction,
+      date: transaction.createdAt,
+      debit: isDebit ? cents / 100 : 0,
+      credit: isDebit ? 0 : cents / 100,
+      balance: running / 100
+    };
+  });
+
+  return {
+    openingBalance: openingBalance / 100,
+    closingBalance: closingBalance / 100,
+    lines,
+    pageInfo: {
+      endCursor: page.length > 0 ? encodeCursor(page[page.length - 1]) : after,
+      hasNextPage: transactions.length > first
+    }
+  };
+};
+
+module.exports = {
+  LEDGER_ENTITY_TYPES,
+  EXCLUDED_STATUSES,
+  ledgerFilter,
+  encodeCursor,
+  decodeCursor,
+  getLedgerPage
+};
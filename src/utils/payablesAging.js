@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Accounts payable aging: what is owed to vendors, bucketed by
+ * how far past due each purchase is, per vendor and per branch
+ * Debit-side vendor transactions (purchases, debits, withdrawals, transfers)
+ * add to what a vendor is owed and credit-side ones settle it, exactly as they
+ * post to the vendor's payable account (see journalPosting.postingAccounts).
+ * Payments are applied to a vendor's oldest purchases first; a purchase
+ * without a due date falls due DEFAULT_PAYMENT_TERMS_DAYS after it was recorded.
+ * @module utils/payablesAging
+ */
+
+const Transaction = require('../models/Transaction');
+const { TRANSACTION_SIDES } = require('../models/Transaction');
+const { ValidationError } = require('../handles/errors');
+const { EXCLUDED_STATUSES } = require('./ledger');
+const { castIds } = require('./expenseAnalytics');
+const { toMinorUnits } = require('./doubleEntry');
+
+/**
+ * Transaction types on one side of the books
+ * @param {string} side - 'debit' or 'credit'
+ * @returns {Array<string>} Types from TRANSACTION_SIDES
+ */
+const typesOnSide = (side) => Object.keys(TRANSACTION_SIDES).filter(type => TRANSACTION_SIDES[type] === side);
+
+/**
+ * Transaction types that add to what a vendor is owed: they credit the payable
+ * @type {Array<string>}
+ */
+const PAYABLE_TYPES = typesOnSide('debit');
+
+/**
+ * Transaction types that settle what a vendor is owed: they debit the payable
+ * @type {Array<string>}
+ */
+const SETTLING_TYPES = typesOnSide('credit');
+
+/**
+ * Payment terms assumed for purchases recorded without a due date
+ * @type {number}
+ */
+const DEFAULT_PAYMENT_TERMS_DAYS = 30;
+
+/**
+ * Aging buckets, in order: the largest number of days overdue each holds
+ * @type {Array<Object>}
+ */
+const AGING_BUCKETS = [
+  { name: 'CURRENT', field: 'current', maxDays: 0 },
+  { name: 'DAYS_1_30', field: 'days1To30', maxDays: 30 },
+  { name: 'DAYS_31_60', field: 'days31To60', maxDays: 60 },
+  { name: 'DAYS_61_90', field: 'days61To90', maxDays: 90 },
+  { name: 'OVER_90', field: 'over90', maxDays: Infinity }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a transaction is a vendor purchase, the only kind that falls due
+ * @param {string} refType - Reference type
+ * @param {string} type - Transaction type
+ * @returns {boolean} True for vendor purchases
+ */
+const isVendorPurchase = (refType, type) => refType === 'vendor' && PAYABLE_TYPES.includes(type);
+
+/**
+ * Refuse a due date on anything but a vendor purchase
+ * @param {string} refType - Reference type
+ * @param {string} type - Transaction type
+ * @param {Date} dueDate - Requested due date (optional)
+ * @returns {void}
+ * @throws {ValidationError} When a due date is given for another kind of transaction
+ */
+const assertDueDateApplies = (refType, type, dueDate) => {
+  if (dueDate && !isVendorPurchase(refType, type)) {
+    throw new ValidationError('Only vendor purchases have a due date', 'dueDate');
+  }
+};
+
+/**
+ * Due date of a purchase recorded at a point in time without one
+ * @param {Date} recordedAt - When the purchase was recorded (defaults to now)
+ * @returns {Date} Due date after the default payment terms
+ */
+const defaultDueDate = (recordedAt = new Date()) =>
+  new Date(recordedAt.getTime() + DEFAULT_PAYMENT_TERMS_DAYS * DAY_MS);
+
+/**
+ * When a purchase falls due
+ * @param {Object} purchase - Purchase transaction
+ * @returns {Date} Due date
+ */
+const dueDateOf = (purchase) => purchase.dueDate || defaultDueDate(purchase.createdAt);
+
+/**
+ * Bucket for a number of days overdue
+ * @param {number} daysOverdue - Whole days past due; zero or less when not yet due
+ * @returns {Object} Entry of AGING_BUCKETS
+ */
+const bucketFor = (daysOverdue) => AGING_BUCKETS.find(bucket => daysOverdue <= bucket.maxDays);
+
+/**
+ * Running bucket totals in cents
+ * @returns {Object} { current, days1To30, ..., total } all zero
+ */
+const emptyBuckets = () => Object.fromEntries([...AGING_BUCKETS.map(bucket => [bucket.field, 0]), ['total', 0]]);
+
+/**
+ * Add an amount to bucket totals
+ * @param {Object} buckets - From emptyBuckets
+ * @param {Object} bucket - Entry of AGING_BUCKETS
+ * @param {number} cents - Amount in cents
+ * @returns {void}
+ */
+const addToBucket = (buckets, bucket, cents) => {
+  buckets[bucket.field] += cents;
+  buckets.total += cents;
+};
+
+/**
+ * Bucket totals in major units
+ * @param {Object} buckets - From emptyBuckets
+ * @returns {Object} Same keys, in major units
+ */
+const toAmounts = (buckets) => Object.fromEntries(Object.entries(buckets).map(([key, cents]) => [key, cents / 100]));
+
+/**
+ * Age unpaid vendor purchases as of a date
+ * @async
+ * @param {Object} options - Report options
+ * @param {Date} options.asOf - Age as of this instant; later transactions are ignored
+ * @param {Object} options.filter - Further conditions on vendor transactions: caller reach, branch, vendor
+ * @returns {Promise<Object>} { vendors: [{ vendorId, buckets, unappliedCredit, purchases: [{ transaction,
+ *   dueDate, outstanding, daysOverdue, bucket }] }], branches: [{ branchId, buckets }], totals }
+ * @example await getPayablesAging({ asOf: new Date(), filter: { branch: branchId } });
+ */
+const getPayablesAging = async ({ asOf, filter = {} }) => {
+  const conditions = [
+    castIds(filter),
+    { 'reference.refType': 'vendor', status: { $nin: EXCLUDED_STATUSES }, createdAt: { $lte: asOf } }
+  ];
+
+  const settled = await Transaction.aggregate([
+    { $match: { $and: [...conditions, { type: { $in: SETTLING_TYPES } }] } },
+    { $group: { _id: '$reference.refId', total: { $sum: '$amount' } } }
+  ]);
+  const purchases = await Transaction.find({ $and: [...conditions, { type: { $in: PAYABLE_TYPES } }] })
+    .sort({ createdAt: 1, _id: 1 });
+
+  const credit = new Map(settled.map(({ _id, total }) => [String(_id), toMinorUnits(total)]));
+  const vendors = new Map();
+  const branches = new Map();
+  const totals = emptyBuckets();
+
+  purchases.forEach((purchase) => {
+    const vendorId = String(purchase.reference.refId);
+    if (!vendors.has(vendorId)) {
+      vendors.set(vendorId, { vendorId, buckets: emptyBuckets(), purchases: [] });
+    }
+
+    const amount = toMinorUnits(purchase.amount);
+    const applied = Math.min(amount, credit.get(vendorId) || 0);
+    credit.set(vendorId, (credit.get(vendorId) || 0) - applied);
+    if (applied === amount) {
+      return;
+    }
+
+    const outstanding = amount - applied;
+    const dueDate = dueDateOf(purchase);
+    const daysOverdue = Math.floor((asOf - dueDate) / DAY_MS);
+    const bucket = bucketFor(daysOverdue);
+    const branchId = purchase.branch ? String(purchase.branch) : null;
+    if (!branches.has(branchId)) {
+      branches.set(branchId, { branchId, buckets: emptyBuckets() });
+    }
+
+    const vendor = vendors.get(vendorId);
+    vendor.purchases.push({
+      transaction: purchase,
+      dueDate,
+      outstanding: outstanding / 100,
+      daysOverdue,
+      bucket: bucket.name
+    });
+    addToBucket(vendor.buckets, bucket, outstanding);
+    addToBucket(branches.get(branchId).buckets, bucket, outstanding);
+    addToBucket(totals, bucket, outstanding);
+  });
+
+  // Vendors paid ahead of their purchases carry the difference as credit
+  credit.forEach((cents, vendorId) => {
+    if (cents > 0 && !vendors.has(vendorId)) {
+      vendors.set(vendorId, { vendorId, buckets: emptyBuckets(), purchases: [] });
+    }
+  });
+
+  return {
+    vendors: [...vendors.values()]
+      .map(vendor => ({
+        ...vendor,
+        buckets: toAmounts(vendor.buckets),
+        unappliedCredit: Math.max(credit.get(vendor.vendorId) || 0, 0) / 100
+      }))
+      .filter(vendor => vendor.purchases.length > 0 || vendor.unappliedCredit > 0),
+    branches: [...branches.values()].map(branch => ({ ...branch, buckets: toAmounts(branch.buckets) })),
+    totals: toAmounts(totals)
+  };
+};
+
+module.exports = {
+  PAYABLE_TYPES,
+  SETTLING_TYPES,
+  DEFAULT_PAYMENT_TERMS_DAYS,
+  AGING_BUCKETS,
+  isVendorPurchase,
+  assertDueDateApplies,
+  defaultDueDate,
+  dueDateOf,
+  bucketFor,
+  getPayablesAging
+};
@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Permission matrix report for security reviews
+ * Lists which roles hold which permission, with the individual grants and
+ * denies of employees that deviate from their role, and previews what an
+ * employee gains or loses when moved to another designation. Reports render
+ * as JSON, CSV or a Markdown table (see graphql roleResolvers permissionReport
+ * and scripts/permission-report.js).
+ * @module utils/permissionReport
+ */
+
+const Employee = require('../models/Employee');
+const Branch = require('../models/Branch');
+const Role = require('../models/Role');
+const {
+  PERMISSIONS,
+  PERMISSION_MATRIX,
+  getPermissionsForRole,
+  getEffectivePermissions
+} = require('../constants/permissions');
+const { NotFoundError, ValidationError } = require('../handles/errors');
+const { ensureRolesLoaded, lookupRole } = require('./roleRegistry');
+
+/**
+ * Formats a report can be rendered in
+ * @type {Object}
+ */
+const REPORT_FORMATS = {
+  JSON: 'JSON',
+  CSV: 'CSV',
+  MARKDOWN: 'MARKDOWN'
+};
+
+/**
+ * Cell marks: held through the role, granted individually, denied individually
+ * @type {Object}
+ */
+const MARKS = { HELD: 'x', GRANTED: '+', DENIED: '-' };
+
+/**
+ * Build the permission report
+ * @param {Object} options - Report options
+ * @param {Array<string>} options.roles - Roles to list; defaults to the built-in ones
+ * @param {string|null} options.organizationId - Organization whose custom roles apply
+ * @param {Array<Object>} options.employees - Employees ({ _id, name, designation, permissions,
+ *   deniedPermissions }); only those with grants or denies are listed
+ * @returns {Object} { organizationId, permissions, roles: [{ name, permissions }], overrides }
+ */
+const buildPermissionReport = ({
+  roles = Object.keys(PERMISSION_MATRIX),
+  organizationId = null,
+  employees = []
+} = {}) => ({
+  organizationId,
+  permissions: Object.values(PERMISSIONS),
+  roles: roles.map(name => ({ name, permissions: getPermissionsForRole(name, organizationId) })),
+  overrides: employees
+    .filter(employee => employee.permissions?.length > 0 || employee.deniedPermissions?.length > 0)
+    .map(employee => ({
+      employeeId: employee._id.toString(),
+      name: employee.name,
+      designation: employee.designation,
+      grants: employee.permissions || [],
+      denies: employee.deniedPermissions || []
+    }))
+});
+
+/**
+ * What an employee would gain or lose if moved to another designation; their
+ * individual grants and denies carry over
+ * @param {Object} employee - Employee ({ _id, name, designation, permissions, deniedPermissions })
+ * @param {string} designation - Proposed designation
+ * @param {string|null} organizationId - Organization whose custom roles apply
+ * @returns {Object} { employeeId, name, from, to, gained, lost, kept }
+ */
+const diffDesignations = (employee, designation, organizationId = null) => {
+  const effective = (role) =>
+    getEffectivePermissions(role, employee.permissions, employee.deniedPermissions, organizationId);
+  const before = effective(employee.designation);
+  const after = effective(designation);
+
+  return {
+    employeeId: employee._id.toString(),
+    name: employee.name,
+    from: employee.designation,
+    to: designation,
+    gained: after.filter(permission => !before.includes(permission)),
+    lost: before.filter(permission => !after.includes(permission)),
+    kept: before.filter(permission => after.includes(permission))
+  };
+};
+
+/**
+ * Mark an employee holds on a permission, given their role's permissions
+ * @param {Object} override - Entry of report.overrides
+ * @param {Array<string>} rolePermissions - Permissions of the employee's designation
+ * @param {string} permission - Permission
+ * @returns {string} Mark, or '' when not held
+ */
+const overrideMark = (override, rolePermissions, permission) => {
+  if (override.denies.includes(permission)) {
+    return rolePermissions.includes(permission) || override.grants.includes(permission) ? MARKS.DENIED : '';
+  }
+  if (override.grants.includes(permission) && !rolePermissions.includes(permission)) {
+    return MARKS.GRANTED;
+  }
+  return rolePermissions.includes(permission) ? MARKS.HELD : '';
+};
+
+/**
+ * Lay the report out as a table: one row per permission, one column per
+ * role and per employee with overrides
+ * @param {Object} report - Report from buildPermissionReport
+ * @returns {Array<Array<string>>} Header row followed by permission rows
+ */
+const toTable = (report) => {
+  const rolePermissions = (name) =>
+    report.roles.find(role => role.name === name)?.permissions ||
+    getPermissionsForRole(name, report.organizationId);
+
+  const header = [
+    'permission',
+    ...report.roles.map(role => role.name),
+    ...report.overrides.map(override => `${override.name} (${override.designation})`)
+  ];
+  const rows = report.permissions.map(permission => [
+    permission,
+    ...report.roles.map(role => (role.permissions.includes(permission) ? MARKS.HELD : '')),
+    ...report.overrides.map(override => overrideMark(override, rolePermissions(override.designation), permission))
+  ]);
+
+  return [header, ...rows];
+};
+
+/**
+ * Lay a designation diff out as a table
+ * @param {Object} diff - Diff from diffDesignations
+ * @returns {Array<Array<string>>} Header row followed by one row per changed or kept permission
+ */
+const toDiffTable = (diff) => [
+  ['permission', 'change'],
+  ...diff.gained.map(permission => [permission, 'gained']),
+  ...diff.lost.map(permission => [permission, 'lost']),
+  ...diff.kept.map(permission => [permission, 'kept'])
+];
+
+/**
+ * Quote a CSV cell when it holds a separator, quote or line break
+ * @param {string} value - Cell value
+ * @returns {string} CSV cell
+ */
+const csvCell = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * Render table rows as CSV
+ * @param {Array<Array<string>>} rows - Rows, header first
+ * @returns {string} CSV
+ */
+const toCSV = (rows) => rows.map(row => row.map(csvCell).join(',')).join('\n');
+
+/**
+ * Render table rows as a Markdown table
+ * @param {Array<Array<string>>} rows - Rows, header first
+ * @returns {string} Markdown
+ */
+const toMarkdown = ([header, ...rows]) => [
+  header,
+  header.map(() => '---'),
+  ...rows
+].map(row => `| ${row.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`).join('\n');
+
+/**
+ * Render a report, and optionally a designation diff, in the given format
+ * CSV and Markdown mark permissions held through the role with 'x', individual
+ * grants with '+' and individual denies with '-'; a diff follows as its own table.
+ * @param {Object} report - Report from buildPermissionReport
+ * @param {string} format - One of REPORT_FORMATS
+ * @param {Object|null} diff - Diff from diffDesignations (optional)
+ * @returns {string} Rendered report
+ * @throws {Error} On an unknown format
+ */
+const renderPermissionReport = (report, format, diff = null) => {
+  switch (format) {
+    case REPORT_FORMATS.JSON:
+      return JSON.stringify(diff ? { ...report, diff } : report, null, 2);
+    case REPORT_FORMATS.CSV:
+      return [toCSV(toTable(report)), ...(diff ? [toCSV(toDiffTable(diff))] : [])].join('\n\n');
+    case REPORT_FORMATS.MARKDOWN:
+      return [
+        toMarkdown(toTable(report)),
+        ...(diff ? [`${diff.name}: ${diff.from} -> ${diff.to}`, toMarkdown(toDiffTable(diff))] : [])
+      ].join('\n\n');
+    default:
+      throw new Error(`Unknown report format: ${format}`);
+  }
+};
+
+/**
+ * Load a report from the database: the built-in roles plus the organization's
+ * own, and the employees with individual grants or denies. When an employee and
+ * a designation are given, the diff previews moving that employee there.
+ * @async
+ * @param {Object} options - Report options
+ * @param {string|null} options.organizationId - Organization; defaults to the employee's
+ * @param {string|null} options.employeeId - Employee to preview a designation change for
+ * @param {string|null} options.designation - Proposed designation
+ * @returns {Promise<Object>} { report, diff }; diff is null without an employee and designation
+ * @throws {NotFoundError} When the employee does not exist
+ * @throws {ValidationError} When the designation is not a known role
+ */
+const loadPermissionReport = async ({ organizationId = null, employeeId = null, designation = null } = {}) => {
+  await ensureRolesLoaded();
+
+  const employee = employeeId
+    ? await Employee.findById(employeeId)
+      .select('name designation branch permissions deniedPermissions')
+      .populate('branch', 'organization')
+    : null;
+  if (employeeId && !employee) {
+    throw new NotFoundError('Employee');
+  }
+
+  const scopeId = organizationId || employee?.branch?.organization?.toString() || null;
+  if (designation && !PERMISSION_MATRIX[designation] && !lookupRole(designation, scopeId)) {
+    throw new ValidationError(`Unknown role: ${designation}`, 'designation');
+  }
+
+  const defined = await Role.find({ organization: scopeId ? { $in: [null, scopeId] } : null, retiredAt: null })
+    .distinct('name');
+  const overridden = { $or: [{ 'permissions.0': { $exists: true } }, { 'deniedPermissions.0': { $exists: true } }] };
+  if (scopeId) {
+    overridden.branch = { $in: await Branch.find({ organization: scopeId }).distinct('_id') };
+  }
+  const employees = await Employee.find(overridden)
+    .select('name designation permissions deniedPermissions')
+    .sort({ name: 1 });
+
+  return {
+    report: buildPermissionReport({
+      roles: [...new Set([...Object.keys(PERMISSION_MATRIX), ...defined])],
+      organizationId: scopeId,
+      employees
+    }),
+    diff: employee && designation ? diffDesignations(employee, designation, scopeId) : null
+  };
+};
+
+module.exports = {
+  REPORT_FORMATS,
+  buildPermissionReport,
+  diffDesignations,
+  renderPermissionReport,
+  loadPermissionReport
+};
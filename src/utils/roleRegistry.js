@@ -0,0 +1,106 @@
+/**
+ * @fileoverview In-memory cache of roles defined in the database
+ * Permission checks are synchronous, so role definitions are loaded ahead of
+ * time (once per request at most, see middleware/context) and read from here.
+ * Roles missing from the cache fall back to the constants in constants/permissions.
+ * @module utils/roleRegistry
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+
+/**
+ * How long loaded roles are trusted before the next request reloads them
+ * @type {number}
+ */
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+
+let roles = new Map();
+let loadedAt = 0;
+let loading = null;
+
+/**
+ * Cache key of a role; organization-wide roles have no organization
+ * @param {string} name - Role name
+ * @param {string|null} organizationId - Owning organization
+ * @returns {string} Key
+ */
+const roleKey = (name, organizationId) => `${organizationId || '*'}:${name}`;
+
+/**
+ * Replace the cached roles
+ * @param {Array<Object>} definitions - Active role documents (or plain objects)
+ * @returns {void}
+ */
+const cacheRoles = (definitions) => {
+  roles = new Map(definitions.map(role => [roleKey(role.name, role.organization?.toString()), {
+    name: role.name,
+    organization: role.organization ? role.organization.toString() : null,
+    baseRole: role.baseRole || null,
+    permissions: role.permissions || [],
+    scope: role.scope || null
+  }]));
+  loadedAt = Date.now();
+};
+
+/**
+ * Load every active role from the database into the cache
+ * @async
+ * @returns {Promise<void>} Resolves once cached
+ */
+const loadRoles = async () => {
+  const definitions = await mongoose.model('Role').find({ retiredAt: null }).lean();
+  cacheRoles(definitions);
+  logger.debug(`Loaded ${definitions.length} roles`);
+};
+
+/**
+ * Reload roles when the cache is stale; concurrent callers share one load.
+ * A failed load keeps the previous roles so checks degrade to the last known state.
+ * @async
+ * @returns {Promise<void>} Resolves once roles are fresh (or the load failed)
+ */
+const ensureRolesLoaded = async () => {
+  if (Date.now() - loadedAt < ROLE_CACHE_TTL_MS) {
+    return;
+  }
+
+  loading = loading || loadRoles()
+    .catch(error => logger.error('Failed to load roles:', error))
+    .finally(() => {
+      loading = null;
+    });
+  await loading;
+};
+
+/**
+ * Mark the cache stale so the next request reloads it (after a role changes)
+ * @returns {void}
+ */
+const invalidateRoles = () => {
+  loadedAt = 0;
+};
+
+/**
+ * Find a cached role, preferring the organization's own over an organization-wide one
+ * @param {string} name - Role name
+ * @param {string|null} organizationId - Organization the user belongs to
+ * @returns {Object|null} { name, organization, baseRole, permissions, scope } or null
+ */
+const lookupRole = (name, organizationId = null) => {
+  if (typeof name !== 'string') {
+    return null;
+  }
+  return (organizationId && roles.get(roleKey(name, organizationId.toString()))) ||
+    roles.get(roleKey(name, null)) ||
+    null;
+};
+
+module.exports = {
+  ROLE_CACHE_TTL_MS,
+  cacheRoles,
+  loadRoles,
+  ensureRolesLoaded,
+  invalidateRoles,
+  lookupRole
+};
@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Login, refresh and logout session flows
+ * @module utils/session
+ */
+
+const Joi = require('joi');
+const crypto = require('crypto');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const TokenRevocation = require('../models/TokenRevocation');
+const Employee = require('../models/Employee');
+const Vendor = require('../models/Vendor');
+const Branch = require('../models/Branch');
+const logger = require('../config/logger');
+const { AuthenticationError } = require('../handles/errors');
+const { validateInput } = require('../handles/validation');
+const { getEffectivePermissions } = require('../constants/permissions');
+const { ROLES } = require('../constants/roles');
+const { ensureRolesLoaded } = require('./roleRegistry');
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  getAccessTokenLifetime
+} = require('./jwt');
+
+const credentialsSchema = Joi.object({
+  username: Joi.string().trim().lowercase().min(1).max(50).required(),
+  password: Joi.string().min(1).max(128).required()
+});
+
+/**
+ * Who a session acts as: the linked employee with their designation, or the
+ * linked vendor, which always signs in with the Vendor role
+ * @param {Object} user - User document
+ * @param {Object} principal - Linked Employee or Vendor document
+ * @returns {Object} { employeeId, vendorId, designation }; the ID not in use is null
+ */
+const sessionIdentity = (user, principal) => (user.vendor
+  ? { employeeId: null, vendorId: principal._id.toString(), designation: ROLES.VENDOR }
+  : { employeeId: principal._id.toString(), vendorId: null, designation: principal.designation });
+
+/**
+ * Issue a fresh access/refresh token pair and store the refresh token hash
+ * @async
+ * @param {Object} user - User document
+ * @param {Object} principal - Linked Employee or Vendor document
+ * @param {string} family - Token family to continue; a new family starts a new device session
+ * @returns {Promise<Object>} AuthPayload: tokens, identity, designation and permissions
+ */
+const issueSession = async (user, principal, family = crypto.randomUUID()) => {
+  const userId = user._id.toString();
+  const identity = sessionIdentity(user, principal);
+  const accessToken = generateAccessToken({ userId, ...identity });
+  const refreshToken = generateRefreshToken(userId, family);
+  const { exp } = verifyRefreshToken(refreshToken);
+
+  await RefreshToken.create({
+    user: user._id,
+    family,
+    tokenHash: RefreshToken.hashToken(refreshToken),
+    expiresAt: new Date(exp * 1000)
+  });
+
+  // Custom roles may be defined for the organization of the employee's (or vendor's) branch
+  const branch = principal.branch ? await Branch.findById(principal.branch).select('organization') : null;
+  await ensureRolesLoaded();
+
+  return {
+    accessToken,
+    refreshToken,
+    userId,
+    ...identity,
+    username: user.username,
+    permissions: getEffectivePermissions(
+      identity.designation,
+      principal.permissions,
+      principal.deniedPermissions,
+      branch?.organization
+    )
+  };
+};
+
+/**
+ * Load the employee or vendor a user signs in as
+ * @async
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Employee or Vendor document
+ * @throws {AuthenticationError} When the employee or vendor no longer exists
+ */
+const loadSessionPrincipal = async (user) => {
+  if (user.vendor) {
+    const vendor = await Vendor.findById(user.vendor);
+
+    if (!vendor) {
+      logger.warn(`Login blocked: user ${user._id} has no linked vendor`);
+      throw new AuthenticationError('Account is not linked to an active vendor');
+    }
+    return vendor;
+  }
+
+  const employee = await Employee.findById(user.employee);
+
+  if (!employee) {
+    logger.warn(`Login blocked: user ${user._id} has no linked employee`);
+    throw new AuthenticationError('Account is not linked to an active employee');
+  }
+
+  return employee;
+};
+
+/**
+ * Authenticate with username and password
+ * @async
+ * @param {string} username - Username (case-insensitive)
+ * @param {string} password - Plain-text password
+ * @returns {Promise<Object>} AuthPayload
+ * @throws {AuthenticationError} On unknown user or wrong password
+ * @example const session = await login('jdoe', 'secret123');
+ */
+const login = async (username, password) => {
+  const credentials = validateInput({ username, password }, credentialsSchema);
+  const user = await User.findOne({ username: credentials.username }).select('+password');
+
+  if (!user || !(await user.comparePassword(credentials.password))) {
+    logger.warn(`Failed login attempt for username: ${credentials.username}`);
+    throw new AuthenticationError('Invalid username or password');
+  }
+
+  const principal = await loadSessionPrincipal(user);
+  const session = await issueSession(user, principal);
+
+  logger.info(`User ${session.userId} logged in`);
+  return session;
+};
+
+/**
+ * Decode a refresh token, normalizing failures to AuthenticationError
+ * @param {string} token - Refresh token
+ * @returns {Object} Decoded payload
+ * @throws {AuthenticationError} When the token is invalid or expired
+ */
+const decodeRefreshToken = (token) => {
+  try {
+    return verifyRefreshToken(token);
+  } catch (error) {
+    logger.warn('Refresh token rejected:', error.message);
+    throw new AuthenticationError('Invalid or expired refresh token');
+  }
+};
+
+/**
+ * Revoke a whole token family after an already-rotated token was presented
+ * Whoever holds the newer token in that family is signed out too, since we
+ * cannot tell which of the two parties is the legitimate one.
+ * @async
+ * @param {Object} record - RefreshToken document that was reused
+ * @returns {Promise<void>} Resolves once the family is revoked
+ */
+const handleTokenReuse = async (record) => {
+  const revoked = await RefreshToken.revokeFamily(record.family, 'reuse');
+
+  logger.warn('Security event: refresh token reuse detected', {
+    event: 'refresh_token_reuse',
+    userId: record.user.toString(),
+    family: record.family,
+    revokedTokens: revoked
+  });
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * Each refresh token is single-use. Presenting a token that was already
+ * rotated revokes its entire family.
+ * @async
+ * @param {string} token - Current refresh token
+ * @returns {Promise<Object>} AuthPayload with a new refresh token in the same family
+ * @throws {AuthenticationError} When the token is invalid, revoked or reused
+ * @example const session = await refreshSession(previous.refreshToken);
+ */
+const refreshSession = async (token) => {
+  const decoded = decodeRefreshToken(token);
+  const record = await RefreshToken.findByToken(token);
+
+  if (!record || record.user.toString() !== decoded.userId) {
+    logger.warn(`Unknown refresh token presented for user ${decoded.userId}`);
+    throw new AuthenticationError('Refresh token is no longer valid');
+  }
+
+  if (record.revokedAt) {
+    logger.warn(`Revoked refresh token presented for user ${decoded.userId}`);
+    throw new AuthenticationError('Refresh token is no longer valid');
+  }
+
+  // markRotated is atomic, so two concurrent refreshes with one token cannot both succeed
+  if (record.rotatedAt || !(await record.markRotated())) {
+    await handleTokenReuse(record);
+    throw new AuthenticationError('Refresh token is no longer valid');
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user) {
+    throw new AuthenticationError('Refresh token is no longer valid');
+  }
+
+  const principal = await loadSessionPrincipal(user);
+  const session = await issueSession(user, principal, record.family);
+
+  logger.info(`Session refreshed for user ${session.userId}`);
+  return session;
+};
+
+/**
+ * End the caller's session
+ * The access token the caller presented is revoked at once. With a refresh
+ * token only that device's family is revoked as well; without one, every
+ * session of the user is signed out.
+ * @async
+ * @param {Object} authUser - Authenticated user from context, with the token's jti and exp
+ * @param {string} refreshToken - Refresh token of the current device (optional)
+ * @returns {Promise<boolean>} True once logged out
+ * @example await logout(context.user, args.refreshToken);
+ */
+const logout = async (authUser, refreshToken = null) => {
+  if (authUser.jti) {
+    await TokenRevocation.revokeToken(authUser, { reason: 'logout', revokedBy: authUser.userId });
+  }
+
+  if (refreshToken) {
+    const record = await RefreshToken.findByToken(refreshToken);
+
+    if (record && record.user.toString() === authUser.userId) {
+      await RefreshToken.revokeFamily(record.family, 'logout');
+    }
+  } else {
+    await RefreshToken.revokeAllForUser(authUser.userId, 'logout');
+  }
+
+  logger.info(`User ${authUser.userId} logged out`);
+  return true;
+};
+
+/**
+ * Immediately end every session of a user
+ * Revokes all refresh token families and every access token issued so far,
+ * so neither an existing access token nor a refresh can keep the user in.
+ * @async
+ * @param {string} userId - User whose sessions are revoked
+ * @param {Object} meta - { reason, revokedBy } recorded with the revocation
+ * @returns {Promise<boolean>} True once revoked
+ * @example await revokeAllSessions(user._id, { reason: 'terminated', revokedBy: admin.userId });
+ */
+const revokeAllSessions = async (userId, meta = {}) => {
+  await RefreshToken.revokeAllForUser(userId, 'admin');
+  await TokenRevocation.revokeAllForUser(userId, getAccessTokenLifetime(), meta);
+
+  logger.warn('Security event: all sessions revoked', {
+    event: 'sessions_revoked',
+    userId: userId.toString(),
+    revokedBy: meta.revokedBy,
+    reason: meta.reason
+  });
+  return true;
+};
+
+module.exports = {
+  login,
+  refreshSession,
+  logout,
+  revokeAllSessions,
+  issueSession
+};
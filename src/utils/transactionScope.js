@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Where a transaction sits - its branch, organization ledger and owner
+ * @module utils/transactionScope
+ */
+
+const Branch = require('../models/Branch');
+const { ValidationError } = require('../handles/errors');
+
+/**
+ * Transaction paths scoped list queries filter on; an employee owns the
+ * expenses recorded against them
+ * @type {Object}
+ */
+const TRANSACTION_SCOPE_PATHS = {
+  branch: 'branch',
+  organization: 'organization',
+  owner: 'reference.refId'
+};
+
+/**
+ * Where a transaction sits, for scoped permission checks
+ * @param {Object} transaction - Transaction document
+ * @returns {Object} { branch, organization, owner }
+ */
+const transactionScope = (transaction) => ({
+  branch: transaction.branch,
+  organization: transaction.organization,
+  owner: transaction.reference.refType === 'employee' ? transaction.reference.refId : null
+});
+
+/**
+ * Compare two IDs that may be strings or ObjectIds
+ * @param {*} a - First ID
+ * @param {*} b - Second ID
+ * @returns {boolean} True when both are set and equal
+ */
+const sameId = (a, b) => Boolean(a) && Boolean(b) && a.toString() === b.toString();
+
+/**
+ * Work out which branch a transaction belongs to from its reference
+ * Employees, vendors and branches already sit in a branch, and the
+ * transaction goes there; an explicit branch may only name that same branch,
+ * so the caller cannot file it under a branch of their choosing. Shared
+ * vendors and organizations take the explicit branch, if any.
+ * @param {string} refType - Reference type
+ * @param {Object} entity - Referenced document
+ * @param {string} branchId - Explicit branch from input, if any
+ * @returns {string|null} Branch ID
+ * @throws {ValidationError} When the explicit branch is not the reference's own
+ */
+const resolveTransactionBranch = (refType, entity, branchId) => {
+  const own = refType === 'branch' ? entity._id : (refType !== 'organization' && entity.branch) || null;
+
+  if (branchId && own && !sameId(branchId, own)) {
+    throw new ValidationError(`branchId must be the ${refType}'s own branch`, 'branchId');
+  }
+
+  return own || branchId || null;
+};
+
+/**
+ * Work out which organization ledger a transaction is chained into
+ * @async
+ * @param {string} refType - Reference type
+ * @param {Object} entity - Referenced document
+ * @param {string|null} branchId - Branch the transaction belongs to
+ * @returns {Promise<string>} Organization ID
+ * @throws {ValidationError} When no organization can be determined (vendor without branch)
+ * @throws {ValidationError} When the branch is outside the referenced organization
+ */
+const resolveTransactionOrganization = async (refType, entity, branchId) => {
+  const branch = refType === 'branch' ? entity : branchId && await Branch.findById(branchId);
+
+  if (refType === 'organization') {
+    if (branch && !sameId(branch.organization, entity._id)) {
+      throw new ValidationError('branchId must be a branch of the organization', 'branchId');
+    }
+    return entity._id;
+  }
+
+  if (!branch) {
+    throw new ValidationError('branchId is required to place this transaction in an organization ledger', 'branchId');
+  }
+
+  return branch.organization;
+};
+
+module.exports = {
+  TRANSACTION_SCOPE_PATHS,
+  transactionScope,
+  resolveTransactionBranch,
+  resolveTransactionOrganization
+};
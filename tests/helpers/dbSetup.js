@@ -4,16 +4,17 @@
  */
 
 const mongoose = require('mongoose');
-const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
 
 let mongoServer;
 
 /**
- * Connect to in-memory MongoDB instance
+ * Connect to an in-memory single-node replica set, which journal postings
+ * need for their MongoDB transactions
  * @returns {Promise<void>}
  */
 const connectDB = async () => {
-  mongoServer = await MongoMemoryServer.create();
+  mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
   const mongoUri = mongoServer.getUri();
   
   await mongoose.connect(mongoUri, {
@@ -59,11 +59,27 @@ const createUserFixture = (employeeId) => ({
   employee: employeeId
 });
 
+/**
+ * Generate test transaction data
+ * @param {string} refId - Referenced entity ID
+ * @param {string} refType - Referenced entity type
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} Transaction fixture
+ */
+const createTransactionFixture = (refId, refType = 'employee', overrides = {}) => ({
+  amount: 100,
+  type: 'debit',
+  reference: { refType, refId },
+  description: 'Test transaction',
+  ...overrides
+});
+
 module.exports = {
   createOrganizationFixture,
   createBranchFixture,
   createEmployeeFixture,
   createVendorFixture,
-  createUserFixture
+  createUserFixture,
+  createTransactionFixture
 };
 
@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Unit tests for JWT key management, rotation and JWKS
+ * @module tests/unit/config/keys
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  getSigningKey,
+  getVerificationKey,
+  getJwks,
+  assertSecureConfig
+} = require('../../../src/config/keys');
+const {
+  generateAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  verifyRefreshToken
+} = require('../../../src/utils/jwt');
+const { handler: jwksHandler } = require('../../../src/jwks');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const KEY_ENV = [
+  'NODE_ENV',
+  'JWT_SECRET',
+  'JWT_ALGORITHM',
+  'JWT_SIGNING_KEY',
+  'JWT_SIGNING_KID',
+  'JWT_PUBLIC_KEYS'
+];
+
+/**
+ * Generate a PEM key pair
+ * @param {string} type - 'rsa' or 'ec'
+ * @returns {{privateKey: string, publicKey: string}} PEM strings
+ */
+const createKeyPair = (type) => crypto.generateKeyPairSync(type, {
+  ...(type === 'rsa' ? { modulusLength: 2048 } : { namedCurve: 'P-256' }),
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+const rsaOld = createKeyPair('rsa');
+const rsaNew = createKeyPair('rsa');
+const ecKey = createKeyPair('ec');
+
+const payload = { userId: 'user123', employeeId: 'emp123', designation: 'Employee' };
+
+describe('JWT Key Management', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    KEY_ENV.forEach((name) => {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    });
+    process.env.JWT_SECRET = 'test-secret-key';
+  });
+
+  afterEach(() => {
+    KEY_ENV.forEach((name) => {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    });
+  });
+
+  /**
+   * Configure RS256 signing with the given key
+   * @param {Object} pair - Key pair to sign with
+   * @param {string} kid - Key ID
+   * @param {Object} previous - { kid: publicPem } still accepted
+   */
+  const useRsa = (pair, kid, previous = {}) => {
+    process.env.JWT_ALGORITHM = 'RS256';
+    process.env.JWT_SIGNING_KEY = pair.privateKey;
+    process.env.JWT_SIGNING_KID = kid;
+    process.env.JWT_PUBLIC_KEYS = JSON.stringify(previous);
+  };
+
+  describe('HS256', () => {
+    it('should sign with the shared secret and no kid', () => {
+      const token = generateAccessToken(payload);
+
+      expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'HS256' });
+      expect(jwt.decode(token, { complete: true }).header.kid).toBeUndefined();
+      expect(jwt.verify(token, 'test-secret-key').userId).toBe('user123');
+    });
+
+    it('should refuse to sign or verify without a secret', () => {
+      process.env.JWT_SECRET = '';
+      expect(() => getSigningKey()).toThrow('JWT_SECRET is required');
+      expect(() => getVerificationKey()).toThrow('JWT_SECRET is required');
+
+      delete process.env.JWT_SECRET;
+      expect(() => getSigningKey()).toThrow('JWT_SECRET is required');
+    });
+
+    it('should publish no keys', () => {
+      expect(getJwks()).toEqual({ keys: [] });
+    });
+  });
+
+  describe('RS256', () => {
+    it('should sign with the private key and set the kid header', () => {
+      useRsa(rsaNew, 'key-2');
+
+      const token = generateAccessToken(payload);
+      const { header } = jwt.decode(token, { complete: true });
+
+      expect(header).toMatchObject({ alg: 'RS256', kid: 'key-2' });
+      expect(jwt.verify(token, rsaNew.publicKey).userId).toBe('user123');
+      expect(verifyAccessToken(token).userId).toBe('user123');
+      expect(verifyRefreshToken(generateRefreshToken('user123')).type).toBe('refresh');
+    });
+
+    it('should accept PEMs with escaped newlines', () => {
+      useRsa(rsaNew, 'key-2');
+      process.env.JWT_SIGNING_KEY = rsaNew.privateKey.replace(/\n/g, '\\n');
+
+      expect(verifyAccessToken(generateAccessToken(payload)).userId).toBe('user123');
+    });
+
+    it('should keep accepting tokens from a retired key during rotation', () => {
+      useRsa(rsaOld, 'key-1');
+      const oldToken = generateAccessToken(payload);
+
+      useRsa(rsaNew, 'key-2', { 'key-1': rsaOld.publicKey });
+
+      expect(verifyAccessToken(oldToken).userId).toBe('user123');
+      expect(jwt.decode(generateAccessToken(payload), { complete: true }).header.kid).toBe('key-2');
+    });
+
+    it('should reject tokens once the retired key is removed', () => {
+      useRsa(rsaOld, 'key-1');
+      const oldToken = generateAccessToken(payload);
+
+      useRsa(rsaNew, 'key-2');
+
+      expect(() => verifyAccessToken(oldToken)).toThrow('Invalid token');
+    });
+
+    it('should reject a kid that points at a different key', () => {
+      useRsa(rsaNew, 'key-2', { 'key-1': rsaOld.publicKey });
+      const forged = jwt.sign(payload, rsaNew.privateKey, { algorithm: 'RS256', keyid: 'key-1' });
+
+      expect(() => verifyAccessToken(forged)).toThrow('Invalid token');
+    });
+
+    it('should reject HS256 tokens signed with the public key', () => {
+      useRsa(rsaNew, 'key-2');
+      const forged = jwt.sign(payload, 'test-secret-key', { keyid: 'key-2' });
+
+      expect(() => verifyAccessToken(forged)).toThrow('Invalid token');
+    });
+
+    it('should require a signing key', () => {
+      process.env.JWT_ALGORITHM = 'RS256';
+
+      expect(() => getSigningKey()).toThrow('JWT_SIGNING_KEY is required');
+      expect(getVerificationKey('missing').key).toBeNull();
+    });
+
+    it('should publish the active and retired public keys', () => {
+      useRsa(rsaNew, 'key-2', { 'key-1': rsaOld.publicKey });
+
+      const { keys } = getJwks();
+
+      expect(keys.map(key => key.kid).sort()).toEqual(['key-1', 'key-2']);
+      keys.forEach((key) => {
+        expect(key).toMatchObject({ kty: 'RSA', use: 'sig', alg: 'RS256' });
+        expect(key.n).toBeDefined();
+        expect(key.d).toBeUndefined();
+      });
+    });
+  });
+
+  describe('ES256', () => {
+    it('should sign and verify with an EC key', () => {
+      process.env.JWT_ALGORITHM = 'ES256';
+      process.env.JWT_SIGNING_KEY = ecKey.privateKey;
+      process.env.JWT_SIGNING_KID = 'ec-1';
+
+      const token = generateAccessToken(payload);
+
+      expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'ES256', kid: 'ec-1' });
+      expect(verifyAccessToken(token).userId).toBe('user123');
+      expect(getJwks().keys[0]).toMatchObject({ kty: 'EC', crv: 'P-256', kid: 'ec-1' });
+    });
+  });
+
+  it('should reject unsupported algorithms', () => {
+    process.env.JWT_ALGORITHM = 'none';
+
+    expect(() => getSigningKey()).toThrow('Unsupported JWT_ALGORITHM');
+  });
+
+  describe('assertSecureConfig', () => {
+    it('should allow the default secret outside production', () => {
+      delete process.env.JWT_SECRET;
+
+      expect(() => assertSecureConfig()).not.toThrow();
+    });
+
+    it('should refuse the default or missing secret in production', () => {
+      process.env.NODE_ENV = 'production';
+
+      process.env.JWT_SECRET = 'your-secret-key';
+      expect(() => assertSecureConfig()).toThrow('Refusing to start');
+
+      delete process.env.JWT_SECRET;
+      expect(() => assertSecureConfig()).toThrow('Refusing to start');
+
+      process.env.JWT_SECRET = '';
+      expect(() => assertSecureConfig()).toThrow('Refusing to start');
+
+      process.env.JWT_SECRET = 'a-real-secret';
+      expect(() => assertSecureConfig()).not.toThrow();
+    });
+
+    it('should require a signing key for asymmetric algorithms in production', () => {
+      process.env.NODE_ENV = 'production';
+      process.env.JWT_ALGORITHM = 'RS256';
+
+      expect(() => assertSecureConfig()).toThrow('JWT_SIGNING_KEY is required');
+
+      useRsa(rsaNew, 'key-2');
+      expect(() => assertSecureConfig()).not.toThrow();
+    });
+  });
+
+  describe('JWKS handler', () => {
+    it('should serve the key set as cacheable JSON', async () => {
+      useRsa(rsaNew, 'key-2');
+
+      const response = await jwksHandler();
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['Content-Type']).toBe('application/json');
+      expect(JSON.parse(response.body).keys[0].kid).toBe('key-2');
+    });
+
+    it('should return 500 when keys cannot be loaded', async () => {
+      useRsa(rsaNew, 'key-2');
+      process.env.JWT_PUBLIC_KEYS = 'not json';
+
+      const response = await jwksHandler();
+
+      expect(response.statusCode).toBe(500);
+    });
+  });
+});
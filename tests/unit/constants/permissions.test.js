@@ -7,9 +7,11 @@ const {
   PERMISSIONS,
   PERMISSION_MATRIX,
   hasPermission,
-  getPermissionsForRole
+  getPermissionsForRole,
+  getEffectivePermissions
 } = require('../../../src/constants/permissions');
 const { ROLES } = require('../../../src/constants/roles');
+const { cacheRoles } = require('../../../src/utils/roleRegistry');
 
 describe('Permissions Constants', () => {
   describe('PERMISSIONS enum', () => {
@@ -286,6 +288,29 @@ describe('Permissions Constants', () => {
     });
   });
 
+  describe('getEffectivePermissions function', () => {
+    it('should default to the role permissions', () => {
+      expect(getEffectivePermissions(ROLES.EMPLOYEE)).toEqual(getPermissionsForRole(ROLES.EMPLOYEE));
+    });
+
+    it('should add grants and remove denies', () => {
+      const effective = getEffectivePermissions(
+        ROLES.EMPLOYEE,
+        [PERMISSIONS.APPROVE_TRANSACTION],
+        [PERMISSIONS.CREATE_TRANSACTION]
+      );
+
+      expect(effective).toContain(PERMISSIONS.APPROVE_TRANSACTION);
+      expect(effective).toContain(PERMISSIONS.VIEW_TRANSACTION);
+      expect(effective).not.toContain(PERMISSIONS.CREATE_TRANSACTION);
+    });
+
+    it('should let a deny override a grant', () => {
+      expect(getEffectivePermissions(ROLES.VENDOR, [PERMISSIONS.VIEW_BRANCH], [PERMISSIONS.VIEW_BRANCH]))
+        .not.toContain(PERMISSIONS.VIEW_BRANCH);
+    });
+  });
+
   describe('getPermissionsForRole function', () => {
     describe('valid role inputs', () => {
       it('should return all permissions for Admin', () => {
@@ -366,6 +391,38 @@ describe('Permissions Constants', () => {
     });
   });
 
+  describe('roles defined in the database', () => {
+    beforeEach(() => {
+      cacheRoles([
+        { name: 'Auditor', organization: null, baseRole: 'Employee', permissions: ['view_audit_logs'] },
+        { name: 'Employee', organization: 'org1', permissions: ['view_branch'] },
+        { name: 'Admin', organization: null, permissions: [] }
+      ]);
+    });
+
+    afterEach(() => {
+      cacheRoles([]);
+    });
+
+    it('should add a role\'s own permissions to its base role\'s', () => {
+      const permissions = getPermissionsForRole('Auditor');
+
+      expect(permissions).toContain(PERMISSIONS.VIEW_AUDIT_LOGS);
+      expect(permissions).toEqual(expect.arrayContaining(PERMISSION_MATRIX[ROLES.EMPLOYEE]));
+      expect(hasPermission('Auditor', PERMISSIONS.CREATE_TRANSACTION)).toBe(true);
+    });
+
+    it('should use an organization\'s own definition of a role', () => {
+      expect(getPermissionsForRole(ROLES.EMPLOYEE, 'org1')).toEqual([PERMISSIONS.VIEW_BRANCH]);
+      expect(getPermissionsForRole('Auditor', 'org1')).not.toContain(PERMISSIONS.CREATE_TRANSACTION);
+      expect(getPermissionsForRole(ROLES.EMPLOYEE, 'org2')).toBe(PERMISSION_MATRIX[ROLES.EMPLOYEE]);
+    });
+
+    it('should keep every permission for Admin', () => {
+      expect(getPermissionsForRole(ROLES.ADMIN)).toBe(PERMISSION_MATRIX[ROLES.ADMIN]);
+    });
+  });
+
   describe('integration tests', () => {
     it('should ensure permission hierarchy follows role hierarchy', () => {
       const adminPerms = PERMISSION_MATRIX[ROLES.ADMIN];
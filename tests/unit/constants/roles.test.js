@@ -3,7 +3,15 @@
  * @module tests/unit/constants/roles
  */
 
-const { ROLES, ROLE_HIERARCHY, isRoleHigher, getRolesAtOrBelow } = require('../../../src/constants/roles');
+const {
+  ROLES,
+  ROLE_HIERARCHY,
+  SCOPES,
+  getScopeForRole,
+  isRoleHigher,
+  getRolesAtOrBelow
+} = require('../../../src/constants/roles');
+const { cacheRoles } = require('../../../src/utils/roleRegistry');
 
 describe('Roles Constants', () => {
   describe('ROLES enum', () => {
@@ -121,6 +129,20 @@ describe('Roles Constants', () => {
         expect(isRoleHigher(ROLES.ADMIN, '')).toBe(false);
       });
     });
+
+    it('should rank defined roles as the built-in role they derive from', () => {
+      cacheRoles([
+        { name: 'Clerk', organization: 'org1', baseRole: 'BranchManager' },
+        { name: 'SeniorClerk', organization: 'org1', baseRole: 'Clerk' }
+      ]);
+
+      expect(isRoleHigher('SeniorClerk', ROLES.EMPLOYEE, 'org1')).toBe(true);
+      expect(isRoleHigher(ROLES.ADMIN, 'Clerk', 'org1')).toBe(true);
+      expect(isRoleHigher('Clerk', ROLES.BRANCH_MANAGER, 'org1')).toBe(false);
+      expect(isRoleHigher('Clerk', ROLES.EMPLOYEE, 'org2')).toBe(false);
+
+      cacheRoles([]);
+    });
   });
 
   describe('getRolesAtOrBelow function', () => {
@@ -222,6 +244,33 @@ describe('Roles Constants', () => {
     });
   });
 
+  describe('getScopeForRole function', () => {
+    it('should scope each role', () => {
+      expect(getScopeForRole('Admin')).toBe(SCOPES.GLOBAL);
+      expect(getScopeForRole('BranchManager')).toBe(SCOPES.BRANCH);
+      expect(getScopeForRole('Employee')).toBe(SCOPES.OWN);
+      expect(getScopeForRole('Vendor')).toBe(SCOPES.OWN);
+    });
+
+    it('should fall back to the narrowest scope for unknown roles', () => {
+      expect(getScopeForRole('Guest')).toBe(SCOPES.OWN);
+      expect(getScopeForRole(undefined)).toBe(SCOPES.OWN);
+    });
+
+    it('should use a defined role\'s scope, else its base role\'s', () => {
+      cacheRoles([
+        { name: 'RegionalLead', organization: null, baseRole: 'Employee', scope: 'global' },
+        { name: 'Clerk', organization: 'org1', baseRole: 'BranchManager' }
+      ]);
+
+      expect(getScopeForRole('RegionalLead')).toBe(SCOPES.GLOBAL);
+      expect(getScopeForRole('Clerk', 'org1')).toBe(SCOPES.BRANCH);
+      expect(getScopeForRole('Clerk', 'org2')).toBe(SCOPES.OWN);
+
+      cacheRoles([]);
+    });
+  });
+
   describe('integration tests', () => {
     it('should maintain consistency between isRoleHigher and hierarchy', () => {
       for (let i = 0; i < ROLE_HIERARCHY.length; i++) {
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Unit tests for the @auth field directive
+ * @module tests/unit/graphql/authDirective
+ */
+
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const { getDirective } = require('@graphql-tools/utils');
+const { graphql } = require('graphql');
+const { authDirectiveTypeDefs, authDirectiveTransformer } = require('../../../src/graphql/directives/auth');
+const { schema } = require('../../../src/graphql');
+const { ROLES } = require('../../../src/constants/roles');
+const { PERMISSIONS } = require('../../../src/constants/permissions');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/utils/audit');
+
+const { recordAudit } = require('../../../src/utils/audit');
+
+const typeDefs = [authDirectiveTypeDefs, `
+  type Account {
+    name: String!
+    balance: Float @auth(requires: VIEW_ALL_REPORTS)
+  }
+
+  type Query {
+    account: Account
+  }
+`];
+
+const resolvers = {
+  Query: { account: () => ({ name: 'Petty cash', balance: 125.5 }) }
+};
+
+/**
+ * Run the account query as a user of the given role
+ * @param {string|null} designation - Caller's role; null for an anonymous caller
+ * @param {Object} extra - Further user properties, e.g. accessGrants
+ * @returns {Promise<Object>} Execution result
+ */
+const queryAs = (designation, extra = {}) => graphql({
+  schema: authDirectiveTransformer(makeExecutableSchema({ typeDefs, resolvers })),
+  source: '{ account { name balance } }',
+  contextValue: { user: designation ? { userId: 'u1', designation, isAuthenticated: true, ...extra } : null }
+});
+
+describe('@auth directive', () => {
+  it('should resolve guarded fields for users holding the permission', async () => {
+    const result = await queryAs(ROLES.ADMIN);
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.account).toEqual({ name: 'Petty cash', balance: 125.5 });
+  });
+
+  it('should null the field and report a partial error for everyone else', async () => {
+    for (const designation of [ROLES.EMPLOYEE, null]) {
+      const result = await queryAs(designation);
+
+      expect(result.data.account).toEqual({ name: 'Petty cash', balance: null });
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0].message).toBe(
+        'Insufficient permissions to view Account.balance. Required: view_all_reports'
+      );
+      expect(result.errors[0].path).toEqual(['account', 'balance']);
+    }
+  });
+
+  it('should audit denied fields like authorize does', async () => {
+    await queryAs(ROLES.EMPLOYEE);
+    await queryAs(null);
+
+    expect(recordAudit.mock.calls.map(([, entry]) => entry)).toEqual([
+      expect.objectContaining({
+        action: 'access',
+        operation: 'balance',
+        permission: PERMISSIONS.VIEW_ALL_REPORTS,
+        resourceType: 'Account',
+        outcome: 'denied',
+        reason: 'Insufficient permissions'
+      }),
+      expect.objectContaining({ outcome: 'denied', reason: 'Authentication required' })
+    ]);
+  });
+
+  it('should resolve and audit fields opened by a temporary access grant', async () => {
+    const grant = {
+      id: 'grant1',
+      permissions: [PERMISSIONS.VIEW_ALL_REPORTS],
+      startsAt: new Date(Date.now() - 1000),
+      expiresAt: new Date(Date.now() + 60000)
+    };
+    const result = await queryAs(ROLES.EMPLOYEE, { accessGrants: [grant] });
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.account.balance).toBe(125.5);
+    expect(recordAudit).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      action: 'elevated_access',
+      operation: 'balance',
+      permission: PERMISSIONS.VIEW_ALL_REPORTS,
+      resourceId: 'grant1'
+    }));
+  });
+
+  it('should refuse to guard non-null fields', () => {
+    const strict = [authDirectiveTypeDefs, 'type Query { secret: String! @auth(requires: MANAGE_USERS) }'];
+
+    expect(() => authDirectiveTransformer(makeExecutableSchema({ typeDefs: strict })))
+      .toThrow('@auth field Query.secret must be nullable');
+  });
+
+  it('should guard sensitive fields of the application schema', () => {
+    const requires = (type, field) =>
+      getDirective(schema, schema.getType(type).getFields()[field], 'auth')?.[0]?.requires;
+
+    expect(requires('Vendor', 'bankDetails')).toBe('UPDATE_VENDOR');
+    expect(requires('Employee', 'totalExpenses')).toBe('VIEW_ALL_REPORTS');
+    expect(requires('Vendor', 'name')).toBeUndefined();
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Unit tests for delegation resolvers
+ * @module tests/unit/graphql/delegationResolvers
+ */
+
+const mongoose = require('mongoose');
+const { Mutation } = require('../../../src/graphql/resolvers/delegationResolvers');
+const Delegation = require('../../../src/models/Delegation');
+const { ROLES } = require('../../../src/constants/roles');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/utils/audit');
+
+const { recordAudit } = require('../../../src/utils/audit');
+
+describe('Delegation resolvers', () => {
+  const delegatorId = new mongoose.Types.ObjectId();
+
+  /**
+   * Context of a caller with the given role
+   * @param {string} designation - Caller's role
+   * @param {mongoose.Types.ObjectId} employeeId - Caller's employee ID
+   * @returns {Object} GraphQL context
+   */
+  const contextOf = (designation, employeeId = new mongoose.Types.ObjectId()) => ({
+    user: { userId: 'u1', employeeId: String(employeeId), designation, isAuthenticated: true }
+  });
+
+  /**
+   * Stub the delegation being revoked
+   * @returns {Object} Delegation stub
+   */
+  const stubDelegation = () => {
+    const delegation = {
+      _id: new mongoose.Types.ObjectId(),
+      delegator: delegatorId,
+      revokedAt: null,
+      save: jest.fn().mockResolvedValue(undefined)
+    };
+    jest.spyOn(Delegation, 'findById').mockResolvedValue(delegation);
+    return delegation;
+  };
+
+  describe('createDelegation', () => {
+    it('should keep non-Admins from delegating on behalf of another employee', async () => {
+      const input = { delegatorId: String(delegatorId), delegateId: String(new mongoose.Types.ObjectId()) };
+
+      await expect(Mutation.createDelegation(null, { input }, contextOf(ROLES.BRANCH_MANAGER), {}))
+        .rejects.toThrow('Only an Admin can delegate on behalf of another employee');
+      expect(recordAudit).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        outcome: 'denied',
+        reason: 'Not the delegator'
+      }));
+    });
+  });
+
+  describe('revokeDelegation', () => {
+    it('should let the delegator revoke their delegation', async () => {
+      const delegation = stubDelegation();
+      const delegator = contextOf(ROLES.BRANCH_MANAGER, delegatorId);
+
+      await Mutation.revokeDelegation(null, { id: String(delegation._id) }, delegator, {});
+
+      expect(delegation.revokedAt).toBeInstanceOf(Date);
+      expect(delegation.save).toHaveBeenCalled();
+    });
+
+    it('should let an Admin revoke anyone\'s delegation', async () => {
+      const delegation = stubDelegation();
+
+      await Mutation.revokeDelegation(null, { id: String(delegation._id) }, contextOf(ROLES.ADMIN), {});
+
+      expect(delegation.save).toHaveBeenCalled();
+    });
+
+    it('should keep everyone else from revoking it', async () => {
+      const delegation = stubDelegation();
+
+      await expect(Mutation.revokeDelegation(null, { id: String(delegation._id) }, contextOf(ROLES.BRANCH_MANAGER), {}))
+        .rejects.toThrow('Only the delegator or an Admin can revoke a delegation');
+      expect(delegation.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Unit tests for employee resolvers
+ * @module tests/unit/graphql/employeeResolvers
+ */
+
+const mongoose = require('mongoose');
+const { Query, Mutation, Employee: EmployeeType } = require('../../../src/graphql/resolvers/employeeResolvers');
+const Employee = require('../../../src/models/Employee');
+const Branch = require('../../../src/models/Branch');
+const { ROLES } = require('../../../src/constants/roles');
+const { PERMISSIONS } = require('../../../src/constants/permissions');
+const { cacheRoles } = require('../../../src/utils/roleRegistry');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/utils/audit');
+
+describe('Employee resolvers', () => {
+  const branch = new mongoose.Types.ObjectId('aaaaaaaaaaaaaaaaaaaaaaaa');
+  const managerId = new mongoose.Types.ObjectId('dddddddddddddddddddddddd');
+  const manager = {
+    user: {
+      userId: 'u1',
+      employeeId: String(managerId),
+      designation: ROLES.BRANCH_MANAGER,
+      branchId: String(branch),
+      isAuthenticated: true
+    }
+  };
+
+  beforeEach(() => {
+    cacheRoles([]);
+    jest.spyOn(Branch, 'findById').mockResolvedValue({ _id: branch, organization: new mongoose.Types.ObjectId() });
+  });
+
+  /**
+   * Stub the employee being changed
+   * @param {Object} fields - Employee fields
+   * @returns {Object} Employee stub
+   */
+  const stubEmployee = (fields = {}) => {
+    const employee = {
+      _id: new mongoose.Types.ObjectId(),
+      branch,
+      designation: ROLES.EMPLOYEE,
+      permissions: [],
+      deniedPermissions: [],
+      save: jest.fn().mockResolvedValue(undefined),
+      ...fields
+    };
+    jest.spyOn(Employee, 'findById').mockResolvedValue(employee);
+    return employee;
+  };
+
+  describe('employee', () => {
+    it('should keep callers to employees of their own organization', async () => {
+      const employee = stubEmployee();
+      const caller = { user: { ...manager.user, organizationId: String(new mongoose.Types.ObjectId()) } };
+
+      await expect(Query.employee(null, { id: String(employee._id) }, caller, {}))
+        .rejects.toThrow('This belongs to another organization');
+    });
+  });
+
+  describe('employees', () => {
+    it('should list only employees of the caller\'s organization', async () => {
+      const query = { sort: jest.fn().mockReturnThis(), skip: jest.fn().mockReturnThis(), limit: jest.fn() };
+      jest.spyOn(Branch, 'find').mockReturnValue({ distinct: jest.fn().mockResolvedValue([branch]) });
+      jest.spyOn(Employee, 'find').mockReturnValue(query);
+
+      await Query.employees(null, { branchId: String(branch) }, manager, {});
+
+      expect(Employee.find).toHaveBeenCalledWith({ branch: { $in: [branch], $eq: String(branch) } });
+    });
+  });
+
+  describe('employeeExpenses', () => {
+    it('should need VIEW_ALL_REPORTS like Employee.totalExpenses', async () => {
+      const employee = stubEmployee({ getTotalExpenses: jest.fn().mockResolvedValue(42) });
+      const args = { employeeId: String(employee._id) };
+      const admin = { user: { ...manager.user, designation: ROLES.ADMIN } };
+
+      await expect(Query.employeeExpenses(null, args, manager, {}))
+        .rejects.toThrow('Insufficient permissions. Required: view_all_reports');
+      await expect(Query.employeeExpenses(null, args, admin, {})).resolves.toBe(42);
+    });
+  });
+
+  describe('updateEmployee', () => {
+    it('should keep callers off employees who outrank them', async () => {
+      const admin = stubEmployee({ designation: ROLES.ADMIN });
+
+      await expect(Mutation.updateEmployee(null, {
+        id: String(admin._id), input: { designation: ROLES.EMPLOYEE }
+      }, manager, {})).rejects.toThrow('You cannot change an employee who outranks you (Admin)');
+      expect(admin.designation).toBe(ROLES.ADMIN);
+      expect(admin.save).not.toHaveBeenCalled();
+    });
+
+    it('should let callers update employees of their own rank', async () => {
+      const peer = stubEmployee({ designation: ROLES.BRANCH_MANAGER });
+
+      await Mutation.updateEmployee(null, { id: String(peer._id), input: { name: 'Renamed' } }, manager, {});
+
+      expect(peer.name).toBe('Renamed');
+      expect(peer.save).toHaveBeenCalled();
+    });
+
+    it('should refuse roles that rank as Vendor', async () => {
+      const admin = { user: { ...manager.user, designation: ROLES.ADMIN } };
+      const employee = stubEmployee();
+      cacheRoles([
+        { name: ROLES.VENDOR, organization: null, permissions: [], builtIn: true },
+        { name: 'Supplier', organization: null, baseRole: ROLES.VENDOR, permissions: [] }
+      ]);
+
+      for (const designation of [ROLES.VENDOR, 'Supplier']) {
+        await expect(Mutation.updateEmployee(null, { id: String(employee._id), input: { designation } }, admin, {}))
+          .rejects.toThrow(`${designation} is not an employee role`);
+      }
+      expect(employee.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateEmployeePermissions', () => {
+    it('should keep callers off employees who outrank them', async () => {
+      const admin = stubEmployee({ designation: ROLES.ADMIN });
+
+      await expect(Mutation.updateEmployeePermissions(null, {
+        id: String(admin._id), permissions: [], deniedPermissions: [PERMISSIONS.MANAGE_USERS]
+      }, manager, {})).rejects.toThrow('You cannot change an employee who outranks you');
+      expect(admin.deniedPermissions).toEqual([]);
+      expect(admin.save).not.toHaveBeenCalled();
+    });
+
+    it('should keep callers off their own permissions', async () => {
+      const employee = stubEmployee({ _id: managerId, deniedPermissions: [PERMISSIONS.APPROVE_TRANSACTION] });
+
+      await expect(Mutation.updateEmployeePermissions(null, {
+        id: String(managerId), permissions: [], deniedPermissions: []
+      }, manager, {})).rejects.toThrow('You cannot change your own permissions');
+      expect(employee.save).not.toHaveBeenCalled();
+    });
+
+    it('should only let callers lift denies they could grant', async () => {
+      const employee = stubEmployee({
+        deniedPermissions: [PERMISSIONS.SETTLE_TRANSACTION, PERMISSIONS.APPROVE_TRANSACTION]
+      });
+      const args = { id: String(employee._id), permissions: [] };
+
+      await expect(Mutation.updateEmployeePermissions(null, { ...args, deniedPermissions: [] }, manager, {}))
+        .rejects.toThrow('You cannot grant permissions you do not hold: settle_transaction');
+
+      await Mutation.updateEmployeePermissions(null, {
+        ...args, deniedPermissions: [PERMISSIONS.SETTLE_TRANSACTION, PERMISSIONS.CREATE_TRANSACTION]
+      }, manager, {});
+      expect(employee.deniedPermissions)
+        .toEqual([PERMISSIONS.SETTLE_TRANSACTION, PERMISSIONS.CREATE_TRANSACTION]);
+    });
+
+    it('should not let callers pass on permissions lent by an access grant', async () => {
+      const employee = stubEmployee();
+      const grant = {
+        id: 'grant1',
+        permissions: [PERMISSIONS.SETTLE_TRANSACTION],
+        startsAt: new Date(Date.now() - 1000),
+        expiresAt: new Date(Date.now() + 60000)
+      };
+      const elevated = { user: { ...manager.user, accessGrants: [grant] } };
+
+      await expect(Mutation.updateEmployeePermissions(null, {
+        id: String(employee._id), permissions: [PERMISSIONS.SETTLE_TRANSACTION]
+      }, elevated, {})).rejects.toThrow('You cannot grant permissions you do not hold: settle_transaction');
+      expect(employee.save).not.toHaveBeenCalled();
+    });
+
+    it('should keep stored denies when none are given', async () => {
+      const employee = stubEmployee({ deniedPermissions: [PERMISSIONS.SETTLE_TRANSACTION] });
+
+      await Mutation.updateEmployeePermissions(null, {
+        id: String(employee._id), permissions: [PERMISSIONS.VIEW_VENDOR]
+      }, manager, {});
+
+      expect(employee.permissions).toEqual([PERMISSIONS.VIEW_VENDOR]);
+      expect(employee.deniedPermissions).toEqual([PERMISSIONS.SETTLE_TRANSACTION]);
+      expect(employee.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('Employee.effectivePermissions', () => {
+    it('should resolve roles the employee\'s organization defines', async () => {
+      const organization = new mongoose.Types.ObjectId();
+      jest.spyOn(Branch, 'findById').mockResolvedValue({ _id: branch, organization });
+      cacheRoles([{ name: 'Clerk', organization, permissions: [PERMISSIONS.VIEW_VENDOR] }]);
+      const clerk = new Employee({ userId: 'clerk1', name: 'Clerk', branch, designation: 'Clerk' });
+
+      await expect(EmployeeType.effectivePermissions(clerk)).resolves.toEqual([PERMISSIONS.VIEW_VENDOR]);
+      expect(clerk.getEffectivePermissions()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Unit tests for invoice resolvers
+ * @module tests/unit/graphql/invoiceResolvers
+ */
+
+const mongoose = require('mongoose');
+const { Mutation } = require('../../../src/graphql/resolvers/invoiceResolvers');
+const Invoice = require('../../../src/models/Invoice');
+const Vendor = require('../../../src/models/Vendor');
+const Branch = require('../../../src/models/Branch');
+const { ROLES } = require('../../../src/constants/roles');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/utils/audit');
+jest.mock('../../../src/utils/invoices', () => ({
+  ...jest.requireActual('../../../src/utils/invoices'),
+  recordInvoice: jest.fn()
+}));
+
+const { recordInvoice } = require('../../../src/utils/invoices');
+
+describe('Invoice resolvers', () => {
+  const organization = new mongoose.Types.ObjectId('cccccccccccccccccccccccc');
+  const ownBranch = new mongoose.Types.ObjectId('aaaaaaaaaaaaaaaaaaaaaaaa');
+  const otherBranch = new mongoose.Types.ObjectId('bbbbbbbbbbbbbbbbbbbbbbbb');
+  const clerk = {
+    user: {
+      userId: 'u1',
+      employeeId: 'e1',
+      designation: ROLES.BRANCH_MANAGER,
+      permissions: ['create_transaction'],
+      branchId: String(ownBranch),
+      organizationId: String(organization),
+      isAuthenticated: true
+    }
+  };
+
+  /**
+   * Stub a vendor and the branch lookups, and build createInvoice args
+   * @param {mongoose.Types.ObjectId|undefined} vendorBranch - Branch the vendor sits in
+   * @param {mongoose.Types.ObjectId|undefined} branchId - Branch asked for in the input
+   * @returns {Object} createInvoice args
+   */
+  const invoiceFor = (vendorBranch, branchId) => {
+    const vendor = { _id: new mongoose.Types.ObjectId(), branch: vendorBranch };
+    jest.spyOn(Vendor, 'findById').mockResolvedValue(vendor);
+    jest.spyOn(Branch, 'findById').mockImplementation(async (id) => ({ _id: id, organization }));
+    jest.spyOn(Invoice, 'exists').mockResolvedValue(null);
+    recordInvoice.mockImplementation(async (invoice) => invoice.toObject());
+    return {
+      input: {
+        invoiceNumber: 'INV-1',
+        vendorId: String(vendor._id),
+        ...(branchId && { branchId: String(branchId) }),
+        dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        lineItems: [{ description: 'Paper', unitPrice: 10 }]
+      }
+    };
+  };
+
+  describe('createInvoice', () => {
+    it('should refuse to file another branch\'s vendor under the caller\'s branch', async () => {
+      await expect(Mutation.createInvoice(null, invoiceFor(otherBranch, ownBranch), clerk, {}))
+        .rejects.toThrow('branchId must be the vendor\'s own branch');
+      expect(recordInvoice).not.toHaveBeenCalled();
+    });
+
+    it('should check scope against the vendor\'s own branch', async () => {
+      await expect(Mutation.createInvoice(null, invoiceFor(otherBranch), clerk, {}))
+        .rejects.toThrow('Required: create_transaction over this resource');
+    });
+
+    it('should place shared vendors\' invoices in the given branch', async () => {
+      await expect(Mutation.createInvoice(null, invoiceFor(undefined, ownBranch), clerk, {}))
+        .resolves.toEqual(expect.objectContaining({ branch: ownBranch, organization }));
+    });
+
+    it('should post the invoice to the ledger as it is recorded', async () => {
+      await Mutation.createInvoice(null, invoiceFor(undefined, ownBranch), clerk, {});
+
+      expect(recordInvoice).toHaveBeenCalledWith(
+        expect.objectContaining({ invoiceNumber: 'INV-1', vendor: expect.anything() }), clerk.user
+      );
+    });
+  });
+});
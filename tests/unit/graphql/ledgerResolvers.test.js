@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Unit tests for the entity ledger query
+ * @module tests/unit/graphql/ledgerResolvers
+ */
+
+const mongoose = require('mongoose');
+const { Query } = require('../../../src/graphql/resolvers/ledgerResolvers');
+const Organization = require('../../../src/models/Organization');
+const Branch = require('../../../src/models/Branch');
+const Employee = require('../../../src/models/Employee');
+const { ROLES } = require('../../../src/constants/roles');
+const { PERMISSIONS } = require('../../../src/constants/permissions');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/utils/audit');
+jest.mock('../../../src/utils/ledger', () => ({
+  ...jest.requireActual('../../../src/utils/ledger'),
+  getLedgerPage: jest.fn()
+}));
+
+const { recordAudit } = require('../../../src/utils/audit');
+const { getLedgerPage } = require('../../../src/utils/ledger');
+
+describe('Ledger resolvers', () => {
+  const organization = new mongoose.Types.ObjectId('cccccccccccccccccccccccc');
+  const ownBranch = new mongoose.Types.ObjectId('aaaaaaaaaaaaaaaaaaaaaaaa');
+  const otherBranch = new mongoose.Types.ObjectId('bbbbbbbbbbbbbbbbbbbbbbbb');
+  const hour = 60 * 60 * 1000;
+
+  /**
+   * Context of an Employee, optionally lent VIEW_ALL_REPORTS by an access grant
+   * @param {Array<Object>} accessGrants - Active access grants
+   * @returns {Object} GraphQL context
+   */
+  const employeeContext = (accessGrants = []) => ({
+    user: {
+      userId: 'u1',
+      employeeId: 'e1',
+      designation: ROLES.EMPLOYEE,
+      branchId: String(ownBranch),
+      organizationId: String(organization),
+      accessGrants,
+      isAuthenticated: true
+    }
+  });
+  const auditGrant = {
+    id: 'grant1',
+    permissions: [PERMISSIONS.VIEW_ALL_REPORTS],
+    startsAt: new Date(Date.now() - hour),
+    expiresAt: new Date(Date.now() + hour)
+  };
+
+  /**
+   * Ledger args for an entity
+   * @param {string} entityType - ORGANIZATION/BRANCH/EMPLOYEE/VENDOR
+   * @param {mongoose.Types.ObjectId} entityId - Entity ID
+   * @returns {Object} ledger args
+   */
+  const ledgerOf = (entityType, entityId) => ({
+    entityType,
+    entityId: String(entityId),
+    from: new Date(Date.now() - 24 * hour),
+    to: new Date()
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Organization, 'findById').mockImplementation(async (id) => ({ _id: id }));
+    jest.spyOn(Branch, 'findById').mockImplementation(async (id) => ({ _id: id, organization }));
+    getLedgerPage.mockResolvedValue({ lines: [] });
+  });
+
+  describe('ledger', () => {
+    it('should let an access grant for all reports reach the organization\'s ledger', async () => {
+      await Query.ledger(null, ledgerOf('ORGANIZATION', organization), employeeContext([auditGrant]), {});
+
+      expect(getLedgerPage).toHaveBeenCalled();
+      expect(recordAudit).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'elevated_access',
+        permission: PERMISSIONS.VIEW_ALL_REPORTS,
+        resourceId: 'grant1'
+      }));
+      expect(recordAudit.mock.calls.filter(([, entry]) => entry.action === 'elevated_access')).toHaveLength(1);
+    });
+
+    it('should let an access grant for all reports reach other branches of the organization', async () => {
+      await Query.ledger(null, ledgerOf('BRANCH', otherBranch), employeeContext([auditGrant]), {});
+
+      expect(getLedgerPage).toHaveBeenCalled();
+    });
+
+    it('should let an access grant for all reports reach employees of other branches', async () => {
+      jest.spyOn(Employee, 'findById').mockResolvedValue({ _id: 'e2', branch: otherBranch });
+
+      await Query.ledger(null, ledgerOf('EMPLOYEE', new mongoose.Types.ObjectId()), employeeContext([auditGrant]), {});
+
+      expect(getLedgerPage).toHaveBeenCalled();
+    });
+
+    it('should keep the grant within the caller\'s own organization', async () => {
+      const foreign = new mongoose.Types.ObjectId();
+      Branch.findById.mockResolvedValue({ _id: otherBranch, organization: foreign });
+
+      await expect(Query.ledger(null, ledgerOf('BRANCH', otherBranch), employeeContext([auditGrant]), {}))
+        .rejects.toThrow('over this resource');
+      expect(getLedgerPage).not.toHaveBeenCalled();
+    });
+
+    it('should keep employees without the grant out of other branches', async () => {
+      await expect(Query.ledger(null, ledgerOf('BRANCH', otherBranch), employeeContext(), {}))
+        .rejects.toThrow('Required: view_transaction over this resource');
+    });
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Unit tests for GraphQL schema composition and resolver guards
+ * @module tests/unit/graphql/schema
+ */
+
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const { graphql } = require('graphql');
+const { typeDefs, resolvers, schema: executableSchema } = require('../../../src/graphql');
+const { mergeResolvers } = require('../../../src/graphql/resolvers');
+const { reportReach } = require('../../../src/graphql/resolvers/reportResolvers');
+const Transaction = require('../../../src/models/Transaction');
+const { ROLES } = require('../../../src/constants/roles');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/utils/audit');
+
+const { recordAudit } = require('../../../src/utils/audit');
+
+/**
+ * Fields that intentionally do not require authentication
+ * @type {Array<string>}
+ */
+const PUBLIC_FIELDS = ['health', '_empty', 'login', 'refreshToken'];
+
+describe('GraphQL schema', () => {
+  const schema = makeExecutableSchema({ typeDefs, resolvers });
+
+  it('should expose CRUD fields for every entity', () => {
+    const queries = Object.keys(schema.getQueryType().getFields());
+    const mutations = Object.keys(schema.getMutationType().getFields());
+
+    expect(queries).toEqual(expect.arrayContaining([
+      'organization', 'branch', 'employee', 'vendor', 'transaction', 'user'
+    ]));
+    expect(mutations).toEqual(expect.arrayContaining([
+      'createOrganization', 'createBranch', 'createEmployee',
+      'createVendor', 'createTransaction', 'createUser'
+    ]));
+  });
+
+  it('should have a resolver for every root field', () => {
+    const rootFields = [
+      ...Object.keys(schema.getQueryType().getFields()).map(name => ['Query', name]),
+      ...Object.keys(schema.getMutationType().getFields()).map(name => ['Mutation', name])
+    ].filter(([, name]) => !PUBLIC_FIELDS.includes(name));
+
+    rootFields.forEach(([type, name]) => {
+      expect(typeof resolvers[type][name]).toBe('function');
+    });
+  });
+
+  it('should answer health without authentication', async () => {
+    const result = await graphql({ schema, source: '{ health }', contextValue: { user: null } });
+
+    expect(result.data.health).toBe('OK');
+  });
+
+  it('should reject every guarded root field without authentication', async () => {
+    const guarded = [
+      ...Object.entries(resolvers.Query),
+      ...Object.entries(resolvers.Mutation)
+    ].filter(([name]) => !PUBLIC_FIELDS.includes(name));
+
+    for (const [, resolver] of guarded) {
+      await expect(resolver(null, {}, { user: null }, {}))
+        .rejects.toThrow('Authentication required');
+    }
+  });
+
+  it('should reject mutations outside the caller role', async () => {
+    const context = {
+      user: { userId: 'u1', employeeId: 'e1', designation: ROLES.VENDOR, isAuthenticated: true }
+    };
+
+    await expect(resolvers.Mutation.createOrganization(null, { input: { name: 'X' } }, context, {}))
+      .rejects.toThrow('Insufficient permissions');
+    expect(recordAudit).toHaveBeenCalledWith(context, expect.objectContaining({
+      action: 'create',
+      resourceType: 'Organization',
+      outcome: 'denied'
+    }));
+  });
+
+  it('should keep expense approval away from employees', async () => {
+    const context = {
+      user: { userId: 'u1', employeeId: 'e1', designation: ROLES.EMPLOYEE, isAuthenticated: true }
+    };
+
+    jest.spyOn(Transaction, 'findById').mockResolvedValue(null);
+
+    for (const name of ['approveTransaction', 'rejectTransaction', 'settleTransaction']) {
+      await expect(resolvers.Mutation[name](null, { id: '64b000000000000000000001' }, context, {}))
+        .rejects.toThrow('Insufficient permissions');
+    }
+  });
+
+  it('should keep branch managers out of other branches', async () => {
+    const context = {
+      user: {
+        userId: 'u1',
+        employeeId: 'e1',
+        designation: ROLES.BRANCH_MANAGER,
+        branchId: 'aaaaaaaaaaaaaaaaaaaaaaaa',
+        isAuthenticated: true
+      }
+    };
+    const args = { id: 'bbbbbbbbbbbbbbbbbbbbbbbb', input: { name: 'Elsewhere' } };
+
+    await expect(resolvers.Mutation.updateBranch(null, args, context, {}))
+      .rejects.toThrow('over this resource');
+    await expect(resolvers.Mutation.createEmployee(null, {
+      input: { userId: 'x', name: 'X', branchId: 'bbbbbbbbbbbbbbbbbbbbbbbb', designation: ROLES.EMPLOYEE }
+    }, context, {})).rejects.toThrow('over this resource');
+  });
+
+  it('should report the caller\'s effective permissions', async () => {
+    const context = {
+      user: {
+        userId: 'u1',
+        employeeId: 'e1',
+        designation: ROLES.EMPLOYEE,
+        permissions: ['view_transaction', 'approve_transaction'],
+        isAuthenticated: true
+      }
+    };
+    const result = await graphql({ schema, source: '{ myPermissions }', contextValue: context });
+
+    expect(result.data.myPermissions).toEqual(['view_transaction', 'approve_transaction']);
+  });
+
+  it('should report what each guarded field requires', async () => {
+    const context = {
+      user: { userId: 'u1', employeeId: 'e1', designation: ROLES.ADMIN, isAuthenticated: true }
+    };
+    const source = `{
+      vendor: fieldPermissions(type: "Vendor") { field permissions rules }
+      query: fieldPermissions(type: "Query") { field permissions rules }
+    }`;
+    const result = await graphql({ schema: executableSchema, source, contextValue: context });
+
+    expect(result.data.vendor).toEqual(expect.arrayContaining([
+      { field: 'bankDetails', permissions: ['update_vendor'], rules: ['@auth(update_vendor)'] }
+    ]));
+    expect(result.data.query).toEqual(expect.arrayContaining([
+      { field: 'myPermissions', permissions: [], rules: [] },
+      { field: 'fieldPermissions', permissions: ['manage_roles'], rules: ['requireAll(manage_roles)'] }
+    ]));
+    expect(result.data.query.map(entry => entry.field)).not.toContain('health');
+  });
+
+  it('should keep elevated access grants with role managers, away from the recipient', async () => {
+    const employeeId = 'aaaaaaaaaaaaaaaaaaaaaaaa';
+    const input = {
+      employeeId,
+      permissions: ['view_all_reports'],
+      reason: 'Month-end close',
+      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+    };
+    const as = (designation) => ({ user: { userId: 'u1', employeeId, designation, isAuthenticated: true } });
+
+    await expect(resolvers.Mutation.grantAccess(null, { input }, as(ROLES.BRANCH_MANAGER), {}))
+      .rejects.toThrow('Insufficient permissions');
+    await expect(resolvers.Mutation.grantAccess(null, { input }, as(ROLES.ADMIN), {}))
+      .rejects.toThrow('You cannot approve elevated access for yourself');
+  });
+
+  it('should restrict audit logs to Admins', async () => {
+    const context = {
+      user: { userId: 'u1', employeeId: 'e1', designation: ROLES.BRANCH_MANAGER, isAuthenticated: true }
+    };
+
+    await expect(resolvers.Query.auditLogs(null, {}, context, {}))
+      .rejects.toThrow('Insufficient permissions');
+  });
+
+  it('should keep organization ledgers from branch-scoped reporting', async () => {
+    const context = {
+      user: { userId: 'u1', employeeId: 'e1', designation: ROLES.BRANCH_MANAGER, isAuthenticated: true }
+    };
+    const args = { entityType: 'ORGANIZATION', entityId: 'aaaaaaaaaaaaaaaaaaaaaaaa' };
+
+    await expect(resolvers.Query.ledger(null, args, context, {}))
+      .rejects.toThrow('Required: view_all_reports');
+    await expect(resolvers.Query.trialBalance(null, { organizationId: args.entityId }, context, {}))
+      .rejects.toThrow('Required: view_all_reports');
+  });
+
+  it('should widen report reach to the organization only with view_all_reports', async () => {
+    const user = {
+      userId: 'u1', employeeId: 'e1', branchId: 'b1', organizationId: 'o1',
+      designation: ROLES.BRANCH_MANAGER, isAuthenticated: true
+    };
+
+    expect(await reportReach({ user }, {})).toEqual({ $or: expect.arrayContaining([{ branch: 'b1' }]) });
+    expect(await reportReach({ user: { ...user, permissions: ['view_reports', 'view_all_reports'] } }, {}))
+      .toEqual({ organization: 'o1' });
+  });
+
+  it('should keep vendor sessions to their own vendor', async () => {
+    const context = {
+      user: {
+        userId: 'u1',
+        vendorId: 'aaaaaaaaaaaaaaaaaaaaaaaa',
+        designation: ROLES.VENDOR,
+        permissions: ['view_vendor', 'view_transaction', 'view_reports'],
+        isAuthenticated: true
+      }
+    };
+    const other = 'bbbbbbbbbbbbbbbbbbbbbbbb';
+
+    await expect(resolvers.Query.vendor(null, { id: other }, context, {}))
+      .rejects.toThrow('only access their own vendor');
+    await expect(resolvers.Query.vendorBalance(null, { vendorId: other }, context, {}))
+      .rejects.toThrow('only access their own vendor');
+    await expect(resolvers.Mutation.createTransaction(null, { input: {} }, context, {}))
+      .rejects.toThrow('Insufficient permissions');
+    await expect(resolvers.Mutation.allocateTransaction(null, { transactionId: other, allocations: [] }, context, {}))
+      .rejects.toThrow('Insufficient permissions');
+    await expect(reportReach(context, {})).resolves.toEqual({
+      'reference.refId': context.user.vendorId,
+      'reference.refType': 'vendor'
+    });
+  });
+
+  it('should leave role definitions to Admins', async () => {
+    const manager = {
+      user: { userId: 'u1', employeeId: 'e1', designation: ROLES.BRANCH_MANAGER, isAuthenticated: true }
+    };
+    const admin = {
+      user: { userId: 'u2', employeeId: 'e2', designation: ROLES.ADMIN, isAuthenticated: true }
+    };
+
+    await expect(resolvers.Mutation.createRole(null, { input: { name: 'Auditor' } }, manager, {}))
+      .rejects.toThrow('Insufficient permissions');
+    await expect(resolvers.Mutation.createRole(null, { input: { name: 'Admin' } }, admin, {}))
+      .rejects.toThrow('The Admin role cannot be redefined');
+    await expect(resolvers.Mutation.createRole(null, { input: { name: 'Auditor', scope: 'global' } }, admin, {}))
+      .rejects.toThrow('"scope" must be one of [organization, branch, own, null]');
+  });
+
+  it('should validate input before touching the database', async () => {
+    const context = {
+      user: { userId: 'u1', employeeId: 'e1', designation: ROLES.ADMIN, isAuthenticated: true }
+    };
+
+    await expect(resolvers.Mutation.createOrganization(null, { input: { name: '' } }, context, {}))
+      .rejects.toThrow('"name" is not allowed to be empty');
+    await expect(resolvers.Query.organization(null, { id: 'bad' }, context, {}))
+      .rejects.toThrow('Invalid id');
+  });
+
+  describe('DateTime scalar', () => {
+    it('should serialize dates to ISO strings', () => {
+      const date = new Date('2024-01-02T03:04:05.000Z');
+
+      expect(resolvers.DateTime.serialize(date)).toBe('2024-01-02T03:04:05.000Z');
+    });
+
+    it('should reject invalid dates', () => {
+      expect(() => resolvers.DateTime.parseValue('not a date')).toThrow(TypeError);
+    });
+  });
+
+  describe('mergeResolvers', () => {
+    it('should merge resolver maps type by type', () => {
+      const merged = mergeResolvers([
+        { Query: { a: 1 }, helper: () => null },
+        { Query: { b: 2 }, Mutation: { c: 3 } }
+      ]);
+
+      expect(merged).toEqual({ Query: { a: 1, b: 2 }, Mutation: { c: 3 } });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview End-to-end tests for financial statements: transactions
+ * recorded through the resolvers are posted to the journal the statements read
+ * @module tests/unit/graphql/statementResolvers
+ */
+
+const mongoose = require('mongoose');
+const { Query } = require('../../../src/graphql/resolvers/statementResolvers');
+const { Mutation } = require('../../../src/graphql/resolvers/transactionResolvers');
+const Organization = require('../../../src/models/Organization');
+const Branch = require('../../../src/models/Branch');
+const Vendor = require('../../../src/models/Vendor');
+const Transaction = require('../../../src/models/Transaction');
+require('../../../src/models/JournalEntry');
+const { ROLES } = require('../../../src/constants/roles');
+const { connectDB, closeDB, clearDB } = require('../../helpers/dbSetup');
+const {
+  createOrganizationFixture,
+  createBranchFixture,
+  createVendorFixture
+} = require('../../helpers/fixtures');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/utils/audit');
+
+describe('Statement resolvers', () => {
+  let organization;
+  let branch;
+  let vendor;
+  let context;
+
+  /**
+   * Record a transaction through the createTransaction mutation
+   * @param {Object} input - CreateTransactionInput fields
+   * @returns {Promise<Object>} Created transaction
+   */
+  const record = (input) => Mutation.createTransaction(null, { input }, context, {});
+
+  beforeAll(async () => {
+    await connectDB();
+    await Transaction.init();
+  });
+
+  afterAll(async () => {
+    await closeDB();
+  });
+
+  beforeEach(async () => {
+    organization = await Organization.create(createOrganizationFixture());
+    branch = await Branch.create(createBranchFixture(organization._id));
+    vendor = await Vendor.create({ ...createVendorFixture(), branch: branch._id });
+    context = {
+      user: {
+        userId: 'u1',
+        employeeId: String(new mongoose.Types.ObjectId()),
+        designation: ROLES.ADMIN,
+        branchId: String(branch._id),
+        organizationId: String(organization._id),
+        isAuthenticated: true
+      }
+    };
+
+    await record({ refType: 'vendor', refId: String(vendor._id), type: 'purchase', amount: 500 });
+    await record({ refType: 'vendor', refId: String(vendor._id), type: 'payment', amount: 200 });
+    await record({ refType: 'branch', refId: String(branch._id), type: 'deposit', amount: 1000 });
+  });
+
+  afterEach(async () => {
+    await clearDB();
+  });
+
+  it('should report recorded transactions in a balanced trial balance', async () => {
+    const report = await Query.trialBalance(null, { organizationId: String(organization._id) }, context, {});
+
+    expect(report.totalDebit).toBe(1500);
+    expect(report.totalCredit).toBe(1500);
+    expect(report.lines.map(line => [line.account.accountType, line.debit, line.credit])).toEqual([
+      ['asset', 800, 0],
+      ['liability', 0, 300],
+      ['revenue', 0, 1000],
+      ['expense', 500, 0]
+    ]);
+  });
+
+  it('should carry what is still owed to the vendor on the balance sheet', async () => {
+    const sheet = await Query.balanceSheet(null, { organizationId: String(organization._id) }, context, {});
+
+    expect(sheet.assets.total).toBe(800);
+    expect(sheet.liabilities.total).toBe(300);
+    expect(sheet.retainedEarnings).toBe(500);
+    expect(sheet.totalLiabilitiesAndEquity).toBe(800);
+    expect(await vendor.getOutstandingBalance()).toBe(300);
+  });
+
+  it('should report the period\'s revenue and expenses on the income statement', async () => {
+    const statement = await Query.incomeStatement(null, {
+      organizationId: String(organization._id),
+      branchId: String(branch._id),
+      from: new Date(Date.now() - 60000)
+    }, context, {});
+
+    expect(statement.revenue.total).toBe(1000);
+    expect(statement.expenses.total).toBe(500);
+    expect(statement.netIncome).toBe(500);
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Unit tests for transaction resolvers
+ * @module tests/unit/graphql/transactionResolvers
+ */
+
+const mongoose = require('mongoose');
+const { Query, Mutation } = require('../../../src/graphql/resolvers/transactionResolvers');
+const Transaction = require('../../../src/models/Transaction');
+const Employee = require('../../../src/models/Employee');
+const { ROLES } = require('../../../src/constants/roles');
+const { PERMISSIONS } = require('../../../src/constants/permissions');
+const { cacheRoles } = require('../../../src/utils/roleRegistry');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/utils/audit');
+
+describe('Transaction resolvers', () => {
+  const branch = new mongoose.Types.ObjectId('aaaaaaaaaaaaaaaaaaaaaaaa');
+  const admin = {
+    user: {
+      userId: 'u1',
+      employeeId: String(new mongoose.Types.ObjectId()),
+      designation: ROLES.ADMIN,
+      branchId: String(branch),
+      isAuthenticated: true
+    }
+  };
+
+  /**
+   * Stub the transaction being updated
+   * @param {Object} fields - Transaction fields
+   * @returns {Object} Transaction stub
+   */
+  const stubTransaction = (fields) => {
+    const transaction = {
+      _id: new mongoose.Types.ObjectId(),
+      transactionId: 'TXN-1-ABC',
+      amount: 120,
+      type: 'purchase',
+      reference: { refType: 'vendor', refId: new mongoose.Types.ObjectId() },
+      branch,
+      description: 'Paper',
+      dueDate: new Date('2030-01-31T00:00:00Z'),
+      save: jest.fn().mockResolvedValue(undefined),
+      ...fields
+    };
+    jest.spyOn(Transaction, 'findById').mockResolvedValue(transaction);
+    return transaction;
+  };
+
+  describe('transaction', () => {
+    const managerId = new mongoose.Types.ObjectId();
+
+    /**
+     * Context of an employee in another branch
+     * @param {mongoose.Types.ObjectId} employeeId - Caller's employee ID
+     * @returns {Object} GraphQL context
+     */
+    const colleague = (employeeId) => ({
+      user: {
+        userId: 'u2',
+        employeeId: String(employeeId),
+        designation: ROLES.EMPLOYEE,
+        branchId: String(new mongoose.Types.ObjectId()),
+        isAuthenticated: true
+      }
+    });
+
+    /**
+     * Stub an expense of a report of managerId
+     * @returns {Object} Transaction stub
+     */
+    const stubExpense = () => {
+      const employee = { _id: new mongoose.Types.ObjectId(), manager: managerId };
+      jest.spyOn(Employee, 'findById').mockResolvedValue(employee);
+      return stubTransaction({
+        status: 'submitted',
+        type: 'debit',
+        reference: { refType: 'employee', refId: employee._id }
+      });
+    };
+
+    it('should let a manager review their report\'s expense from outside their scope', async () => {
+      const transaction = stubExpense();
+
+      await expect(Query.transaction(null, { id: String(transaction._id) }, colleague(managerId), {}))
+        .resolves.toBe(transaction);
+    });
+
+    it('should keep other employees out', async () => {
+      const transaction = stubExpense();
+
+      const outsider = colleague(new mongoose.Types.ObjectId());
+
+      await expect(Query.transaction(null, { id: String(transaction._id) }, outsider, {}))
+        .rejects.toThrow('Insufficient permissions');
+    });
+  });
+
+  describe('approveTransaction', () => {
+    const approverId = new mongoose.Types.ObjectId();
+    const delegateId = new mongoose.Types.ObjectId();
+
+    /**
+     * Context of an Employee-role caller, who lacks APPROVE_TRANSACTION
+     * @param {Array<Object>} delegations - Delegations the caller holds
+     * @returns {Object} GraphQL context
+     */
+    const employee = (delegations) => ({
+      user: {
+        userId: 'u3',
+        employeeId: String(delegateId),
+        designation: ROLES.EMPLOYEE,
+        delegations,
+        isAuthenticated: true
+      }
+    });
+
+    /**
+     * Delegation from the step's approver, active now
+     * @param {string} scope - Delegation scope
+     * @returns {Object} Delegation as carried on the user
+     */
+    const delegationOf = (scope) => ({
+      delegator: String(approverId),
+      scope,
+      startsAt: new Date(Date.now() - 60000),
+      endsAt: new Date(Date.now() + 60000)
+    });
+
+    /**
+     * Stub a submitted expense whose first of two steps awaits approverId
+     * @returns {Object} Transaction stub
+     */
+    const stubSubmitted = () => stubTransaction({
+      status: 'submitted',
+      type: 'debit',
+      reference: { refType: 'employee', refId: new mongoose.Types.ObjectId() },
+      submittedBy: new mongoose.Types.ObjectId(),
+      approvalSteps: [
+        { level: 1, role: ROLES.BRANCH_MANAGER, approver: approverId, status: 'pending' },
+        { level: 2, role: ROLES.ADMIN, approver: null, status: 'pending' }
+      ]
+    });
+
+    it('should let a delegate without the permission approve on the approver\'s behalf', async () => {
+      const transaction = stubSubmitted();
+
+      const delegate = employee([delegationOf('approvals')]);
+
+      await Mutation.approveTransaction(null, { id: String(transaction._id) }, delegate, {});
+
+      expect(transaction.approvalSteps[0]).toMatchObject({
+        status: 'approved',
+        decidedBy: String(delegateId),
+        onBehalfOf: String(approverId)
+      });
+      expect(transaction.save).toHaveBeenCalled();
+    });
+
+    it('should refuse callers with neither the permission nor a delegation', async () => {
+      const transaction = stubSubmitted();
+
+      await expect(Mutation.approveTransaction(null, { id: String(transaction._id) }, employee([]), {}))
+        .rejects.toThrow('Insufficient permissions');
+      expect(transaction.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('settleTransaction', () => {
+    it('should keep branch-scoped cashiers to expenses of their own branch', async () => {
+      cacheRoles([{ name: 'Cashier', organization: null, permissions: [], scope: 'branch' }]);
+      const transaction = stubTransaction({
+        status: 'approved',
+        type: 'debit',
+        reference: { refType: 'employee', refId: new mongoose.Types.ObjectId() }
+      });
+      const cashier = {
+        user: {
+          userId: 'u4',
+          employeeId: String(new mongoose.Types.ObjectId()),
+          designation: 'Cashier',
+          permissions: [PERMISSIONS.SETTLE_TRANSACTION],
+          branchId: String(new mongoose.Types.ObjectId()),
+          isAuthenticated: true
+        }
+      };
+
+      await expect(Mutation.settleTransaction(null, { id: String(transaction._id) }, cashier, {}))
+        .rejects.toThrow('Insufficient permissions');
+      expect(transaction.save).not.toHaveBeenCalled();
+      cacheRoles([]);
+    });
+  });
+
+  describe('updateTransaction', () => {
+    it.each([
+      ['description', { description: 'Toner' }],
+      ['category', { category: 'supplies' }],
+      ['dueDate', { dueDate: new Date('2030-03-31T00:00:00Z') }]
+    ])('should refuse to change the sealed %s of a pending transaction', async (field, input) => {
+      const transaction = stubTransaction({ status: 'pending', hash: 'a'.repeat(64) });
+
+      await expect(Mutation.updateTransaction(null, { id: String(transaction._id), input }, admin, {}))
+        .rejects.toThrow(`Cannot change ${field} of a sealed transaction`);
+      expect(transaction.save).not.toHaveBeenCalled();
+    });
+
+    it('should accept sealed values given unchanged', async () => {
+      const transaction = stubTransaction({ status: 'pending', hash: 'a'.repeat(64) });
+
+      await Mutation.updateTransaction(null, {
+        id: String(transaction._id),
+        input: { description: 'Paper', dueDate: new Date('2030-01-31T00:00:00Z') }
+      }, admin, {});
+
+      expect(transaction.save).toHaveBeenCalled();
+    });
+
+    it('should let draft expenses be edited', async () => {
+      const transaction = stubTransaction({
+        status: 'draft',
+        type: 'debit',
+        reference: { refType: 'employee', refId: new mongoose.Types.ObjectId() },
+        dueDate: undefined
+      });
+
+      await Mutation.updateTransaction(null, {
+        id: String(transaction._id),
+        input: { description: 'Taxi', category: 'travel' }
+      }, admin, {});
+
+      expect(transaction).toMatchObject({ description: 'Taxi', category: 'travel' });
+      expect(transaction.save).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Unit tests for user account resolvers
+ * @module tests/unit/graphql/userResolvers
+ */
+
+const mongoose = require('mongoose');
+const { Query, Mutation } = require('../../../src/graphql/resolvers/userResolvers');
+const Employee = require('../../../src/models/Employee');
+const Branch = require('../../../src/models/Branch');
+const User = require('../../../src/models/User');
+const Vendor = require('../../../src/models/Vendor');
+const { ROLES } = require('../../../src/constants/roles');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/utils/audit');
+
+jest.mock('../../../src/utils/roleRegistry', () => ({
+  ...jest.requireActual('../../../src/utils/roleRegistry'),
+  ensureRolesLoaded: jest.fn()
+}));
+
+describe('User resolvers', () => {
+  const organization = new mongoose.Types.ObjectId('cccccccccccccccccccccccc');
+  const ownBranch = new mongoose.Types.ObjectId('aaaaaaaaaaaaaaaaaaaaaaaa');
+  const otherBranch = new mongoose.Types.ObjectId('bbbbbbbbbbbbbbbbbbbbbbbb');
+  const manager = {
+    user: {
+      userId: 'u1',
+      employeeId: 'e1',
+      designation: ROLES.BRANCH_MANAGER,
+      branchId: String(ownBranch),
+      organizationId: String(organization),
+      isAuthenticated: true
+    }
+  };
+
+  /**
+   * Stub the employee a login is requested for, and their branch
+   * @param {Object} fields - Employee fields
+   * @returns {Object} createUser args
+   */
+  const loginFor = (fields) => {
+    const employee = { _id: new mongoose.Types.ObjectId(), permissions: [], ...fields };
+    jest.spyOn(Employee, 'findById').mockResolvedValue(employee);
+    jest.spyOn(Branch, 'findById').mockResolvedValue({ _id: employee.branch, organization });
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+    jest.spyOn(User, 'create').mockImplementation(async (data) => ({ _id: 'new', ...data }));
+    return { input: { username: 'newlogin', password: 'Sup3r-secret!', employeeId: String(employee._id) } };
+  };
+
+  describe('createUser', () => {
+    it('should keep branch managers from logins in other branches', async () => {
+      const args = loginFor({ branch: otherBranch, designation: ROLES.ADMIN });
+
+      await expect(Mutation.createUser(null, args, manager, {}))
+        .rejects.toThrow('Required: create_employee over this resource');
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse logins for employees whose role the caller could not grant', async () => {
+      const args = loginFor({ branch: ownBranch, designation: ROLES.ADMIN });
+
+      await expect(Mutation.createUser(null, args, manager, {}))
+        .rejects.toThrow('You cannot grant permissions you do not hold');
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse logins carrying individual grants beyond the caller', async () => {
+      const args = loginFor({
+        branch: ownBranch, designation: ROLES.BRANCH_MANAGER, permissions: ['manage_roles']
+      });
+
+      await expect(Mutation.createUser(null, args, manager, {}))
+        .rejects.toThrow('You cannot grant permissions you do not hold: manage_roles');
+    });
+
+    it('should create logins in the caller\'s own branch for roles within their own', async () => {
+      const args = loginFor({ branch: ownBranch, designation: ROLES.BRANCH_MANAGER });
+
+      await expect(Mutation.createUser(null, args, manager, {}))
+        .resolves.toEqual(expect.objectContaining({ username: 'newlogin' }));
+    });
+  });
+
+  describe('user', () => {
+    it('should keep callers to accounts of their own organization', async () => {
+      const account = { _id: new mongoose.Types.ObjectId(), employee: new mongoose.Types.ObjectId() };
+      jest.spyOn(User, 'findById').mockResolvedValue(account);
+      jest.spyOn(Employee, 'findById').mockResolvedValue({ _id: account.employee, branch: otherBranch });
+      const branchOf = jest.spyOn(Branch, 'findById');
+
+      branchOf.mockResolvedValue({ _id: otherBranch, organization: new mongoose.Types.ObjectId() });
+      await expect(Query.user(null, { id: String(account._id) }, manager, {}))
+        .rejects.toThrow('This belongs to another organization');
+
+      branchOf.mockResolvedValue({ _id: otherBranch, organization });
+      await expect(Query.user(null, { id: String(account._id) }, manager, {})).resolves.toBe(account);
+    });
+  });
+
+  describe('users', () => {
+    it('should list only accounts of the caller\'s organization', async () => {
+      const employeeId = new mongoose.Types.ObjectId();
+      const vendorId = new mongoose.Types.ObjectId();
+      jest.spyOn(Branch, 'find').mockReturnValue({ distinct: jest.fn().mockResolvedValue([ownBranch]) });
+      jest.spyOn(Employee, 'find').mockReturnValue({ distinct: jest.fn().mockResolvedValue([employeeId]) });
+      jest.spyOn(Vendor, 'find').mockReturnValue({ distinct: jest.fn().mockResolvedValue([vendorId]) });
+      const query = { sort: jest.fn().mockReturnThis(), skip: jest.fn().mockReturnThis(), limit: jest.fn() };
+      jest.spyOn(User, 'find').mockReturnValue(query);
+
+      await Query.users(null, {}, manager, {});
+
+      expect(Branch.find).toHaveBeenCalledWith({ organization: String(organization) });
+      expect(User.find).toHaveBeenCalledWith({
+        $or: [{ employee: { $in: [employeeId] } }, { vendor: { $in: [vendorId] } }]
+      });
+    });
+  });
+});
@@ -11,6 +11,7 @@ const {
   NotFoundError,
   ConflictError,
   DatabaseError,
+  IntegrityError,
   errorHandler,
   asyncHandler
 } = require('../../../src/handles/errors');
@@ -204,6 +205,17 @@ describe('Error Handling', () => {
     });
   });
 
+  describe('IntegrityError class', () => {
+    it('should create integrity error with status 500', () => {
+      const error = new IntegrityError('Trial balance is off by 0.01');
+
+      expect(error).toBeInstanceOf(CustomError);
+      expect(error.message).toBe('Trial balance is off by 0.01');
+      expect(error.statusCode).toBe(500);
+      expect(error.code).toBe('INTEGRITY_ERROR');
+    });
+  });
+
   describe('errorHandler function', () => {
     it('should handle CustomError correctly', () => {
       const error = new ValidationError('Invalid email', 'email');
@@ -5,13 +5,18 @@
 
 const {
   isAuthorized,
+  assertAuthorized,
+  scopeFilter,
+  isOwnVendor,
   requirePermission,
   isOwner,
-  isManager
+  isManager,
+  findAccessGrant
 } = require('../../../src/handles/permissions');
 const { AuthorizationError } = require('../../../src/handles/errors');
 const { PERMISSIONS } = require('../../../src/constants/permissions');
 const { ROLES } = require('../../../src/constants/roles');
+const { cacheRoles } = require('../../../src/utils/roleRegistry');
 
 // Mock logger
 jest.mock('../../../src/config/logger', () => ({
@@ -142,19 +147,175 @@ describe('Permission Utilities', () => {
       });
     });
 
-    describe('resourceId parameter', () => {
-      it('should accept resourceId parameter', () => {
-        expect(isAuthorized(adminUser, PERMISSIONS.VIEW_ORGANIZATION, 'resource123')).toBe(true);
+    describe('effective permissions', () => {
+      it('should honor individual grants loaded into the context', () => {
+        const senior = {
+          ...employeeUser,
+          permissions: [PERMISSIONS.VIEW_TRANSACTION, PERMISSIONS.APPROVE_TRANSACTION]
+        };
+
+        expect(isAuthorized(senior, PERMISSIONS.APPROVE_TRANSACTION)).toBe(true);
+      });
+
+      it('should honor individual denies over the role', () => {
+        const restricted = { ...employeeUser, permissions: [PERMISSIONS.VIEW_TRANSACTION] };
+
+        expect(isAuthorized(restricted, PERMISSIONS.CREATE_TRANSACTION)).toBe(false);
+      });
+
+      it('should fall back to the role matrix without loaded permissions', () => {
+        expect(isAuthorized(employeeUser, PERMISSIONS.CREATE_TRANSACTION)).toBe(true);
+        expect(isAuthorized(employeeUser, PERMISSIONS.APPROVE_TRANSACTION)).toBe(false);
+      });
+    });
+
+    describe('temporary access grants', () => {
+      const hour = 60 * 60 * 1000;
+      const grant = (startOffset, endOffset) => ({
+        id: 'grant1',
+        permissions: [PERMISSIONS.VIEW_ALL_REPORTS],
+        startsAt: new Date(Date.now() + startOffset),
+        expiresAt: new Date(Date.now() + endOffset)
+      });
+
+      it('should honor a permission lent by an active grant', () => {
+        const accountant = { ...employeeUser, accessGrants: [grant(-hour, hour)] };
+
+        expect(isAuthorized(accountant, PERMISSIONS.VIEW_ALL_REPORTS)).toBe(true);
+        expect(findAccessGrant(accountant, PERMISSIONS.VIEW_ALL_REPORTS)).toMatchObject({ id: 'grant1' });
+        expect(isAuthorized(accountant, PERMISSIONS.DELETE_BRANCH)).toBe(false);
+      });
+
+      it('should stop honoring a grant at its expiry or before its start', () => {
+        const expired = { ...employeeUser, accessGrants: [grant(-2 * hour, -1)] };
+        const pending = { ...employeeUser, accessGrants: [grant(hour, 2 * hour)] };
+
+        expect(isAuthorized(expired, PERMISSIONS.VIEW_ALL_REPORTS)).toBe(false);
+        expect(isAuthorized(pending, PERMISSIONS.VIEW_ALL_REPORTS)).toBe(false);
+        expect(findAccessGrant(employeeUser, PERMISSIONS.VIEW_ALL_REPORTS)).toBeNull();
+      });
+    });
+
+    describe('resource scope', () => {
+      const branchManager = {
+        userId: 'user789',
+        employeeId: 'emp789',
+        designation: ROLES.BRANCH_MANAGER,
+        branchId: 'branchA',
+        organizationId: 'orgA'
+      };
+
+      it('should skip the scope check without a resource', () => {
+        expect(isAuthorized(branchManager, PERMISSIONS.UPDATE_BRANCH, null)).toBe(true);
+        expect(isAuthorized(branchManager, PERMISSIONS.UPDATE_BRANCH, undefined)).toBe(true);
+      });
+
+      it('should let admins act on any resource', () => {
+        expect(isAuthorized(adminUser, PERMISSIONS.UPDATE_BRANCH, { branch: 'branchB' })).toBe(true);
       });
 
-      it('should handle null resourceId', () => {
-        expect(isAuthorized(adminUser, PERMISSIONS.VIEW_ORGANIZATION, null)).toBe(true);
+      it('should keep branch managers to their own branch', () => {
+        expect(isAuthorized(branchManager, PERMISSIONS.UPDATE_BRANCH, { branch: 'branchA' })).toBe(true);
+        expect(isAuthorized(branchManager, PERMISSIONS.UPDATE_BRANCH, { branch: 'branchB', organization: 'orgA' }))
+          .toBe(false);
+        expect(logger.warn).toHaveBeenCalledWith(
+          'Unauthorized: user789 has update_branch but not over this resource'
+        );
+      });
+
+      it('should fall back to the organization for resources without a branch', () => {
+        expect(isAuthorized(branchManager, PERMISSIONS.VIEW_TRANSACTION, { organization: 'orgA' })).toBe(true);
+        expect(isAuthorized(branchManager, PERMISSIONS.VIEW_TRANSACTION, { organization: 'orgB' })).toBe(false);
+        expect(isAuthorized(branchManager, PERMISSIONS.UPDATE_VENDOR, { branch: null })).toBe(false);
+      });
+
+      it('should let organization-scoped roles reach their whole organization', () => {
+        cacheRoles([{ name: 'Controller', organization: 'orgA', permissions: [], scope: 'organization' }]);
+        const controller = { ...branchManager, designation: 'Controller', permissions: [PERMISSIONS.VIEW_TRANSACTION] };
+
+        expect(isAuthorized(controller, PERMISSIONS.VIEW_TRANSACTION, { branch: 'branchB', organization: 'orgA' }))
+          .toBe(true);
+        expect(isAuthorized(controller, PERMISSIONS.VIEW_TRANSACTION, { branch: 'branchA', organization: 'orgB' }))
+          .toBe(false);
+        cacheRoles([]);
       });
 
-      it('should handle undefined resourceId', () => {
-        expect(isAuthorized(adminUser, PERMISSIONS.VIEW_ORGANIZATION, undefined)).toBe(true);
+      it('should keep employees to what they own', () => {
+        const mine = { branch: 'branchA', owner: { toString: () => 'emp456' } };
+
+        expect(isAuthorized(employeeUser, PERMISSIONS.VIEW_TRANSACTION, mine)).toBe(true);
+        expect(isAuthorized(employeeUser, PERMISSIONS.VIEW_TRANSACTION, { ...mine, owner: 'emp999' })).toBe(false);
+        expect(isAuthorized(employeeUser, PERMISSIONS.VIEW_TRANSACTION, { branch: 'branchA' })).toBe(false);
+      });
+
+      it('should keep vendor sessions to their own vendor', () => {
+        const vendorUser = { userId: 'user321', vendorId: 'vendor1', designation: ROLES.VENDOR };
+
+        expect(isAuthorized(vendorUser, PERMISSIONS.VIEW_TRANSACTION, { vendor: { toString: () => 'vendor1' } }))
+          .toBe(true);
+        expect(isAuthorized(vendorUser, PERMISSIONS.VIEW_TRANSACTION, { vendor: 'vendor2' })).toBe(false);
+        expect(isAuthorized(vendorUser, PERMISSIONS.VIEW_TRANSACTION, { owner: 'vendor1' })).toBe(false);
+      });
+
+      it('should throw from assertAuthorized when out of scope', () => {
+        expect(() => assertAuthorized(branchManager, PERMISSIONS.CREATE_EMPLOYEE, { branch: 'branchB' }))
+          .toThrow(AuthorizationError);
+        expect(() => assertAuthorized(branchManager, PERMISSIONS.CREATE_EMPLOYEE, { branch: 'branchA' }))
+          .not.toThrow();
+      });
+    });
+  });
+
+  describe('scopeFilter function', () => {
+    const paths = { branch: 'branch', organization: 'organization', owner: 'reference.refId' };
+
+    it('should not restrict admins', () => {
+      expect(scopeFilter({ designation: ROLES.ADMIN }, paths)).toEqual({});
+    });
+
+    it('should restrict branch managers to their branch, organization-level records and their own', () => {
+      const user = { employeeId: 'e1', designation: ROLES.BRANCH_MANAGER, branchId: 'b1', organizationId: 'o1' };
+
+      expect(scopeFilter(user, paths)).toEqual({
+        $or: [
+          { 'reference.refId': 'e1' },
+          { branch: 'b1' },
+          { branch: null, organization: 'o1' }
+        ]
       });
     });
+
+    it('should restrict organization-scoped roles to their organization and their own', () => {
+      cacheRoles([{ name: 'Controller', organization: 'o1', permissions: [], scope: 'organization' }]);
+      const user = { employeeId: 'e1', designation: 'Controller', branchId: 'b1', organizationId: 'o1' };
+
+      expect(scopeFilter(user, paths)).toEqual({ $or: [{ 'reference.refId': 'e1' }, { organization: 'o1' }] });
+      cacheRoles([]);
+    });
+
+    it('should restrict employees to what they own', () => {
+      expect(scopeFilter({ employeeId: 'e1', designation: ROLES.EMPLOYEE }, paths))
+        .toEqual({ $or: [{ 'reference.refId': 'e1' }] });
+    });
+
+    it('should match nothing when the user reaches nothing', () => {
+      expect(scopeFilter({ designation: ROLES.VENDOR }, paths)).toEqual({ _id: null });
+    });
+
+    it('should restrict vendor sessions to their own vendor\'s records', () => {
+      const vendorUser = { vendorId: 'v1', designation: ROLES.VENDOR };
+
+      expect(scopeFilter(vendorUser, { ...paths, vendor: 'vendor' })).toEqual({ vendor: 'v1' });
+      expect(scopeFilter(vendorUser, paths)).toEqual({ _id: null });
+    });
+  });
+
+  describe('isOwnVendor function', () => {
+    it('should only restrict vendor sessions', () => {
+      expect(isOwnVendor({ employeeId: 'e1', designation: ROLES.EMPLOYEE }, 'v2')).toBe(true);
+      expect(isOwnVendor({ vendorId: 'v1', designation: ROLES.VENDOR }, 'v1')).toBe(true);
+      expect(isOwnVendor({ vendorId: 'v1', designation: ROLES.VENDOR }, 'v2')).toBe(false);
+    });
   });
 
   describe('requirePermission function', () => {
@@ -171,15 +332,16 @@ describe('Permission Utilities', () => {
     };
 
     it('should return function', () => {
-      const middleware = requirePermission(PERMISSIONS.VIEW_ORGANIZATION);
+      const middleware = requirePermission(PERMISSIONS.VIEW_ORGANIZATION, jest.fn());
       expect(typeof middleware).toBe('function');
     });
 
-    it('should allow authorized user', () => {
-      const middleware = requirePermission(PERMISSIONS.VIEW_ORGANIZATION);
+    it('should call the resolver for an authorized user', () => {
+      const resolver = jest.fn().mockReturnValue('resolved');
+      const middleware = requirePermission(PERMISSIONS.VIEW_ORGANIZATION, resolver);
       const result = middleware(null, {}, mockContext, mockInfo);
-      
-      expect(result).toBe('testField');
+
+      expect(result).toBe('resolved');
     });
 
     it('should throw AuthorizationError for unauthorized user', () => {
@@ -189,12 +351,14 @@ describe('Permission Utilities', () => {
           designation: ROLES.EMPLOYEE
         }
       };
-      
-      const middleware = requirePermission(PERMISSIONS.DELETE_ORGANIZATION);
-      
+      const resolver = jest.fn();
+
+      const middleware = requirePermission(PERMISSIONS.DELETE_ORGANIZATION, resolver);
+
       expect(() => {
         middleware(null, {}, unauthorizedContext, mockInfo);
       }).toThrow(AuthorizationError);
+      expect(resolver).not.toHaveBeenCalled();
     });
 
     it('should throw error with correct message', () => {
@@ -204,29 +368,30 @@ describe('Permission Utilities', () => {
           designation: ROLES.EMPLOYEE
         }
       };
-      
-      const middleware = requirePermission(PERMISSIONS.DELETE_ORGANIZATION);
-      
+
+      const middleware = requirePermission(PERMISSIONS.DELETE_ORGANIZATION, jest.fn());
+
       expect(() => {
         middleware(null, {}, unauthorizedContext, mockInfo);
       }).toThrow('Insufficient permissions. Required: delete_organization');
     });
 
     it('should throw for missing user in context', () => {
-      const middleware = requirePermission(PERMISSIONS.VIEW_ORGANIZATION);
-      
+      const middleware = requirePermission(PERMISSIONS.VIEW_ORGANIZATION, jest.fn());
+
       expect(() => {
         middleware(null, {}, {}, mockInfo);
       }).toThrow(AuthorizationError);
     });
 
     it('should pass parent and args to resolver', () => {
-      const middleware = requirePermission(PERMISSIONS.VIEW_ORGANIZATION);
+      const resolver = jest.fn();
+      const middleware = requirePermission(PERMISSIONS.VIEW_ORGANIZATION, resolver);
       const parent = { id: '123' };
       const args = { filter: 'test' };
-      
-      const result = middleware(parent, args, mockContext, mockInfo);
-      expect(result).toBe('testField');
+
+      middleware(parent, args, mockContext, mockInfo);
+      expect(resolver).toHaveBeenCalledWith(parent, args, mockContext, mockInfo);
     });
   });
 
@@ -403,6 +568,40 @@ describe('Permission Utilities', () => {
       });
     });
 
+    describe('delegated management', () => {
+      const now = Date.now();
+      const delegation = (scope, startOffset = -3600000, endOffset = 3600000) => ({
+        delegator: 'empManager',
+        scope,
+        startsAt: new Date(now + startOffset),
+        endsAt: new Date(now + endOffset)
+      });
+      const employee = { userId: 'emp123', manager: 'empManager' };
+
+      it('should let an active delegate stand in for the manager', () => {
+        const delegate = { ...employeeUser, delegations: [delegation('all')] };
+
+        expect(isManager(delegate, employee)).toBe(true);
+        expect(isManager(delegate, employee, 'approvals')).toBe(true);
+      });
+
+      it('should honor approvals-only delegations for approval checks only', () => {
+        const delegate = { ...employeeUser, delegations: [delegation('approvals')] };
+
+        expect(isManager(delegate, employee, 'approvals')).toBe(true);
+        expect(isManager(delegate, employee)).toBe(false);
+      });
+
+      it('should ignore delegations outside their window or from someone else', () => {
+        expect(isManager({ ...employeeUser, delegations: [delegation('all', -7200000, -3600000)] }, employee))
+          .toBe(false);
+        expect(isManager({ ...employeeUser, delegations: [delegation('all', 3600000, 7200000)] }, employee))
+          .toBe(false);
+        expect(isManager({ ...employeeUser, delegations: [delegation('all')] }, { manager: 'otherManager' }))
+          .toBe(false);
+      });
+    });
+
     describe('invalid input handling', () => {
       it('should return false for null user', () => {
         const employee = { userId: 'emp123' };
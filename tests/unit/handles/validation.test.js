@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Unit tests for input validation helpers
+ * @module tests/unit/handles/validation
+ */
+
+const Joi = require('joi');
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  validateInput,
+  validateObjectId,
+  normalizePagination,
+  validateDateRange
+} = require('../../../src/handles/validation');
+const { ValidationError } = require('../../../src/handles/errors');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Validation Utilities', () => {
+  describe('validateInput', () => {
+    const schema = Joi.object({
+      name: Joi.string().trim().required(),
+      count: Joi.number()
+    });
+
+    it('should return sanitized value', () => {
+      const value = validateInput({ name: '  Acme  ', count: '3', extra: true }, schema);
+
+      expect(value).toEqual({ name: 'Acme', count: 3 });
+    });
+
+    it('should throw ValidationError with field name', () => {
+      try {
+        validateInput({ count: 1 }, schema);
+        throw new Error('expected to throw');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.field).toBe('name');
+      }
+    });
+
+    it('should treat null input as empty object', () => {
+      expect(() => validateInput(null, schema)).toThrow(ValidationError);
+    });
+  });
+
+  describe('validateObjectId', () => {
+    it('should accept valid ObjectId strings', () => {
+      expect(validateObjectId('507f1f77bcf86cd799439011')).toBe('507f1f77bcf86cd799439011');
+    });
+
+    it('should reject malformed ids', () => {
+      expect(() => validateObjectId('abc')).toThrow('Invalid id');
+      expect(() => validateObjectId(null, 'branchId')).toThrow('Invalid branchId');
+      expect(() => validateObjectId('aaaaaaaaaaaa')).toThrow(ValidationError);
+    });
+  });
+
+  describe('normalizePagination', () => {
+    it('should default missing values', () => {
+      expect(normalizePagination()).toEqual({ limit: DEFAULT_PAGE_SIZE, offset: 0 });
+      expect(normalizePagination(null)).toEqual({ limit: DEFAULT_PAGE_SIZE, offset: 0 });
+    });
+
+    it('should cap limit', () => {
+      expect(normalizePagination({ limit: 1000, offset: 5 })).toEqual({ limit: MAX_PAGE_SIZE, offset: 5 });
+    });
+
+    it('should ignore negative values', () => {
+      expect(normalizePagination({ limit: -1, offset: -3 })).toEqual({ limit: DEFAULT_PAGE_SIZE, offset: 0 });
+    });
+  });
+
+  describe('validateDateRange', () => {
+    it('should parse both bounds', () => {
+      const range = validateDateRange('2024-01-01', '2024-12-31');
+
+      expect(range.from).toEqual(new Date('2024-01-01'));
+      expect(range.to).toEqual(new Date('2024-12-31'));
+    });
+
+    it('should default missing bounds', () => {
+      const range = validateDateRange();
+
+      expect(range.from.getTime()).toBe(0);
+      expect(range.to).toBeInstanceOf(Date);
+    });
+
+    it('should reject invalid or inverted ranges', () => {
+      expect(() => validateDateRange('nope')).toThrow('Invalid start date');
+      expect(() => validateDateRange(null, 'nope')).toThrow('Invalid end date');
+      expect(() => validateDateRange('2024-12-31', '2024-01-01')).toThrow('before end date');
+    });
+  });
+});
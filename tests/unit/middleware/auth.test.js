@@ -17,11 +17,17 @@ jest.mock('../../../src/config/logger', () => ({
 
 jest.mock('../../../src/utils/jwt');
 
+jest.mock('../../../src/models/TokenRevocation', () => ({
+  isRevoked: jest.fn()
+}));
+
 const logger = require('../../../src/config/logger');
+const TokenRevocation = require('../../../src/models/TokenRevocation');
 
 describe('Authentication Middleware', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    TokenRevocation.isRevoked.mockResolvedValue(false);
   });
 
   describe('authenticate middleware', () => {
@@ -32,7 +38,7 @@ describe('Authentication Middleware', () => {
       designation: 'Admin'
     };
 
-    it('should authenticate valid token from Authorization header', () => {
+    it('should authenticate valid token from Authorization header', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(mockToken);
       jwt.verifyAccessToken.mockReturnValue(mockDecoded);
 
@@ -44,7 +50,7 @@ describe('Authentication Middleware', () => {
       const res = {};
       const next = jest.fn();
 
-      authenticate(req, res, next);
+      await authenticate(req, res, next);
 
       expect(jwt.extractTokenFromHeader).toHaveBeenCalledWith(`Bearer ${mockToken}`);
       expect(jwt.verifyAccessToken).toHaveBeenCalledWith(mockToken);
@@ -56,7 +62,7 @@ describe('Authentication Middleware', () => {
       expect(next).toHaveBeenCalled();
     });
 
-    it('should authenticate with lowercase authorization header', () => {
+    it('should authenticate with lowercase authorization header', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(mockToken);
       jwt.verifyAccessToken.mockReturnValue(mockDecoded);
 
@@ -68,24 +74,24 @@ describe('Authentication Middleware', () => {
       const res = {};
       const next = jest.fn();
 
-      authenticate(req, res, next);
+      await authenticate(req, res, next);
 
       expect(next).toHaveBeenCalled();
       expect(req.user).toBeDefined();
     });
 
-    it('should throw AuthenticationError when no token provided', () => {
+    it('should throw AuthenticationError when no token provided', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(null);
 
       const req = { headers: {} };
       const res = {};
       const next = jest.fn();
 
-      expect(() => authenticate(req, res, next)).toThrow(AuthenticationError);
-      expect(() => authenticate(req, res, next)).toThrow('No token provided');
+      await expect(authenticate(req, res, next)).rejects.toThrow(AuthenticationError);
+      await expect(authenticate(req, res, next)).rejects.toThrow('No token provided');
     });
 
-    it('should throw AuthenticationError for invalid token', () => {
+    it('should throw AuthenticationError for invalid token', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(mockToken);
       jwt.verifyAccessToken.mockImplementation(() => {
         throw new Error('Invalid token');
@@ -99,11 +105,11 @@ describe('Authentication Middleware', () => {
       const res = {};
       const next = jest.fn();
 
-      expect(() => authenticate(req, res, next)).toThrow(AuthenticationError);
-      expect(() => authenticate(req, res, next)).toThrow('Invalid or expired token');
+      await expect(authenticate(req, res, next)).rejects.toThrow(AuthenticationError);
+      await expect(authenticate(req, res, next)).rejects.toThrow('Invalid or expired token');
     });
 
-    it('should throw AuthenticationError for expired token', () => {
+    it('should throw AuthenticationError for expired token', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(mockToken);
       jwt.verifyAccessToken.mockImplementation(() => {
         throw new Error('Token expired');
@@ -117,10 +123,10 @@ describe('Authentication Middleware', () => {
       const res = {};
       const next = jest.fn();
 
-      expect(() => authenticate(req, res, next)).toThrow(AuthenticationError);
+      await expect(authenticate(req, res, next)).rejects.toThrow(AuthenticationError);
     });
 
-    it('should log warning on authentication failure', () => {
+    it('should log warning on authentication failure', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(null);
 
       const req = { headers: {} };
@@ -128,23 +134,23 @@ describe('Authentication Middleware', () => {
       const next = jest.fn();
 
       try {
-        authenticate(req, res, next);
+        await authenticate(req, res, next);
       } catch (error) {
         expect(logger.warn).toHaveBeenCalled();
       }
     });
 
-    it('should handle missing headers object', () => {
+    it('should handle missing headers object', async () => {
       const req = {};
       const res = {};
       const next = jest.fn();
 
       jwt.extractTokenFromHeader.mockReturnValue(null);
 
-      expect(() => authenticate(req, res, next)).toThrow(AuthenticationError);
+      await expect(authenticate(req, res, next)).rejects.toThrow(AuthenticationError);
     });
 
-    it('should attach all user fields to request', () => {
+    it('should attach all user fields to request', async () => {
       const fullDecoded = {
         userId: 'user123',
         employeeId: 'emp456',
@@ -162,7 +168,7 @@ describe('Authentication Middleware', () => {
       const res = {};
       const next = jest.fn();
 
-      authenticate(req, res, next);
+      await authenticate(req, res, next);
 
       expect(req.user).toEqual(fullDecoded);
     });
@@ -176,7 +182,7 @@ describe('Authentication Middleware', () => {
       designation: 'Employee'
     };
 
-    it('should authenticate when valid token is provided', () => {
+    it('should authenticate when valid token is provided', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(mockToken);
       jwt.verifyAccessToken.mockReturnValue(mockDecoded);
 
@@ -188,26 +194,26 @@ describe('Authentication Middleware', () => {
       const res = {};
       const next = jest.fn();
 
-      optionalAuth(req, res, next);
+      await optionalAuth(req, res, next);
 
       expect(req.user).toEqual(mockDecoded);
       expect(next).toHaveBeenCalled();
     });
 
-    it('should continue without user when no token provided', () => {
+    it('should continue without user when no token provided', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(null);
 
       const req = { headers: {} };
       const res = {};
       const next = jest.fn();
 
-      optionalAuth(req, res, next);
+      await optionalAuth(req, res, next);
 
       expect(req.user).toBeUndefined();
       expect(next).toHaveBeenCalled();
     });
 
-    it('should continue without user when token is invalid', () => {
+    it('should continue without user when token is invalid', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(mockToken);
       jwt.verifyAccessToken.mockImplementation(() => {
         throw new Error('Invalid token');
@@ -221,13 +227,13 @@ describe('Authentication Middleware', () => {
       const res = {};
       const next = jest.fn();
 
-      optionalAuth(req, res, next);
+      await optionalAuth(req, res, next);
 
       expect(req.user).toBeUndefined();
       expect(next).toHaveBeenCalled();
     });
 
-    it('should log debug message on optional auth failure', () => {
+    it('should log debug message on optional auth failure', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(mockToken);
       jwt.verifyAccessToken.mockImplementation(() => {
         throw new Error('Invalid token');
@@ -241,12 +247,12 @@ describe('Authentication Middleware', () => {
       const res = {};
       const next = jest.fn();
 
-      optionalAuth(req, res, next);
+      await optionalAuth(req, res, next);
 
       expect(logger.debug).toHaveBeenCalled();
     });
 
-    it('should handle both Authorization header cases', () => {
+    it('should handle both Authorization header cases', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(mockToken);
       jwt.verifyAccessToken.mockReturnValue(mockDecoded);
 
@@ -263,23 +269,23 @@ describe('Authentication Middleware', () => {
       const res = {};
       const next = jest.fn();
 
-      optionalAuth(req1, res, next);
+      await optionalAuth(req1, res, next);
       expect(req1.user).toBeDefined();
 
       jest.clearAllMocks();
       
-      optionalAuth(req2, res, next);
+      await optionalAuth(req2, res, next);
       expect(req2.user).toBeDefined();
     });
 
-    it('should not throw errors unlike authenticate', () => {
+    it('should not throw errors unlike authenticate', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(null);
 
       const req = { headers: {} };
       const res = {};
       const next = jest.fn();
 
-      expect(() => optionalAuth(req, res, next)).not.toThrow();
+      await expect(optionalAuth(req, res, next)).resolves.toBeUndefined();
       expect(next).toHaveBeenCalled();
     });
   });
@@ -292,7 +298,7 @@ describe('Authentication Middleware', () => {
       designation: 'Admin'
     };
 
-    it('should build context with authenticated user', () => {
+    it('should build context with authenticated user', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(mockToken);
       jwt.verifyAccessToken.mockReturnValue(mockDecoded);
 
@@ -302,26 +308,26 @@ describe('Authentication Middleware', () => {
         }
       };
 
-      const context = buildAuthContext(event);
+      const context = await buildAuthContext(event);
 
       expect(context.user).toEqual(mockDecoded);
       expect(context.isAuthenticated).toBe(true);
     });
 
-    it('should build context without user when no token', () => {
+    it('should build context without user when no token', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(null);
 
       const event = {
         headers: {}
       };
 
-      const context = buildAuthContext(event);
+      const context = await buildAuthContext(event);
 
       expect(context.user).toBeNull();
       expect(context.isAuthenticated).toBe(false);
     });
 
-    it('should build context without user when token is invalid', () => {
+    it('should build context without user when token is invalid', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(mockToken);
       jwt.verifyAccessToken.mockImplementation(() => {
         throw new Error('Invalid token');
@@ -333,13 +339,13 @@ describe('Authentication Middleware', () => {
         }
       };
 
-      const context = buildAuthContext(event);
+      const context = await buildAuthContext(event);
 
       expect(context.user).toBeNull();
       expect(context.isAuthenticated).toBe(false);
     });
 
-    it('should handle lowercase authorization header', () => {
+    it('should handle lowercase authorization header', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(mockToken);
       jwt.verifyAccessToken.mockReturnValue(mockDecoded);
 
@@ -349,22 +355,22 @@ describe('Authentication Middleware', () => {
         }
       };
 
-      const context = buildAuthContext(event);
+      const context = await buildAuthContext(event);
 
       expect(context.user).toEqual(mockDecoded);
       expect(context.isAuthenticated).toBe(true);
     });
 
-    it('should handle missing headers', () => {
+    it('should handle missing headers', async () => {
       const event = {};
 
-      const context = buildAuthContext(event);
+      const context = await buildAuthContext(event);
 
       expect(context.user).toBeNull();
       expect(context.isAuthenticated).toBe(false);
     });
 
-    it('should log debug message on context build failure', () => {
+    it('should log debug message on context build failure', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(mockToken);
       jwt.verifyAccessToken.mockImplementation(() => {
         throw new Error('Token verification failed');
@@ -376,7 +382,7 @@ describe('Authentication Middleware', () => {
         }
       };
 
-      buildAuthContext(event);
+      await buildAuthContext(event);
 
       expect(logger.debug).toHaveBeenCalledWith(
         'Auth context build failed:',
@@ -384,7 +390,7 @@ describe('Authentication Middleware', () => {
       );
     });
 
-    it('should return default context structure on any error', () => {
+    it('should return default context structure on any error', async () => {
       jwt.extractTokenFromHeader.mockImplementation(() => {
         throw new Error('Unexpected error');
       });
@@ -395,7 +401,7 @@ describe('Authentication Middleware', () => {
         }
       };
 
-      const context = buildAuthContext(event);
+      const context = await buildAuthContext(event);
 
       expect(context).toHaveProperty('user');
       expect(context).toHaveProperty('isAuthenticated');
@@ -404,6 +410,60 @@ describe('Authentication Middleware', () => {
     });
   });
 
+  describe('token revocation', () => {
+    const mockDecoded = {
+      userId: 'user123',
+      employeeId: 'emp456',
+      designation: 'BranchManager',
+      jti: 'token-id',
+      iat: 1700000000
+    };
+    const headers = { authorization: 'Bearer revoked.jwt.token' };
+
+    beforeEach(() => {
+      jwt.extractTokenFromHeader.mockReturnValue('revoked.jwt.token');
+      jwt.verifyAccessToken.mockReturnValue(mockDecoded);
+      TokenRevocation.isRevoked.mockResolvedValue(true);
+    });
+
+    it('should reject revoked tokens in authenticate', async () => {
+      const next = jest.fn();
+
+      await expect(authenticate({ headers }, {}, next)).rejects.toThrow('Token has been revoked');
+      expect(TokenRevocation.isRevoked).toHaveBeenCalledWith(mockDecoded);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should continue anonymously in optionalAuth', async () => {
+      const req = { headers };
+      const next = jest.fn();
+
+      await optionalAuth(req, {}, next);
+
+      expect(req.user).toBeUndefined();
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should build an anonymous context', async () => {
+      const context = await buildAuthContext({ headers });
+
+      expect(context).toEqual({ user: null, isAuthenticated: false });
+    });
+
+    it('should expose only user identity and what identifies the token for revocation', async () => {
+      TokenRevocation.isRevoked.mockResolvedValue(false);
+
+      const context = await buildAuthContext({ headers });
+
+      expect(context.user).toEqual({
+        userId: 'user123',
+        employeeId: 'emp456',
+        designation: 'BranchManager',
+        jti: 'token-id'
+      });
+    });
+  });
+
   describe('integration scenarios', () => {
     const mockToken = 'valid.jwt.token';
     const mockDecoded = {
@@ -412,7 +472,7 @@ describe('Authentication Middleware', () => {
       designation: 'Admin'
     };
 
-    it('should handle complete authentication flow', () => {
+    it('should handle complete authentication flow', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(mockToken);
       jwt.verifyAccessToken.mockReturnValue(mockDecoded);
 
@@ -424,14 +484,14 @@ describe('Authentication Middleware', () => {
       const res = {};
       const next = jest.fn();
 
-      authenticate(req, res, next);
+      await authenticate(req, res, next);
 
       expect(req.user).toBeDefined();
       expect(req.user.userId).toBe('user123');
       expect(next).toHaveBeenCalled();
     });
 
-    it('should differentiate between required and optional auth', () => {
+    it('should differentiate between required and optional auth', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(null);
 
       const req1 = { headers: {} };
@@ -440,14 +500,14 @@ describe('Authentication Middleware', () => {
       const next = jest.fn();
 
       // Required auth should throw
-      expect(() => authenticate(req1, res, next)).toThrow();
+      await expect(authenticate(req1, res, next)).rejects.toThrow();
 
       // Optional auth should not throw
-      expect(() => optionalAuth(req2, res, next)).not.toThrow();
+      await expect(optionalAuth(req2, res, next)).resolves.toBeUndefined();
       expect(next).toHaveBeenCalled();
     });
 
-    it('should handle Lambda event and Express request consistently', () => {
+    it('should handle Lambda event and Express request consistently', async () => {
       jwt.extractTokenFromHeader.mockReturnValue(mockToken);
       jwt.verifyAccessToken.mockReturnValue(mockDecoded);
 
@@ -460,7 +520,7 @@ describe('Authentication Middleware', () => {
       const res = {};
       const next = jest.fn();
 
-      authenticate(req, res, next);
+      await authenticate(req, res, next);
 
       // Lambda event
       const event = {
@@ -469,7 +529,7 @@ describe('Authentication Middleware', () => {
         }
       };
 
-      const context = buildAuthContext(event);
+      const context = await buildAuthContext(event);
 
       expect(req.user).toEqual(mockDecoded);
       expect(context.user).toEqual(mockDecoded);
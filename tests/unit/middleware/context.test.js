@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Unit tests for GraphQL context builder
+ * @module tests/unit/middleware/context
+ */
+
+const { buildContext, getClientIp } = require('../../../src/middleware/context');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/middleware/auth');
+jest.mock('../../../src/models/Delegation', () => ({
+  findActiveForDelegate: jest.fn()
+}));
+jest.mock('../../../src/models/AccessGrant', () => ({
+  findActiveForEmployee: jest.fn()
+}));
+jest.mock('../../../src/models/Employee', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../../src/models/Vendor', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../../src/utils/roleRegistry', () => ({
+  ensureRolesLoaded: jest.fn(),
+  lookupRole: jest.fn()
+}));
+
+const authModule = require('../../../src/middleware/auth');
+const Delegation = require('../../../src/models/Delegation');
+const AccessGrant = require('../../../src/models/AccessGrant');
+const Employee = require('../../../src/models/Employee');
+const Vendor = require('../../../src/models/Vendor');
+const { PERMISSIONS, getPermissionsForRole } = require('../../../src/constants/permissions');
+
+/**
+ * Stub Employee.findById(...).select(...).populate(...) to resolve to an employee
+ * @param {Object|null} employee - Employee to resolve
+ * @returns {void}
+ */
+const mockEmployeeLookup = (employee) => {
+  const populate = jest.fn().mockResolvedValue(employee);
+  Employee.findById.mockReturnValue({ select: jest.fn().mockReturnValue({ populate }) });
+};
+
+describe('GraphQL Context Builder', () => {
+  beforeEach(() => {
+    Delegation.findActiveForDelegate.mockResolvedValue([]);
+    AccessGrant.findActiveForEmployee.mockResolvedValue([]);
+    mockEmployeeLookup(null);
+  });
+
+  it('should flag the authenticated user', async () => {
+    authModule.buildAuthContext.mockResolvedValue({
+      user: { userId: 'user123', employeeId: 'emp123', designation: 'Admin' },
+      isAuthenticated: true
+    });
+
+    const context = await buildContext({ headers: {}, requestContext: { requestId: 'req-1' } });
+
+    expect(context.user).toEqual({
+      userId: 'user123',
+      employeeId: 'emp123',
+      designation: 'Admin',
+      permissions: getPermissionsForRole('Admin'),
+      branchId: null,
+      organizationId: null,
+      isAuthenticated: true,
+      delegations: [],
+      accessGrants: []
+    });
+    expect(context.isAuthenticated).toBe(true);
+    expect(context.requestId).toBe('req-1');
+  });
+
+  it('should attach the branch and organization the user works in', async () => {
+    authModule.buildAuthContext.mockResolvedValue({
+      user: { userId: 'user123', employeeId: 'emp123', designation: 'BranchManager' },
+      isAuthenticated: true
+    });
+    mockEmployeeLookup({ branch: { _id: 'branch1', organization: 'org1' } });
+
+    const context = await buildContext({ headers: {} });
+
+    expect(Employee.findById).toHaveBeenCalledWith('emp123');
+    expect(context.user).toMatchObject({ branchId: 'branch1', organizationId: 'org1' });
+  });
+
+  it('should resolve a vendor session from its vendor', async () => {
+    authModule.buildAuthContext.mockResolvedValue({
+      user: { userId: 'user123', vendorId: 'vendor1', designation: 'Vendor' },
+      isAuthenticated: true
+    });
+    const populate = jest.fn().mockResolvedValue({ branch: { _id: 'branch1', organization: 'org1' } });
+    Vendor.findById.mockReturnValue({ select: jest.fn().mockReturnValue({ populate }) });
+
+    const { user } = await buildContext({ headers: {} });
+
+    expect(Vendor.findById).toHaveBeenCalledWith('vendor1');
+    expect(Employee.findById).not.toHaveBeenCalled();
+    expect(Delegation.findActiveForDelegate).not.toHaveBeenCalled();
+    expect(AccessGrant.findActiveForEmployee).not.toHaveBeenCalled();
+    expect(user).toMatchObject({
+      vendorId: 'vendor1',
+      permissions: getPermissionsForRole('Vendor'),
+      organizationId: 'org1',
+      delegations: [],
+      accessGrants: []
+    });
+  });
+
+  it('should resolve effective permissions from individual grants and denies', async () => {
+    authModule.buildAuthContext.mockResolvedValue({
+      user: { userId: 'user123', employeeId: 'emp123', designation: 'Employee' },
+      isAuthenticated: true
+    });
+    mockEmployeeLookup({
+      branch: null,
+      permissions: [PERMISSIONS.APPROVE_TRANSACTION],
+      deniedPermissions: [PERMISSIONS.CREATE_TRANSACTION]
+    });
+
+    const { user } = await buildContext({ headers: {} });
+
+    expect(user.permissions).toContain(PERMISSIONS.APPROVE_TRANSACTION);
+    expect(user.permissions).toContain(PERMISSIONS.VIEW_TRANSACTION);
+    expect(user.permissions).not.toContain(PERMISSIONS.CREATE_TRANSACTION);
+  });
+
+  it('should attach the delegations the user currently holds', async () => {
+    const startsAt = new Date('2026-01-01');
+    const endsAt = new Date('2026-01-15');
+    authModule.buildAuthContext.mockResolvedValue({
+      user: { userId: 'user123', employeeId: 'emp123', designation: 'Employee' },
+      isAuthenticated: true
+    });
+    Delegation.findActiveForDelegate.mockResolvedValue([
+      { delegator: { toString: () => 'mgr1' }, scope: 'approvals', startsAt, endsAt }
+    ]);
+
+    const context = await buildContext({ headers: {} });
+
+    expect(Delegation.findActiveForDelegate).toHaveBeenCalledWith('emp123');
+    expect(context.user.delegations).toEqual([{ delegator: 'mgr1', scope: 'approvals', startsAt, endsAt }]);
+  });
+
+  it('should attach the temporary access grants the user currently holds', async () => {
+    const startsAt = new Date('2026-01-30');
+    const expiresAt = new Date('2026-02-02');
+    authModule.buildAuthContext.mockResolvedValue({
+      user: { userId: 'user123', employeeId: 'emp123', designation: 'Employee' },
+      isAuthenticated: true
+    });
+    AccessGrant.findActiveForEmployee.mockResolvedValue([
+      { _id: { toString: () => 'grant1' }, permissions: [PERMISSIONS.VIEW_ALL_REPORTS], startsAt, expiresAt }
+    ]);
+
+    const { user } = await buildContext({ headers: {} });
+
+    expect(AccessGrant.findActiveForEmployee).toHaveBeenCalledWith('emp123');
+    expect(user.accessGrants).toEqual([
+      { id: 'grant1', permissions: [PERMISSIONS.VIEW_ALL_REPORTS], startsAt, expiresAt }
+    ]);
+    expect(user.permissions).not.toContain(PERMISSIONS.VIEW_ALL_REPORTS);
+  });
+
+  it('should leave user null for anonymous requests', async () => {
+    authModule.buildAuthContext.mockResolvedValue({ user: null, isAuthenticated: false });
+
+    const context = await buildContext({ headers: {} });
+
+    expect(context.user).toBeNull();
+    expect(Delegation.findActiveForDelegate).not.toHaveBeenCalled();
+    expect(context.isAuthenticated).toBe(false);
+    expect(context.requestId).toBeNull();
+    expect(context.ip).toBeNull();
+  });
+
+  describe('getClientIp', () => {
+    it('should prefer the API Gateway source IP', () => {
+      expect(getClientIp({
+        headers: { 'X-Forwarded-For': '1.1.1.1' },
+        requestContext: { identity: { sourceIp: '203.0.113.7' } }
+      })).toBe('203.0.113.7');
+    });
+
+    it('should fall back to the first forwarded hop', () => {
+      expect(getClientIp({ headers: { 'x-forwarded-for': '198.51.100.2, 10.0.0.1' } }))
+        .toBe('198.51.100.2');
+    });
+  });
+});
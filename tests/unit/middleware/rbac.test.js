@@ -4,9 +4,15 @@
  */
 
 const {
-  withPermission,
-  withOwnershipCheck,
-  withManagementCheck
+  authorize,
+  describeGuards,
+  requireAll,
+  requireAny,
+  requireScope,
+  requireOwnership,
+  requireManagement,
+  requireThat,
+  anyOf
 } = require('../../../src/middleware/rbac');
 const { AuthorizationError } = require('../../../src/handles/errors');
 const { PERMISSIONS } = require('../../../src/constants/permissions');
@@ -21,330 +27,340 @@ jest.mock('../../../src/config/logger', () => ({
 }));
 
 jest.mock('../../../src/handles/permissions');
+jest.mock('../../../src/utils/audit');
 
 const permissionsModule = require('../../../src/handles/permissions');
+const { recordAudit } = require('../../../src/utils/audit');
 const logger = require('../../../src/config/logger');
 
 describe('RBAC Middleware', () => {
-  beforeEach(() => {
-    jest.clearAllMocks();
-  });
-
-  describe('withPermission middleware', () => {
-    const mockResolver = jest.fn().mockResolvedValue({ id: '123', name: 'Test' });
-    const mockContext = {
-      user: {
-        userId: 'user123',
-        employeeId: 'emp123',
-        designation: ROLES.ADMIN,
-        isAuthenticated: true
-      }
-    };
+  const mockContext = {
+    user: {
+      userId: 'user123',
+      employeeId: 'emp123',
+      designation: ROLES.ADMIN,
+      isAuthenticated: true
+    }
+  };
 
+  describe('authorize with requireAll', () => {
     it('should allow access when user has required permission', async () => {
       permissionsModule.isAuthorized.mockReturnValue(true);
+      const resolver = jest.fn().mockResolvedValue({ id: '123', name: 'Test' });
 
-      const wrapped = withPermission(PERMISSIONS.VIEW_ORGANIZATION, mockResolver);
+      const wrapped = authorize(requireAll(PERMISSIONS.VIEW_ORGANIZATION), resolver);
       const result = await wrapped(null, { id: '123' }, mockContext, {});
 
-      expect(permissionsModule.isAuthorized).toHaveBeenCalledWith(
-        mockContext.user,
-        PERMISSIONS.VIEW_ORGANIZATION
-      );
-      expect(mockResolver).toHaveBeenCalled();
+      expect(permissionsModule.isAuthorized).toHaveBeenCalledWith(mockContext.user, PERMISSIONS.VIEW_ORGANIZATION);
       expect(result).toEqual({ id: '123', name: 'Test' });
     });
 
-    it('should throw AuthorizationError when user lacks permission', async () => {
-      permissionsModule.isAuthorized.mockReturnValue(false);
+    it('should require every permission and name the missing one', async () => {
+      permissionsModule.isAuthorized.mockImplementation((user, permission) => permission === PERMISSIONS.VIEW_BRANCH);
+      const resolver = jest.fn();
 
-      const wrapped = withPermission(PERMISSIONS.DELETE_ORGANIZATION, mockResolver);
+      const wrapped = authorize(requireAll(PERMISSIONS.VIEW_BRANCH, PERMISSIONS.DELETE_BRANCH), resolver);
 
       await expect(wrapped(null, {}, mockContext, {}))
-        .rejects.toThrow(AuthorizationError);
-
-      expect(mockResolver).not.toHaveBeenCalled();
+        .rejects.toThrow(`Insufficient permissions. Required: ${PERMISSIONS.DELETE_BRANCH}`);
+      expect(resolver).not.toHaveBeenCalled();
+      expect(logger.warn).toHaveBeenCalledWith(`Permission denied: user123 attempted ${PERMISSIONS.DELETE_BRANCH}`);
     });
 
-    it('should throw AuthorizationError when user is not authenticated', async () => {
-      const unauthContext = {
-        user: null
-      };
+    it('should reject users who are not authenticated', async () => {
+      const resolver = jest.fn();
+      const wrapped = authorize(requireAll(PERMISSIONS.VIEW_ORGANIZATION), resolver);
 
-      const wrapped = withPermission(PERMISSIONS.VIEW_ORGANIZATION, mockResolver);
-
-      await expect(wrapped(null, {}, unauthContext, {}))
+      await expect(wrapped(null, {}, { user: null }, {})).rejects.toThrow('Authentication required');
+      await expect(wrapped(null, {}, { user: { userId: 'user123', isAuthenticated: false } }, {}))
         .rejects.toThrow('Authentication required');
-
-      expect(mockResolver).not.toHaveBeenCalled();
-    });
-
-    it('should throw AuthorizationError with correct message', async () => {
-      permissionsModule.isAuthorized.mockReturnValue(false);
-
-      const wrapped = withPermission(PERMISSIONS.DELETE_ORGANIZATION, mockResolver);
-
-      await expect(wrapped(null, {}, mockContext, {}))
-        .rejects.toThrow(`Insufficient permissions. Required: ${PERMISSIONS.DELETE_ORGANIZATION}`);
+      expect(resolver).not.toHaveBeenCalled();
     });
 
     it('should pass all parameters to resolver', async () => {
       permissionsModule.isAuthorized.mockReturnValue(true);
-
+      const resolver = jest.fn();
       const parent = { parentId: 'parent123' };
       const args = { id: '123', filter: 'test' };
       const info = { fieldName: 'testField' };
 
-      const wrapped = withPermission(PERMISSIONS.VIEW_ORGANIZATION, mockResolver);
-      await wrapped(parent, args, mockContext, info);
-
-      expect(mockResolver).toHaveBeenCalledWith(parent, args, mockContext, info);
-    });
-
-    it('should log warning when permission is denied', async () => {
-      permissionsModule.isAuthorized.mockReturnValue(false);
+      await authorize(requireAll(PERMISSIONS.VIEW_ORGANIZATION), resolver)(parent, args, mockContext, info);
 
-      const wrapped = withPermission(PERMISSIONS.DELETE_ORGANIZATION, mockResolver);
-
-      try {
-        await wrapped(null, {}, mockContext, {});
-      } catch (error) {
-        expect(logger.warn).toHaveBeenCalled();
-      }
+      expect(resolver).toHaveBeenCalledWith(parent, args, mockContext, info);
     });
 
-    it('should handle resolver errors and log them', async () => {
+    it('should log and rethrow resolver errors', async () => {
       permissionsModule.isAuthorized.mockReturnValue(true);
       const error = new Error('Resolver failed');
-      mockResolver.mockRejectedValueOnce(error);
-
-      const wrapped = withPermission(PERMISSIONS.VIEW_ORGANIZATION, mockResolver);
 
-      await expect(wrapped(null, {}, mockContext, {}))
-        .rejects.toThrow('Resolver failed');
+      const wrapped = authorize(requireAll(PERMISSIONS.VIEW_ORGANIZATION), jest.fn().mockRejectedValue(error));
 
+      await expect(wrapped(null, {}, mockContext, {})).rejects.toThrow('Resolver failed');
       expect(logger.error).toHaveBeenCalledWith('Resolver error:', error);
     });
 
-    it('should handle options parameter', async () => {
-      permissionsModule.isAuthorized.mockReturnValue(true);
-
-      const options = { requireOwnership: true };
-      const wrapped = withPermission(PERMISSIONS.VIEW_ORGANIZATION, mockResolver, options);
+    it('should let any authenticated user through an empty chain', async () => {
+      const wrapped = authorize([], jest.fn().mockResolvedValue(true));
 
-      await wrapped(null, { id: '123' }, mockContext, {});
-
-      expect(mockResolver).toHaveBeenCalled();
+      await expect(wrapped(null, {}, { user: { userId: 'u1', isAuthenticated: true } }, {})).resolves.toBe(true);
+      expect(permissionsModule.isAuthorized).not.toHaveBeenCalled();
     });
+  });
 
-    it('should check user.isAuthenticated flag', async () => {
-      const contextNoAuth = {
-        user: {
-          userId: 'user123',
-          isAuthenticated: false
-        }
-      };
+  describe('guards', () => {
+    it('should accept any one of the permissions with requireAny', async () => {
+      permissionsModule.isAuthorized.mockImplementation((user, permission) => permission === PERMISSIONS.VIEW_REPORTS);
+      const guard = requireAny(PERMISSIONS.VIEW_ALL_REPORTS, PERMISSIONS.VIEW_REPORTS);
 
-      const wrapped = withPermission(PERMISSIONS.VIEW_ORGANIZATION, mockResolver);
+      await expect(authorize(guard, jest.fn().mockResolvedValue('ok'))(null, {}, mockContext, {})).resolves.toBe('ok');
 
-      await expect(wrapped(null, {}, contextNoAuth, {}))
-        .rejects.toThrow('Authentication required');
+      permissionsModule.isAuthorized.mockReturnValue(false);
+      await expect(authorize(guard, jest.fn())(null, {}, mockContext, {}))
+        .rejects.toThrow('Required one of: view_all_reports, view_reports');
     });
-  });
 
-  describe('withOwnershipCheck middleware', () => {
-    const mockGetResource = jest.fn();
-    const mockResolver = jest.fn().mockResolvedValue({ success: true });
-    const mockUser = {
-      userId: 'user123',
-      employeeId: 'emp123'
-    };
-    const mockContext = { user: mockUser };
-
-    it('should allow access when user owns the resource', async () => {
-      const resource = { userId: 'user123', name: 'Test Resource' };
-      mockGetResource.mockResolvedValue(resource);
-      permissionsModule.isOwner.mockReturnValue(true);
+    it('should check the target against the user scope after the permissions', async () => {
+      permissionsModule.isAuthorized.mockReturnValue(true);
+      permissionsModule.isInScope.mockReturnValue(false);
+      const resolver = jest.fn();
+      const resource = jest.fn().mockResolvedValue({ branch: 'b2' });
 
-      const wrapped = withOwnershipCheck(mockGetResource, mockResolver);
-      const result = await wrapped(null, { id: 'res123' }, mockContext, {});
+      const wrapped = authorize([requireAll(PERMISSIONS.UPDATE_BRANCH), requireScope(resource)], resolver);
 
-      expect(mockGetResource).toHaveBeenCalledWith('res123');
-      expect(permissionsModule.isOwner).toHaveBeenCalledWith(mockUser, resource);
-      expect(mockResolver).toHaveBeenCalled();
-      expect(result).toEqual({ success: true });
+      await expect(wrapped(null, { id: 'b2' }, mockContext, {}))
+        .rejects.toThrow(`Insufficient permissions. Required: ${PERMISSIONS.UPDATE_BRANCH} over this resource`);
+      expect(resource).toHaveBeenCalledWith({ id: 'b2' }, null);
+      expect(permissionsModule.isInScope).toHaveBeenCalledWith(mockContext.user, { branch: 'b2' });
+      expect(resolver).not.toHaveBeenCalled();
     });
 
-    it('should throw error when resource not found', async () => {
-      mockGetResource.mockResolvedValue(null);
-
-      const wrapped = withOwnershipCheck(mockGetResource, mockResolver);
+    it('should leave missing targets to the resolver in requireScope', async () => {
+      const wrapped = authorize(requireScope(jest.fn().mockResolvedValue(null)), jest.fn().mockResolvedValue(null));
 
-      await expect(wrapped(null, { id: 'res123' }, mockContext, {}))
-        .rejects.toThrow('Resource not found');
-
-      expect(mockResolver).not.toHaveBeenCalled();
+      await expect(wrapped(null, { id: 'gone' }, mockContext, {})).resolves.toBeNull();
+      expect(permissionsModule.isInScope).not.toHaveBeenCalled();
     });
 
-    it('should throw AuthorizationError when user does not own resource', async () => {
-      const resource = { userId: 'different123', name: 'Test Resource' };
-      mockGetResource.mockResolvedValue(resource);
-      permissionsModule.isOwner.mockReturnValue(false);
+    it('should require ownership', async () => {
+      const resource = { userId: 'user123' };
+      const getResource = jest.fn().mockResolvedValue(resource);
+      const resolver = jest.fn().mockResolvedValue({ success: true });
+      permissionsModule.isOwner.mockReturnValue(true);
 
-      const wrapped = withOwnershipCheck(mockGetResource, mockResolver);
+      await expect(authorize(requireOwnership(getResource), resolver)(null, { id: 'res123' }, mockContext, {}))
+        .resolves.toEqual({ success: true });
+      expect(getResource).toHaveBeenCalledWith({ id: 'res123' }, null);
+      expect(permissionsModule.isOwner).toHaveBeenCalledWith(mockContext.user, resource);
 
-      await expect(wrapped(null, { id: 'res123' }, mockContext, {}))
+      permissionsModule.isOwner.mockReturnValue(false);
+      await expect(authorize(requireOwnership(getResource), resolver)(null, { id: 'res123' }, mockContext, {}))
         .rejects.toThrow('You do not own this resource');
-
-      expect(mockResolver).not.toHaveBeenCalled();
     });
 
-    it('should pass args to resolver after ownership check', async () => {
-      const resource = { userId: 'user123' };
-      mockGetResource.mockResolvedValue(resource);
-      permissionsModule.isOwner.mockReturnValue(true);
+    it('should require management, honoring the delegation scope', async () => {
+      const employee = { manager: 'empManager' };
+      const guard = requireManagement(jest.fn().mockResolvedValue(employee), { scope: 'approvals' });
+      permissionsModule.isManager.mockReturnValue(true);
+
+      await expect(authorize(guard, jest.fn().mockResolvedValue('ok'))(null, { id: 'e1' }, mockContext, {}))
+        .resolves.toBe('ok');
+      expect(permissionsModule.isManager).toHaveBeenCalledWith(mockContext.user, employee, 'approvals');
 
-      const parent = { parentId: '456' };
-      const args = { id: 'res123', data: 'test' };
-      const info = { fieldName: 'test' };
+      permissionsModule.isManager.mockReturnValue(false);
+      await expect(authorize(guard, jest.fn())(null, { id: 'e1' }, mockContext, {}))
+        .rejects.toThrow('You do not manage this resource');
+    });
 
-      const wrapped = withOwnershipCheck(mockGetResource, mockResolver);
-      await wrapped(parent, args, mockContext, info);
+    it('should fail ownership and management checks on missing or unreadable resources', async () => {
+      const missing = jest.fn().mockResolvedValue(null);
+      const broken = jest.fn().mockRejectedValue(new Error('Database error'));
 
-      expect(mockResolver).toHaveBeenCalledWith(parent, args, mockContext, info);
+      await expect(authorize(requireOwnership(missing), jest.fn())(null, { id: 'r1' }, mockContext, {}))
+        .rejects.toThrow('Resource not found');
+      await expect(authorize(requireManagement(missing), jest.fn())(null, { id: 'r1' }, mockContext, {}))
+        .rejects.toThrow('Resource not found');
+      await expect(authorize(requireOwnership(broken), jest.fn())(null, { id: 'r1' }, mockContext, {}))
+        .rejects.toThrow('Database error');
     });
 
-    it('should handle getResource errors', async () => {
-      mockGetResource.mockRejectedValue(new Error('Database error'));
+    it('should evaluate custom predicates', async () => {
+      const predicate = jest.fn(({ user, args }) => args.delegatorId === user.employeeId);
+      const guard = requireThat('Not the delegator', predicate, 'Only the delegator can do that');
 
-      const wrapped = withOwnershipCheck(mockGetResource, mockResolver);
+      const resolver = jest.fn().mockResolvedValue('ok');
 
-      await expect(wrapped(null, { id: 'res123' }, mockContext, {}))
-        .rejects.toThrow('Database error');
+      await expect(authorize(guard, resolver)(null, { delegatorId: 'emp123' }, mockContext, {}))
+        .resolves.toBe('ok');
+      await expect(authorize(guard, jest.fn())(null, { delegatorId: 'emp999' }, mockContext, {}))
+        .rejects.toThrow('Only the delegator can do that');
     });
-  });
 
-  describe('withManagementCheck middleware', () => {
-    const mockGetResource = jest.fn();
-    const mockResolver = jest.fn().mockResolvedValue({ success: true });
-    const mockUser = {
-      userId: 'manager123',
-      employeeId: 'empManager',
-      designation: ROLES.BRANCH_MANAGER
-    };
-    const mockContext = { user: mockUser };
-
-    it('should allow access when user manages the resource', async () => {
-      const employee = { userId: 'emp123', manager: 'empManager' };
-      mockGetResource.mockResolvedValue(employee);
+    it('should pass anyOf when one alternative passes', async () => {
+      const getResource = jest.fn().mockResolvedValue({ manager: 'm1' });
+      const guard = anyOf(requireOwnership(getResource), requireManagement(getResource));
+      permissionsModule.isOwner.mockReturnValue(false);
       permissionsModule.isManager.mockReturnValue(true);
 
-      const wrapped = withManagementCheck(mockGetResource, mockResolver);
-      const result = await wrapped(null, { id: 'emp123' }, mockContext, {});
+      await expect(authorize(guard, jest.fn().mockResolvedValue('ok'))(null, { id: 'e1' }, mockContext, {}))
+        .resolves.toBe('ok');
 
-      expect(mockGetResource).toHaveBeenCalledWith('emp123');
-      expect(permissionsModule.isManager).toHaveBeenCalledWith(mockUser, employee);
-      expect(mockResolver).toHaveBeenCalled();
-      expect(result).toEqual({ success: true });
+      permissionsModule.isManager.mockReturnValue(false);
+      await expect(authorize(guard, jest.fn())(null, { id: 'e1' }, mockContext, {}))
+        .rejects.toThrow('You do not own this resource');
     });
 
-    it('should throw error when resource not found', async () => {
-      mockGetResource.mockResolvedValue(null);
+    it('should stop at the first failing guard', async () => {
+      permissionsModule.isAuthorized.mockReturnValue(false);
+      const getResource = jest.fn();
 
-      const wrapped = withManagementCheck(mockGetResource, mockResolver);
+      const wrapped = authorize([requireAll(PERMISSIONS.VIEW_TRANSACTION), requireOwnership(getResource)], jest.fn());
 
-      await expect(wrapped(null, { id: 'emp123' }, mockContext, {}))
-        .rejects.toThrow('Resource not found');
+      await expect(wrapped(null, { id: '123' }, mockContext, {})).rejects.toThrow(AuthorizationError);
+      expect(getResource).not.toHaveBeenCalled();
+    });
+  });
 
-      expect(mockResolver).not.toHaveBeenCalled();
+  describe('introspection', () => {
+    it('should report the permissions and rules of a wrapped resolver', () => {
+      const wrapped = authorize([
+        requireAll(PERMISSIONS.UPDATE_VENDOR),
+        anyOf(requireAll(PERMISSIONS.VIEW_BRANCH), requireScope(jest.fn()))
+      ], jest.fn());
+
+      expect(describeGuards(wrapped)).toEqual({
+        permissions: [PERMISSIONS.UPDATE_VENDOR, PERMISSIONS.VIEW_BRANCH],
+        rules: ['requireAll(update_vendor)', 'anyOf(requireAll(view_branch), requireScope)']
+      });
+      expect(describeGuards(jest.fn())).toBeNull();
     });
+  });
 
-    it('should throw AuthorizationError when user does not manage resource', async () => {
-      const employee = { userId: 'emp123', manager: 'differentManager' };
-      mockGetResource.mockResolvedValue(employee);
-      permissionsModule.isManager.mockReturnValue(false);
+  describe('audit logging', () => {
+    const context = { ...mockContext, requestId: 'req-1', ip: '10.0.0.1' };
+    const info = { fieldName: 'deleteBranch' };
+    const audit = { action: 'delete', resource: 'Branch' };
+
+    it('should record denied permission checks', async () => {
+      permissionsModule.isAuthorized.mockReturnValue(false);
+      const wrapped = authorize(requireAll(PERMISSIONS.DELETE_BRANCH), jest.fn(), { audit });
+
+      await expect(wrapped(null, { id: 'b1' }, context, info)).rejects.toThrow(AuthorizationError);
+
+      expect(recordAudit).toHaveBeenCalledWith(context, expect.objectContaining({
+        action: 'delete',
+        operation: 'deleteBranch',
+        permission: PERMISSIONS.DELETE_BRANCH,
+        resourceType: 'Branch',
+        resourceId: 'b1',
+        outcome: 'denied',
+        reason: 'Insufficient permissions'
+      }));
+    });
 
-      const wrapped = withManagementCheck(mockGetResource, mockResolver);
+    it('should record the reason of other denials', async () => {
+      permissionsModule.isAuthorized.mockReturnValue(true);
+      permissionsModule.isOwner.mockReturnValue(false);
+      permissionsModule.isInScope.mockReturnValue(false);
+      const getResource = jest.fn().mockResolvedValue({ branch: 'b2' });
 
-      await expect(wrapped(null, { id: 'emp123' }, mockContext, {}))
-        .rejects.toThrow('You do not manage this resource');
+      await expect(authorize([requireAll(PERMISSIONS.UPDATE_BRANCH), requireScope(getResource)], jest.fn(), { audit })(
+        null, { id: 'b2' }, context, info
+      )).rejects.toThrow('over this resource');
+      await expect(authorize(requireOwnership(getResource), jest.fn())(null, { id: 'r1' }, context, info))
+        .rejects.toThrow(AuthorizationError);
 
-      expect(mockResolver).not.toHaveBeenCalled();
+      expect(recordAudit).toHaveBeenCalledWith(context, expect.objectContaining({
+        permission: PERMISSIONS.UPDATE_BRANCH,
+        outcome: 'denied',
+        reason: 'Outside scope'
+      }));
+      expect(recordAudit).toHaveBeenCalledWith(context, expect.objectContaining({
+        resourceId: 'r1',
+        outcome: 'denied',
+        reason: 'Not the owner'
+      }));
     });
 
-    it('should pass all parameters to resolver', async () => {
-      const employee = { userId: 'emp123', manager: 'empManager' };
-      mockGetResource.mockResolvedValue(employee);
-      permissionsModule.isManager.mockReturnValue(true);
-
-      const parent = { parentId: '789' };
-      const args = { id: 'emp123', action: 'update' };
-      const info = { fieldName: 'updateEmployee' };
+    it('should record anonymous attempts as plain access without audit options', async () => {
+      const wrapped = authorize(requireAll(PERMISSIONS.VIEW_BRANCH), jest.fn());
 
-      const wrapped = withManagementCheck(mockGetResource, mockResolver);
-      await wrapped(parent, args, mockContext, info);
+      await expect(wrapped(null, { id: 'b1' }, { user: null }, { fieldName: 'branch' }))
+        .rejects.toThrow('Authentication required');
 
-      expect(mockResolver).toHaveBeenCalledWith(parent, args, mockContext, info);
+      expect(recordAudit).toHaveBeenCalledWith({ user: null }, expect.objectContaining({
+        action: 'access',
+        outcome: 'denied',
+        reason: 'Authentication required'
+      }));
     });
 
-    it('should handle getResource errors', async () => {
-      mockGetResource.mockRejectedValue(new Error('Fetch failed'));
+    it('should record successful audited mutations with the result id', async () => {
+      permissionsModule.isAuthorized.mockReturnValue(true);
+      const wrapped = authorize(requireAll(PERMISSIONS.CREATE_BRANCH), jest.fn().mockResolvedValue({ _id: 'new1' }), {
+        audit: { action: 'create', resource: 'Branch' }
+      });
 
-      const wrapped = withManagementCheck(mockGetResource, mockResolver);
+      await expect(wrapped(null, { input: {} }, context, info)).resolves.toEqual({ _id: 'new1' });
 
-      await expect(wrapped(null, { id: 'emp123' }, mockContext, {}))
-        .rejects.toThrow('Fetch failed');
+      expect(recordAudit).toHaveBeenCalledWith(context, expect.objectContaining({
+        action: 'create',
+        resourceId: 'new1',
+        outcome: 'success'
+      }));
     });
-  });
 
-  describe('integration scenarios', () => {
-    it('should chain permission and ownership checks', async () => {
-      const mockResolver = jest.fn().mockResolvedValue({ data: 'success' });
-      const mockGetResource = jest.fn().mockResolvedValue({ userId: 'user123' });
-      
+    it('should record failed audited mutations and rethrow', async () => {
       permissionsModule.isAuthorized.mockReturnValue(true);
-      permissionsModule.isOwner.mockReturnValue(true);
+      const resolver = jest.fn().mockRejectedValue(new Error('Branch still has employees'));
+      const wrapped = authorize(requireAll(PERMISSIONS.DELETE_BRANCH), resolver, { audit });
 
-      const context = {
-        user: {
-          userId: 'user123',
-          designation: ROLES.EMPLOYEE,
-          isAuthenticated: true
-        }
-      };
+      await expect(wrapped(null, { id: 'b1' }, context, info)).rejects.toThrow('Branch still has employees');
 
-      const withPerm = withPermission(PERMISSIONS.VIEW_TRANSACTION, mockResolver);
-      const withOwn = withOwnershipCheck(mockGetResource, withPerm);
+      expect(recordAudit).toHaveBeenCalledWith(context, expect.objectContaining({
+        resourceId: 'b1',
+        outcome: 'failure',
+        reason: 'Branch still has employees'
+      }));
+    });
+
+    it('should use a custom resource id resolver', async () => {
+      permissionsModule.isAuthorized.mockReturnValue(true);
+      const wrapped = authorize(requireAll(PERMISSIONS.MANAGE_USERS), jest.fn().mockResolvedValue(true), {
+        audit: { action: 'revoke_sessions', resource: 'User', resourceId: (args) => args.userId }
+      });
 
-      const result = await withOwn(null, { id: '123' }, context, {});
+      await wrapped(null, { userId: 'u9' }, context, info);
 
-      expect(result).toEqual({ data: 'success' });
-      expect(permissionsModule.isAuthorized).toHaveBeenCalled();
-      expect(permissionsModule.isOwner).toHaveBeenCalled();
+      expect(recordAudit).toHaveBeenCalledWith(context, expect.objectContaining({ resourceId: 'u9' }));
     });
 
-    it('should enforce all checks in order', async () => {
-      const mockResolver = jest.fn().mockResolvedValue({ data: 'success' });
-      const mockGetResource = jest.fn().mockResolvedValue({ userId: 'different' });
-      
+    it('should record each use of a permission lent by an access grant', async () => {
+      const accountant = { ...context, user: { ...mockContext.user, permissions: [PERMISSIONS.VIEW_REPORTS] } };
       permissionsModule.isAuthorized.mockReturnValue(true);
-      permissionsModule.isOwner.mockReturnValue(false);
-
-      const context = {
-        user: {
-          userId: 'user123',
-          designation: ROLES.EMPLOYEE,
-          isAuthenticated: true
-        }
-      };
+      permissionsModule.findAccessGrant.mockReturnValue({ id: 'grant1' });
+      const wrapped = authorize(requireAny(PERMISSIONS.VIEW_ALL_REPORTS, PERMISSIONS.VIEW_REPORTS), jest.fn());
+
+      await wrapped(null, {}, accountant, { fieldName: 'expenseReport' });
+      await authorize(requireAll(PERMISSIONS.VIEW_REPORTS), jest.fn())(null, {}, accountant, info);
+
+      expect(recordAudit).toHaveBeenCalledTimes(1);
+      expect(recordAudit).toHaveBeenCalledWith(accountant, {
+        action: 'elevated_access',
+        operation: 'expenseReport',
+        permission: PERMISSIONS.VIEW_ALL_REPORTS,
+        resourceType: 'AccessGrant',
+        resourceId: 'grant1',
+        outcome: 'success'
+      });
+    });
 
-      const withPerm = withPermission(PERMISSIONS.VIEW_TRANSACTION, mockResolver);
-      const withOwn = withOwnershipCheck(mockGetResource, withPerm);
+    it('should not audit successful reads', async () => {
+      permissionsModule.isAuthorized.mockReturnValue(true);
+      const wrapped = authorize(requireAll(PERMISSIONS.VIEW_BRANCH), jest.fn().mockResolvedValue(null));
 
-      await expect(withOwn(null, { id: '123' }, context, {}))
-        .rejects.toThrow('You do not own this resource');
+      await wrapped(null, { id: 'b1' }, context, info);
 
-      expect(mockResolver).not.toHaveBeenCalled();
+      expect(recordAudit).not.toHaveBeenCalled();
     });
   });
-});
\ No newline at end of file
+});
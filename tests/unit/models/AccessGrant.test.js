@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Unit tests for AccessGrant model
+ * @module tests/unit/models/AccessGrant
+ */
+
+const mongoose = require('mongoose');
+const AccessGrant = require('../../../src/models/AccessGrant');
+const { connectDB, closeDB, clearDB } = require('../../helpers/dbSetup');
+
+describe('AccessGrant Model', () => {
+  const employee = new mongoose.Types.ObjectId();
+  const approvedBy = new mongoose.Types.ObjectId();
+  const hour = 60 * 60 * 1000;
+
+  /**
+   * Grant fields with a window relative to now
+   * @param {number} start - Offset of startsAt in ms
+   * @param {number} end - Offset of expiresAt in ms
+   * @returns {Object} Grant fields
+   */
+  const grantFields = (start, end) => ({
+    employee,
+    approvedBy,
+    permissions: ['view_all_reports'],
+    reason: 'Month-end close',
+    startsAt: new Date(Date.now() + start),
+    expiresAt: new Date(Date.now() + end)
+  });
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  afterAll(async () => {
+    await closeDB();
+  });
+
+  afterEach(async () => {
+    await clearDB();
+  });
+
+  it('should create an active grant', async () => {
+    const grant = await AccessGrant.create(grantFields(0, hour));
+
+    expect(grant.revokedAt).toBeNull();
+    expect(grant.expiryRecordedAt).toBeNull();
+    expect(grant.isActive()).toBe(true);
+  });
+
+  it('should require a reason and at least one permission', async () => {
+    await expect(AccessGrant.create({ ...grantFields(0, hour), reason: undefined })).rejects.toThrow();
+    await expect(AccessGrant.create({ ...grantFields(0, hour), permissions: [] }))
+      .rejects.toThrow('At least one permission is required');
+  });
+
+  it('should bound the window', async () => {
+    await expect(AccessGrant.create(grantFields(0, 0))).rejects.toThrow('expiresAt must be after startsAt');
+    await expect(AccessGrant.create(grantFields(0, 8 * 24 * hour))).rejects.toThrow('longer than 7 days');
+  });
+
+  it('should refuse self-approval', async () => {
+    await expect(AccessGrant.create({ ...grantFields(0, hour), approvedBy: employee }))
+      .rejects.toThrow('cannot approve their own grant');
+  });
+
+  it('should find active grants and unrecorded expired ones', async () => {
+    const active = await AccessGrant.create(grantFields(-hour, hour));
+    const expired = await AccessGrant.create(grantFields(-2 * hour, -hour));
+    await AccessGrant.create({ ...grantFields(-2 * hour, -hour), expiryRecordedAt: new Date() });
+    await AccessGrant.create({ ...grantFields(-hour, hour), revokedAt: new Date() });
+
+    const found = await AccessGrant.findActiveForEmployee(employee);
+    const lapsed = await AccessGrant.findUnrecordedExpired();
+
+    expect(found.map(grant => grant._id.toString())).toEqual([active._id.toString()]);
+    expect(lapsed.map(grant => grant._id.toString())).toEqual([expired._id.toString()]);
+  });
+});
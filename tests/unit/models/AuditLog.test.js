@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Unit tests for AuditLog model
+ * @module tests/unit/models/AuditLog
+ */
+
+const mongoose = require('mongoose');
+const AuditLog = require('../../../src/models/AuditLog');
+const { connectDB, closeDB, clearDB } = require('../../helpers/dbSetup');
+
+describe('AuditLog Model', () => {
+  const actor = new mongoose.Types.ObjectId();
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  afterAll(async () => {
+    await closeDB();
+  });
+
+  afterEach(async () => {
+    await clearDB();
+  });
+
+  it('should store an entry with createdAt only', async () => {
+    const entry = await AuditLog.create({
+      actor,
+      designation: 'Admin',
+      action: 'delete',
+      resourceType: 'Branch',
+      resourceId: 'b1',
+      outcome: 'success',
+      requestId: 'req-1',
+      ip: '203.0.113.7'
+    });
+
+    expect(entry.createdAt).toBeInstanceOf(Date);
+    expect(entry.updatedAt).toBeUndefined();
+  });
+
+  it('should require action and a valid outcome', async () => {
+    await expect(AuditLog.create({ outcome: 'success' })).rejects.toThrow(mongoose.Error.ValidationError);
+    await expect(AuditLog.create({ action: 'create', outcome: 'maybe' }))
+      .rejects.toThrow(mongoose.Error.ValidationError);
+  });
+
+  it('should allow anonymous entries', async () => {
+    const entry = await AuditLog.create({ action: 'access', outcome: 'denied' });
+
+    expect(entry.actor).toBeNull();
+  });
+
+  it('should refuse modification of existing entries', async () => {
+    const entry = await AuditLog.create({ actor, action: 'create', outcome: 'success' });
+
+    entry.outcome = 'failure';
+    await expect(entry.save()).rejects.toThrow('cannot be modified');
+    await expect(AuditLog.updateOne({ _id: entry._id }, { outcome: 'denied' }))
+      .rejects.toThrow('cannot be modified');
+  });
+});
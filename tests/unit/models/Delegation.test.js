@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Unit tests for Delegation model
+ * @module tests/unit/models/Delegation
+ */
+
+const mongoose = require('mongoose');
+const Delegation = require('../../../src/models/Delegation');
+const { connectDB, closeDB, clearDB } = require('../../helpers/dbSetup');
+
+describe('Delegation Model', () => {
+  const delegator = new mongoose.Types.ObjectId();
+  const delegate = new mongoose.Types.ObjectId();
+  const hour = 60 * 60 * 1000;
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  afterAll(async () => {
+    await closeDB();
+  });
+
+  afterEach(async () => {
+    await clearDB();
+  });
+
+  it('should default to approvals scope', async () => {
+    const delegation = await Delegation.create({
+      delegator,
+      delegate,
+      startsAt: new Date(),
+      endsAt: new Date(Date.now() + hour)
+    });
+
+    expect(delegation.scope).toBe('approvals');
+    expect(delegation.revokedAt).toBeNull();
+    expect(delegation.isActive()).toBe(true);
+  });
+
+  it('should require endsAt after startsAt', async () => {
+    const startsAt = new Date();
+
+    await expect(Delegation.create({ delegator, delegate, startsAt, endsAt: startsAt }))
+      .rejects.toThrow('endsAt must be after startsAt');
+  });
+
+  it('should refuse self-delegation', async () => {
+    await expect(Delegation.create({
+      delegator,
+      delegate: delegator,
+      startsAt: new Date(),
+      endsAt: new Date(Date.now() + hour)
+    })).rejects.toThrow('cannot delegate to themselves');
+  });
+
+  it('should find only active, unrevoked delegations for a delegate', async () => {
+    const now = Date.now();
+    const active = await Delegation.create({
+      delegator, delegate, startsAt: new Date(now - hour), endsAt: new Date(now + hour)
+    });
+    await Delegation.create({
+      delegator, delegate, startsAt: new Date(now - 2 * hour), endsAt: new Date(now - hour)
+    });
+    await Delegation.create({
+      delegator, delegate, startsAt: new Date(now + hour), endsAt: new Date(now + 2 * hour)
+    });
+    await Delegation.create({
+      delegator, delegate, startsAt: new Date(now - hour), endsAt: new Date(now + hour), revokedAt: new Date()
+    });
+
+    const found = await Delegation.findActiveForDelegate(delegate);
+
+    expect(found.map(delegation => delegation._id.toString())).toEqual([active._id.toString()]);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Unit tests for Invoice model
+ * @module tests/unit/models/Invoice
+ */
+
+const mongoose = require('mongoose');
+const Invoice = require('../../../src/models/Invoice');
+const { connectDB, closeDB, clearDB } = require('../../helpers/dbSetup');
+
+describe('Invoice Model', () => {
+  const vendor = new mongoose.Types.ObjectId();
+  const day = 24 * 60 * 60 * 1000;
+
+  /**
+   * Invoice fields with two taxed line items totalling 118.75
+   * @param {Object} overrides - Fields to override
+   * @returns {Object} Invoice fields
+   */
+  const invoiceFields = (overrides = {}) => ({
+    invoiceNumber: 'INV-001',
+    vendor,
+    dueDate: new Date(Date.now() + 30 * day),
+    lineItems: [
+      { description: 'Paper', quantity: 10, unitPrice: 5, taxRate: 12.5 },
+      { description: 'Delivery', unitPrice: 62.5 }
+    ],
+    ...overrides
+  });
+
+  /**
+   * Allocation of an amount from a new transaction
+   * @param {number} amount - Amount
+   * @param {string} kind - Allocation kind
+   * @returns {Object} Allocation
+   */
+  const allocation = (amount, kind = 'payment') => ({
+    transaction: new mongoose.Types.ObjectId(),
+    kind,
+    amount
+  });
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  afterAll(async () => {
+    await closeDB();
+  });
+
+  afterEach(async () => {
+    await clearDB();
+  });
+
+  it('should derive line amounts, tax and totals', async () => {
+    const invoice = await Invoice.create(invoiceFields());
+
+    expect(invoice.lineItems.map(item => [item.amount, item.tax])).toEqual([[50, 6.25], [62.5, 0]]);
+    expect(invoice.subtotal).toBe(112.5);
+    expect(invoice.taxTotal).toBe(6.25);
+    expect(invoice.total).toBe(118.75);
+    expect(invoice.balanceDue).toBe(118.75);
+    expect(invoice.status).toBe('open');
+  });
+
+  it('should require a vendor, a due date and at least one line item', async () => {
+    await expect(Invoice.create(invoiceFields({ vendor: undefined }))).rejects.toThrow();
+    await expect(Invoice.create(invoiceFields({ dueDate: undefined }))).rejects.toThrow();
+    await expect(Invoice.create(invoiceFields({ lineItems: [] })))
+      .rejects.toThrow('At least one line item is required');
+    await expect(Invoice.create(invoiceFields({ issueDate: new Date(), dueDate: new Date(Date.now() - day) })))
+      .rejects.toThrow('dueDate cannot be before issueDate');
+  });
+
+  it('should keep invoice numbers unique per vendor', async () => {
+    await Invoice.init();
+    await Invoice.create(invoiceFields());
+
+    await expect(Invoice.create(invoiceFields())).rejects.toThrow();
+    await expect(Invoice.create(invoiceFields({ vendor: new mongoose.Types.ObjectId() }))).resolves.toBeDefined();
+  });
+
+  it('should move from open to partially paid to paid as allocations arrive', async () => {
+    const invoice = await Invoice.create(invoiceFields());
+    const payment = allocation(100);
+
+    invoice.allocations.push(payment);
+    await invoice.save();
+    expect(invoice.status).toBe('partially_paid');
+    expect(invoice.balanceDue).toBe(18.75);
+    expect(invoice.allocatedFrom(payment.transaction)).toBe(100);
+
+    invoice.allocations.push(allocation(18.75, 'credit_note'));
+    await invoice.save();
+    expect(invoice.status).toBe('paid');
+    expect(invoice.balanceDue).toBe(0);
+  });
+
+  it('should refuse allocations beyond the invoice total', async () => {
+    const invoice = await Invoice.create(invoiceFields());
+
+    invoice.allocations.push(allocation(118.76));
+    await expect(invoice.save()).rejects.toThrow('Allocations cannot exceed the invoice total');
+  });
+
+  it('should stay void whatever its balance', async () => {
+    const invoice = await Invoice.create(invoiceFields());
+
+    invoice.status = 'void';
+    await invoice.save();
+
+    expect(invoice.status).toBe('void');
+    expect(invoice.balanceDue).toBe(118.75);
+  });
+
+  it('should find a vendor\'s unpaid invoices, soonest due first', async () => {
+    const later = await Invoice.create(
+      invoiceFields({ invoiceNumber: 'INV-2', dueDate: new Date(Date.now() + 60 * day) })
+    );
+    const sooner = await Invoice.create(invoiceFields({ invoiceNumber: 'INV-1' }));
+    await Invoice.create(invoiceFields({ invoiceNumber: 'INV-3', status: 'void' }));
+
+    const open = await Invoice.findOpenForVendor(vendor);
+
+    expect(open.map(invoice => invoice.invoiceNumber)).toEqual([sooner.invoiceNumber, later.invoiceNumber]);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Unit tests for Account and JournalEntry models
+ * @module tests/unit/models/JournalEntry
+ */
+
+const mongoose = require('mongoose');
+const Account = require('../../../src/models/Account');
+const JournalEntry = require('../../../src/models/JournalEntry');
+const { postJournalEntry } = require('../../../src/utils/doubleEntry');
+const { connectDB, closeDB, clearDB } = require('../../helpers/dbSetup');
+
+describe('Account and JournalEntry Models', () => {
+  const organization = new mongoose.Types.ObjectId();
+  let cash;
+  let payable;
+
+  beforeAll(async () => {
+    await connectDB();
+    await Account.init();
+  });
+
+  afterAll(async () => {
+    await closeDB();
+  });
+
+  beforeEach(async () => {
+    cash = await Account.create({
+      accountCode: '1000',
+      accountName: 'Cash',
+      accountType: 'asset',
+      organization
+    });
+    payable = await Account.create({
+      accountCode: '2000',
+      accountName: 'Accounts Payable',
+      accountType: 'liability',
+      organization
+    });
+  });
+
+  afterEach(async () => {
+    await clearDB();
+  });
+
+  describe('Account', () => {
+    it('should expose normal balance side', () => {
+      expect(cash.normalBalance).toBe('debit');
+      expect(payable.normalBalance).toBe('credit');
+    });
+
+    it('should enforce unique account code per organization', async () => {
+      await expect(Account.create({
+        accountCode: '1000',
+        accountName: 'Duplicate',
+        accountType: 'asset',
+        organization
+      })).rejects.toThrow();
+    });
+
+    it('should allow same account code in another organization', async () => {
+      const other = await Account.create({
+        accountCode: '1000',
+        accountName: 'Cash',
+        accountType: 'asset',
+        organization: new mongoose.Types.ObjectId()
+      });
+
+      expect(other._id).toBeDefined();
+    });
+
+    it('should reject unknown account type', async () => {
+      await expect(Account.create({
+        accountCode: '9000',
+        accountName: 'Bad',
+        accountType: 'contra',
+        organization
+      })).rejects.toThrow();
+    });
+
+    it('should update balance by normal side', async () => {
+      expect(await cash.updateBalance(100, 'debit')).toBe(100);
+      expect(await cash.updateBalance(40, 'credit')).toBe(60);
+      expect(await payable.updateBalance(40, 'credit')).toBe(40);
+    });
+  });
+
+  describe('JournalEntry', () => {
+    it('should save a balanced entry', async () => {
+      const entry = await JournalEntry.create({
+        organization,
+        lines: [
+          { account: cash._id, debit: 250 },
+          { account: payable._id, credit: 250 }
+        ]
+      });
+
+      expect(entry.entryNumber).toMatch(/^JE-/);
+      expect(entry.totalDebit).toBe(250);
+      expect(entry.totalCredit).toBe(250);
+      expect(entry.status).toBe('draft');
+    });
+
+    it('should refuse to save an unbalanced entry', async () => {
+      const entry = new JournalEntry({
+        organization,
+        lines: [
+          { account: cash._id, debit: 250 },
+          { account: payable._id, credit: 200 }
+        ]
+      });
+
+      await expect(entry.save()).rejects.toThrow(/do not equal/);
+    });
+
+    it('should refuse a single-line entry', async () => {
+      const entry = new JournalEntry({
+        organization,
+        lines: [{ account: cash._id, debit: 250 }]
+      });
+
+      await expect(entry.save()).rejects.toThrow(/at least two lines/);
+    });
+  });
+
+  describe('postJournalEntry', () => {
+    it('should post and apply balances', async () => {
+      await postJournalEntry({
+        organization,
+        lines: [
+          { account: cash._id, debit: 80 },
+          { account: payable._id, credit: 80 }
+        ]
+      });
+
+      const [updatedCash, updatedPayable] = await Promise.all([
+        Account.findById(cash._id),
+        Account.findById(payable._id)
+      ]);
+
+      expect(updatedCash.balance).toBe(80);
+      expect(updatedPayable.balance).toBe(80);
+
+      const ledger = await updatedCash.getLedger(
+        new Date(Date.now() - 60000),
+        new Date(Date.now() + 60000)
+      );
+      expect(ledger).toHaveLength(1);
+      expect(ledger[0].status).toBe('posted');
+    });
+  });
+});
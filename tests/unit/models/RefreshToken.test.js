@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Unit tests for RefreshToken model
+ * @module tests/unit/models/RefreshToken
+ */
+
+const mongoose = require('mongoose');
+const RefreshToken = require('../../../src/models/RefreshToken');
+const { connectDB, closeDB, clearDB } = require('../../helpers/dbSetup');
+
+describe('RefreshToken Model', () => {
+  const user = new mongoose.Types.ObjectId();
+  const expiresAt = new Date(Date.now() + 60000);
+
+  beforeAll(async () => {
+    await connectDB();
+    await RefreshToken.init();
+  });
+
+  afterAll(async () => {
+    await closeDB();
+  });
+
+  afterEach(async () => {
+    await clearDB();
+  });
+
+  /**
+   * Store a token in a family
+   * @param {string} token - Raw token
+   * @param {string} family - Family ID
+   * @returns {Promise<Object>} RefreshToken document
+   */
+  const store = (token, family = 'family-a') => RefreshToken.create({
+    user,
+    family,
+    tokenHash: RefreshToken.hashToken(token),
+    expiresAt
+  });
+
+  it('should never store the raw token', async () => {
+    const record = await store('raw.token.value');
+
+    expect(record.tokenHash).not.toContain('raw.token.value');
+    expect(record.tokenHash).toHaveLength(64);
+  });
+
+  it('should find a record by raw token', async () => {
+    await store('raw.token.value');
+
+    const found = await RefreshToken.findByToken('raw.token.value');
+    expect(found).not.toBeNull();
+    expect(await RefreshToken.findByToken('other')).toBeNull();
+  });
+
+  it('should have a TTL index on expiresAt', async () => {
+    const indexes = await RefreshToken.collection.indexes();
+    const ttl = indexes.find(index => index.key.expiresAt === 1);
+
+    expect(ttl.expireAfterSeconds).toBe(0);
+  });
+
+  it('should rotate a token only once', async () => {
+    const record = await store('raw.token.value');
+
+    expect(await record.markRotated()).toBe(true);
+    expect(await record.markRotated()).toBe(false);
+  });
+
+  it('should revoke a family without touching others', async () => {
+    await store('a1', 'family-a');
+    await store('a2', 'family-a');
+    await store('b1', 'family-b');
+
+    expect(await RefreshToken.revokeFamily('family-a', 'reuse')).toBe(2);
+
+    const survivor = await RefreshToken.findByToken('b1');
+    expect(survivor.revokedAt).toBeNull();
+  });
+
+  it('should revoke every family of a user', async () => {
+    await store('a1', 'family-a');
+    await store('b1', 'family-b');
+
+    expect(await RefreshToken.revokeAllForUser(user, 'admin')).toBe(2);
+  });
+});
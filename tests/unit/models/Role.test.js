@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Unit tests for Role model
+ * @module tests/unit/models/Role
+ */
+
+const mongoose = require('mongoose');
+const Role = require('../../../src/models/Role');
+const { PERMISSION_MATRIX } = require('../../../src/constants/permissions');
+const { connectDB, closeDB, clearDB } = require('../../helpers/dbSetup');
+
+describe('Role Model', () => {
+  beforeAll(async () => {
+    await connectDB();
+    await Role.init();
+  });
+
+  afterAll(async () => {
+    await closeDB();
+  });
+
+  afterEach(async () => {
+    await clearDB();
+  });
+
+  describe('seedBuiltIns', () => {
+    it('should insert every built-in role once', async () => {
+      await expect(Role.seedBuiltIns()).resolves.toBe(Object.keys(PERMISSION_MATRIX).length);
+      await expect(Role.seedBuiltIns()).resolves.toBe(0);
+
+      const manager = await Role.findOne({ name: 'BranchManager', organization: null });
+      expect(manager.builtIn).toBe(true);
+      expect(manager.scope).toBe('branch');
+      expect(manager.permissions).toEqual(PERMISSION_MATRIX.BranchManager);
+    });
+
+    it('should keep edits made since seeding', async () => {
+      await Role.seedBuiltIns();
+      await Role.updateOne({ name: 'Employee', organization: null }, { permissions: ['view_branch'] });
+
+      await Role.seedBuiltIns();
+
+      const employee = await Role.findOne({ name: 'Employee', organization: null });
+      expect(employee.permissions).toEqual(['view_branch']);
+    });
+  });
+
+  it('should keep names unique within an organization', async () => {
+    const organization = new mongoose.Types.ObjectId();
+    await Role.create({ name: 'Auditor', organization });
+
+    await expect(Role.create({ name: 'Auditor', organization })).rejects.toThrow(/duplicate key/);
+    await expect(Role.create({ name: 'Auditor', organization: new mongoose.Types.ObjectId() })).resolves.toBeDefined();
+  });
+
+  it('should reject unknown permissions and scopes', async () => {
+    await expect(Role.create({ name: 'Odd', permissions: ['fly'] })).rejects.toThrow(mongoose.Error.ValidationError);
+    await expect(Role.create({ name: 'Odd', scope: 'planet' })).rejects.toThrow(mongoose.Error.ValidationError);
+  });
+
+  it('should report whether it is still assignable', async () => {
+    const role = await Role.create({ name: 'Auditor' });
+    expect(role.isActive()).toBe(true);
+
+    role.retiredAt = new Date();
+    expect(role.isActive()).toBe(false);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Unit tests for TokenRevocation model
+ * @module tests/unit/models/TokenRevocation
+ */
+
+const mongoose = require('mongoose');
+const TokenRevocation = require('../../../src/models/TokenRevocation');
+const { connectDB, closeDB, clearDB } = require('../../helpers/dbSetup');
+
+describe('TokenRevocation Model', () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+  beforeAll(async () => {
+    await connectDB();
+    await TokenRevocation.init();
+  });
+
+  afterAll(async () => {
+    await closeDB();
+  });
+
+  afterEach(async () => {
+    await clearDB();
+  });
+
+  it('should revoke a single token by jti', async () => {
+    const decoded = { jti: 'abc', userId, iat: nowSeconds(), exp: nowSeconds() + 60 };
+
+    await TokenRevocation.revokeToken(decoded, { reason: 'logout' });
+
+    expect(await TokenRevocation.isRevoked(decoded)).toBe(true);
+    expect(await TokenRevocation.isRevoked({ ...decoded, jti: 'other' })).toBe(false);
+  });
+
+  it('should revoke tokens issued to a user before the revocation', async () => {
+    const issued = { jti: 'old', userId, iat: nowSeconds() - 120 };
+
+    await TokenRevocation.revokeAllForUser(userId, 3600, { reason: 'terminated' });
+
+    expect(await TokenRevocation.isRevoked(issued)).toBe(true);
+  });
+
+  it('should accept tokens issued after a user-wide revocation', async () => {
+    await TokenRevocation.revokeAllForUser(userId, 3600);
+
+    const later = { jti: 'new', userId, iat: nowSeconds() + 2 };
+    expect(await TokenRevocation.isRevoked(later)).toBe(false);
+  });
+
+  it('should expire entries with the revoked tokens', async () => {
+    const entry = await TokenRevocation.revokeAllForUser(userId, 3600);
+
+    expect(entry.expiresAt.getTime() - entry.issuedBefore.getTime()).toBe(3600 * 1000);
+
+    const indexes = await TokenRevocation.collection.indexes();
+    expect(indexes.find(index => index.key.expiresAt === 1).expireAfterSeconds).toBe(0);
+  });
+
+  it('should ignore payloads without identifiers', async () => {
+    expect(await TokenRevocation.isRevoked({})).toBe(false);
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Unit tests for Transaction model
+ * @module tests/unit/models/Transaction
+ */
+
+const mongoose = require('mongoose');
+const Transaction = require('../../../src/models/Transaction');
+const Employee = require('../../../src/models/Employee');
+const Vendor = require('../../../src/models/Vendor');
+require('../../../src/models/AuditLog');
+require('../../../src/models/JournalEntry');
+const { appendToChain, verifyLedgerIntegrity } = require('../../../src/utils/hashChain');
+const { recordTransaction } = require('../../../src/utils/journalPosting');
+const { connectDB, closeDB, clearDB } = require('../../helpers/dbSetup');
+const {
+  createEmployeeFixture,
+  createVendorFixture,
+  createTransactionFixture
+} = require('../../helpers/fixtures');
+
+describe('Transaction Model', () => {
+  beforeAll(async () => {
+    await connectDB();
+    await Transaction.init();
+  });
+
+  afterAll(async () => {
+    await closeDB();
+  });
+
+  afterEach(async () => {
+    await clearDB();
+  });
+
+  describe('Schema validation', () => {
+    it('should create transaction with valid data', async () => {
+      const refId = new mongoose.Types.ObjectId();
+      const transaction = await Transaction.create(createTransactionFixture(refId));
+
+      expect(transaction._id).toBeDefined();
+      expect(transaction.amount).toBe(100);
+      expect(transaction.reference.refId).toEqual(refId);
+      expect(transaction.status).toBe('pending');
+      expect(transaction.createdAt).toBeInstanceOf(Date);
+      expect(transaction.updatedAt).toBeInstanceOf(Date);
+    });
+
+    it('should auto-generate a transactionId', async () => {
+      const transaction = await Transaction.create(
+        createTransactionFixture(new mongoose.Types.ObjectId())
+      );
+
+      expect(transaction.transactionId).toMatch(/^TXN-\d+-[0-9A-F]{6}$/);
+    });
+
+    it('should keep a provided transactionId', async () => {
+      const transaction = await Transaction.create(
+        createTransactionFixture(new mongoose.Types.ObjectId(), 'employee', {
+          transactionId: 'TXN-CUSTOM'
+        })
+      );
+
+      expect(transaction.transactionId).toBe('TXN-CUSTOM');
+    });
+
+    it('should require amount', async () => {
+      const data = createTransactionFixture(new mongoose.Types.ObjectId());
+      delete data.amount;
+
+      await expect(new Transaction(data).save()).rejects.toThrow();
+    });
+
+    it('should reject negative amount', async () => {
+      const data = createTransactionFixture(new mongoose.Types.ObjectId(), 'employee', {
+        amount: -5
+      });
+
+      await expect(new Transaction(data).save()).rejects.toThrow();
+    });
+
+    it('should accept every supported type', async () => {
+      const refId = new mongoose.Types.ObjectId();
+
+      for (const type of Transaction.TRANSACTION_TYPES) {
+        const transaction = await Transaction.create(
+          createTransactionFixture(refId, 'vendor', { type })
+        );
+        expect(transaction.type).toBe(type);
+      }
+    });
+
+    it('should reject unknown type', async () => {
+      const data = createTransactionFixture(new mongoose.Types.ObjectId(), 'employee', {
+        type: 'gift'
+      });
+
+      await expect(new Transaction(data).save()).rejects.toThrow();
+    });
+
+    it('should require reference refType and refId', async () => {
+      const data = createTransactionFixture(new mongoose.Types.ObjectId());
+      data.reference = {};
+
+      await expect(new Transaction(data).save()).rejects.toThrow();
+    });
+
+    it('should reject unknown reference type', async () => {
+      const data = createTransactionFixture(new mongoose.Types.ObjectId(), 'customer');
+
+      await expect(new Transaction(data).save()).rejects.toThrow();
+    });
+  });
+
+  describe('Indexes', () => {
+    it('should have compound reference/createdAt index', async () => {
+      const indexes = await Transaction.collection.getIndexes();
+
+      expect(indexes).toHaveProperty('reference.refId_1_reference.refType_1_createdAt_-1');
+    });
+
+    it('should have compound reference/type index', async () => {
+      const indexes = await Transaction.collection.getIndexes();
+
+      expect(indexes).toHaveProperty('reference.refId_1_reference.refType_1_type_1');
+    });
+  });
+
+  describe('Integration with existing models', () => {
+    it('should back Employee.getTotalExpenses', async () => {
+      const employee = await Employee.create(
+        createEmployeeFixture(new mongoose.Types.ObjectId())
+      );
+
+      await Transaction.create(createTransactionFixture(employee._id, 'employee', { amount: 40 }));
+      await Transaction.create(createTransactionFixture(employee._id, 'employee', { amount: 60 }));
+
+      const total = await employee.getTotalExpenses(
+        new Date(Date.now() - 60000),
+        new Date(Date.now() + 60000)
+      );
+
+      expect(total).toBe(100);
+    });
+
+    it('should back Vendor.getOutstandingBalance through the ledger', async () => {
+      const vendor = await Vendor.create(createVendorFixture());
+      const organization = new mongoose.Types.ObjectId();
+
+      await recordTransaction(createTransactionFixture(vendor._id, 'vendor', {
+        type: 'purchase',
+        amount: 500
+      }), organization, null);
+      await recordTransaction(createTransactionFixture(vendor._id, 'vendor', {
+        type: 'payment',
+        amount: 200
+      }), organization, null);
+
+      expect(await vendor.getOutstandingBalance()).toBe(300);
+    });
+
+    it('should back Vendor.getLedger', async () => {
+      const vendor = await Vendor.create(createVendorFixture());
+
+      await Transaction.create(createTransactionFixture(vendor._id, 'vendor', { type: 'purchase' }));
+
+      const ledger = await vendor.getLedger(
+        new Date(Date.now() - 60000),
+        new Date(Date.now() + 60000)
+      );
+
+      expect(ledger).toHaveLength(1);
+    });
+  });
+
+  describe('Hash chain', () => {
+    const organization = new mongoose.Types.ObjectId();
+
+    /**
+     * Append n transactions to the organization chain
+     * @param {number} count - Number of transactions
+     * @returns {Promise<Array<Object>>} Chained transactions
+     */
+    const appendTransactions = async (count) => {
+      const chained = [];
+      for (let i = 0; i < count; i += 1) {
+        const refId = new mongoose.Types.ObjectId();
+        chained.push(await appendToChain(Transaction, createTransactionFixture(refId), { organization }));
+      }
+      return chained;
+    };
+
+    /**
+     * Verification result of the transaction chain
+     * @returns {Promise<Object>} ChainVerification
+     */
+    const verifyTransactions = async () => {
+      const report = await verifyLedgerIntegrity(organization);
+      return report.chains.find(chain => chain.chain === 'transactions');
+    };
+
+    it('should link each transaction to its predecessor', async () => {
+      const [first, second] = await appendTransactions(2);
+
+      expect(first.sequence).toBe(1);
+      expect(second.sequence).toBe(2);
+      expect(second.previousHash).toBe(first.hash);
+      expect(await verifyTransactions()).toMatchObject({ valid: true, checked: 2, firstBreak: null });
+    });
+
+    it('should keep separate chains per organization', async () => {
+      await appendTransactions(1);
+      const other = await appendToChain(
+        Transaction,
+        createTransactionFixture(new mongoose.Types.ObjectId()),
+        { organization: new mongoose.Types.ObjectId() }
+      );
+
+      expect(other.sequence).toBe(1);
+    });
+
+    it('should report an edited amount', async () => {
+      const [, second] = await appendTransactions(3);
+      await Transaction.collection.updateOne({ _id: second._id }, { $set: { amount: 1 } });
+
+      const result = await verifyTransactions();
+
+      expect(result.valid).toBe(false);
+      expect(result.firstBreak).toMatchObject({
+        recordId: second._id.toString(),
+        sequence: 2,
+        reason: 'Record content does not match its hash'
+      });
+    });
+
+    it('should report a deleted record', async () => {
+      const [, second] = await appendTransactions(3);
+      await Transaction.collection.deleteOne({ _id: second._id });
+
+      const result = await verifyTransactions();
+
+      expect(result.valid).toBe(false);
+      expect(result.firstBreak.reason).toBe('Record with sequence 2 is missing');
+    });
+
+    it('should not treat status changes as tampering', async () => {
+      const [first] = await appendTransactions(1);
+      first.status = 'approved';
+      await first.save();
+
+      expect((await verifyTransactions()).valid).toBe(true);
+    });
+  });
+});
@@ -65,6 +65,25 @@ describe('User Model', () => {
       await expect(user.save()).rejects.toThrow();
     });
 
+    it('should accept a vendor instead of an employee', async () => {
+      const vendorId = new mongoose.Types.ObjectId();
+      const user = await new User({ username: 'supplier', password: 'password123', vendor: vendorId }).save();
+
+      expect(user.vendor).toEqual(vendorId);
+      expect(user.employee).toBeNull();
+    });
+
+    it('should reject a user linked to both an employee and a vendor', async () => {
+      const user = new User({
+        username: 'both',
+        password: 'password123',
+        employee: new mongoose.Types.ObjectId(),
+        vendor: new mongoose.Types.ObjectId()
+      });
+
+      await expect(user.save()).rejects.toThrow('either an employee or a vendor');
+    });
+
     it('should enforce unique username', async () => {
       const employeeId = new mongoose.Types.ObjectId();
       
@@ -103,16 +122,6 @@ describe('User Model', () => {
       expect(user.createdAt).toBeInstanceOf(Date);
       expect(user.updatedAt).toBeInstanceOf(Date);
     });
-
-    it('should set refreshToken to null by default', async () => {
-      const user = await User.create({
-        username: 'testuser',
-        password: 'password123',
-        employee: new mongoose.Types.ObjectId()
-      });
-
-      expect(user.refreshToken).toBeNull();
-    });
   });
 
   describe('Password hashing', () => {
@@ -242,54 +251,6 @@ describe('User Model', () => {
     });
   });
 
-  describe('updateRefreshToken method', () => {
-    it('should update refresh token', async () => {
-      const user = await User.create({
-        username: 'tokentest',
-        password: 'password123',
-        employee: new mongoose.Types.ObjectId()
-      });
-
-      const newToken = 'new.refresh.token';
-      await user.updateRefreshToken(newToken);
-
-      const updatedUser = await User.findById(user._id);
-      expect(updatedUser.refreshToken).toBe(newToken);
-    });
-
-    it('should update updatedAt timestamp', async () => {
-      const user = await User.create({
-        username: 'timestamptest',
-        password: 'password123',
-        employee: new mongoose.Types.ObjectId()
-      });
-
-      const originalUpdatedAt = user.updatedAt;
-
-      // Wait a bit to ensure timestamp changes
-      await new Promise(resolve => setTimeout(resolve, 10));
-
-      await user.updateRefreshToken('new.token');
-      const updatedUser = await User.findById(user._id);
-
-      expect(updatedUser.updatedAt.getTime()).toBeGreaterThan(originalUpdatedAt.getTime());
-    });
-
-    it('should handle null token', async () => {
-      const user = await User.create({
-        username: 'nulltoken',
-        password: 'password123',
-        employee: new mongoose.Types.ObjectId()
-      });
-
-      await user.updateRefreshToken('initial.token');
-      await user.updateRefreshToken(null);
-
-      const updatedUser = await User.findById(user._id);
-      expect(updatedUser.refreshToken).toBeNull();
-    });
-  });
-
   describe('Password field exclusion', () => {
     it('should not include password in queries by default', async () => {
       await User.create({
@@ -350,9 +311,6 @@ describe('User Model', () => {
 
       expect(user._id).toBeDefined();
 
-      // Update refresh token
-      await user.updateRefreshToken('refresh.token.123');
-      
       // Verify password
       const userWithPass = await User.findById(user._id).select('+password');
       const isValid = await userWithPass.comparePassword('initial');
@@ -366,9 +324,6 @@ describe('User Model', () => {
       const finalUser = await User.findById(user._id).select('+password');
       const isNewValid = await finalUser.comparePassword('newpassword');
       expect(isNewValid).toBe(true);
-
-      // Verify token persists
-      expect(finalUser.refreshToken).toBe('refresh.token.123');
     });
   });
 });
\ No newline at end of file
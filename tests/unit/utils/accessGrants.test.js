@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Unit tests for temporary access grant bookkeeping
+ * @module tests/unit/utils/accessGrants
+ */
+
+const { recordExpiredAccessGrants } = require('../../../src/utils/accessGrants');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/models/AccessGrant', () => ({
+  findUnrecordedExpired: jest.fn()
+}));
+
+jest.mock('../../../src/utils/audit');
+
+const AccessGrant = require('../../../src/models/AccessGrant');
+const { recordAudit } = require('../../../src/utils/audit');
+
+describe('recordExpiredAccessGrants', () => {
+  it('should audit each lapsed grant once and mark it recorded', async () => {
+    const at = new Date('2026-02-02T12:00:00Z');
+    const grant = {
+      _id: 'grant1',
+      permissions: ['view_all_reports'],
+      expiresAt: new Date('2026-02-02T09:00:00Z'),
+      save: jest.fn()
+    };
+    AccessGrant.findUnrecordedExpired.mockResolvedValue([grant]);
+
+    await expect(recordExpiredAccessGrants({ requestId: 'job-1' }, at)).resolves.toBe(1);
+
+    expect(AccessGrant.findUnrecordedExpired).toHaveBeenCalledWith(at);
+    expect(recordAudit).toHaveBeenCalledWith({ requestId: 'job-1' }, {
+      action: 'expire',
+      operation: 'accessGrantExpiry',
+      permission: 'view_all_reports',
+      resourceType: 'AccessGrant',
+      resourceId: 'grant1',
+      outcome: 'success',
+      reason: 'Expired at 2026-02-02T09:00:00.000Z'
+    });
+    expect(grant.expiryRecordedAt).toBe(at);
+    expect(grant.save).toHaveBeenCalled();
+  });
+
+  it('should do nothing when no grant has lapsed', async () => {
+    AccessGrant.findUnrecordedExpired.mockResolvedValue([]);
+
+    await expect(recordExpiredAccessGrants()).resolves.toBe(0);
+    expect(recordAudit).not.toHaveBeenCalled();
+  });
+});
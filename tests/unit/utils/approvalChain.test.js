@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Unit tests for multi-level approval chains
+ * @module tests/unit/utils/approvalChain
+ */
+
+const Employee = require('../../../src/models/Employee');
+const {
+  DEFAULT_APPROVAL_POLICY,
+  getApprovalPolicy,
+  selectTier,
+  buildApprovalSteps,
+  getStepAuthority
+} = require('../../../src/utils/approvalChain');
+const { ROLES } = require('../../../src/constants/roles');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+/**
+ * Stand-in employee with a string-comparable id
+ * @param {string} id - Employee ID
+ * @param {string} designation - Designation
+ * @param {string|null} manager - Manager ID
+ * @returns {Object} Mock employee
+ */
+const person = (id, designation, manager = null) => ({
+  _id: { toString: () => id },
+  designation,
+  manager: manager && { toString: () => manager }
+});
+
+// clerk -> lead -> branchHead (other branch) -> director -> ceo
+const staff = {
+  clerk: person('clerk', ROLES.EMPLOYEE, 'lead'),
+  lead: person('lead', ROLES.EMPLOYEE, 'branchHead'),
+  branchHead: person('branchHead', ROLES.BRANCH_MANAGER, 'director'),
+  director: person('director', ROLES.ADMIN, 'ceo'),
+  ceo: person('ceo', ROLES.ADMIN)
+};
+
+describe('Approval Chain', () => {
+  beforeEach(() => {
+    jest.spyOn(Employee, 'findById').mockImplementation(async id => staff[id.toString()] || null);
+  });
+
+  describe('selectTier', () => {
+    it.each([
+      [999, 1],
+      [1000, 1],
+      [1000.01, 2],
+      [10000, 2],
+      [10000.01, 3]
+    ])('should pick the right tier for %d', (amount, approvals) => {
+      expect(selectTier(DEFAULT_APPROVAL_POLICY, amount).approvers).toHaveLength(approvals);
+    });
+  });
+
+  it('should fall back to the default policy', () => {
+    expect(getApprovalPolicy({ approvalPolicy: [] })).toBe(DEFAULT_APPROVAL_POLICY);
+    expect(getApprovalPolicy(null)).toBe(DEFAULT_APPROVAL_POLICY);
+
+    const custom = [{ maxAmount: null, approvers: ['Admin'] }];
+    expect(getApprovalPolicy({ approvalPolicy: custom })).toBe(custom);
+  });
+
+  describe('buildApprovalSteps', () => {
+    const approvers = steps => steps.map(step => step.approver && step.approver.toString());
+
+    it('should require only the direct manager for small amounts', async () => {
+      const steps = await buildApprovalSteps(staff.clerk, 200, DEFAULT_APPROVAL_POLICY);
+
+      expect(approvers(steps)).toEqual(['lead']);
+      expect(steps[0]).toMatchObject({ level: 1, role: 'manager', status: 'pending' });
+    });
+
+    it('should walk up across branches to the branch manager', async () => {
+      const steps = await buildApprovalSteps(staff.clerk, 5000, DEFAULT_APPROVAL_POLICY);
+
+      expect(approvers(steps)).toEqual(['lead', 'branchHead']);
+    });
+
+    it('should add an Admin above the branch manager for large amounts', async () => {
+      const steps = await buildApprovalSteps(staff.clerk, 50000, DEFAULT_APPROVAL_POLICY);
+
+      expect(approvers(steps)).toEqual(['lead', 'branchHead', 'director']);
+    });
+
+    it('should never reuse an approver for two steps', async () => {
+      const steps = await buildApprovalSteps(staff.lead, 50000, DEFAULT_APPROVAL_POLICY);
+
+      // branchHead fills "manager", so BranchManager must be found above it; none exists
+      expect(approvers(steps)).toEqual(['branchHead', null, null]);
+    });
+
+    it('should escalate to any Admin when the reporting line ends', async () => {
+      const steps = await buildApprovalSteps(staff.ceo, 50, DEFAULT_APPROVAL_POLICY);
+
+      expect(steps).toEqual([{ level: 1, role: 'manager', approver: null, status: 'pending' }]);
+    });
+
+    it('should stop at cycles in the reporting line', async () => {
+      staff.loopA = person('loopA', ROLES.EMPLOYEE, 'loopB');
+      staff.loopB = person('loopB', ROLES.EMPLOYEE, 'loopA');
+
+      const steps = await buildApprovalSteps(staff.loopA, 50000, DEFAULT_APPROVAL_POLICY);
+
+      expect(approvers(steps)).toEqual(['loopB', null, null]);
+    });
+  });
+
+  describe('getStepAuthority', () => {
+    const step = { approver: { toString: () => 'lead' } };
+    const now = Date.now();
+    const delegationFrom = (delegator, scope = 'approvals') => ({
+      delegator,
+      scope,
+      startsAt: new Date(now - 3600000),
+      endsAt: new Date(now + 3600000)
+    });
+
+    it('should let the named approver and Admins act in their own right', () => {
+      expect(getStepAuthority({ employeeId: 'lead', designation: ROLES.EMPLOYEE }, step))
+        .toEqual({ onBehalfOf: null });
+      expect(getStepAuthority({ employeeId: 'other', designation: ROLES.ADMIN }, step))
+        .toEqual({ onBehalfOf: null });
+      expect(getStepAuthority({ employeeId: 'other', designation: ROLES.BRANCH_MANAGER }, step)).toBeNull();
+    });
+
+    it('should let the approver\'s delegate act on their behalf', () => {
+      const delegate = { employeeId: 'deputy', designation: ROLES.EMPLOYEE, delegations: [delegationFrom('lead')] };
+
+      expect(getStepAuthority(delegate, step)).toEqual({ onBehalfOf: 'lead' });
+      expect(getStepAuthority({ ...delegate, delegations: [delegationFrom('someoneElse', 'all')] }, step))
+        .toBeNull();
+    });
+
+    it('should leave unassigned steps to Admins', () => {
+      expect(getStepAuthority({ employeeId: 'lead', designation: ROLES.BRANCH_MANAGER }, { approver: null }))
+        .toBeNull();
+      expect(getStepAuthority({ employeeId: 'x', designation: ROLES.ADMIN }, { approver: null }))
+        .toEqual({ onBehalfOf: null });
+    });
+  });
+});
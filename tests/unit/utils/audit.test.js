@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Unit tests for audit log writing and querying
+ * @module tests/unit/utils/audit
+ */
+
+const { recordAudit, buildAuditQuery } = require('../../../src/utils/audit');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/utils/hashChain');
+
+const AuditLog = require('../../../src/models/AuditLog');
+const { appendToChain } = require('../../../src/utils/hashChain');
+const logger = require('../../../src/config/logger');
+
+describe('Audit Utilities', () => {
+  describe('recordAudit', () => {
+    const context = {
+      user: { userId: 'user123', employeeId: 'emp123', designation: 'Admin' },
+      requestId: 'req-1',
+      ip: '203.0.113.7'
+    };
+
+    it('should append entries to the audit chain', async () => {
+      appendToChain.mockImplementation(async (Model, data) => data);
+
+      await recordAudit(context, { action: 'create', outcome: 'success' });
+
+      expect(appendToChain).toHaveBeenCalledWith(
+        AuditLog, expect.objectContaining({ action: 'create' }), {}, { attempts: 20 }
+      );
+    });
+
+    it('should capture actor, request id and IP from context', async () => {
+      appendToChain.mockImplementation(async (Model, data) => data);
+
+      const entry = await recordAudit(context, {
+        action: 'delete',
+        operation: 'deleteBranch',
+        permission: 'delete_branch',
+        resourceType: 'Branch',
+        resourceId: { toString: () => 'b1' },
+        outcome: 'success'
+      });
+
+      expect(entry).toEqual(expect.objectContaining({
+        actor: 'user123',
+        employee: 'emp123',
+        designation: 'Admin',
+        resourceId: 'b1',
+        requestId: 'req-1',
+        ip: '203.0.113.7',
+        outcome: 'success'
+      }));
+    });
+
+    it('should record anonymous attempts without an actor', async () => {
+      appendToChain.mockImplementation(async (Model, data) => data);
+
+      const entry = await recordAudit({ user: null }, { action: 'access', outcome: 'denied' });
+
+      expect(entry).toEqual(expect.objectContaining({
+        actor: null,
+        designation: null,
+        resourceId: null,
+        requestId: null,
+        ip: null
+      }));
+    });
+
+    it('should log and swallow write failures', async () => {
+      appendToChain.mockRejectedValue(new Error('connection lost'));
+
+      await expect(recordAudit(context, { action: 'create', outcome: 'success' })).resolves.toBeNull();
+      expect(logger.error).toHaveBeenCalledWith('Failed to write audit log:', expect.any(Error));
+    });
+
+    it.each([
+      ['denials', { action: 'access', outcome: 'denied' }],
+      ['elevated access', { action: 'elevated_access', outcome: 'success' }]
+    ])('should surface write failures for %s', async (_, entry) => {
+      appendToChain.mockRejectedValue(new Error('connection lost'));
+
+      await expect(recordAudit(context, entry)).rejects.toThrow('connection lost');
+      expect(logger.error).toHaveBeenCalledWith(
+        'Security event: audit entry could not be written',
+        expect.objectContaining({ event: 'audit_write_failed', actor: 'user123', action: entry.action })
+      );
+    });
+
+    it('should give up on entries still losing the race after the allowed attempts', async () => {
+      const conflict = Object.assign(new Error('duplicate key'), { code: 11000, keyPattern: { sequence: 1 } });
+      appendToChain.mockRejectedValue(conflict);
+
+      await expect(recordAudit(context, { action: 'create', outcome: 'success' })).resolves.toBeNull();
+      await expect(recordAudit(context, { action: 'access', outcome: 'denied' })).rejects.toBe(conflict);
+      expect(logger.error).toHaveBeenCalledWith('Failed to write audit log:', conflict);
+    });
+  });
+
+  describe('buildAuditQuery', () => {
+    it('should map filters to fields', () => {
+      const from = new Date('2024-01-01');
+      const to = new Date('2024-02-01');
+
+      expect(buildAuditQuery({
+        actorId: 'user123',
+        resourceType: 'Branch',
+        resourceId: 'b1',
+        outcome: 'denied',
+        from,
+        to
+      })).toEqual({
+        actor: 'user123',
+        resourceType: 'Branch',
+        resourceId: 'b1',
+        outcome: 'denied',
+        createdAt: { $gte: from, $lte: to }
+      });
+    });
+
+    it('should return an empty query without filters', () => {
+      expect(buildAuditQuery({})).toEqual({});
+    });
+  });
+});
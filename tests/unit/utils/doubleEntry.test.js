@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Unit tests for double-entry bookkeeping helpers
+ * @module tests/unit/utils/doubleEntry
+ */
+
+const mongoose = require('mongoose');
+const {
+  NORMAL_BALANCE,
+  toMinorUnits,
+  validateDoubleEntry,
+  calculateBalanceDelta,
+  postJournalEntry,
+  getEntityBalance
+} = require('../../../src/utils/doubleEntry');
+const { ValidationError, NotFoundError } = require('../../../src/handles/errors');
+const { runInTransaction } = require('../../../src/config/database');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/config/database');
+
+describe('Double-Entry Utilities', () => {
+  describe('toMinorUnits', () => {
+    it('should convert to integer cents', () => {
+      expect(toMinorUnits(10.1)).toBe(1010);
+      expect(toMinorUnits(0.1 + 0.2)).toBe(30);
+    });
+
+    it('should treat missing values as zero', () => {
+      expect(toMinorUnits(undefined)).toBe(0);
+      expect(toMinorUnits(null)).toBe(0);
+    });
+  });
+
+  describe('validateDoubleEntry', () => {
+    it('should accept balanced lines', () => {
+      const result = validateDoubleEntry([
+        { debit: 100 },
+        { credit: 60 },
+        { credit: 40 }
+      ]);
+
+      expect(result.isBalanced).toBe(true);
+      expect(result.totalDebit).toBe(100);
+      expect(result.totalCredit).toBe(100);
+      expect(result.errors).toEqual([]);
+    });
+
+    it('should avoid floating point drift', () => {
+      const result = validateDoubleEntry([
+        { debit: 0.1 },
+        { debit: 0.2 },
+        { credit: 0.3 }
+      ]);
+
+      expect(result.isBalanced).toBe(true);
+    });
+
+    it('should reject unbalanced lines', () => {
+      const result = validateDoubleEntry([{ debit: 100 }, { credit: 90 }]);
+
+      expect(result.isBalanced).toBe(false);
+      expect(result.errors[0]).toContain('do not equal');
+    });
+
+    it('should require at least two lines', () => {
+      expect(validateDoubleEntry([{ debit: 0 }]).isBalanced).toBe(false);
+      expect(validateDoubleEntry(null).isBalanced).toBe(false);
+    });
+
+    it('should reject lines with both sides set', () => {
+      const result = validateDoubleEntry([
+        { debit: 50, credit: 50 },
+        { debit: 10 },
+        { credit: 10 }
+      ]);
+
+      expect(result.isBalanced).toBe(false);
+      expect(result.errors[0]).toContain('Line 1');
+    });
+
+    it('should reject zero and negative lines', () => {
+      expect(validateDoubleEntry([{ debit: 0 }, { credit: 0 }]).isBalanced).toBe(false);
+      expect(validateDoubleEntry([{ debit: -5 }, { credit: -5 }]).isBalanced).toBe(false);
+    });
+  });
+
+  describe('calculateBalanceDelta', () => {
+    it('should grow debit-normal accounts on debit', () => {
+      expect(NORMAL_BALANCE.asset).toBe('debit');
+      expect(calculateBalanceDelta('asset', 100, 0)).toBe(100);
+      expect(calculateBalanceDelta('expense', 0, 25)).toBe(-25);
+    });
+
+    it('should grow credit-normal accounts on credit', () => {
+      expect(calculateBalanceDelta('liability', 0, 200)).toBe(200);
+      expect(calculateBalanceDelta('revenue', 50, 0)).toBe(-50);
+      expect(calculateBalanceDelta('equity', 0, 1)).toBe(1);
+    });
+
+    it('should throw for unknown account type', () => {
+      expect(() => calculateBalanceDelta('contra', 1, 0)).toThrow(ValidationError);
+    });
+  });
+
+  describe('postJournalEntry', () => {
+    const orgId = new mongoose.Types.ObjectId();
+    const cash = {
+      _id: new mongoose.Types.ObjectId(),
+      accountCode: '1000',
+      accountType: 'asset',
+      organization: orgId,
+      isActive: true
+    };
+    const payable = {
+      _id: new mongoose.Types.ObjectId(),
+      accountCode: '2000',
+      accountType: 'liability',
+      organization: orgId,
+      isActive: true
+    };
+    let Account;
+    let JournalEntry;
+
+    beforeEach(() => {
+      Account = { find: jest.fn(), bulkWrite: jest.fn().mockResolvedValue({}) };
+      JournalEntry = { create: jest.fn(async ([data]) => [{ ...data, entryNumber: 'JE-1' }]) };
+      runInTransaction.mockImplementation(async (work) => work('session'));
+      jest.spyOn(mongoose, 'model').mockImplementation((name) =>
+        (name === 'Account' ? Account : JournalEntry)
+      );
+    });
+
+    const entry = () => ({
+      organization: orgId,
+      lines: [
+        { account: cash._id, debit: 75, credit: 0 },
+        { account: payable._id, debit: 0, credit: 75 }
+      ]
+    });
+
+    it('should create a posted entry and update balances', async () => {
+      Account.find.mockResolvedValue([cash, payable]);
+
+      const result = await postJournalEntry(entry(), 'emp1');
+
+      expect(JournalEntry.create).toHaveBeenCalledWith([expect.objectContaining({
+        status: 'posted',
+        postedBy: 'emp1'
+      })], { session: 'session' });
+      expect(result.entryNumber).toBe('JE-1');
+
+      const [ops, options] = Account.bulkWrite.mock.calls[0];
+      expect(ops).toHaveLength(2);
+      expect(ops[0].updateOne.update.$inc.balance).toBe(75);
+      expect(ops[1].updateOne.update.$inc.balance).toBe(75);
+      expect(options).toEqual({ session: 'session' });
+    });
+
+    it('should join the caller\'s transaction instead of starting one', async () => {
+      Account.find.mockResolvedValue([cash, payable]);
+
+      await postJournalEntry(entry(), 'emp1', { session: 'caller' });
+
+      expect(runInTransaction).not.toHaveBeenCalled();
+      expect(Account.find).toHaveBeenCalledWith(expect.any(Object), null, { session: 'caller' });
+      expect(JournalEntry.create).toHaveBeenCalledWith(expect.any(Array), { session: 'caller' });
+    });
+
+    it('should reject unbalanced entries before touching the database', async () => {
+      const data = entry();
+      data.lines[1].credit = 70;
+
+      await expect(postJournalEntry(data)).rejects.toThrow(ValidationError);
+      expect(Account.find).not.toHaveBeenCalled();
+    });
+
+    it('should throw NotFoundError for missing accounts', async () => {
+      Account.find.mockResolvedValue([cash]);
+
+      await expect(postJournalEntry(entry())).rejects.toThrow(NotFoundError);
+      expect(JournalEntry.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject accounts from another organization', async () => {
+      Account.find.mockResolvedValue([
+        cash,
+        { ...payable, organization: new mongoose.Types.ObjectId() }
+      ]);
+
+      await expect(postJournalEntry(entry())).rejects.toThrow('cannot receive postings');
+    });
+
+    it('should reject inactive accounts', async () => {
+      Account.find.mockResolvedValue([cash, { ...payable, isActive: false }]);
+
+      await expect(postJournalEntry(entry())).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('getEntityBalance', () => {
+    it('should sum balances of linked accounts', async () => {
+      const aggregate = jest.fn().mockResolvedValue([{ _id: null, total: 300 }]);
+      jest.spyOn(mongoose, 'model').mockReturnValue({ aggregate });
+
+      const vendorId = new mongoose.Types.ObjectId().toString();
+      const balance = await getEntityBalance('vendor', vendorId);
+
+      expect(balance).toBe(300);
+      expect(aggregate.mock.calls[0][0][0].$match['entity.entityType']).toBe('vendor');
+    });
+
+    it('should return zero when entity has no accounts', async () => {
+      jest.spyOn(mongoose, 'model').mockReturnValue({ aggregate: jest.fn().mockResolvedValue([]) });
+
+      const balance = await getEntityBalance('branch', new mongoose.Types.ObjectId().toString());
+
+      expect(balance).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Unit tests for expense analytics
+ * @module tests/unit/utils/expenseAnalytics
+ */
+
+const mongoose = require('mongoose');
+const {
+  castIds,
+  periodStart,
+  previousPeriodStart,
+  summarizeExpenses
+} = require('../../../src/utils/expenseAnalytics');
+
+jest.mock('../../../src/models/Transaction', () => ({
+  aggregate: jest.fn(),
+  TRANSACTION_SIDES: jest.requireActual('../../../src/models/Transaction').TRANSACTION_SIDES
+}));
+
+const Transaction = require('../../../src/models/Transaction');
+
+describe('Expense analytics', () => {
+  const branchId = 'bbbbbbbbbbbbbbbbbbbbbbbb';
+
+  describe('periods', () => {
+    const date = new Date('2024-05-15T13:45:00Z');
+
+    it('should find the start of the day, Monday week, month and quarter', () => {
+      expect(periodStart(date, 'day')).toEqual(new Date('2024-05-15T00:00:00Z'));
+      expect(periodStart(date, 'week')).toEqual(new Date('2024-05-13T00:00:00Z'));
+      expect(periodStart(date, 'month')).toEqual(new Date('2024-05-01T00:00:00Z'));
+      expect(periodStart(date, 'quarter')).toEqual(new Date('2024-04-01T00:00:00Z'));
+    });
+
+    it('should step back one period', () => {
+      expect(previousPeriodStart(new Date('2024-01-01T00:00:00Z'), 'quarter'))
+        .toEqual(new Date('2023-10-01T00:00:00Z'));
+      expect(previousPeriodStart(new Date('2024-03-04T00:00:00Z'), 'week'))
+        .toEqual(new Date('2024-02-26T00:00:00Z'));
+    });
+  });
+
+  describe('castIds', () => {
+    it('should cast ID paths inside $or and $and but leave other values', () => {
+      const cast = castIds({ $and: [{ $or: [{ branch: branchId }, { 'reference.refId': branchId }] }, { type: 'x' }] });
+
+      expect(cast.$and[0].$or[0].branch).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(cast.$and[0].$or[1]['reference.refId']).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(cast.$and[1]).toEqual({ type: 'x' });
+    });
+  });
+
+  describe('summarizeExpenses', () => {
+    const from = new Date('2024-02-01T00:00:00Z');
+    const to = new Date('2024-03-31T23:59:59Z');
+    const february = new Date('2024-02-01T00:00:00Z');
+    const march = new Date('2024-03-01T00:00:00Z');
+    const january = new Date('2024-01-01T00:00:00Z');
+
+    it('should total each period and compare it with the preceding one', async () => {
+      Transaction.aggregate.mockResolvedValue([
+        { _id: { period: january, group: 'travel' }, count: 0, total: 0, lookbackTotal: 200 },
+        { _id: { period: february, group: 'travel' }, count: 2, total: 300, lookbackTotal: 0 },
+        { _id: { period: february, group: null }, count: 1, total: 10, lookbackTotal: 0 },
+        { _id: { period: march, group: 'travel' }, count: 3, total: 100, lookbackTotal: 0 }
+      ]);
+
+      const summary = await summarizeExpenses({ period: 'MONTH', groupBy: 'CATEGORY', from, to });
+
+      expect(summary.rows).toEqual([
+        {
+          period: february, group: 'travel', count: 2, total: 300, average: 150,
+          previousTotal: 200, change: 100, changePercent: 50
+        },
+        {
+          period: february, group: null, count: 1, total: 10, average: 10,
+          previousTotal: 0, change: 10, changePercent: null
+        },
+        {
+          period: march, group: 'travel', count: 3, total: 100, average: 33.33,
+          previousTotal: 300, change: -200, changePercent: -66.67
+        }
+      ]);
+      expect(summary).toMatchObject({ count: 6, total: 410 });
+    });
+
+    it('should read back to the preceding period and keep vendor groupings to vendors', async () => {
+      Transaction.aggregate.mockResolvedValue([]);
+
+      await summarizeExpenses({
+        period: 'QUARTER', groupBy: 'VENDOR', from, to, filter: { branch: branchId }
+      });
+
+      const [match, group] = Transaction.aggregate.mock.calls[0][0];
+      expect(match.$match.$and).toEqual(expect.arrayContaining([
+        { branch: new mongoose.Types.ObjectId(branchId) },
+        { 'reference.refType': 'vendor' },
+        { $or: [
+          { createdAt: { $gte: from, $lte: to } },
+          { createdAt: { $gte: new Date('2023-10-01T00:00:00Z'), $lt: from } }
+        ] }
+      ]));
+      expect(group.$group._id.period.$dateTrunc).toMatchObject({ unit: 'quarter', timezone: 'UTC' });
+    });
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * @fileoverview Unit tests for the expense approval state machine
+ * @module tests/unit/utils/expenseWorkflow
+ */
+
+const {
+  TRANSITIONS,
+  assertTransition,
+  transitionExpense,
+  submitExpense,
+  decideExpense
+} = require('../../../src/utils/expenseWorkflow');
+const Employee = require('../../../src/models/Employee');
+const Organization = require('../../../src/models/Organization');
+const { ConflictError, AuthorizationError } = require('../../../src/handles/errors');
+const { ROLES } = require('../../../src/constants/roles');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/utils/hashChain');
+jest.mock('../../../src/utils/journalPosting');
+jest.mock('../../../src/config/database');
+
+const { retryOnSequenceConflict, sealRecord } = require('../../../src/utils/hashChain');
+const { postTransaction } = require('../../../src/utils/journalPosting');
+const { runInTransaction } = require('../../../src/config/database');
+
+/**
+ * Build a stand-in expense document
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} Mock transaction
+ */
+const createMockExpense = (overrides = {}) => {
+  const expense = {
+    transactionId: 'TXN-1-ABC',
+    organization: 'org1',
+    reference: { refType: 'employee', refId: 'emp1' },
+    status: 'draft',
+    statusHistory: [],
+    hash: undefined,
+    ...overrides
+  };
+  expense.save = jest.fn().mockResolvedValue(expense);
+  return expense;
+};
+
+const employee = { userId: 'user1', employeeId: 'emp1', designation: ROLES.EMPLOYEE };
+const manager = { userId: 'user2', employeeId: 'mgr1', designation: ROLES.BRANCH_MANAGER };
+const director = { userId: 'user3', employeeId: 'dir1', designation: ROLES.BRANCH_MANAGER };
+const admin = { userId: 'user4', employeeId: 'adm1', designation: ROLES.ADMIN };
+const deputy = {
+  userId: 'user5',
+  employeeId: 'dep1',
+  designation: ROLES.EMPLOYEE,
+  delegations: [{
+    delegator: 'mgr1',
+    scope: 'approvals',
+    startsAt: new Date(Date.now() - 3600000),
+    endsAt: new Date(Date.now() + 3600000)
+  }]
+};
+
+/**
+ * Pending approval step assigned to an employee
+ * @param {number} level - Step level
+ * @param {string|null} approver - Approver employee ID
+ * @returns {Object} Step
+ */
+const pendingStep = (level, approver) => ({
+  level,
+  role: 'manager',
+  approver: approver && { toString: () => approver },
+  status: 'pending'
+});
+
+/**
+ * Submitted expense awaiting the given steps
+ * @param {Array<Object>} steps - Approval steps
+ * @returns {Object} Mock transaction
+ */
+const createSubmittedExpense = (steps) => createMockExpense({
+  status: 'submitted',
+  hash: 'abc',
+  submittedBy: { toString: () => 'emp1' },
+  approvalSteps: steps
+});
+
+describe('Expense Workflow', () => {
+  beforeEach(() => {
+    retryOnSequenceConflict.mockImplementation(async (modelName, append) => append());
+    runInTransaction.mockImplementation(async (work) => work('session'));
+  });
+
+  describe('assertTransition', () => {
+    it.each([
+      ['draft', 'submitted'],
+      ['submitted', 'approved'],
+      ['submitted', 'rejected'],
+      ['approved', 'settled']
+    ])('should allow %s -> %s', (from, to) => {
+      expect(() => assertTransition(createMockExpense({ status: from }), to)).not.toThrow();
+    });
+
+    it.each([
+      ['draft', 'approved'],
+      ['draft', 'settled'],
+      ['submitted', 'settled'],
+      ['rejected', 'approved'],
+      ['rejected', 'settled'],
+      ['settled', 'approved'],
+      ['approved', 'rejected']
+    ])('should reject %s -> %s with ConflictError', (from, to) => {
+      expect(() => assertTransition(createMockExpense({ status: from }), to)).toThrow(ConflictError);
+    });
+
+    it('should treat rejected and settled as terminal', () => {
+      expect(TRANSITIONS.rejected).toBeUndefined();
+      expect(TRANSITIONS.settled).toBeUndefined();
+    });
+
+    it('should only apply to employee expenses', () => {
+      const payment = createMockExpense({ reference: { refType: 'vendor', refId: 'v1' }, status: 'pending' });
+
+      expect(() => assertTransition(payment, 'approved')).toThrow('Only employee expenses');
+    });
+  });
+
+  describe('transitionExpense', () => {
+    it('should seal the expense into the chain on submission', async () => {
+      const expense = createMockExpense();
+      sealRecord.mockResolvedValue(expense);
+
+      await transitionExpense(expense, 'submitted', employee);
+
+      expect(sealRecord).toHaveBeenCalledWith(
+        expense.constructor, expense, { organization: 'org1' }, { session: 'session' }
+      );
+      expect(expense.status).toBe('submitted');
+      expect(expense.submittedBy).toBe('emp1');
+    });
+
+    it('should record who moved the expense, when and why', async () => {
+      const expense = createMockExpense({ status: 'submitted', hash: 'abc' });
+
+      await transitionExpense(expense, 'rejected', manager, 'Missing receipt');
+
+      expect(expense.save).toHaveBeenCalled();
+      expect(sealRecord).not.toHaveBeenCalled();
+      expect(expense.updatedBy).toBe('mgr1');
+      expect(expense.statusHistory).toEqual([{
+        from: 'submitted',
+        to: 'rejected',
+        by: 'mgr1',
+        at: expect.any(Date),
+        reason: 'Missing receipt'
+      }]);
+    });
+
+    it('should post approvals and settlements in the same transaction as the status change', async () => {
+      const expense = createMockExpense({ status: 'approved', hash: 'abc' });
+
+      await transitionExpense(expense, 'settled', admin);
+
+      expect(expense.save).toHaveBeenCalledWith({ session: 'session' });
+      expect(postTransaction).toHaveBeenCalledWith(expense, 'settled', 'adm1', 'session');
+    });
+
+    it('should fail the transition when posting fails', async () => {
+      const expense = createMockExpense({ status: 'submitted', hash: 'abc' });
+      postTransaction.mockRejectedValue(new Error('Account 5000 cannot receive postings'));
+
+      await expect(transitionExpense(expense, 'approved', manager)).rejects.toThrow('cannot receive postings');
+      expect(runInTransaction).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave an expense untouched on an illegal transition', async () => {
+      const expense = createMockExpense({ status: 'rejected', hash: 'abc' });
+
+      await expect(transitionExpense(expense, 'settled', manager)).rejects.toThrow(ConflictError);
+
+      expect(expense.status).toBe('rejected');
+      expect(expense.statusHistory).toHaveLength(0);
+      expect(expense.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('submitExpense', () => {
+    it('should lay out approval steps from the reporting line', async () => {
+      const expense = createMockExpense({ amount: 200 });
+      sealRecord.mockResolvedValue(expense);
+      jest.spyOn(Employee, 'findById').mockImplementation(async id => (id === 'emp1'
+        ? { _id: 'emp1', designation: ROLES.EMPLOYEE, manager: 'mgr1' }
+        : { _id: id, designation: ROLES.BRANCH_MANAGER, manager: null }));
+      jest.spyOn(Organization, 'findById').mockResolvedValue(null);
+
+      await submitExpense(expense, employee, 'Team lunch');
+
+      expect(expense.approvalSteps).toEqual([
+        { level: 1, role: 'manager', approver: 'mgr1', status: 'pending' }
+      ]);
+      expect(expense.status).toBe('submitted');
+    });
+
+    it('should refuse to resubmit', async () => {
+      await expect(submitExpense(createMockExpense({ status: 'submitted' }), employee))
+        .rejects.toThrow(ConflictError);
+    });
+  });
+
+  describe('decideExpense', () => {
+    it('should keep the expense submitted until the last step is approved', async () => {
+      const expense = createSubmittedExpense([pendingStep(1, 'mgr1'), pendingStep(2, 'dir1')]);
+
+      await decideExpense(expense, manager, 'approved', 'OK');
+
+      expect(expense.status).toBe('submitted');
+      expect(expense.approvalSteps[0]).toMatchObject({ status: 'approved', decidedBy: 'mgr1', reason: 'OK' });
+      expect(expense.statusHistory).toHaveLength(0);
+
+      await decideExpense(expense, director, 'approved');
+
+      expect(expense.status).toBe('approved');
+      expect(expense.statusHistory).toEqual([expect.objectContaining({ from: 'submitted', to: 'approved' })]);
+    });
+
+    it('should reject outright at any step', async () => {
+      const expense = createSubmittedExpense([pendingStep(1, 'mgr1'), pendingStep(2, 'dir1')]);
+
+      await decideExpense(expense, manager, 'rejected', 'No receipt');
+
+      expect(expense.status).toBe('rejected');
+      expect(expense.approvalSteps[1].status).toBe('pending');
+    });
+
+    it('should reject self-approval, even by an Admin', async () => {
+      const expense = createSubmittedExpense([pendingStep(1, null)]);
+      expense.submittedBy = { toString: () => 'adm1' };
+
+      await expect(decideExpense(expense, admin, 'approved')).rejects.toThrow(AuthorizationError);
+      expect(expense.approvalSteps[0].status).toBe('pending');
+    });
+
+    it('should only let the step approver or an Admin decide', async () => {
+      const expense = createSubmittedExpense([pendingStep(1, 'mgr1'), pendingStep(2, 'dir1')]);
+
+      await expect(decideExpense(expense, director, 'approved')).rejects.toThrow('not the approver for step 1');
+      await expect(decideExpense(expense, admin, 'approved')).resolves.toBe(expense);
+    });
+
+    it('should not let one person sign off twice', async () => {
+      const expense = createSubmittedExpense([pendingStep(1, null), pendingStep(2, null)]);
+
+      await decideExpense(expense, admin, 'approved');
+
+      await expect(decideExpense(expense, admin, 'approved')).rejects.toThrow('already signed off');
+    });
+
+    it('should record both the delegate and the approver they stand in for', async () => {
+      const expense = createSubmittedExpense([pendingStep(1, 'mgr1')]);
+
+      await decideExpense(expense, deputy, 'approved', 'Covering for mgr1');
+
+      expect(expense.approvalSteps[0]).toMatchObject({ status: 'approved', decidedBy: 'dep1', onBehalfOf: 'mgr1' });
+      expect(expense.statusHistory).toEqual([
+        expect.objectContaining({ to: 'approved', by: 'dep1', onBehalfOf: 'mgr1' })
+      ]);
+    });
+
+    it('should not let an approver sign a later step through a delegate', async () => {
+      const expense = createSubmittedExpense([pendingStep(1, 'dir1'), pendingStep(2, 'mgr1')]);
+      expense.approvalSteps[0].status = 'approved';
+      expense.approvalSteps[0].decidedBy = 'mgr1';
+
+      await expect(decideExpense(expense, deputy, 'approved')).rejects.toThrow('already signed off');
+    });
+
+    it('should not let a delegate decide the delegator\'s own expense', async () => {
+      const expense = createSubmittedExpense([pendingStep(1, 'mgr1')]);
+      expense.submittedBy = { toString: () => 'mgr1' };
+
+      await expect(decideExpense(expense, deputy, 'approved')).rejects.toThrow('your own expense');
+    });
+
+    it('should require a submitted expense', async () => {
+      await expect(decideExpense(createMockExpense(), manager, 'approved')).rejects.toThrow(ConflictError);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Unit tests for financial statements
+ * @module tests/unit/utils/financialStatements
+ */
+
+const {
+  previousPeriod,
+  getTrialBalance,
+  getBalanceSheet,
+  getIncomeStatement
+} = require('../../../src/utils/financialStatements');
+const { IntegrityError } = require('../../../src/handles/errors');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/models/JournalEntry', () => ({
+  aggregate: jest.fn()
+}));
+
+jest.mock('../../../src/models/Account', () => ({
+  find: jest.fn()
+}));
+
+const JournalEntry = require('../../../src/models/JournalEntry');
+const Account = require('../../../src/models/Account');
+
+describe('Financial statements', () => {
+  const organizationId = 'cccccccccccccccccccccccc';
+  const asOf = new Date('2024-06-30T23:59:59.999Z');
+
+  const accounts = {
+    cash: { _id: 'a1', accountCode: '1000', accountName: 'Cash', accountType: 'asset' },
+    payable: { _id: 'a2', accountCode: '2000', accountName: 'Payables', accountType: 'liability' },
+    capital: { _id: 'a3', accountCode: '3000', accountName: 'Capital', accountType: 'equity' },
+    sales: { _id: 'a4', accountCode: '4000', accountName: 'Sales', accountType: 'revenue' },
+    rent: { _id: 'a5', accountCode: '5000', accountName: 'Rent', accountType: 'expense' }
+  };
+
+  // Capital 1000 in, sales 500, rent 200 of which 50 still owed
+  const june = [
+    { _id: 'a1', debit: 1500, credit: 150 },
+    { _id: 'a2', debit: 0, credit: 50 },
+    { _id: 'a3', debit: 0, credit: 1000 },
+    { _id: 'a4', debit: 0, credit: 500 },
+    { _id: 'a5', debit: 200, credit: 0 }
+  ];
+
+  beforeEach(() => {
+    Account.find.mockImplementation(({ _id }) => ({
+      sort: jest.fn().mockResolvedValue(Object.values(accounts).filter(account => _id.$in.includes(account._id)))
+    }));
+  });
+
+  describe('getTrialBalance', () => {
+    it('should put each account on its net side and total both', async () => {
+      JournalEntry.aggregate.mockResolvedValue(june);
+
+      const trialBalance = await getTrialBalance({ organizationId, asOf });
+
+      expect(trialBalance.lines.map(({ account, debit, credit }) => [account.accountCode, debit, credit])).toEqual([
+        ['1000', 1350, 0], ['2000', 0, 50], ['3000', 0, 1000], ['4000', 0, 500], ['5000', 200, 0]
+      ]);
+      expect(trialBalance).toMatchObject({ totalDebit: 1550, totalCredit: 1550, previousTotalDebit: null });
+      expect(JournalEntry.aggregate.mock.calls[0][0][0].$match).toMatchObject({
+        status: 'posted',
+        date: { $lte: asOf }
+      });
+    });
+
+    it('should fail loudly when the journal does not net to zero', async () => {
+      JournalEntry.aggregate.mockResolvedValue([...june.slice(0, 4), { _id: 'a5', debit: 200.01, credit: 0 }]);
+
+      await expect(getTrialBalance({ organizationId, asOf })).rejects.toThrow(IntegrityError);
+      await expect(getTrialBalance({ organizationId, asOf })).rejects.toThrow('out of balance by 0.01');
+    });
+
+    it('should refuse lines posted to accounts that no longer exist', async () => {
+      JournalEntry.aggregate.mockResolvedValue([
+        { _id: 'a1', debit: 10, credit: 0 },
+        { _id: 'gone', debit: 0, credit: 10 }
+      ]);
+
+      await expect(getTrialBalance({ organizationId, asOf })).rejects.toThrow('missing accounts: gone');
+    });
+  });
+
+  describe('getBalanceSheet', () => {
+    it('should carry unclosed earnings and compare against an earlier date', async () => {
+      JournalEntry.aggregate
+        .mockResolvedValueOnce(june)
+        .mockResolvedValueOnce([{ _id: 'a1', debit: 1000, credit: 0 }, { _id: 'a3', debit: 0, credit: 1000 }]);
+
+      const sheet = await getBalanceSheet({ organizationId, asOf, compareTo: new Date('2024-05-31') });
+
+      expect(sheet.assets).toMatchObject({ total: 1350, previousTotal: 1000 });
+      expect(sheet.liabilities.lines[0]).toMatchObject({ amount: 50, previousAmount: 0 });
+      expect(sheet.retainedEarnings).toBe(300);
+      expect(sheet.previousRetainedEarnings).toBe(0);
+      expect(sheet.totalLiabilitiesAndEquity).toBe(1350);
+      expect(sheet.previousTotalLiabilitiesAndEquity).toBe(1000);
+    });
+  });
+
+  describe('getIncomeStatement', () => {
+    it('should report the period\'s activity beside the preceding period', async () => {
+      const from = new Date('2024-06-01T00:00:00Z');
+      JournalEntry.aggregate
+        .mockResolvedValueOnce(june)
+        .mockResolvedValueOnce([{ _id: 'a4', debit: 0, credit: 100 }, { _id: 'a1', debit: 100, credit: 0 }]);
+
+      const statement = await getIncomeStatement({ organizationId, from, to: asOf, compare: true });
+
+      expect(statement.revenue).toMatchObject({ total: 500, previousTotal: 100 });
+      expect(statement.expenses.lines).toHaveLength(1);
+      expect(statement).toMatchObject({ netIncome: 300, previousNetIncome: 100 });
+      expect(statement.previousTo).toEqual(new Date('2024-05-31T23:59:59.999Z'));
+    });
+  });
+
+  describe('previousPeriod', () => {
+    it('should end just before the period and last as long', () => {
+      const from = new Date('2024-04-01T00:00:00Z');
+      const to = new Date('2024-06-30T00:00:00Z');
+
+      expect(previousPeriod(from, to)).toEqual({
+        from: new Date(from.getTime() - 1 - (to - from)),
+        to: new Date('2024-03-31T23:59:59.999Z')
+      });
+    });
+  });
+});
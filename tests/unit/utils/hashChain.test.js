@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Unit tests for hash chain sealing
+ * @module tests/unit/utils/hashChain
+ */
+
+const mongoose = require('mongoose');
+const Transaction = require('../../../src/models/Transaction');
+const { GENESIS_HASH, computeRecordHash, appendToChain } = require('../../../src/utils/hashChain');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+/**
+ * Build an unsaved chained transaction
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} Transaction document
+ */
+const buildTransaction = (overrides = {}) => new Transaction({
+  transactionId: 'TXN-1-ABC',
+  organization: new mongoose.Types.ObjectId('64b000000000000000000001'),
+  amount: 125.5,
+  type: 'purchase',
+  reference: { refType: 'employee', refId: new mongoose.Types.ObjectId('64b000000000000000000002') },
+  description: 'Office chairs',
+  createdAt: new Date('2024-03-01T10:00:00Z'),
+  sequence: 1,
+  previousHash: GENESIS_HASH,
+  ...overrides
+});
+
+/**
+ * Minimal chained model recording saves, with a head that can be moved by "other writers"
+ * @param {Array<Object>} heads - Head returned by each successive lookup
+ * @returns {Function} Fake model class
+ */
+const createFakeModel = (heads) => {
+  class FakeModel {
+    constructor(data) {
+      Object.assign(this, data);
+    }
+
+    get(path) {
+      return this[path];
+    }
+
+    async validate() {
+      return undefined;
+    }
+  }
+
+  FakeModel.HASHED_FIELDS = ['name'];
+  FakeModel.modelName = 'Fake';
+  FakeModel.findOne = jest.fn(() => ({
+    sort: () => ({ select: () => ({ session: async () => heads.shift() || null }) })
+  }));
+  FakeModel.prototype.save = jest.fn(async function () {
+    return this;
+  });
+
+  return FakeModel;
+};
+
+describe('Hash Chain', () => {
+  describe('computeRecordHash', () => {
+    it('should be deterministic', () => {
+      const hash = computeRecordHash(buildTransaction(), Transaction.HASHED_FIELDS);
+
+      expect(hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(computeRecordHash(buildTransaction(), Transaction.HASHED_FIELDS)).toBe(hash);
+    });
+
+    it('should change when a sealed field changes', () => {
+      const original = computeRecordHash(buildTransaction(), Transaction.HASHED_FIELDS);
+
+      expect(computeRecordHash(buildTransaction({ amount: 125.51 }), Transaction.HASHED_FIELDS))
+        .not.toBe(original);
+      expect(computeRecordHash(
+        buildTransaction({ createdAt: new Date('2024-03-01T10:00:01Z') }),
+        Transaction.HASHED_FIELDS
+      )).not.toBe(original);
+    });
+
+    it('should bind the position and the previous hash', () => {
+      const original = computeRecordHash(buildTransaction(), Transaction.HASHED_FIELDS);
+
+      expect(computeRecordHash(buildTransaction({ sequence: 2 }), Transaction.HASHED_FIELDS))
+        .not.toBe(original);
+      expect(computeRecordHash(buildTransaction({ previousHash: 'f'.repeat(64) }), Transaction.HASHED_FIELDS))
+        .not.toBe(original);
+    });
+
+    it('should seal what the transaction was for and when it falls due', () => {
+      const original = computeRecordHash(buildTransaction(), Transaction.HASHED_FIELDS);
+
+      ['description', 'category', 'dueDate'].forEach((field) => {
+        const changed = field === 'dueDate' ? new Date('2030-01-01') : 'Edited';
+        expect(computeRecordHash(buildTransaction({ [field]: changed }), Transaction.HASHED_FIELDS))
+          .not.toBe(original);
+      });
+    });
+
+    it('should ignore workflow fields that change legitimately', () => {
+      const original = computeRecordHash(buildTransaction(), Transaction.HASHED_FIELDS);
+
+      expect(computeRecordHash(
+        buildTransaction({ status: 'approved', updatedBy: new mongoose.Types.ObjectId() }),
+        Transaction.HASHED_FIELDS
+      )).toBe(original);
+    });
+  });
+
+  describe('appendToChain', () => {
+    it('should start a chain from the genesis hash', async () => {
+      const Model = createFakeModel([]);
+
+      const record = await appendToChain(Model, { name: 'first' });
+
+      expect(record.sequence).toBe(1);
+      expect(record.previousHash).toBe(GENESIS_HASH);
+      expect(record.hash).toBe(computeRecordHash(record, Model.HASHED_FIELDS));
+    });
+
+    it('should link to the current head within the scope', async () => {
+      const Model = createFakeModel([{ sequence: 7, hash: 'a'.repeat(64) }]);
+
+      const record = await appendToChain(Model, { name: 'next' }, { organization: 'org1' });
+
+      expect(Model.findOne).toHaveBeenCalledWith({ organization: 'org1', sequence: { $exists: true } });
+      expect(record).toMatchObject({ organization: 'org1', sequence: 8, previousHash: 'a'.repeat(64) });
+    });
+
+    it('should retry when another writer took the sequence', async () => {
+      const Model = createFakeModel([{ sequence: 1, hash: 'a'.repeat(64) }, { sequence: 2, hash: 'b'.repeat(64) }]);
+      const conflict = Object.assign(new Error('duplicate key'), { code: 11000, keyPattern: { sequence: 1 } });
+      Model.prototype.save
+        .mockRejectedValueOnce(conflict)
+        .mockImplementationOnce(async function () {
+          return this;
+        });
+
+      const record = await appendToChain(Model, { name: 'raced' });
+
+      expect(record).toMatchObject({ sequence: 3, previousHash: 'b'.repeat(64) });
+    });
+
+    it('should give up after the allowed attempts', async () => {
+      const heads = Array.from({ length: 8 }, (_, index) => ({ sequence: index + 1, hash: 'a'.repeat(64) }));
+      const conflict = Object.assign(new Error('duplicate key'), { code: 11000, keyPattern: { sequence: 1 } });
+      const raced = (Model, times) => {
+        for (let attempt = 0; attempt < times; attempt += 1) {
+          Model.prototype.save.mockRejectedValueOnce(conflict);
+        }
+        return Model;
+      };
+
+      await expect(appendToChain(raced(createFakeModel([...heads]), 6), { name: 'raced' })).rejects.toBe(conflict);
+
+      const record = await appendToChain(raced(createFakeModel([...heads]), 6), { name: 'raced' }, {}, { attempts: 7 });
+      expect(record.sequence).toBe(8);
+      await expect(appendToChain(raced(createFakeModel([...heads]), 7), { name: 'raced' }, {}, { attempts: 7 }))
+        .rejects.toBe(conflict);
+    });
+
+    it('should leave retries to the caller inside a transaction', async () => {
+      const Model = createFakeModel([]);
+      const conflict = Object.assign(new Error('duplicate key'), { code: 11000, keyPattern: { sequence: 1 } });
+      Model.prototype.save.mockRejectedValueOnce(conflict);
+
+      await expect(appendToChain(Model, { name: 'raced' }, {}, { session: 'session' })).rejects.toBe(conflict);
+      expect(Model.prototype.save).toHaveBeenCalledTimes(1);
+      expect(Model.prototype.save).toHaveBeenCalledWith({ session: 'session' });
+    });
+
+    it('should rethrow other errors', async () => {
+      const Model = createFakeModel([]);
+      Model.prototype.save.mockRejectedValueOnce(new Error('validation failed'));
+
+      await expect(appendToChain(Model, { name: 'bad' })).rejects.toThrow('validation failed');
+    });
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Unit tests for invoice allocation
+ * @module tests/unit/utils/invoices
+ */
+
+const mongoose = require('mongoose');
+const { recordInvoice, allocateTransaction, voidInvoice } = require('../../../src/utils/invoices');
+
+jest.mock('../../../src/models/Invoice', () => ({
+  aggregate: jest.fn(),
+  find: jest.fn(),
+  ALLOCATION_KINDS: jest.requireActual('../../../src/models/Invoice').ALLOCATION_KINDS
+}));
+
+jest.mock('../../../src/config/database');
+jest.mock('../../../src/utils/hashChain');
+jest.mock('../../../src/utils/journalPosting');
+
+const Invoice = require('../../../src/models/Invoice');
+const Transaction = require('../../../src/models/Transaction');
+const { runInTransaction } = require('../../../src/config/database');
+const { retryOnSequenceConflict, appendToChain } = require('../../../src/utils/hashChain');
+const { postTransaction } = require('../../../src/utils/journalPosting');
+
+describe('Invoices', () => {
+  const vendor = new mongoose.Types.ObjectId('aaaaaaaaaaaaaaaaaaaaaaaa');
+  const otherVendor = new mongoose.Types.ObjectId('bbbbbbbbbbbbbbbbbbbbbbbb');
+  const user = { userId: 'u1', employeeId: new mongoose.Types.ObjectId() };
+
+  const invoice = (invoiceNumber, balanceDue, fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    invoiceNumber,
+    vendor,
+    balanceDue,
+    status: 'open',
+    allocations: [],
+    save: jest.fn().mockResolvedValue(undefined),
+    ...fields
+  });
+
+  const transaction = (type, amount, fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    transactionId: 'TXN-1',
+    type,
+    amount,
+    status: 'pending',
+    reference: { refType: 'vendor', refId: vendor },
+    ...fields
+  });
+
+  const session = { id: 'session' };
+  const organization = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    runInTransaction.mockImplementation(async (work) => work(session));
+    retryOnSequenceConflict.mockImplementation(async (modelName, append) => append());
+    appendToChain.mockImplementation(async (Model, data, scope) => ({
+      _id: new mongoose.Types.ObjectId(), ...data, ...scope
+    }));
+  });
+
+  describe('recordInvoice', () => {
+    it('should post the invoice total as a vendor purchase due with the invoice', async () => {
+      const dueDate = new Date('2030-01-31T00:00:00Z');
+      const draft = invoice('INV-1', 0, {
+        organization,
+        dueDate,
+        validate: jest.fn(async function () {
+          this.total = 107.5;
+        })
+      });
+
+      await recordInvoice(draft, user);
+
+      expect(appendToChain).toHaveBeenCalledWith(Transaction, expect.objectContaining({
+        type: 'purchase',
+        amount: 107.5,
+        dueDate,
+        reference: { refType: 'vendor', refId: vendor },
+        description: 'Invoice INV-1'
+      }), { organization }, { session });
+      const [[purchase]] = postTransaction.mock.calls;
+      expect(postTransaction).toHaveBeenCalledWith(purchase, 'recorded', user.employeeId, session);
+      expect(draft.transaction).toBe(purchase._id);
+      expect(draft.save).toHaveBeenCalledWith({ session });
+    });
+  });
+
+  describe('allocateTransaction', () => {
+    beforeEach(() => {
+      jest.spyOn(Transaction, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    });
+
+    it('should spread a payment over several invoices, in part or in full', async () => {
+      const first = invoice('INV-1', 100);
+      const second = invoice('INV-2', 80);
+      Invoice.find.mockResolvedValue([second, first]);
+      Invoice.aggregate.mockResolvedValue([{ _id: null, total: 20 }]);
+      const payment = transaction('payment', 200);
+
+      const result = await allocateTransaction(payment, [
+        { invoiceId: String(first._id), amount: 100 },
+        { invoiceId: String(second._id), amount: 50.25 }
+      ], user);
+
+      expect(result).toEqual([first, second]);
+      expect(first.allocations).toEqual([expect.objectContaining({
+        transaction: payment._id, kind: 'payment', amount: 100, allocatedBy: user.employeeId
+      })]);
+      expect(second.allocations[0].amount).toBe(50.25);
+      expect(first.save).toHaveBeenCalledWith({ session });
+      expect(second.save).toHaveBeenCalledWith({ session });
+    });
+
+    it('should claim the transaction and read the invoices in the same session', async () => {
+      const open = invoice('INV-1', 100);
+      Invoice.find.mockResolvedValue([open]);
+      Invoice.aggregate.mockResolvedValue([]);
+      const payment = transaction('payment', 30);
+
+      await allocateTransaction(payment, [{ invoiceId: open._id, amount: 30 }], user);
+
+      expect(runInTransaction).toHaveBeenCalledTimes(1);
+      expect(Transaction.updateOne).toHaveBeenCalledWith(
+        { _id: payment._id, status: { $nin: ['draft', 'rejected'] } }, expect.anything(), { session }
+      );
+      expect(Invoice.find).toHaveBeenCalledWith(expect.anything(), null, { session });
+      expect(Invoice.aggregate).toHaveBeenCalledWith(expect.any(Array), { session });
+    });
+
+    it('should refuse an invoice given twice before writing anything', async () => {
+      const open = invoice('INV-1', 100);
+      Invoice.find.mockResolvedValue([open]);
+
+      await expect(allocateTransaction(transaction('payment', 50), [
+        { invoiceId: open._id, amount: 10 },
+        { invoiceId: String(open._id), amount: 10 }
+      ], user)).rejects.toThrow('Each invoice can appear only once in an allocation');
+      expect(runInTransaction).not.toHaveBeenCalled();
+      expect(open.save).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a transaction rejected since it was read', async () => {
+      const open = invoice('INV-1', 100);
+      Invoice.find.mockResolvedValue([open]);
+      Transaction.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+      await expect(allocateTransaction(transaction('payment', 50), [{ invoiceId: open._id, amount: 10 }], user))
+        .rejects.toThrow('Transaction TXN-1 can no longer be allocated');
+      expect(open.save).not.toHaveBeenCalled();
+    });
+
+    it('should record refunds and credits as reductions of their kind', async () => {
+      const open = invoice('INV-1', 100);
+      Invoice.find.mockResolvedValue([open]);
+      Invoice.aggregate.mockResolvedValue([]);
+
+      await allocateTransaction(transaction('credit', 30), [{ invoiceId: open._id, amount: 30 }], user);
+      await allocateTransaction(transaction('refund', 10), [{ invoiceId: open._id, amount: 10 }], user);
+
+      expect(open.allocations.map(allocation => allocation.kind)).toEqual(['credit_note', 'refund']);
+    });
+
+    it('should refuse transactions that cannot settle an invoice', async () => {
+      const open = invoice('INV-1', 100);
+      const allocations = [{ invoiceId: open._id, amount: 10 }];
+
+      await expect(allocateTransaction(transaction('purchase', 10), allocations, user))
+        .rejects.toThrow('Only vendor payments');
+      await expect(allocateTransaction(
+        transaction('payment', 10, { reference: { refType: 'employee', refId: vendor } }), allocations, user
+      )).rejects.toThrow('Only vendor payments');
+      await expect(allocateTransaction(transaction('payment', 10, { status: 'rejected' }), allocations, user))
+        .rejects.toThrow('Cannot allocate a rejected transaction');
+      expect(Invoice.find).not.toHaveBeenCalled();
+    });
+
+    it('should refuse missing, foreign and void invoices', async () => {
+      const foreign = invoice('INV-9', 100, { vendor: otherVendor });
+      const voided = invoice('INV-8', 100, { status: 'void' });
+      Invoice.find.mockResolvedValue([foreign, voided]);
+      const payment = transaction('payment', 50);
+
+      await expect(allocateTransaction(payment, [{ invoiceId: new mongoose.Types.ObjectId(), amount: 5 }], user))
+        .rejects.toThrow('Invoice not found');
+      await expect(allocateTransaction(payment, [{ invoiceId: foreign._id, amount: 5 }], user))
+        .rejects.toThrow('Invoice INV-9 belongs to another vendor');
+      await expect(allocateTransaction(payment, [{ invoiceId: voided._id, amount: 5 }], user))
+        .rejects.toThrow('Invoice INV-8 is void');
+    });
+
+    it('should not allocate beyond an invoice balance or the transaction remainder', async () => {
+      const first = invoice('INV-1', 40);
+      const second = invoice('INV-2', 100);
+      Invoice.find.mockResolvedValue([first, second]);
+      Invoice.aggregate.mockResolvedValue([{ _id: null, total: 70 }]);
+      const payment = transaction('payment', 100);
+
+      await expect(allocateTransaction(payment, [{ invoiceId: first._id, amount: 40.01 }], user))
+        .rejects.toThrow('exceeds the 40 due on invoice INV-1');
+      await expect(allocateTransaction(payment, [
+        { invoiceId: first._id, amount: 20 },
+        { invoiceId: second._id, amount: 10.01 }
+      ], user)).rejects.toThrow('Allocations of 30.01 exceed the 30 left unallocated on transaction TXN-1');
+      expect(first.save).not.toHaveBeenCalled();
+      expect(second.save).not.toHaveBeenCalled();
+    });
+
+    it('should let the caller veto an invoice before anything is saved', async () => {
+      const open = invoice('INV-1', 40);
+      Invoice.find.mockResolvedValue([open]);
+      const veto = jest.fn(() => {
+        throw new Error('out of scope');
+      });
+
+      await expect(allocateTransaction(transaction('payment', 10), [{ invoiceId: open._id, amount: 10 }], user, veto))
+        .rejects.toThrow('out of scope');
+      expect(veto).toHaveBeenCalledWith(open);
+      expect(open.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('voidInvoice', () => {
+    it('should void an unallocated invoice with a reason', async () => {
+      const open = invoice('INV-1', 100);
+
+      await voidInvoice(open, user, 'Duplicate');
+
+      expect(open).toEqual(expect.objectContaining({
+        status: 'void', voidedBy: user.employeeId, voidReason: 'Duplicate', voidedAt: expect.any(Date)
+      }));
+      expect(open.save).toHaveBeenCalled();
+    });
+
+    it('should reverse the invoice\'s purchase with a credit settling the void invoice alone', async () => {
+      const posted = invoice('INV-1', 100, { organization, total: 100, transaction: new mongoose.Types.ObjectId() });
+
+      await voidInvoice(posted, user, 'Duplicate');
+
+      expect(appendToChain).toHaveBeenCalledWith(Transaction, expect.objectContaining({
+        type: 'credit',
+        amount: 100,
+        reference: { refType: 'vendor', refId: vendor },
+        description: 'Void of invoice INV-1: Duplicate'
+      }), { organization }, { session });
+      const [[reversal]] = postTransaction.mock.calls;
+      expect(posted.allocations).toEqual([expect.objectContaining({
+        transaction: reversal._id, kind: 'credit_note', amount: 100
+      })]);
+      expect(posted).toEqual(expect.objectContaining({ status: 'void', voidReason: 'Duplicate' }));
+      expect(posted.save).toHaveBeenCalledWith({ session });
+    });
+
+    it('should refuse void and allocated invoices', async () => {
+      await expect(voidInvoice(invoice('INV-1', 0, { status: 'void' }), user, 'Again'))
+        .rejects.toThrow('Invoice INV-1 is already void');
+      await expect(voidInvoice(invoice('INV-2', 50, { allocations: [{ amount: 50 }] }), user, 'Oops'))
+        .rejects.toThrow('Invoice INV-2 has allocations and cannot be voided');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Unit tests for transaction journal postings
+ * @module tests/unit/utils/journalPosting
+ */
+
+const mongoose = require('mongoose');
+const {
+  postingAccounts,
+  postTransaction,
+  recordTransaction
+} = require('../../../src/utils/journalPosting');
+const Account = require('../../../src/models/Account');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/utils/doubleEntry', () => ({
+  ...jest.requireActual('../../../src/utils/doubleEntry'),
+  postJournalEntry: jest.fn()
+}));
+jest.mock('../../../src/utils/hashChain');
+jest.mock('../../../src/config/database');
+
+const { postJournalEntry } = require('../../../src/utils/doubleEntry');
+const { retryOnSequenceConflict, appendToChain } = require('../../../src/utils/hashChain');
+const { runInTransaction } = require('../../../src/config/database');
+
+describe('Journal Posting', () => {
+  const organization = new mongoose.Types.ObjectId();
+  const branch = new mongoose.Types.ObjectId();
+  const vendor = new mongoose.Types.ObjectId();
+
+  /**
+   * Build a stand-in transaction
+   * @param {Object} overrides - Fields to override
+   * @returns {Object} Transaction
+   */
+  const buildTransaction = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    transactionId: 'TXN-1-ABC',
+    organization,
+    branch,
+    amount: 120,
+    type: 'purchase',
+    reference: { refType: 'vendor', refId: vendor },
+    ...overrides
+  });
+
+  describe('postingAccounts', () => {
+    it.each([
+      ['vendor', 'purchase', 'recorded', ['expense', 'payable']],
+      ['vendor', 'payment', 'recorded', ['payable', 'cash']],
+      ['vendor', 'credit', 'recorded', ['payable', 'expense']],
+      ['branch', 'withdrawal', 'recorded', ['expense', 'cash']],
+      ['organization', 'deposit', 'recorded', ['cash', 'revenue']],
+      ['branch', 'refund', 'recorded', ['cash', 'expense']],
+      ['employee', 'debit', 'approved', ['expense', 'reimbursable']],
+      ['employee', 'debit', 'settled', ['reimbursable', 'cash']],
+      ['employee', 'refund', 'settled', ['cash', 'reimbursable']]
+    ])('should post a %s %s when %s to %j', (refType, type, event, accounts) => {
+      expect(postingAccounts(buildTransaction({ type, reference: { refType } }), event)).toEqual(accounts);
+    });
+
+    it('should post nothing for unposted events', () => {
+      expect(postingAccounts(buildTransaction({ reference: { refType: 'employee' } }), 'recorded')).toBeNull();
+      expect(postingAccounts(buildTransaction({ reference: { refType: 'employee' } }), 'rejected')).toBeNull();
+      expect(postingAccounts(buildTransaction(), 'settled')).toBeNull();
+    });
+  });
+
+  describe('postTransaction', () => {
+    beforeEach(() => {
+      jest.spyOn(Account, 'findOneAndUpdate').mockImplementation(async (filter) => ({
+        _id: `id-${filter.accountCode}`
+      }));
+      postJournalEntry.mockImplementation(async (entry) => entry);
+    });
+
+    it('should post a balanced entry to the vendor\'s payable in the caller\'s session', async () => {
+      const transaction = buildTransaction();
+
+      await postTransaction(transaction, 'recorded', 'emp1', 'session');
+
+      expect(Account.findOneAndUpdate).toHaveBeenCalledWith(
+        { organization, accountCode: `2000-${vendor}` },
+        {
+          $setOnInsert: expect.objectContaining({
+            accountType: 'liability',
+            entity: { entityType: 'vendor', entityId: vendor }
+          })
+        },
+        { upsert: true, new: true, session: 'session' }
+      );
+      expect(postJournalEntry).toHaveBeenCalledWith(expect.objectContaining({
+        organization,
+        branch,
+        transaction: transaction._id,
+        lines: [
+          { account: 'id-5000', debit: 120, credit: 0 },
+          { account: `id-2000-${vendor}`, debit: 0, credit: 120 }
+        ]
+      }), 'emp1', { session: 'session' });
+    });
+
+    it('should keep cash per branch and organization-wide outside branches', async () => {
+      await postTransaction(buildTransaction({ type: 'payment' }), 'recorded', 'emp1', 'session');
+      await postTransaction(buildTransaction({ type: 'payment', branch: undefined }), 'recorded', 'emp1', 'session');
+
+      const codes = Account.findOneAndUpdate.mock.calls.map(([filter]) => filter.accountCode);
+      expect(codes).toEqual([`2000-${vendor}`, `1000-${branch}`, `2000-${vendor}`, '1000']);
+    });
+
+    it('should post nothing when the event does not post', async () => {
+      const expense = buildTransaction({ reference: { refType: 'employee', refId: 'emp2' } });
+
+      await expect(postTransaction(expense, 'submitted', 'emp1', 'session')).resolves.toBeNull();
+      expect(postJournalEntry).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordTransaction', () => {
+    it('should chain and post the transaction in one MongoDB transaction', async () => {
+      const transaction = buildTransaction();
+      retryOnSequenceConflict.mockImplementation(async (modelName, append) => append());
+      runInTransaction.mockImplementation(async (work) => work('session'));
+      appendToChain.mockResolvedValue(transaction);
+      jest.spyOn(Account, 'findOneAndUpdate').mockResolvedValue({ _id: 'account' });
+
+      await expect(recordTransaction({ amount: 120 }, organization, 'emp1')).resolves.toBe(transaction);
+
+      expect(appendToChain).toHaveBeenCalledWith(
+        expect.anything(), { amount: 120 }, { organization }, { session: 'session' }
+      );
+      expect(postJournalEntry).toHaveBeenCalledWith(expect.any(Object), 'emp1', { session: 'session' });
+    });
+  });
+});
@@ -9,6 +9,7 @@ const {
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
+  getAccessTokenLifetime,
   extractTokenFromHeader
 } = require('../../../src/utils/jwt');
 
@@ -107,6 +108,22 @@ describe('JWT Utility Functions', () => {
     });
   });
 
+  describe('token identifiers', () => {
+    it('should give every access token a unique jti', () => {
+      const first = jwt.decode(generateAccessToken(mockPayload));
+      const second = jwt.decode(generateAccessToken(mockPayload));
+
+      expect(first.jti).toBeDefined();
+      expect(first.jti).not.toBe(second.jti);
+    });
+
+    it('should report access token lifetime in seconds', () => {
+      const decoded = jwt.decode(generateAccessToken(mockPayload));
+
+      expect(getAccessTokenLifetime()).toBe(decoded.exp - decoded.iat);
+    });
+  });
+
   describe('generateRefreshToken', () => {
     it('should generate a valid refresh token', () => {
       const userId = 'user123';
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Unit tests for entity ledgers
+ * @module tests/unit/utils/ledger
+ */
+
+const mongoose = require('mongoose');
+const {
+  LEDGER_ENTITY_TYPES,
+  ledgerFilter,
+  encodeCursor,
+  decodeCursor,
+  getLedgerPage
+} = require('../../../src/utils/ledger');
+const { ValidationError } = require('../../../src/handles/errors');
+
+jest.mock('../../../src/models/Transaction', () => ({
+  aggregate: jest.fn(),
+  find: jest.fn(),
+  TRANSACTION_SIDES: jest.requireActual('../../../src/models/Transaction').TRANSACTION_SIDES
+}));
+
+const Transaction = require('../../../src/models/Transaction');
+
+describe('Ledger', () => {
+  const branchId = 'bbbbbbbbbbbbbbbbbbbbbbbb';
+  const from = new Date('2024-01-01');
+  const to = new Date('2024-12-31');
+
+  const transaction = (id, type, amount, day) => ({
+    _id: new mongoose.Types.ObjectId(id.repeat(24)),
+    type,
+    amount,
+    createdAt: new Date(`2024-03-${day}T10:00:00Z`)
+  });
+
+  /**
+   * Make Transaction.find resolve to the given documents
+   * @param {Array<Object>} docs - Documents found
+   * @returns {Object} Mocked sort/limit chain
+   */
+  const mockFind = (docs) => {
+    const chain = { sort: jest.fn().mockReturnThis(), limit: jest.fn().mockResolvedValue(docs) };
+    Transaction.find.mockReturnValue(chain);
+    return chain;
+  };
+
+  describe('ledgerFilter', () => {
+    it('should match a branch directly and an employee through the reference', () => {
+      expect(ledgerFilter(LEDGER_ENTITY_TYPES.BRANCH, branchId)).toEqual({
+        status: { $nin: ['draft', 'rejected'] },
+        branch: new mongoose.Types.ObjectId(branchId)
+      });
+      expect(ledgerFilter(LEDGER_ENTITY_TYPES.EMPLOYEE, branchId)).toMatchObject({
+        'reference.refType': 'employee',
+        'reference.refId': new mongoose.Types.ObjectId(branchId)
+      });
+    });
+  });
+
+  describe('cursors', () => {
+    it('should round-trip a line position', () => {
+      const line = transaction('a', 'purchase', 10, '05');
+
+      expect(decodeCursor(encodeCursor(line))).toEqual({ at: line.createdAt, id: line._id });
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(() => decodeCursor('not-a-cursor')).toThrow(ValidationError);
+    });
+  });
+
+  describe('getLedgerPage', () => {
+    it('should run the balance from the opening balance and flag further pages', async () => {
+      Transaction.aggregate
+        .mockResolvedValueOnce([{ total: 100 }])
+        .mockResolvedValueOnce([{ total: 70.1 }]);
+      const chain = mockFind([
+        transaction('a', 'purchase', 50.05, '01'),
+        transaction('b', 'payment', 80, '02'),
+        transaction('c', 'deposit', 0.05, '03')
+      ]);
+
+      const page = await getLedgerPage({ entityType: 'branch', entityId: branchId, from, to, first: 2 });
+
+      expect(page.openingBalance).toBe(100);
+      expect(page.closingBalance).toBe(70.1);
+      expect(page.lines.map(({ debit, credit, balance }) => [debit, credit, balance]))
+        .toEqual([[50.05, 0, 150.05], [0, 80, 70.05]]);
+      expect(page.pageInfo).toEqual({ endCursor: encodeCursor(page.lines[1].transaction), hasNextPage: true });
+      expect(chain.sort).toHaveBeenCalledWith({ createdAt: 1, _id: 1 });
+      expect(chain.limit).toHaveBeenCalledWith(3);
+    });
+
+    it('should resume after a cursor from the balance up to it', async () => {
+      const last = transaction('b', 'payment', 80, '02');
+      Transaction.aggregate
+        .mockResolvedValueOnce([{ total: 100 }])
+        .mockResolvedValueOnce([{ total: 70.1 }])
+        .mockResolvedValueOnce([{ total: 70.05 }]);
+      mockFind([transaction('c', 'deposit', 0.05, '03')]);
+
+      const page = await getLedgerPage({
+        entityType: 'branch', entityId: branchId, from, to, first: 2, after: encodeCursor(last)
+      });
+
+      expect(page.lines[0].balance).toBe(70);
+      expect(page.pageInfo.hasNextPage).toBe(false);
+      expect(Transaction.find).toHaveBeenCalledWith({ $and: [expect.anything(), {
+        $or: [{ createdAt: { $gt: last.createdAt } }, { createdAt: last.createdAt, _id: { $gt: last._id } }]
+      }] });
+    });
+
+    it('should report zero balances for an empty ledger', async () => {
+      Transaction.aggregate.mockResolvedValue([]);
+      mockFind([]);
+
+      const page = await getLedgerPage({ entityType: 'vendor', entityId: branchId, from, to, first: 20 });
+
+      expect(page).toMatchObject({ openingBalance: 0, closingBalance: 0, lines: [] });
+      expect(page.pageInfo).toEqual({ endCursor: null, hasNextPage: false });
+    });
+  });
+});
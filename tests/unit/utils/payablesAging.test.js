@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Unit tests for accounts payable aging
+ * @module tests/unit/utils/payablesAging
+ */
+
+const mongoose = require('mongoose');
+const {
+  assertDueDateApplies,
+  bucketFor,
+  dueDateOf,
+  getPayablesAging
+} = require('../../../src/utils/payablesAging');
+const { postingAccounts } = require('../../../src/utils/journalPosting');
+
+jest.mock('../../../src/models/Transaction', () => ({
+  aggregate: jest.fn(),
+  find: jest.fn(),
+  TRANSACTION_SIDES: jest.requireActual('../../../src/models/Transaction').TRANSACTION_SIDES
+}));
+
+const Transaction = require('../../../src/models/Transaction');
+
+describe('Payables aging', () => {
+  const asOf = new Date('2024-06-30T00:00:00Z');
+  const vendorA = new mongoose.Types.ObjectId('aaaaaaaaaaaaaaaaaaaaaaaa');
+  const vendorB = new mongoose.Types.ObjectId('bbbbbbbbbbbbbbbbbbbbbbbb');
+  const vendorC = new mongoose.Types.ObjectId('cccccccccccccccccccccccc');
+  const branch = new mongoose.Types.ObjectId('dddddddddddddddddddddddd');
+
+  const purchase = (vendor, amount, dueDate, createdAt = new Date('2024-01-01T00:00:00Z')) => ({
+    _id: new mongoose.Types.ObjectId(),
+    type: 'purchase',
+    amount,
+    dueDate,
+    createdAt,
+    branch,
+    reference: { refType: 'vendor', refId: vendor }
+  });
+
+  describe('bucketFor', () => {
+    it('should bucket by days past due', () => {
+      expect([-5, 0, 1, 30, 31, 60, 61, 90, 91, 400].map(days => bucketFor(days).name)).toEqual([
+        'CURRENT', 'CURRENT', 'DAYS_1_30', 'DAYS_1_30', 'DAYS_31_60', 'DAYS_31_60',
+        'DAYS_61_90', 'DAYS_61_90', 'OVER_90', 'OVER_90'
+      ]);
+    });
+  });
+
+  describe('due dates', () => {
+    it('should fall back to the default payment terms', () => {
+      expect(dueDateOf(purchase(vendorA, 10, undefined))).toEqual(new Date('2024-01-31T00:00:00Z'));
+    });
+
+    it('should only accept due dates on vendor purchases', () => {
+      expect(() => assertDueDateApplies('vendor', 'purchase', asOf)).not.toThrow();
+      expect(() => assertDueDateApplies('vendor', 'payment', asOf)).toThrow('Only vendor purchases have a due date');
+      expect(() => assertDueDateApplies('employee', 'purchase', asOf)).toThrow('Only vendor purchases');
+    });
+  });
+
+  describe('getPayablesAging', () => {
+    it('should apply payments to the oldest purchases and age the rest', async () => {
+      const old = purchase(vendorA, 100, new Date('2024-03-01T00:00:00Z'));
+      const recent = purchase(vendorA, 250.5, new Date('2024-06-10T00:00:00Z'));
+      const future = purchase(vendorB, 40, new Date('2024-07-15T00:00:00Z'));
+      Transaction.aggregate.mockResolvedValue([
+        { _id: vendorA, total: 150 },
+        { _id: vendorC, total: 25 }
+      ]);
+      const sort = jest.fn().mockResolvedValue([old, recent, future]);
+      Transaction.find.mockReturnValue({ sort });
+
+      const aging = await getPayablesAging({ asOf, filter: { branch: String(branch) } });
+
+      expect(aging.vendors).toHaveLength(3);
+      const [a, b, c] = aging.vendors;
+      expect(a.purchases).toEqual([
+        expect.objectContaining({ transaction: recent, outstanding: 200.5, daysOverdue: 20, bucket: 'DAYS_1_30' })
+      ]);
+      expect(a.buckets).toMatchObject({ days1To30: 200.5, total: 200.5 });
+      expect(b.purchases[0]).toMatchObject({ outstanding: 40, daysOverdue: -15, bucket: 'CURRENT' });
+      expect(c).toMatchObject({ vendorId: String(vendorC), purchases: [], unappliedCredit: 25 });
+      expect(aging.branches).toEqual([{ branchId: String(branch), buckets: aging.totals }]);
+      expect(aging.totals).toEqual({
+        current: 40, days1To30: 200.5, days31To60: 0, days61To90: 0, over90: 0, total: 240.5
+      });
+      expect(sort).toHaveBeenCalledWith({ createdAt: 1, _id: 1 });
+    });
+
+    it('should total what the vendors\' payable accounts hold', async () => {
+      const vendorTransaction = (vendor, type, amount) => ({ ...purchase(vendor, amount, asOf), type });
+      const transactions = [
+        vendorTransaction(vendorA, 'purchase', 300),
+        vendorTransaction(vendorA, 'withdrawal', 45.25),
+        vendorTransaction(vendorA, 'settlement', 120),
+        vendorTransaction(vendorA, 'refund', 30),
+        vendorTransaction(vendorB, 'debit', 80),
+        vendorTransaction(vendorB, 'transfer', 20),
+        vendorTransaction(vendorB, 'deposit', 15.5),
+        vendorTransaction(vendorB, 'credit', 4.5),
+        vendorTransaction(vendorB, 'payment', 10)
+      ];
+      const ofTypes = ({ $and }) => transactions.filter(({ type }) => $and[2].type.$in.includes(type));
+      Transaction.aggregate.mockImplementation(async ([{ $match }]) => [vendorA, vendorB].map(vendor => ({
+        _id: vendor,
+        total: ofTypes($match).filter(({ reference }) => reference.refId === vendor)
+          .reduce((sum, { amount }) => sum + amount, 0)
+      })));
+      Transaction.find.mockImplementation(query => ({ sort: jest.fn().mockResolvedValue(ofTypes(query)) }));
+
+      const payable = transactions.reduce((balance, transaction) => {
+        const [debit, credit] = postingAccounts(transaction, 'recorded');
+        const sign = (credit === 'payable' ? 1 : 0) - (debit === 'payable' ? 1 : 0);
+        return balance + sign * transaction.amount;
+      }, 0);
+      const aging = await getPayablesAging({ asOf });
+
+      expect(aging.totals.total).toBeCloseTo(payable, 2);
+      expect(aging.totals.total).toBe(265.25);
+    });
+
+    it('should leave out vendors that are fully paid', async () => {
+      Transaction.aggregate.mockResolvedValue([{ _id: vendorA, total: 100 }]);
+      Transaction.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([purchase(vendorA, 100, asOf)]) });
+
+      const aging = await getPayablesAging({ asOf });
+
+      expect(aging.vendors).toEqual([]);
+      expect(aging.totals.total).toBe(0);
+    });
+  });
+});
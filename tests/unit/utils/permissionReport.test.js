@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Unit tests for the permission matrix report
+ * @module tests/unit/utils/permissionReport
+ */
+
+const {
+  REPORT_FORMATS,
+  buildPermissionReport,
+  diffDesignations,
+  renderPermissionReport,
+  loadPermissionReport
+} = require('../../../src/utils/permissionReport');
+const { PERMISSIONS, PERMISSION_MATRIX } = require('../../../src/constants/permissions');
+const { ROLES } = require('../../../src/constants/roles');
+const { NotFoundError, ValidationError } = require('../../../src/handles/errors');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/models/Employee', () => ({
+  findById: jest.fn(),
+  find: jest.fn()
+}));
+
+jest.mock('../../../src/models/Branch', () => ({
+  find: jest.fn()
+}));
+
+jest.mock('../../../src/models/Role', () => ({
+  find: jest.fn()
+}));
+
+jest.mock('../../../src/utils/roleRegistry', () => ({
+  ensureRolesLoaded: jest.fn(),
+  lookupRole: jest.fn()
+}));
+
+const Employee = require('../../../src/models/Employee');
+const Branch = require('../../../src/models/Branch');
+const Role = require('../../../src/models/Role');
+
+describe('Permission report', () => {
+  const clerk = {
+    _id: 'aaaaaaaaaaaaaaaaaaaaaaaa',
+    name: 'Dana Clerk',
+    designation: ROLES.EMPLOYEE,
+    permissions: [PERMISSIONS.APPROVE_TRANSACTION],
+    deniedPermissions: [PERMISSIONS.CREATE_TRANSACTION]
+  };
+
+  describe('buildPermissionReport', () => {
+    it('should list every built-in role by default', () => {
+      const report = buildPermissionReport();
+
+      expect(report.permissions).toEqual(Object.values(PERMISSIONS));
+      expect(report.roles.map(role => role.name)).toEqual(Object.keys(PERMISSION_MATRIX));
+      expect(report.roles.find(role => role.name === ROLES.BRANCH_MANAGER).permissions)
+        .toEqual(PERMISSION_MATRIX[ROLES.BRANCH_MANAGER]);
+    });
+
+    it('should list only employees with grants or denies', () => {
+      const report = buildPermissionReport({
+        employees: [clerk, { _id: 'b', name: 'Plain', designation: ROLES.EMPLOYEE, permissions: [] }]
+      });
+
+      expect(report.overrides).toEqual([{
+        employeeId: clerk._id,
+        name: 'Dana Clerk',
+        designation: ROLES.EMPLOYEE,
+        grants: [PERMISSIONS.APPROVE_TRANSACTION],
+        denies: [PERMISSIONS.CREATE_TRANSACTION]
+      }]);
+    });
+  });
+
+  describe('diffDesignations', () => {
+    it('should show what a promotion gains and loses, keeping individual overrides', () => {
+      const diff = diffDesignations(clerk, ROLES.BRANCH_MANAGER);
+
+      expect(diff).toMatchObject({ from: ROLES.EMPLOYEE, to: ROLES.BRANCH_MANAGER });
+      expect(diff.gained).toEqual(expect.arrayContaining([PERMISSIONS.CREATE_EMPLOYEE, PERMISSIONS.UPDATE_BRANCH]));
+      expect(diff.gained).not.toContain(PERMISSIONS.APPROVE_TRANSACTION);
+      expect(diff.lost).toEqual([PERMISSIONS.UPDATE_TRANSACTION]);
+      expect(diff.kept).toContain(PERMISSIONS.APPROVE_TRANSACTION);
+      expect(diff.kept).not.toContain(PERMISSIONS.CREATE_TRANSACTION);
+    });
+  });
+
+  describe('renderPermissionReport', () => {
+    const report = buildPermissionReport({ employees: [clerk] });
+
+    it('should render JSON with the diff when given', () => {
+      const diff = diffDesignations(clerk, ROLES.BRANCH_MANAGER);
+      const parsed = JSON.parse(renderPermissionReport(report, REPORT_FORMATS.JSON, diff));
+
+      expect(parsed.roles).toHaveLength(Object.keys(PERMISSION_MATRIX).length);
+      expect(parsed.diff.lost).toEqual([PERMISSIONS.UPDATE_TRANSACTION]);
+    });
+
+    it('should render CSV with role columns and marked overrides', () => {
+      const lines = renderPermissionReport(report, REPORT_FORMATS.CSV).split('\n');
+
+      expect(lines[0]).toBe('permission,Admin,BranchManager,Employee,Vendor,Dana Clerk (Employee)');
+      expect(lines).toContain('approve_transaction,x,x,,,+');
+      expect(lines).toContain('create_transaction,x,,x,,-');
+      expect(lines).toContain('view_vendor,x,x,x,x,x');
+    });
+
+    it('should render a Markdown table followed by the diff', () => {
+      const diff = diffDesignations(clerk, ROLES.BRANCH_MANAGER);
+      const markdown = renderPermissionReport(report, REPORT_FORMATS.MARKDOWN, diff);
+
+      expect(markdown).toContain('| permission | Admin | BranchManager | Employee | Vendor | Dana Clerk (Employee) |');
+      expect(markdown).toContain('| --- | --- |');
+      expect(markdown).toContain('Dana Clerk: Employee -> BranchManager');
+      expect(markdown).toContain('| update_transaction | lost |');
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => renderPermissionReport(report, 'XML')).toThrow('Unknown report format: XML');
+    });
+  });
+
+  describe('loadPermissionReport', () => {
+    const organizationId = 'cccccccccccccccccccccccc';
+
+    beforeEach(() => {
+      Role.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['Auditor']) });
+      Branch.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['b1']) });
+      Employee.find.mockReturnValue({ select: () => ({ sort: jest.fn().mockResolvedValue([clerk]) }) });
+    });
+
+    it('should add the organization\'s roles and overridden employees', async () => {
+      const { report, diff } = await loadPermissionReport({ organizationId });
+
+      expect(report.roles.map(role => role.name)).toEqual([...Object.keys(PERMISSION_MATRIX), 'Auditor']);
+      expect(report.overrides).toHaveLength(1);
+      expect(diff).toBeNull();
+      expect(Role.find).toHaveBeenCalledWith({ organization: { $in: [null, organizationId] }, retiredAt: null });
+      expect(Branch.find).toHaveBeenCalledWith({ organization: organizationId });
+      expect(Employee.find).toHaveBeenCalledWith(expect.objectContaining({ branch: { $in: ['b1'] } }));
+    });
+
+    it('should preview a designation change in the employee\'s organization', async () => {
+      const employee = { ...clerk, branch: { organization: organizationId } };
+      Employee.findById.mockReturnValue({ select: () => ({ populate: jest.fn().mockResolvedValue(employee) }) });
+
+      const { report, diff } = await loadPermissionReport({ employeeId: clerk._id, designation: ROLES.BRANCH_MANAGER });
+
+      expect(report.organizationId).toBe(organizationId);
+      expect(diff).toMatchObject({ employeeId: clerk._id, from: ROLES.EMPLOYEE, to: ROLES.BRANCH_MANAGER });
+    });
+
+    it('should reject missing employees and unknown designations', async () => {
+      Employee.findById.mockReturnValue({ select: () => ({ populate: jest.fn().mockResolvedValue(null) }) });
+
+      await expect(loadPermissionReport({ employeeId: clerk._id, designation: ROLES.ADMIN }))
+        .rejects.toThrow(NotFoundError);
+      await expect(loadPermissionReport({ designation: 'Wizard' })).rejects.toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Unit tests for the role cache
+ * @module tests/unit/utils/roleRegistry
+ */
+
+const mongoose = require('mongoose');
+const {
+  cacheRoles,
+  ensureRolesLoaded,
+  invalidateRoles,
+  lookupRole
+} = require('../../../src/utils/roleRegistry');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const logger = require('../../../src/config/logger');
+
+/**
+ * Stub mongoose.model('Role').find(...).lean() to resolve to roles
+ * @param {Array<Object>|Error} result - Roles to resolve, or an error to reject with
+ * @returns {jest.Mock} The find mock
+ */
+const mockRoleModel = (result) => {
+  const lean = result instanceof Error ? jest.fn().mockRejectedValue(result) : jest.fn().mockResolvedValue(result);
+  const find = jest.fn().mockReturnValue({ lean });
+  jest.spyOn(mongoose, 'model').mockReturnValue({ find });
+  return find;
+};
+
+describe('Role Registry', () => {
+  afterEach(() => {
+    cacheRoles([]);
+  });
+
+  describe('lookupRole', () => {
+    beforeEach(() => {
+      cacheRoles([
+        { name: 'Auditor', organization: null, permissions: ['view_audit_logs'] },
+        { name: 'Auditor', organization: 'org1', baseRole: 'Employee', permissions: ['view_reports'], scope: 'branch' }
+      ]);
+    });
+
+    it('should prefer the organization\'s own definition', () => {
+      expect(lookupRole('Auditor', 'org1')).toEqual({
+        name: 'Auditor',
+        organization: 'org1',
+        baseRole: 'Employee',
+        permissions: ['view_reports'],
+        scope: 'branch'
+      });
+    });
+
+    it('should fall back to roles available everywhere', () => {
+      expect(lookupRole('Auditor', 'org2').permissions).toEqual(['view_audit_logs']);
+      expect(lookupRole('Auditor').organization).toBeNull();
+    });
+
+    it('should return null for unknown roles and non-string names', () => {
+      expect(lookupRole('Treasurer', 'org1')).toBeNull();
+      expect(lookupRole({ name: 'Auditor' })).toBeNull();
+    });
+  });
+
+  describe('ensureRolesLoaded', () => {
+    it('should load active roles once until invalidated', async () => {
+      invalidateRoles();
+      const find = mockRoleModel([{ name: 'Treasurer', organization: null, permissions: ['settle_transaction'] }]);
+
+      await ensureRolesLoaded();
+      await ensureRolesLoaded();
+
+      expect(find).toHaveBeenCalledTimes(1);
+      expect(find).toHaveBeenCalledWith({ retiredAt: null });
+      expect(lookupRole('Treasurer').permissions).toEqual(['settle_transaction']);
+
+      invalidateRoles();
+      await ensureRolesLoaded();
+
+      expect(find).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep the previous roles when loading fails', async () => {
+      cacheRoles([{ name: 'Treasurer', organization: null, permissions: [] }]);
+      invalidateRoles();
+      mockRoleModel(new Error('connection lost'));
+
+      await ensureRolesLoaded();
+
+      expect(logger.error).toHaveBeenCalledWith('Failed to load roles:', expect.any(Error));
+      expect(lookupRole('Treasurer')).not.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,335 @@
+/**
+ * @fileoverview Unit tests for login, refresh and logout session flows
+ * @module tests/unit/utils/session
+ */
+
+const { login, refreshSession, logout, revokeAllSessions } = require('../../../src/utils/session');
+const { verifyAccessToken, verifyRefreshToken } = require('../../../src/utils/jwt');
+const { buildAuthContext } = require('../../../src/middleware/auth');
+const { AuthenticationError, ValidationError } = require('../../../src/handles/errors');
+const { PERMISSIONS, getPermissionsForRole } = require('../../../src/constants/permissions');
+const { ROLES } = require('../../../src/constants/roles');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/models/User', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn()
+}));
+
+jest.mock('../../../src/models/Employee', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../../../src/models/Vendor', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../../../src/models/Branch', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../../../src/utils/roleRegistry', () => ({
+  ensureRolesLoaded: jest.fn().mockResolvedValue(),
+  lookupRole: jest.fn().mockReturnValue(null)
+}));
+
+jest.mock('../../../src/models/RefreshToken', () => ({
+  create: jest.fn(),
+  findByToken: jest.fn(),
+  hashToken: jest.fn(),
+  revokeFamily: jest.fn(),
+  revokeAllForUser: jest.fn()
+}));
+
+jest.mock('../../../src/models/TokenRevocation', () => ({
+  revokeToken: jest.fn(),
+  revokeAllForUser: jest.fn(),
+  isRevoked: jest.fn()
+}));
+
+const User = require('../../../src/models/User');
+const Employee = require('../../../src/models/Employee');
+const Vendor = require('../../../src/models/Vendor');
+const RefreshToken = require('../../../src/models/RefreshToken');
+const TokenRevocation = require('../../../src/models/TokenRevocation');
+
+/**
+ * Back the mocked RefreshToken model, and access token revocations, with an in-memory store
+ * @returns {Array<Object>} Stored token records
+ */
+const useTokenStore = () => {
+  const records = [];
+
+  RefreshToken.hashToken.mockImplementation((token) => `hash:${token}`);
+  RefreshToken.create.mockImplementation(async (data) => {
+    const record = {
+      ...data,
+      user: { toString: () => String(data.user) },
+      rotatedAt: null,
+      revokedAt: null
+    };
+    record.markRotated = jest.fn(async () => {
+      if (record.rotatedAt || record.revokedAt) {
+        return false;
+      }
+      record.rotatedAt = new Date();
+      return true;
+    });
+    records.push(record);
+    return record;
+  });
+  RefreshToken.findByToken.mockImplementation(async (token) =>
+    records.find(record => record.tokenHash === `hash:${token}`) || null
+  );
+  const revoke = (predicate, reason) => {
+    const live = records.filter(record => !record.revokedAt && predicate(record));
+    live.forEach((record) => {
+      record.revokedAt = new Date();
+      record.revokedReason = reason;
+    });
+    return live.length;
+  };
+  RefreshToken.revokeFamily.mockImplementation(async (family, reason) =>
+    revoke(record => record.family === family, reason)
+  );
+  RefreshToken.revokeAllForUser.mockImplementation(async (userId, reason) =>
+    revoke(record => record.user.toString() === String(userId), reason)
+  );
+
+  const revokedAccessTokens = new Set();
+  TokenRevocation.revokeToken.mockImplementation(async (decoded) => revokedAccessTokens.add(decoded.jti));
+  TokenRevocation.isRevoked.mockImplementation(async (decoded) => revokedAccessTokens.has(decoded.jti));
+
+  return records;
+};
+
+/**
+ * Build a stand-in User document
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} Mock user
+ */
+const createMockUser = (overrides = {}) => ({
+  _id: 'user123',
+  username: 'jdoe',
+  employee: 'emp123',
+  comparePassword: jest.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+const employee = { _id: 'emp123', designation: ROLES.BRANCH_MANAGER };
+
+describe('Session Utilities', () => {
+  let records;
+
+  beforeEach(() => {
+    records = useTokenStore();
+  });
+
+  /**
+   * Sign in the default mock user
+   * @param {Object} linked - Employee the user is linked to
+   * @returns {Promise<Object>} AuthPayload
+   */
+  const signIn = async (linked = employee) => {
+    const user = createMockUser();
+    User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+    User.findById.mockResolvedValue(user);
+    Employee.findById.mockResolvedValue(linked);
+    return login('jdoe', 'secret123');
+  };
+
+  describe('login', () => {
+    it('should issue tokens and store the hashed refresh token', async () => {
+      const session = await signIn();
+
+      expect(User.findOne).toHaveBeenCalledWith({ username: 'jdoe' });
+      expect(verifyAccessToken(session.accessToken)).toMatchObject({
+        userId: 'user123',
+        employeeId: 'emp123',
+        designation: ROLES.BRANCH_MANAGER
+      });
+      expect(verifyRefreshToken(session.refreshToken).userId).toBe('user123');
+      expect(records).toHaveLength(1);
+      expect(records[0].tokenHash).toBe(`hash:${session.refreshToken}`);
+      expect(records[0].expiresAt).toBeInstanceOf(Date);
+      expect(session.designation).toBe(ROLES.BRANCH_MANAGER);
+      expect(session.permissions).toEqual(getPermissionsForRole(ROLES.BRANCH_MANAGER));
+    });
+
+    it('should report effective permissions including individual grants and denies', async () => {
+      const session = await signIn({
+        ...employee,
+        permissions: [PERMISSIONS.SETTLE_TRANSACTION],
+        deniedPermissions: [PERMISSIONS.UPDATE_BRANCH]
+      });
+
+      expect(session.permissions).toContain(PERMISSIONS.SETTLE_TRANSACTION);
+      expect(session.permissions).not.toContain(PERMISSIONS.UPDATE_BRANCH);
+    });
+
+    it('should start a new family per sign-in', async () => {
+      const first = await signIn();
+      const second = await signIn();
+
+      const family1 = verifyRefreshToken(first.refreshToken).family;
+      const family2 = verifyRefreshToken(second.refreshToken).family;
+      expect(family1).toBeDefined();
+      expect(family1).not.toBe(family2);
+    });
+
+    it('should reject unknown usernames', async () => {
+      User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      await expect(login('ghost', 'secret123')).rejects.toThrow(AuthenticationError);
+    });
+
+    it('should reject wrong passwords', async () => {
+      const user = createMockUser({ comparePassword: jest.fn().mockResolvedValue(false) });
+      User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+      await expect(login('jdoe', 'wrong')).rejects.toThrow('Invalid username or password');
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject users without an employee', async () => {
+      User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(createMockUser()) });
+      Employee.findById.mockResolvedValue(null);
+
+      await expect(login('jdoe', 'secret123')).rejects.toThrow('not linked to an active employee');
+    });
+
+    it('should sign vendor accounts in as their vendor with the Vendor role', async () => {
+      const user = createMockUser({ employee: null, vendor: 'vendor1' });
+      User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+      Vendor.findById.mockResolvedValue({ _id: 'vendor1', branch: null });
+
+      const session = await login('jdoe', 'secret123');
+
+      expect(Employee.findById).not.toHaveBeenCalled();
+      expect(session).toMatchObject({ employeeId: null, vendorId: 'vendor1', designation: ROLES.VENDOR });
+      expect(session.permissions).toEqual(getPermissionsForRole(ROLES.VENDOR));
+      expect(verifyAccessToken(session.accessToken)).toMatchObject({ vendorId: 'vendor1', designation: ROLES.VENDOR });
+    });
+
+    it('should reject vendor accounts whose vendor is gone', async () => {
+      User.findOne.mockReturnValue({
+        select: jest.fn().mockResolvedValue(createMockUser({ employee: null, vendor: 'vendor1' }))
+      });
+      Vendor.findById.mockResolvedValue(null);
+
+      await expect(login('jdoe', 'secret123')).rejects.toThrow('not linked to an active vendor');
+    });
+
+    it('should validate missing credentials', async () => {
+      await expect(login('', 'secret123')).rejects.toThrow(ValidationError);
+      await expect(login('jdoe')).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('refreshSession', () => {
+    it('should rotate within the same family', async () => {
+      const first = await signIn();
+      const second = await refreshSession(first.refreshToken);
+
+      expect(second.refreshToken).not.toBe(first.refreshToken);
+      expect(verifyRefreshToken(second.refreshToken).family)
+        .toBe(verifyRefreshToken(first.refreshToken).family);
+      expect(records[0].rotatedAt).toBeInstanceOf(Date);
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      const first = await signIn();
+      const second = await refreshSession(first.refreshToken);
+
+      await expect(refreshSession(first.refreshToken)).rejects.toThrow('no longer valid');
+      expect(RefreshToken.revokeFamily).toHaveBeenCalledWith(records[0].family, 'reuse');
+      await expect(refreshSession(second.refreshToken)).rejects.toThrow(AuthenticationError);
+    });
+
+    it('should leave other devices signed in after reuse', async () => {
+      const laptop = await signIn();
+      const phone = await signIn();
+      await refreshSession(laptop.refreshToken);
+
+      await expect(refreshSession(laptop.refreshToken)).rejects.toThrow(AuthenticationError);
+      await expect(refreshSession(phone.refreshToken)).resolves.toHaveProperty('accessToken');
+    });
+
+    it('should reject tokens that were never stored', async () => {
+      const session = await signIn();
+      records.length = 0;
+
+      await expect(refreshSession(session.refreshToken)).rejects.toThrow('no longer valid');
+    });
+
+    it('should reject invalid tokens', async () => {
+      await expect(refreshSession('not.a.token')).rejects.toThrow(AuthenticationError);
+    });
+  });
+
+  describe('logout', () => {
+    it('should revoke only the presented family', async () => {
+      const laptop = await signIn();
+      const phone = await signIn();
+
+      await expect(logout({ userId: 'user123' }, laptop.refreshToken)).resolves.toBe(true);
+
+      await expect(refreshSession(laptop.refreshToken)).rejects.toThrow(AuthenticationError);
+      await expect(refreshSession(phone.refreshToken)).resolves.toHaveProperty('accessToken');
+    });
+
+    it('should reject the access token the caller logged out with', async () => {
+      const session = await signIn();
+      const headers = { authorization: `Bearer ${session.accessToken}` };
+      const { user } = await buildAuthContext({ headers });
+
+      await logout(user, session.refreshToken);
+
+      expect(TokenRevocation.revokeToken).toHaveBeenCalledWith(
+        expect.objectContaining({ jti: verifyAccessToken(session.accessToken).jti }),
+        { reason: 'logout', revokedBy: 'user123' }
+      );
+      await expect(buildAuthContext({ headers })).resolves.toEqual({ user: null, isAuthenticated: false });
+    });
+
+    it('should revoke every session without a token', async () => {
+      const laptop = await signIn();
+      const phone = await signIn();
+
+      await logout({ userId: 'user123' });
+
+      await expect(refreshSession(laptop.refreshToken)).rejects.toThrow(AuthenticationError);
+      await expect(refreshSession(phone.refreshToken)).rejects.toThrow(AuthenticationError);
+    });
+
+    it('should ignore tokens belonging to another user', async () => {
+      const session = await signIn();
+
+      await logout({ userId: 'intruder' }, session.refreshToken);
+
+      expect(RefreshToken.revokeFamily).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeAllSessions', () => {
+    it('should revoke refresh tokens and all issued access tokens', async () => {
+      const laptop = await signIn();
+
+      await expect(revokeAllSessions('user123', { reason: 'terminated', revokedBy: 'admin1' }))
+        .resolves.toBe(true);
+
+      expect(TokenRevocation.revokeAllForUser).toHaveBeenCalledWith(
+        'user123',
+        expect.any(Number),
+        { reason: 'terminated', revokedBy: 'admin1' }
+      );
+      await expect(refreshSession(laptop.refreshToken)).rejects.toThrow(AuthenticationError);
+    });
+  });
+});
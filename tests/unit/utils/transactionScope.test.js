@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Unit tests for transaction placement helpers
+ * @module tests/unit/utils/transactionScope
+ */
+
+const Branch = require('../../../src/models/Branch');
+const {
+  transactionScope,
+  resolveTransactionBranch,
+  resolveTransactionOrganization
+} = require('../../../src/utils/transactionScope');
+const { ValidationError } = require('../../../src/handles/errors');
+
+jest.mock('../../../src/config/logger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Transaction Scope', () => {
+  describe('transactionScope', () => {
+    it('should make the employee the owner of an expense', () => {
+      expect(transactionScope({
+        branch: 'b1',
+        organization: 'o1',
+        reference: { refType: 'employee', refId: 'e1' }
+      })).toEqual({ branch: 'b1', organization: 'o1', owner: 'e1' });
+    });
+
+    it('should leave other transactions without an owner', () => {
+      expect(transactionScope({
+        branch: null,
+        organization: 'o1',
+        reference: { refType: 'vendor', refId: 'v1' }
+      })).toEqual({ branch: null, organization: 'o1', owner: null });
+    });
+  });
+
+  describe('resolveTransactionBranch', () => {
+    it('should place the transaction in the reference\'s own branch', () => {
+      expect(resolveTransactionBranch('employee', { branch: 'b1' })).toBe('b1');
+      expect(resolveTransactionBranch('employee', { branch: 'b1' }, 'b1')).toBe('b1');
+      expect(resolveTransactionBranch('vendor', { _id: 'v1', branch: 'b2' })).toBe('b2');
+      expect(resolveTransactionBranch('branch', { _id: 'b3' })).toBe('b3');
+    });
+
+    it('should refuse an explicit branch other than the reference\'s own', () => {
+      expect(() => resolveTransactionBranch('employee', { branch: 'b1' }, 'b2'))
+        .toThrow('branchId must be the employee\'s own branch');
+      expect(() => resolveTransactionBranch('vendor', { _id: 'v1', branch: 'b1' }, 'b2'))
+        .toThrow('branchId must be the vendor\'s own branch');
+      expect(() => resolveTransactionBranch('branch', { _id: 'b3' }, 'b2')).toThrow(ValidationError);
+    });
+
+    it('should take the explicit branch for shared vendors and organizations', () => {
+      expect(resolveTransactionBranch('vendor', { _id: 'v1' }, 'b2')).toBe('b2');
+      expect(resolveTransactionBranch('organization', { _id: 'o1' }, 'b2')).toBe('b2');
+      expect(resolveTransactionBranch('vendor', { _id: 'v1' })).toBeNull();
+    });
+  });
+
+  describe('resolveTransactionOrganization', () => {
+    it('should take the organization from the reference or the branch', async () => {
+      jest.spyOn(Branch, 'findById').mockResolvedValue({ organization: 'o2' });
+
+      await expect(resolveTransactionOrganization('organization', { _id: 'o1' })).resolves.toBe('o1');
+      await expect(resolveTransactionOrganization('branch', { organization: 'o3' })).resolves.toBe('o3');
+      await expect(resolveTransactionOrganization('vendor', { _id: 'v1' }, 'b1')).resolves.toBe('o2');
+    });
+
+    it('should keep organization transactions to the organization\'s branches', async () => {
+      jest.spyOn(Branch, 'findById').mockResolvedValue({ organization: 'o2' });
+
+      await expect(resolveTransactionOrganization('organization', { _id: 'o1' }, 'b1'))
+        .rejects.toThrow('branchId must be a branch of the organization');
+      await expect(resolveTransactionOrganization('organization', { _id: 'o2' }, 'b1')).resolves.toBe('o2');
+    });
+
+    it('should require a branch for vendor transactions', async () => {
+      await expect(resolveTransactionOrganization('vendor', { _id: 'v1' }, null))
+        .rejects.toThrow(ValidationError);
+    });
+  });
+});